@@ -0,0 +1,131 @@
+const userService = require('../services/userService');
+const activityService = require('../services/activityService');
+const { INTENSITIES, ACTIVITIES, DISTANCE_ACTIVITIES, findActivity, describeActivity, describeBurn } = require('../lib/activities');
+const { timezoneOf, getToday } = require('../lib/dateHelper');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const { structuredResult, ACTIVITY_SCHEMA, EXERCISE_SCHEMA, toActivityOutput, toExerciseOutput } = require('../lib/toolOutput');
+const { DATE_PROPERTY, resolveLogDate } = require('./foodHandlers');
+
+const DURATION_LIMITS = { min: 1, max: 600 };
+const DISTANCE_LIMITS = { min: 0.1, max: 300 };
+
+async function handleLogActivity(args, req) {
+  const { puch_user_id, bearer_token, activity, duration_minutes, distance_km, intensity = INTENSITIES.MODERATE, date } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const profile = await userService.getProfile(phone);
+  if (!profile || !profile.weight_kg) {
+    throw new Error('Please set up your profile first with setup_profile - calories burned are worked out from your weight.');
+  }
+  
+  const key = findActivity(activity);
+  if (!key) {
+    throw new Error(`I don't know "${activity}" yet - try one of: ${Object.keys(ACTIVITIES).join(', ')}`);
+  }
+  if (!Object.values(INTENSITIES).includes(intensity)) {
+    throw new Error(`Intensity must be one of: ${Object.values(INTENSITIES).join(', ')}`);
+  }
+  
+  const hasDuration = duration_minutes !== undefined && duration_minutes !== null;
+  const hasDistance = distance_km !== undefined && distance_km !== null;
+  if (hasDuration && !(duration_minutes >= DURATION_LIMITS.min && duration_minutes <= DURATION_LIMITS.max)) {
+    throw new Error(`Duration must be between ${DURATION_LIMITS.min} and ${DURATION_LIMITS.max} minutes`);
+  }
+  if (hasDistance && !(distance_km >= DISTANCE_LIMITS.min && distance_km <= DISTANCE_LIMITS.max)) {
+    throw new Error(`Distance must be between ${DISTANCE_LIMITS.min} and ${DISTANCE_LIMITS.max} km`);
+  }
+  if (hasDistance && !DISTANCE_ACTIVITIES.includes(key)) {
+    throw new Error(`Distance only works for ${DISTANCE_ACTIVITIES.join(', ')} - give duration_minutes for ${ACTIVITIES[key].label.toLowerCase()}`);
+  }
+  if (!hasDuration && !hasDistance) {
+    throw new Error(DISTANCE_ACTIVITIES.includes(key)
+      ? 'How long or how far? Give duration_minutes or distance_km'
+      : 'How long was it? Give duration_minutes');
+  }
+  
+  // Same dates as food - a workout changes that day's budget, so closed days stay closed
+  const timezone = timezoneOf(profile);
+  const logDate = resolveLogDate(date, { timezone });
+  
+  const { entry, day } = await activityService.logActivity(phone, profile, {
+    activity: key,
+    date: logDate,
+    durationMinutes: hasDuration ? Math.round(duration_minutes) : null,
+    distanceKm: hasDistance ? Math.round(distance_km * 10) / 10 : null,
+    intensity
+  });
+  
+  const isToday = logDate === getToday(timezone);
+  let response = `🏃 ACTIVITY LOGGED${isToday ? '' : ` FOR ${logDate}`}\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `• ${describeActivity(entry)}, ${entry.intensity}\n`;
+  response += `• 🔥 About ${describeBurn(entry)} (${entry.met} METs at ${entry.weight_kg} kg)\n\n`;
+  
+  if (day.activities.length > 1) {
+    response += `${isToday ? 'Today\'s' : 'That day\'s'} workouts: ${day.activities.map(describeActivity).join(', ')} - ${describeBurn(day)}\n\n`;
+  }
+  
+  response += `📊 ${isToday ? 'TODAY\'S' : 'THAT DAY\'S'} CALORIE BUDGET:\n`;
+  response += `• Target: ${day.target} cal\n`;
+  if (day.added > 0) {
+    response += `• Exercise: +${day.added} cal (burned above resting)\n`;
+    response += `• Budget: ${day.budget} cal\n`;
+  } else {
+    response += `• Exercise calories aren't added to your budget - turn that on with set_targets (add_exercise_calories)\n`;
+  }
+  
+  response += `\n💡 These are estimates from typical MET values - a fitness tracker will be closer.`;
+  
+  return structuredResult(response, {
+    date: logDate,
+    activity: toActivityOutput(entry),
+    day: toExerciseOutput(day)
+  });
+}
+
+const tools = [
+  {
+    name: 'log_activity',
+    description: 'Log a workout - walking, running, cycling, yoga, cricket, gym, swimming, badminton, football, dancing, skipping or HIIT. Estimates calories burned from your weight and adds them to the day\'s calorie budget',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        activity: { type: 'string', description: 'What you did, e.g. "running", "brisk walk", "yoga", "weight training"' },
+        duration_minutes: { type: 'number', description: 'How long, in minutes' },
+        distance_km: { type: 'number', description: 'How far, for walking, running or cycling' },
+        intensity: {
+          type: 'string',
+          enum: Object.values(INTENSITIES),
+          description: 'How hard it felt (defaults to moderate) - sets the pace when only a distance is given'
+        },
+        date: { ...DATE_PROPERTY, description: 'Day of the workout - YYYY-MM-DD, "today", "yesterday" or "3 days ago" (defaults to today)' }
+      },
+      required: ['activity']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string' },
+        activity: ACTIVITY_SCHEMA,
+        day: EXERCISE_SCHEMA
+      },
+      required: ['date', 'activity', 'day']
+    },
+    mutates: true,
+    handler: handleLogActivity
+  }
+];
+
+module.exports = {
+  tools,
+  handleLogActivity
+};
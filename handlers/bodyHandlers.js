@@ -0,0 +1,243 @@
+const userService = require('../services/userService');
+const bodyMetricsService = require('../services/bodyMetricsService');
+const { MEASUREMENTS, WAIST_TO_HEIGHT_LIMIT, describeWeightTrend, formatMeasurement, formatChange } = require('../lib/bodyTrend');
+const { timezoneOf, getToday, parseDateInput, daysBetween } = require('../lib/dateHelper');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const { structuredResult, MACROS_SCHEMA, WEIGHT_TREND_SCHEMA, toTargetsOutput, toWeightTrendOutput } = require('../lib/toolOutput');
+
+const WEIGHT_LIMITS = { min: 20, max: 400 };
+
+const MEASUREMENT_LIMITS = {
+  cm: { min: 10, max: 300 },
+  '%': { min: 2, max: 70 }
+};
+
+// Weigh-ins aren't scored like food logs, so they can go back further
+const MAX_BACKDATE_DAYS = 365;
+
+const DATE_PROPERTY = {
+  type: 'string',
+  description: 'Day it was measured - YYYY-MM-DD, "yesterday" or "3 days ago" (defaults to today)'
+};
+
+// `date` against today in the user's timezone
+function resolveMeasurementDate(date, timezone) {
+  const today = getToday(timezone);
+  const resolved = parseDateInput(date, today);
+  
+  if (!resolved) {
+    throw new Error(`I couldn't understand the date "${date}". Use YYYY-MM-DD, "today", "yesterday" or "3 days ago"`);
+  }
+  if (resolved > today) {
+    throw new Error('Cannot log a future date - weigh-ins and measurements are for days that have happened');
+  }
+  if (daysBetween(resolved, today) > MAX_BACKDATE_DAYS) {
+    throw new Error(`${resolved} is too far back - measurements can be logged for the last ${MAX_BACKDATE_DAYS} days`);
+  }
+  
+  return resolved;
+}
+
+async function handleLogWeight(args, req) {
+  const { puch_user_id, bearer_token, weight_kg, date } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const weight = Number(weight_kg);
+  if (!Number.isFinite(weight) || weight < WEIGHT_LIMITS.min || weight > WEIGHT_LIMITS.max) {
+    throw new Error(`Weight must be between ${WEIGHT_LIMITS.min} and ${WEIGHT_LIMITS.max} kg`);
+  }
+  const profile = await userService.getProfile(phone);
+  const timezone = timezoneOf(profile);
+  const logDate = resolveMeasurementDate(date, timezone);
+  
+  const result = await bodyMetricsService.logWeight(phone, Math.round(weight * 10) / 10, logDate, profile);
+  const { trend, targets } = result;
+  
+  let response = `⚖️ WEIGHT LOGGED\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `• ${result.entry.weight_kg} kg ${logDate === getToday(timezone) ? 'today' : `on ${logDate}`}\n\n`;
+  
+  if (trend) {
+    response += `📈 Your trend:\n`;
+    describeWeightTrend(trend).forEach(line => {
+      response += `• ${line}\n`;
+    });
+  }
+  
+  if (targets && targets.changed) {
+    response += `\n🎯 Targets updated for ${targets.weight_kg} kg: `;
+    response += `${targets.after.calorie_target} cal (was ${targets.before.calorie_target}), `;
+    response += `${targets.after.protein_target}g protein (was ${targets.before.protein_target}g)\n`;
+  } else if (!targets && trend) {
+    response += `\n💡 Set up your profile with setup_profile and your targets will follow your weight.\n`;
+  }
+  
+  response += `\n💡 Weigh in at the same time each day - first thing in the morning works best. `;
+  response += `The trend smooths out day-to-day swings from water and salt.`;
+  
+  const output = {
+    date: logDate,
+    weight_kg: result.entry.weight_kg,
+    targets_changed: Boolean(targets && targets.changed)
+  };
+  if (trend) output.weight_trend = toWeightTrendOutput(trend);
+  if (targets) output.targets = toTargetsOutput(targets.after);
+  
+  return structuredResult(response, output);
+}
+
+async function handleLogMeasurements(args, req) {
+  const { puch_user_id, bearer_token, date } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const values = {};
+  Object.entries(MEASUREMENTS).forEach(([key, measurement]) => {
+    if (args[key] === undefined || args[key] === null) return;
+    const value = Number(args[key]);
+    const limit = MEASUREMENT_LIMITS[measurement.unit];
+    if (!Number.isFinite(value) || value < limit.min || value > limit.max) {
+      throw new Error(`${measurement.label} must be between ${limit.min} and ${limit.max} ${measurement.unit}`);
+    }
+    values[key] = Math.round(value * 10) / 10;
+  });
+  if (Object.keys(values).length === 0) {
+    throw new Error(`Give at least one measurement: ${Object.keys(MEASUREMENTS).join(', ')}`);
+  }
+  const profile = await userService.getProfile(phone);
+  const timezone = timezoneOf(profile);
+  const logDate = resolveMeasurementDate(date, timezone);
+  
+  const result = await bodyMetricsService.logMeasurements(phone, values, logDate, profile);
+  
+  let response = `📏 MEASUREMENTS LOGGED${logDate === getToday(timezone) ? '' : ` FOR ${logDate}`}\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  
+  const logged = Object.keys(values).map(key => ({ key, ...MEASUREMENTS[key], ...result.measurements[key] }));
+  logged.forEach(item => {
+    // A backdated reading may not be the latest - show what was logged, not what's newest
+    const changes = item.date === logDate && item.change !== null ? [
+      `${formatChange(item.change, item.unit)} since ${item.previous_date}`,
+      // Only when there's a reading in between, or it just repeats the first change
+      item.first_date !== item.previous_date ? `${formatChange(item.change_since_first, item.unit)} since you started` : null
+    ].filter(Boolean) : [];
+    response += `• ${item.label}: ${formatMeasurement(values[item.key], item.unit)}${changes.length > 0 ? ` (${changes.join(', ')})` : ''}\n`;
+  });
+  
+  if (result.waist_to_height !== null) {
+    response += `\n📐 Waist-to-height ratio: ${result.waist_to_height}`;
+    response += result.waist_to_height > WAIST_TO_HEIGHT_LIMIT
+      ? ` - aim for under ${WAIST_TO_HEIGHT_LIMIT} (waist less than half your height)\n`
+      : ` - under ${WAIST_TO_HEIGHT_LIMIT}, a healthy range\n`;
+  }
+  
+  response += `\n💡 Measure every 2-4 weeks, same spot and same time of day. Inches can come off even when the scale doesn't move.`;
+  
+  const output = {
+    date: logDate,
+    measurements: Object.entries(result.measurements).map(([key, item]) => {
+      const row = { key, label: MEASUREMENTS[key].label, unit: MEASUREMENTS[key].unit, value: item.value, date: item.date };
+      if (item.change !== null) row.change = item.change;
+      if (item.change_since_first !== null) row.change_since_first = item.change_since_first;
+      return row;
+    })
+  };
+  if (result.waist_to_height !== null) output.waist_to_height = result.waist_to_height;
+  
+  return structuredResult(response, output);
+}
+
+const MEASUREMENT_PROPERTIES = {};
+Object.entries(MEASUREMENTS).forEach(([key, measurement]) => {
+  MEASUREMENT_PROPERTIES[key] = { type: 'number', description: `${measurement.label} in ${measurement.unit}` };
+});
+
+const tools = [
+  {
+    name: 'log_weight',
+    description: 'Log a weigh-in (kg). Keeps a smoothed weight trend and updates your daily targets as your weight changes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        weight_kg: { type: 'number', description: 'Weight in kg' },
+        date: DATE_PROPERTY
+      },
+      required: ['weight_kg']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string' },
+        weight_kg: { type: 'number' },
+        weight_trend: WEIGHT_TREND_SCHEMA,
+        targets: { ...MACROS_SCHEMA, description: 'Daily targets after the update - missing without a profile' },
+        targets_changed: { type: 'boolean' }
+      },
+      required: ['date', 'weight_kg', 'targets_changed']
+    },
+    mutates: true,
+    handler: handleLogWeight
+  },
+  {
+    name: 'log_measurements',
+    description: 'Log body measurements - waist, hips, chest, neck, arm, thigh (cm) or body fat %. Shows the change since last time and since you started',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        ...MEASUREMENT_PROPERTIES,
+        date: DATE_PROPERTY
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string' },
+        measurements: {
+          type: 'array',
+          description: 'Latest value of everything measured so far',
+          items: {
+            type: 'object',
+            properties: {
+              key: { type: 'string' },
+              label: { type: 'string' },
+              unit: { type: 'string' },
+              value: { type: 'number' },
+              date: { type: 'string' },
+              change: { type: 'number', description: 'Since the reading before' },
+              change_since_first: { type: 'number' }
+            },
+            required: ['key', 'label', 'unit', 'value', 'date']
+          }
+        },
+        waist_to_height: { type: 'number', description: 'Waist over height - under 0.5 is the healthy range' }
+      },
+      required: ['date', 'measurements']
+    },
+    mutates: true,
+    handler: handleLogMeasurements
+  }
+];
+
+module.exports = {
+  tools,
+  handleLogWeight,
+  handleLogMeasurements
+};
@@ -0,0 +1,412 @@
+const customFoodsService = require('../services/customFoodsService');
+const { SCALED_NUTRIENTS } = require('../lib/nutrition');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const { structuredResult, MACROS_SCHEMA } = require('../lib/toolOutput');
+const { NUTRIENT_PROPERTIES } = require('./foodHandlers');
+
+const SERVING_PROPERTY = {
+  type: 'string',
+  maxLength: 30,
+  description: 'What one serving is, e.g. "1 bowl", "2 pieces" or "100 g" (defaults to "1 serving")'
+};
+
+const CUSTOM_FOOD_SCHEMA = {
+  type: 'object',
+  properties: {
+    number: { type: 'integer', description: 'Position in list_custom_foods' },
+    id: { type: 'string' },
+    kind: { type: 'string', enum: ['food', 'recipe'] },
+    name: { type: 'string', description: 'What to say to add_food to log it, e.g. "2 bowls mom\'s poha"' },
+    serving: { type: 'string' },
+    servings: { type: 'number', description: 'Servings the recipe makes' },
+    nutrition: { ...MACROS_SCHEMA, description: 'Per serving' },
+    ingredients: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          calories: { type: 'number' }
+        },
+        required: ['text']
+      }
+    }
+  },
+  required: ['id', 'kind', 'name', 'serving', 'nutrition']
+};
+
+// Puch AI sometimes sends numbers as strings, which the schema lets through
+function cleanNutrients(nutrients) {
+  const cleaned = {};
+  Object.entries(nutrients || {}).forEach(([key, value]) => {
+    if (SCALED_NUTRIENTS.includes(key) && value !== null && value !== '' && Number.isFinite(Number(value))) {
+      if (Number(value) < 0) {
+        throw new Error(`${key} can't be negative - got ${value}`);
+      }
+      cleaned[key] = Number(value);
+    }
+  });
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+function cleanIngredients(ingredients) {
+  const cleaned = (ingredients || []).map(ingredient => String(ingredient).trim()).filter(Boolean);
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+function toCustomFoodOutput(food, number = null) {
+  return {
+    ...(number && { number }),
+    id: food.id,
+    kind: food.kind,
+    name: food.name,
+    serving: food.serving,
+    ...(food.servings && { servings: food.servings }),
+    nutrition: { calories: 0, protein: 0, carbs: 0, fat: 0, ...food.nutrition },
+    ...(food.ingredients && { ingredients: food.ingredients })
+  };
+}
+
+// Chat text for one food or recipe
+function describeCustomFood(food) {
+  const n = food.nutrition;
+  let text = `${food.kind === customFoodsService.kinds.RECIPE ? '🍲' : '📒'} ${food.name}\n`;
+  text += `📏 Per serving (${food.serving}): ${n.calories} cal | ${n.protein || 0}g protein | ${n.carbs || 0}g carbs | ${n.fat || 0}g fat\n`;
+  if (food.kind === customFoodsService.kinds.RECIPE) {
+    text += `🥄 Makes ${food.servings} serving${food.servings === 1 ? '' : 's'} from:\n`;
+    food.ingredients.forEach(ingredient => {
+      text += `   • ${ingredient.text} (${ingredient.calories} cal)\n`;
+    });
+  }
+  return text;
+}
+
+async function handleCreateCustomFood(args, req) {
+  const { puch_user_id, bearer_token, name, serving, nutrients } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const cleaned = cleanNutrients(nutrients);
+  if (!cleaned || cleaned.calories === undefined) {
+    throw new Error('Please give at least the calories per serving (from the label or your own numbers)');
+  }
+  
+  const food = await customFoodsService.createFood(phone, {
+    name,
+    serving: serving ? serving.trim() : null,
+    nutrients: cleaned
+  });
+  
+  let response = `✅ CUSTOM FOOD SAVED\n\n${describeCustomFood(food)}`;
+  response += `\n💡 Log it with add_food, e.g. "1 ${food.name}" - your numbers are used, no lookup needed`;
+  
+  return structuredResult(response, { created: true, food: toCustomFoodOutput(food) });
+}
+
+async function handleCreateRecipe(args, req) {
+  const { puch_user_id, bearer_token, name, ingredients, serving } = args;
+  const servings = Number(args.servings);
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const cleaned = cleanIngredients(ingredients);
+  if (!cleaned) {
+    throw new Error('Please list the ingredients with amounts, e.g. ["2 cup poha", "1 onion", "2 tbsp oil"]');
+  }
+  
+  const recipe = await customFoodsService.createRecipe(phone, {
+    name,
+    ingredients: cleaned,
+    servings,
+    serving: serving ? serving.trim() : null
+  });
+  
+  let response = `✅ RECIPE SAVED\n\n${describeCustomFood(recipe)}`;
+  response += `\n📊 Whole recipe: ${recipe.total.calories} cal`;
+  response += `\n\n💡 Log a serving with add_food, e.g. "1 ${recipe.name}". Numbers look off? Fix them with edit_custom_food`;
+  
+  return structuredResult(response, { created: true, food: toCustomFoodOutput(recipe) });
+}
+
+async function handleListCustomFoods(args, req) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const foods = await customFoodsService.list(phone);
+  if (foods.length === 0) {
+    return structuredResult("📒 No custom foods or recipes yet.\n\n💡 Save your own with create_custom_food (label numbers) or create_recipe (ingredients + servings).", { foods: [] });
+  }
+  
+  let response = `📒 YOUR FOODS & RECIPES\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  foods.forEach((food, idx) => {
+    response += `${idx + 1}. ${describeCustomFood(food)}\n`;
+  });
+  response += `💡 add_food finds these by name before any lookup. Change one with edit_custom_food, remove with delete_custom_food`;
+  
+  return structuredResult(response, {
+    foods: foods.map((food, idx) => toCustomFoodOutput(food, idx + 1))
+  });
+}
+
+async function handleEditCustomFood(args, req) {
+  const { puch_user_id, bearer_token, food, name, serving, nutrients, ingredients } = args;
+  const servings = args.servings !== undefined ? Number(args.servings) : null;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const existing = await customFoodsService.find(phone, food);
+  if (!existing) {
+    return structuredResult(`No custom food or recipe matches "${food}". Use /list_custom_foods to see them.`, { updated: false });
+  }
+  
+  const isRecipe = existing.kind === customFoodsService.kinds.RECIPE;
+  const changes = {
+    name: name ? name.trim() : null,
+    serving: serving ? serving.trim() : null,
+    nutrients: cleanNutrients(nutrients),
+    ingredients: isRecipe ? cleanIngredients(ingredients) : null,
+    servings: isRecipe ? servings : null
+  };
+  
+  if (!Object.values(changes).some(Boolean)) {
+    const options = isRecipe ? 'a new name, serving, ingredients, servings or nutrients' : 'a new name, serving or nutrients';
+    return structuredResult(`What should I change about ${existing.name}? Send ${options}.`, {
+      updated: false,
+      food: toCustomFoodOutput(existing)
+    });
+  }
+  
+  const updated = await customFoodsService.update(phone, existing, changes);
+  
+  let response = `✏️ UPDATED\n\n${describeCustomFood(updated)}`;
+  response += `\nFoods you already logged keep their old numbers - only new logs use these`;
+  
+  return structuredResult(response, { updated: true, food: toCustomFoodOutput(updated) });
+}
+
+async function handleDeleteCustomFood(args, req) {
+  const { puch_user_id, bearer_token, food } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const existing = await customFoodsService.find(phone, food);
+  if (!existing) {
+    return structuredResult(`No custom food or recipe matches "${food}". Use /list_custom_foods to see them.`, { deleted: false });
+  }
+  
+  await customFoodsService.remove(phone, existing);
+  
+  return structuredResult(`🗑️ Deleted ${existing.kind === customFoodsService.kinds.RECIPE ? 'recipe' : 'custom food'}: ${existing.name}\n\nFoods you already logged from it stay in your log.`, {
+    deleted: true,
+    name: existing.name
+  });
+}
+
+const tools = [
+  {
+    name: 'create_custom_food',
+    description: 'Save your own food with its nutrition per serving (e.g. from a label, or mom\'s poha). add_food then uses it by name before any lookup',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        name: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 60,
+          description: 'Name to log it by (e.g., "mom\'s poha") - must be unique among your foods'
+        },
+        serving: SERVING_PROPERTY,
+        nutrients: {
+          type: 'object',
+          description: 'Nutrition for one serving',
+          properties: NUTRIENT_PROPERTIES,
+          required: ['calories']
+        }
+      },
+      required: ['name', 'nutrients']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        created: { type: 'boolean' },
+        food: CUSTOM_FOOD_SCHEMA
+      },
+      required: ['created', 'food']
+    },
+    mutates: true,
+    handler: handleCreateCustomFood
+  },
+  {
+    name: 'create_recipe',
+    description: 'Save a recipe from its ingredients and how many servings it makes. The ingredients are looked up once and the per-serving nutrition is kept for add_food',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        name: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 60,
+          description: 'Name to log it by (e.g., "sunday rajma") - must be unique among your foods'
+        },
+        ingredients: {
+          type: 'array',
+          items: { type: 'string', maxLength: 100 },
+          description: 'Each ingredient with its amount, e.g. ["2 cup rajma", "1 onion", "2 tbsp ghee"]'
+        },
+        servings: {
+          type: 'number',
+          minimum: 1,
+          maximum: 50,
+          description: 'How many servings the whole recipe makes'
+        },
+        serving: SERVING_PROPERTY
+      },
+      required: ['name', 'ingredients', 'servings']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        created: { type: 'boolean' },
+        food: CUSTOM_FOOD_SCHEMA
+      },
+      required: ['created', 'food']
+    },
+    mutates: true,
+    handler: handleCreateRecipe
+  },
+  {
+    name: 'list_custom_foods',
+    description: 'List your saved custom foods and recipes with their per-serving nutrition',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        foods: { type: 'array', items: CUSTOM_FOOD_SCHEMA }
+      },
+      required: ['foods']
+    },
+    handler: handleListCustomFoods
+  },
+  {
+    name: 'edit_custom_food',
+    description: 'Change a custom food or recipe - its name, serving, nutrients, or a recipe\'s ingredients and servings. Already logged foods are not changed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        food: {
+          type: 'string',
+          description: 'Number, id or name of the custom food or recipe (from list_custom_foods)'
+        },
+        name: { type: 'string', minLength: 1, maxLength: 60, description: 'New name' },
+        serving: SERVING_PROPERTY,
+        nutrients: {
+          type: 'object',
+          description: 'Corrected nutrition for one serving - only the values given change',
+          properties: NUTRIENT_PROPERTIES
+        },
+        ingredients: {
+          type: 'array',
+          items: { type: 'string', maxLength: 100 },
+          description: 'Recipes only - the full new ingredient list, looked up again'
+        },
+        servings: {
+          type: 'number',
+          minimum: 1,
+          maximum: 50,
+          description: 'Recipes only - how many servings it makes'
+        }
+      },
+      required: ['food']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        updated: { type: 'boolean' },
+        food: CUSTOM_FOOD_SCHEMA
+      },
+      required: ['updated']
+    },
+    mutates: true,
+    handler: handleEditCustomFood
+  },
+  {
+    name: 'delete_custom_food',
+    description: 'Delete a custom food or recipe',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        food: {
+          type: 'string',
+          description: 'Number, id or name of the custom food or recipe (from list_custom_foods)'
+        }
+      },
+      required: ['food']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        deleted: { type: 'boolean' },
+        name: { type: 'string' }
+      },
+      required: ['deleted']
+    },
+    mutates: true,
+    handler: handleDeleteCustomFood
+  }
+];
+
+module.exports = {
+  tools,
+  handleCreateCustomFood,
+  handleCreateRecipe,
+  handleListCustomFoods,
+  handleEditCustomFood,
+  handleDeleteCustomFood
+};
@@ -0,0 +1,520 @@
+const userService = require('../services/userService');
+const foodService = require('../services/foodService');
+const savedFoodsService = require('../services/savedFoodsService');
+const { formatNutritionResponse } = require('../lib/nutrition');
+const { MEAL_ORDER, MEAL_LABELS } = require('../lib/mealTypes');
+const { timezoneOf, getToday } = require('../lib/dateHelper');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const {
+  structuredResult,
+  MACROS_SCHEMA,
+  FOOD_SCHEMA,
+  FOOD_ENTRY_SCHEMA,
+  toFoodOutput,
+  toFoodEntriesOutput,
+  toHarmfulIngredientsOutput,
+  toMacrosOutput,
+  toTargetsOutput
+} = require('../lib/toolOutput');
+const {
+  DATE_PROPERTY,
+  MEAL_TYPE_PROPERTY,
+  FOOD_RESULT_SCHEMA,
+  resolveLogDate,
+  formatDayLabel
+} = require('./foodHandlers');
+
+const PROFILE_MISSING = 'Welcome! I need to know a bit about you first. Please say: "My name is [your name], I\'m [age] years old, [weight] kg, [height] cm tall, [gender], [any health conditions or none]"';
+
+// Same limit add_food enforces
+const DAILY_CALORIE_LIMIT = 15000;
+
+// "poha (1 plate) - 250 cal" for lists
+function describeFood(food) {
+  const portion = food.portion_size ? ` (${food.portion_size})` : '';
+  return `${food.name}${portion} - ${food.calories} cal`;
+}
+
+async function handleListFavorites(args, req) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const { favorites, recent } = await savedFoodsService.getSaved(phone);
+  
+  let response = `⭐ YOUR FAVORITES\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  if (favorites.length === 0) {
+    response += `None yet - save something you eat often with save_favorite (e.g. "save my last food as morning chai")\n`;
+  }
+  favorites.forEach((favorite, idx) => {
+    const meal = favorite.meal_type ? ` · ${MEAL_LABELS[favorite.meal_type]}` : '';
+    response += `${idx + 1}. ${favorite.name}: ${describeFood(favorite.food)}${meal}\n`;
+  });
+  
+  response += `\n🕐 RECENT FOODS\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  if (recent.length === 0) {
+    response += `Nothing logged yet\n`;
+  }
+  recent.forEach((item, idx) => {
+    response += `${idx + 1}. ${describeFood(item.food)} · logged ${item.times_logged}x\n`;
+  });
+  
+  response += `\n💡 Log one again without a lookup: "log favorite 1", "log favorite chai" or "log recent 2"`;
+  
+  return structuredResult(response, {
+    favorites: favorites.map((favorite, idx) => ({
+      number: idx + 1,
+      name: favorite.name,
+      ...(favorite.meal_type && { meal_type: favorite.meal_type }),
+      food: toFoodOutput(favorite.food)
+    })),
+    recent: recent.map((item, idx) => ({
+      number: idx + 1,
+      food: toFoodOutput(item.food),
+      times_logged: item.times_logged,
+      last_logged_at: item.last_logged_at
+    }))
+  });
+}
+
+async function handleSaveFavorite(args, req) {
+  const { puch_user_id, bearer_token, entry_id, food_name, date, name, meal_type } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const timezone = timezoneOf(await userService.getProfile(phone));
+  
+  // By id on any day, by name in one day's log, or else the last thing logged that day.
+  // Saving doesn't change the log, so old days are fine
+  let entry;
+  if (entry_id) {
+    const entryId = String(entry_id).trim().replace(/^#/, '');
+    entry = await foodService.getEntry(phone, entryId);
+    if (!entry) {
+      return structuredResult(`No logged food with id "${entryId}". Use /list_today_foods to see the ids of today's items.`, { saved: false });
+    }
+  } else {
+    const logDate = resolveLogDate(date, { readOnly: true, timezone });
+    const progress = await foodService.getDailyProgress(phone, logDate);
+    
+    entry = food_name
+      ? progress.foods.find(f => f.name.toLowerCase().includes(food_name.toLowerCase()))
+      : progress.foods[progress.foods.length - 1];
+    if (!entry) {
+      const dayLabel = logDate === getToday(timezone) ? 'today\'s log' : `your log for ${logDate}`;
+      return structuredResult(food_name
+        ? `Could not find "${food_name}" in ${dayLabel}. Use /list_foods to see all items.`
+        : `Nothing in ${dayLabel} to save yet - log the food first, then save it.`, { saved: false });
+    }
+  }
+  
+  const { favorite, number, replaced } = await savedFoodsService.addFavorite(phone, entry, {
+    name: name ? name.trim() : null,
+    mealType: meal_type
+  });
+  
+  let response = replaced ? `⭐ FAVORITE UPDATED: ${favorite.name}\n` : `⭐ SAVED AS FAVORITE #${number}: ${favorite.name}\n`;
+  response += `📊 ${describeFood(favorite.food)} | ${favorite.food.protein}g protein | ${favorite.food.carbs}g carbs | ${favorite.food.fat}g fat\n`;
+  if (favorite.meal_type) {
+    response += `🍴 Logs under ${MEAL_LABELS[favorite.meal_type]} unless you say otherwise\n`;
+  }
+  response += `\n💡 Next time just say "log favorite ${number}" or "log favorite ${favorite.name}"`;
+  
+  return structuredResult(response, {
+    saved: true,
+    replaced,
+    favorite: {
+      number,
+      name: favorite.name,
+      ...(favorite.meal_type && { meal_type: favorite.meal_type }),
+      food: toFoodOutput(favorite.food)
+    }
+  });
+}
+
+async function handleRemoveFavorite(args, req) {
+  const { puch_user_id, bearer_token, favorite } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  if (!favorite) {
+    return structuredResult('Which favorite should I remove? Give its number or name from /list_favorites.', { removed: false });
+  }
+  
+  const removed = await savedFoodsService.removeFavorite(phone, favorite);
+  if (!removed) {
+    return structuredResult(`No favorite matches "${favorite}". Use /list_favorites to see them.`, { removed: false });
+  }
+  
+  return structuredResult(`🗑️ Removed favorite: ${removed.name}\n\nFoods you already logged from it stay in your log.`, {
+    removed: true,
+    name: removed.name
+  });
+}
+
+async function handleLogFavorite(args, req) {
+  const { puch_user_id, bearer_token, favorite, recent, date, meal_type } = args;
+  // Puch AI sometimes sends numbers as strings, which the schema lets through
+  const quantity = args.quantity !== undefined ? Number(args.quantity) : null;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first to add food.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error(PROFILE_MISSING);
+  }
+  const timezone = timezoneOf(profile);
+  
+  const logDate = resolveLogDate(date, { timezone });
+  const backdated = logDate !== getToday(timezone);
+  
+  if (!favorite && !recent) {
+    return structuredResult('Which food should I log? Give a favorite\'s number or name, or a recent food\'s number - see /list_favorites.', { status: 'needs_input' });
+  }
+  
+  const saved = await savedFoodsService.getSaved(phone);
+  let food;
+  let mealType = meal_type;
+  let source;
+  if (favorite) {
+    const match = savedFoodsService.findFavorite(saved.favorites, favorite);
+    if (!match) {
+      return structuredResult(`No favorite matches "${favorite}". Use /list_favorites to see them.`, { status: 'needs_input' });
+    }
+    food = match.food;
+    mealType = meal_type || match.meal_type;
+    source = 'favorite';
+  } else {
+    const match = savedFoodsService.findRecent(saved.recent, recent);
+    if (!match) {
+      return structuredResult(`No recent food matches "${recent}". Use /list_favorites to see them.`, { status: 'needs_input' });
+    }
+    food = match.food;
+    source = 'recent';
+  }
+  
+  food = savedFoodsService.atQuantity(food, quantity);
+  
+  const dailyTotal = await foodService.getDailyCalories(phone, logDate);
+  if (dailyTotal + (food.calories || 0) > DAILY_CALORIE_LIMIT) {
+    throw new Error('Daily calorie limit exceeded');
+  }
+  
+  // Stored nutrition - no Nutritionix/OpenFoodFacts/GPT round trip
+  const result = await foodService.addFood(phone, food, source, { date: logDate, mealType, timezone });
+  
+  let response = formatNutritionResponse(
+    result.food,
+    result.dailyTotals,
+    {
+      calories: profile.calorie_target,
+      protein: profile.protein_target,
+      carbs: profile.carb_target,
+      fat: profile.fat_target
+    },
+    backdated ? logDate : null
+  );
+  response += result.food.meal_type
+    ? `\n\n🍴 Filed under ${MEAL_LABELS[result.food.meal_type]}`
+    : `\n\n🍴 Not sorted into a meal - fix with edit_food and meal_type`;
+  response += `\n⚡ Logged from your ${source === 'favorite' ? 'favorites' : 'recent foods'}`;
+  
+  return structuredResult(response, {
+    status: 'logged',
+    date: logDate,
+    ...(result.food.meal_type && { meal_type: result.food.meal_type }),
+    food: toFoodOutput(result.food),
+    entry_id: result.food.id,
+    totals: toMacrosOutput(result.dailyTotals),
+    targets: toTargetsOutput(profile),
+    harmful_ingredients: toHarmfulIngredientsOutput(result.food.harmfulIngredients)
+  });
+}
+
+async function handleCopyMeal(args, req) {
+  const { puch_user_id, bearer_token, from_date, meal_type, date, to_meal_type } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first to add food.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error(PROFILE_MISSING);
+  }
+  const timezone = timezoneOf(profile);
+  
+  // Any day can be copied from, only the day copied to is capped
+  const fromDate = resolveLogDate(from_date || 'yesterday', { readOnly: true, timezone });
+  const toDate = resolveLogDate(date, { timezone });
+  
+  const source = await foodService.getDailyProgress(phone, fromDate);
+  const foods = source.foods.filter(food => !meal_type || food.meal_type === meal_type);
+  const fromLabel = `${meal_type ? `${meal_type} on ` : ''}${formatDayLabel(fromDate, timezone)}`;
+  
+  if (foods.length === 0) {
+    return structuredResult(`📝 Nothing logged for ${fromLabel} to copy. Use /list_foods to check that day.`, {
+      copied: 0,
+      from_date: fromDate,
+      date: toDate,
+      foods: []
+    });
+  }
+  
+  const copiedCalories = foods.reduce((sum, food) => sum + (food.calories || 0), 0);
+  const dailyTotal = await foodService.getDailyCalories(phone, toDate);
+  if (dailyTotal + copiedCalories > DAILY_CALORIE_LIMIT) {
+    throw new Error('Daily calorie limit exceeded');
+  }
+  
+  const result = await foodService.copyFoods(phone, fromDate, toDate, {
+    mealType: meal_type,
+    toMealType: to_meal_type,
+    timezone
+  });
+  
+  const toLabel = formatDayLabel(toDate, timezone);
+  let response = `📋 COPIED ${result.foods.length} item${result.foods.length === 1 ? '' : 's'} from ${fromLabel} to ${toLabel}\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  result.foods.forEach(food => {
+    const meal = food.meal_type ? ` · ${MEAL_LABELS[food.meal_type]}` : '';
+    response += `• ${describeFood(food)}${meal}\n`;
+  });
+  
+  response += `\n📈 Progress for ${toLabel}:\n`;
+  response += `• Consumed: ${result.dailyTotals.calories} calories\n`;
+  response += `• Target: ${profile.calorie_target} calories\n`;
+  response += `• Remaining: ${Math.max(0, profile.calorie_target - result.dailyTotals.calories)} calories\n\n`;
+  response += `💡 Had a bit less or more this time? Fix any item with edit_food`;
+  
+  return structuredResult(response, {
+    copied: result.foods.length,
+    from_date: fromDate,
+    date: toDate,
+    foods: toFoodEntriesOutput(result.foods),
+    totals: toMacrosOutput(result.dailyTotals)
+  });
+}
+
+// A saved favorite as list_favorites and save_favorite return it
+const FAVORITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    number: { type: 'integer', description: 'Position in list_favorites - what log_favorite takes' },
+    name: { type: 'string' },
+    meal_type: { type: 'string', description: 'Meal it logs under by default' },
+    food: FOOD_SCHEMA
+  },
+  required: ['number', 'name', 'food']
+};
+
+const tools = [
+  {
+    name: 'list_favorites',
+    description: 'List saved favorite foods and recently logged foods, numbered for log_favorite',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        favorites: { type: 'array', items: FAVORITE_SCHEMA },
+        recent: {
+          type: 'array',
+          description: 'Newest first, one per food name',
+          items: {
+            type: 'object',
+            properties: {
+              number: { type: 'integer' },
+              food: FOOD_SCHEMA,
+              times_logged: { type: 'integer' },
+              last_logged_at: { type: 'string' }
+            },
+            required: ['number', 'food', 'times_logged']
+          }
+        }
+      },
+      required: ['favorites', 'recent']
+    },
+    handler: handleListFavorites
+  },
+  {
+    name: 'save_favorite',
+    description: 'Save a logged food as a favorite so it can be logged again in one step (e.g. "save that as morning chai")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        entry_id: {
+          type: 'string',
+          description: 'Id of the logged food to save (from list_today_foods)'
+        },
+        food_name: {
+          type: 'string',
+          description: 'Name of the logged food to save if no id is given - without either, the last food logged that day is saved'
+        },
+        date: { ...DATE_PROPERTY, description: 'Day to look food_name up in (defaults to today)' },
+        name: {
+          type: 'string',
+          maxLength: 50,
+          description: 'What to call the favorite (defaults to the food\'s name). Saving over an existing name replaces it'
+        },
+        meal_type: { ...MEAL_TYPE_PROPERTY, description: 'Meal to log it under by default (defaults to the meal it was logged in)' }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        saved: { type: 'boolean' },
+        replaced: { type: 'boolean', description: 'An older favorite with the same name was overwritten' },
+        favorite: FAVORITE_SCHEMA
+      },
+      required: ['saved']
+    },
+    mutates: true,
+    handler: handleSaveFavorite
+  },
+  {
+    name: 'remove_favorite',
+    description: 'Remove a saved favorite food by its number or name',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        favorite: {
+          type: 'string',
+          description: 'Number or name of the favorite from list_favorites'
+        }
+      },
+      required: ['favorite']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        removed: { type: 'boolean' },
+        name: { type: 'string' }
+      },
+      required: ['removed']
+    },
+    mutates: true,
+    handler: handleRemoveFavorite
+  },
+  {
+    name: 'log_favorite',
+    description: 'Log a favorite or recent food again using its stored nutrition - no lookup, so it\'s instant. Pick it by number or name from list_favorites',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        favorite: {
+          type: 'string',
+          description: 'Number or name of a favorite (e.g. "1" or "morning chai")'
+        },
+        recent: {
+          type: 'string',
+          description: 'Number or name of a recent food, if not logging a favorite'
+        },
+        quantity: {
+          type: 'number',
+          minimum: 0.1,
+          maximum: 100,
+          description: 'How much this time, in the unit it was saved with (e.g. 3 for 3 rotis) - defaults to the saved portion'
+        },
+        date: DATE_PROPERTY,
+        meal_type: { ...MEAL_TYPE_PROPERTY, description: 'Which meal this was - defaults to the favorite\'s meal, then the time of day' }
+      },
+      required: []
+    },
+    outputSchema: FOOD_RESULT_SCHEMA,
+    mutates: true,
+    handler: handleLogFavorite
+  },
+  {
+    name: 'copy_meal',
+    description: 'Copy a whole day\'s foods, or one meal of it, to another day (e.g. "same breakfast as yesterday")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        from_date: {
+          type: 'string',
+          description: 'Day to copy from - YYYY-MM-DD, "yesterday", "3 days ago" or a weekday (defaults to yesterday)'
+        },
+        meal_type: {
+          type: 'string',
+          enum: MEAL_ORDER,
+          description: 'Only copy this meal - leave out to copy the whole day'
+        },
+        date: { ...DATE_PROPERTY, description: 'Day to copy to (defaults to today)' },
+        to_meal_type: {
+          type: 'string',
+          enum: MEAL_ORDER,
+          description: 'Log the copies under this meal instead of the one they came from'
+        }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        copied: { type: 'integer', description: 'Number of foods logged' },
+        from_date: { type: 'string' },
+        date: { type: 'string', description: 'Day the copies were logged to' },
+        foods: { type: 'array', items: FOOD_ENTRY_SCHEMA },
+        totals: { ...MACROS_SCHEMA, description: 'That day\'s totals after copying' }
+      },
+      required: ['copied', 'from_date', 'date', 'foods']
+    },
+    mutates: true,
+    handler: handleCopyMeal
+  }
+];
+
+module.exports = {
+  tools,
+  handleListFavorites,
+  handleSaveFavorite,
+  handleRemoveFavorite,
+  handleLogFavorite,
+  handleCopyMeal
+};
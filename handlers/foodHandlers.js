@@ -0,0 +1,2288 @@
+const userService = require('../services/userService');
+const foodService = require('../services/foodService');
+const customFoodsService = require('../services/customFoodsService');
+const bodyMetricsService = require('../services/bodyMetricsService');
+const activityService = require('../services/activityService');
+const enhancedFoodAnalysisService = require('../services/enhancedFoodAnalysisService');
+const ingredientAnalyzer = require('../services/ingredientAnalyzer');
+const personalizationEngine = require('../services/personalizationEngine');
+const healthRiskDetector = require('../services/healthRiskDetector');
+const webhookService = require('../services/webhookService');
+const enhancedFormatter = require('../services/enhancedIngredientFormatter');
+const toxinTracker = require('../services/toxinTracker');
+const brutalAnalyzer = require('../services/brutalIngredientAnalyzer');
+const puchImageFetcher = require('../services/puchImageFetcher');
+const { SCALED_NUTRIENTS, formatNutritionResponse, parsePortionSize, roundNutrient, roundTotals } = require('../lib/nutrition');
+const { MEAL_ORDER, MEAL_LABELS } = require('../lib/mealTypes');
+const { parseMealItems } = require('../lib/mealParser');
+const { isEstimate, estimateWarning } = require('../lib/nutritionConfidence');
+const { describeWeightTrend } = require('../lib/bodyTrend');
+const { describeActivity, describeBurn } = require('../lib/activities');
+const { MICRONUTRIENTS, GOALS, calculateMicronutrientTargets, summarizeMicronutrients } = require('../lib/micronutrients');
+const cacheService = require('../lib/cacheService');
+const { DEFAULT_TIMEZONE, timezoneOf, getToday, getCurrentHour, parseDateInput, daysBetween, getMaxBackdateDays } = require('../lib/dateHelper');
+const { sanitizeForPuchAI } = require('../lib/puch-ai-safe-mode');
+const { extractPuchImageData, generateImageResponse, prepareImageForAnalysis } = require('../lib/puch-ai-image-fix');
+const { rateLimiters } = require('../lib/simple-security');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const {
+  structuredResult,
+  MACROS_SCHEMA,
+  FOOD_SCHEMA,
+  FOOD_ENTRY_SCHEMA,
+  RISK_SCHEMA,
+  MEAL_SUMMARY_SCHEMA,
+  MICRONUTRIENT_SCHEMA,
+  WEIGHT_TREND_SCHEMA,
+  EXERCISE_SCHEMA,
+  toFoodOutput,
+  toFoodEntryOutput,
+  toFoodEntriesOutput,
+  toRisksOutput,
+  toHarmfulIngredientsOutput,
+  toMealsOutput,
+  toMacrosOutput,
+  toTargetsOutput,
+  toWeightTrendOutput,
+  toExerciseOutput
+} = require('../lib/toolOutput');
+
+// Eating context arguments shared by scan_food and add_food
+const CONTEXT_PROPERTIES = {
+  location: {
+    type: 'string',
+    enum: ['home', 'work', 'restaurant', 'travel'],
+    description: 'Where you are eating'
+  },
+  social_context: {
+    type: 'string',
+    enum: ['alone', 'family', 'friends', 'business'],
+    description: 'Who you are eating with'
+  },
+  mood: {
+    type: 'string',
+    enum: ['stressed', 'happy', 'tired', 'energetic', 'anxious', 'neutral'],
+    description: 'Current mood (helps detect emotional eating)'
+  }
+};
+
+// Day argument shared by the date-aware food tools
+const DATE_PROPERTY = {
+  type: 'string',
+  description: 'Day the food was eaten - YYYY-MM-DD, "today", "yesterday" or "3 days ago" (defaults to today)'
+};
+
+// remove_food and edit_food only use the day to find food_name - ids work for any day
+const LOOKUP_DATE_PROPERTY = {
+  ...DATE_PROPERTY,
+  description: 'Day to look food_name up in - YYYY-MM-DD, "today", "yesterday" or "3 days ago" (defaults to today)'
+};
+
+// Meal slot argument for add_food, scan_and_add_food and edit_food
+const MEAL_TYPE_PROPERTY = {
+  type: 'string',
+  enum: MEAL_ORDER,
+  description: 'Which meal this was - worked out from the time of day if left out (backdated food is left unsorted)'
+};
+
+// Exact nutrient values a user can type in - edit_food and the custom food tools
+const NUTRIENT_PROPERTIES = {
+  calories: { type: 'number', minimum: 0 },
+  protein: { type: 'number', minimum: 0, description: 'grams' },
+  carbs: { type: 'number', minimum: 0, description: 'grams' },
+  fat: { type: 'number', minimum: 0, description: 'grams' },
+  ...Object.fromEntries(MICRONUTRIENTS.map(nutrient => [
+    nutrient.key,
+    { type: 'number', minimum: 0, description: nutrient.unit === 'mg' ? 'milligrams' : 'grams' }
+  ]))
+};
+
+// Output shared by scan_food, scan_and_add_food and add_food
+const FOOD_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: {
+      type: 'string',
+      enum: ['analyzed', 'logged', 'blocked', 'needs_confirmation', 'needs_input'],
+      description: 'analyzed = scanned only, logged = added to the log, blocked = not logged due to a critical health risk'
+    },
+    date: { type: 'string', description: 'Day the food was logged to (YYYY-MM-DD)' },
+    meal_type: { type: 'string', description: 'Meal the food was logged under - missing if unsorted' },
+    food: FOOD_SCHEMA,
+    totals: { ...MACROS_SCHEMA, description: 'That day\'s totals after logging' },
+    targets: MACROS_SCHEMA,
+    risks: { type: 'array', items: RISK_SCHEMA },
+    harmful_ingredients: { type: 'array', items: { type: 'string' } },
+    scan_id: { type: 'string', description: 'Pass to add_food as quick_add within 5 minutes' },
+    entry_id: { type: 'string', description: 'Id of the logged entry - pass to remove_food to undo' },
+    foods: {
+      type: 'array',
+      items: FOOD_ENTRY_SCHEMA,
+      description: 'Every entry logged when the description named several foods (food is left out then)'
+    },
+    skipped: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          reason: { type: 'string' }
+        },
+        required: ['name', 'reason']
+      },
+      description: 'Foods from the description that weren\'t logged'
+    }
+  },
+  required: ['status']
+};
+
+// Output of list_foods and list_today_foods
+const FOOD_LOG_SCHEMA = {
+  type: 'object',
+  properties: {
+    date: { type: 'string' },
+    foods: { type: 'array', items: FOOD_ENTRY_SCHEMA },
+    meals: { type: 'array', items: MEAL_SUMMARY_SCHEMA, description: 'Subtotals per meal, in meal order' },
+    totals: MACROS_SCHEMA
+  },
+  required: ['date', 'foods', 'meals', 'totals']
+};
+
+// Chat-only replies (missing image, multi-item confirmation) still report a status
+function statusResult(text, status) {
+  return structuredResult(text, { status });
+}
+
+// Resolve a `date` argument ("yesterday", "3 days ago", YYYY-MM-DD) against today in the
+// user's timezone - timezoneOf(profile). Logging and changing food is capped at
+// getMaxBackdateDays() back - tools that only look at a day pass { readOnly: true }.
+function resolveLogDate(date, { readOnly = false, timezone = DEFAULT_TIMEZONE } = {}) {
+  const today = getToday(timezone);
+  const resolved = parseDateInput(date, today);
+  
+  if (!resolved) {
+    throw new Error(`I couldn't understand the date "${date}". Use YYYY-MM-DD, "today", "yesterday" or "3 days ago"`);
+  }
+  if (resolved > today) {
+    throw new Error('Cannot use future dates - food can only be logged once it\'s eaten');
+  }
+  if (!readOnly) {
+    assertEditableDate(resolved, today);
+  }
+  
+  return resolved;
+}
+
+// Old days are closed so weekly scores and analyses don't shift under people
+function assertEditableDate(date, today) {
+  const maxDays = getMaxBackdateDays();
+  if (daysBetween(date, today) > maxDays) {
+    throw new Error(`${date} is too far back - food can only be logged or changed for the last ${maxDays} day${maxDays === 1 ? '' : 's'}`);
+  }
+}
+
+// A day's foods matching the name the user gave - exact names win over partial matches,
+// so "dal" picks the dal rather than the dal makhani
+function findFoodsByName(foods, foodName) {
+  const wanted = String(foodName).trim().toLowerCase();
+  const exact = foods.filter(f => String(f.name).trim().toLowerCase() === wanted);
+  return exact.length > 0 ? exact : foods.filter(f => String(f.name).toLowerCase().includes(wanted));
+}
+
+// Several foods fit the name - list them with their ids instead of guessing
+function describeFoodMatches(foodName, matches, action) {
+  let response = `More than one food in that day's log matches "${foodName}" - which one should I ${action}?\n`;
+  matches.forEach(food => {
+    const meal = food.meal_type ? `, ${MEAL_LABELS[food.meal_type]}` : '';
+    response += `• ${food.id} - ${food.name}${food.portion_size ? ` (${food.portion_size})` : ''}${meal}, ${food.calories} cal\n`;
+  });
+  response += `\nSend the one you mean as entry_id (e.g. "${action} ${matches[0].id}").`;
+  return response;
+}
+
+// "today" or the date itself, for chat text
+function formatDayLabel(date, timezone = DEFAULT_TIMEZONE) {
+  return date === getToday(timezone) ? 'today' : date;
+}
+
+// The user's own foods and recipes come before any external lookup
+async function analyzeFoodText(phone, text, profile) {
+  const custom = await customFoodsService.analyzeText(phone, text);
+  return custom || enhancedFoodAnalysisService.analyzeFood(text, 'text', profile);
+}
+
+// The separate foods in a description, or null when it's one food - including a custom
+// food or recipe whose name has an "and" or "with" in it
+async function splitMeal(phone, text) {
+  const items = parseMealItems(text);
+  if (items.length < 2) return null;
+  
+  const custom = await customFoodsService.analyzeText(phone, text);
+  return custom ? null : items;
+}
+
+// What we tell the user about a food they've logged, whether it came alone or as part of a
+// meal - harmful ingredients when the lookup gave an ingredient list, and the personalized take
+async function reviewLoggedFood(profile, nutritionData, context) {
+  let ingredientWarning = '';
+  let harmfulIngredients = [];
+  if (nutritionData.ingredients) {
+    const ingredientAnalysis = await ingredientAnalyzer.analyzeIngredients(
+      nutritionData.ingredients,
+      profile
+    );
+    
+    harmfulIngredients = ingredientAnalysis.harmfulIngredients;
+    if (ingredientAnalysis.harmfulIngredients.length > 0) {
+      const shockMessage = ingredientAnalyzer.generateShockMessage(ingredientAnalysis);
+      ingredientWarning = `\n\n${shockMessage}\n`;
+      
+      // Show top harmful ingredients
+      ingredientAnalysis.harmfulIngredients.slice(0, 2).forEach(harmful => {
+        ingredientWarning += `\n${harmful.whyBad}\n`;
+      });
+      
+      // Add personalized warnings
+      if (ingredientAnalysis.personalizedWarnings.length > 0) {
+        ingredientWarning += `\n${ingredientAnalysis.personalizedWarnings[0].message}\n`;
+        ingredientWarning += `Action: ${ingredientAnalysis.personalizedWarnings[0].action}`;
+      }
+    }
+  }
+  
+  const personalizedResponse = await personalizationEngine.getPersonalizedFoodResponse(
+    profile,
+    nutritionData,
+    context
+  );
+  
+  return { ingredientWarning, harmfulIngredients, personalizedResponse };
+}
+
+// Log every food of a multi-food description as its own entry. Each is analyzed on its own
+// (custom foods first, GPT when it's set up); a food with a critical health risk is left out
+// and the rest are still logged
+async function logMealItems(phone, profile, items, { logDate, backdated, mealType, source, context = {} }) {
+  const foods = [];
+  const skipped = [];
+  const risks = [];
+  
+  // One at a time - the lookups are rate limited
+  for (const item of items) {
+    const analysis = await analyzeFoodText(phone, item.text, profile);
+    const nutrition = analysis.success && (analysis.nutrition || analysis.nutritionData);
+    if (!nutrition) {
+      skipped.push({ name: item.text, reason: 'Couldn\'t find nutrition data' });
+      continue;
+    }
+    
+    const riskAnalysis = await healthRiskDetector.detectRisks(nutrition, profile, context);
+    if (riskAnalysis.criticalRisks.length > 0) {
+      skipped.push({ name: nutrition.name, reason: riskAnalysis.criticalRisks[0].message });
+      continue;
+    }
+    
+    risks.push(...riskAnalysis.risks);
+    nutrition.emoji = '🍽️';
+    foods.push(nutrition);
+  }
+  
+  if (foods.length === 0) {
+    let response = `🚫 Nothing was logged:\n`;
+    skipped.forEach(food => {
+      response += `• ${food.name}: ${food.reason}\n`;
+    });
+    return structuredResult(response.trim(), { status: 'blocked', skipped });
+  }
+  
+  const mealCalories = foods.reduce((sum, food) => sum + (food.calories || 0), 0);
+  const dailyTotal = await foodService.getDailyCalories(phone, logDate);
+  if (dailyTotal + mealCalories > 15000) {
+    console.warn('Excessive calories detected:', {
+      userId: phone,
+      attempted: mealCalories,
+      dailyTotal
+    });
+    throw new Error('Daily calorie limit exceeded');
+  }
+  
+  const result = await foodService.addFoods(phone, foods, source, { date: logDate, mealType, timezone: timezoneOf(profile) });
+  
+  // Each item gets the same ingredient check and personalized take as a food logged alone
+  const reviews = [];
+  for (const food of foods) {
+    reviews.push({ name: food.name, ...await reviewLoggedFood(profile, food, context) });
+  }
+  
+  const mealTotals = {};
+  ['calories', 'protein', 'carbs', 'fat'].forEach(key => {
+    mealTotals[key] = Math.round(result.foods.reduce((sum, food) => sum + (food[key] || 0), 0) * 10) / 10;
+  });
+  
+  let response = `🍽️ LOGGED ${result.foods.length} ITEM${result.foods.length === 1 ? '' : 'S'}${backdated ? ` FOR ${logDate}` : ''}\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  result.foods.forEach((food, idx) => {
+    const portion = food.portion_size ? ` (${food.portion_size})` : '';
+    response += `${idx + 1}. ${food.name}${portion} - ${food.calories} cal${isEstimate(food) ? ' ⚠️' : ''}\n`;
+  });
+  response += `\n📊 This meal: ${mealTotals.calories} cal | ${mealTotals.protein}g protein | ${mealTotals.carbs}g carbs | ${mealTotals.fat}g fat\n`;
+  
+  const mealTypes = [...new Set(result.foods.map(food => food.meal_type))];
+  if (mealTypes.length === 1) {
+    response += mealTypes[0]
+      ? `🍴 Filed under ${MEAL_LABELS[mealTypes[0]]}\n`
+      : `🍴 Not sorted into a meal - fix with edit_food and meal_type\n`;
+  }
+  
+  const estimates = result.foods.filter(isEstimate);
+  if (estimates.length > 0) {
+    response += `⚠️ Estimates - double-check: ${estimates.map(food => food.name).join(', ')}\n`;
+  }
+  
+  if (skipped.length > 0) {
+    response += `\n🚫 Not logged:\n`;
+    skipped.forEach(food => {
+      response += `• ${food.name}: ${food.reason}\n`;
+    });
+  }
+  
+  if (risks.length > 0) {
+    response += '\n⚠️ HEALTH ALERTS:';
+    risks.slice(0, 3).forEach(risk => {
+      response += `\n• ${risk.message}`;
+    });
+    response += '\n';
+  }
+  
+  reviews.forEach(review => {
+    response += `\n🔍 ${review.name}:${review.ingredientWarning}\n${review.personalizedResponse}\n`;
+  });
+  
+  response += `\n${backdated ? `📈 Progress for ${logDate}:` : `📈 Today's Progress:`}\n`;
+  response += `• Consumed: ${result.dailyTotals.calories} calories\n`;
+  response += `• Target: ${profile.calorie_target} calories\n`;
+  response += `• Remaining: ${Math.max(0, profile.calorie_target - result.dailyTotals.calories)} calories\n\n`;
+  response += `💡 Got an amount wrong? Fix any item with edit_food, or undo one with remove_food`;
+  
+  return structuredResult(response, {
+    status: 'logged',
+    date: logDate,
+    ...(mealTypes.length === 1 && mealTypes[0] && { meal_type: mealTypes[0] }),
+    foods: toFoodEntriesOutput(result.foods),
+    ...(skipped.length > 0 && { skipped }),
+    totals: toMacrosOutput(result.dailyTotals),
+    targets: toTargetsOutput(profile),
+    risks: toRisksOutput(risks),
+    harmful_ingredients: [...new Set(toHarmfulIngredientsOutput(reviews.flatMap(review => review.harmfulIngredients)))]
+  });
+}
+
+async function handleScanFood(args, req) {
+  const { puch_user_id, bearer_token, barcode, type } = args;
+  
+  // IGNORE auto_add - scan_food should NOT auto add
+  delete args.auto_add;
+  
+  // Only process image data if type is 'image'
+  let imageResult = { type: 'none' };
+  
+  if (type === 'image') {
+    // Extract image data using the comprehensive Puch AI fix
+    imageResult = extractPuchImageData(args);
+    
+    // Debug logging
+    console.log('ScanFood called with image:', {
+      imageResult: imageResult,
+      allArgs: Object.keys(args)
+    });
+    
+    // Use the new image fetcher service to resolve image data
+    const fetchResult = await puchImageFetcher.resolveImage(args, req);
+    console.log('Puch image fetch result:', {
+      success: fetchResult.success,
+      source: fetchResult.source,
+      hasFallback: !!fetchResult.fallback
+    });
+    
+    // If we successfully fetched image data, update our imageResult
+    if (fetchResult.success) {
+      imageResult = {
+        type: 'base64',
+        data: fetchResult.data,
+        source: `puch_fetcher_${fetchResult.source}`
+      };
+      console.log('Successfully resolved image data via puchImageFetcher');
+    }
+    
+    // Generate appropriate response for missing image scenarios
+    const imageResponse = generateImageResponse(imageResult, args);
+    
+    if ((imageResponse || imageResult.type === 'image_id' || imageResult.type === 'missing') && !fetchResult.success) {
+      // Generate user message based on fallback scenario
+      const userMessage = puchImageFetcher.generateUserMessage(fetchResult, args);
+      
+      if (userMessage) {
+        // Handle different message types
+        if (userMessage.type === 'fallback_with_suggestion') {
+          // Continue with text analysis using the suggestion
+          console.log('Using fallback food suggestion:', userMessage.suggestion);
+          args.type = 'text';
+          args.input = userMessage.suggestion;
+          imageResult.type = 'text_fallback';
+        } else {
+          // Return the message to user
+          const response = sanitizeForPuchAI(userMessage.message);
+          return statusResult(response, 'needs_input');
+        }
+      }
+    }
+  } else {
+    // For non-image types, just log what we're doing
+    console.log('ScanFood called with:', {
+      type: type,
+      hasBarcode: !!barcode,
+      hasInput: !!args.input
+    });
+  }
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first to scan food.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get user profile for health conditions
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error('Welcome! I need to know a bit about you first. Please say: "My name is [your name], I\'m [age] years old, [weight] kg, [height] cm tall, [gender], [any health conditions or none]"');
+  }
+  
+  let analysisResult;
+  let nutritionData = null;
+  let harmfulIngredients = [];
+  let context = {
+    location: args.location || 'unknown',
+    socialContext: args.social_context || 'alone',
+    mood: args.mood || 'neutral'
+  };
+  
+  // Prepare image for analysis if we have valid data
+  let imageInput = null;
+  if (imageResult.type === 'base64' || imageResult.type === 'url') {
+    imageInput = prepareImageForAnalysis(imageResult);
+  }
+  
+  // Process based on type
+  if (type === 'barcode' || barcode) {
+    analysisResult = await enhancedFoodAnalysisService.analyzeFood(barcode, 'barcode', profile);
+  } else if (type === 'text' || (args.type === 'text' && args.input)) {
+    const textInput = args.input || input;
+    if (!textInput || typeof textInput !== 'string' || textInput.length > 500) {
+      throw new Error('Please describe what you want to scan. For example: "chapati", "rice and dal", or "masala dosa"');
+    }
+    analysisResult = await enhancedFoodAnalysisService.analyzeFood(textInput, 'text', profile);
+  } else if (type === 'image' || imageInput) {
+    if (imageInput) {
+      // We have valid image data - analyze it
+      console.log('Processing image with length:', imageInput.length);
+      analysisResult = await enhancedFoodAnalysisService.analyzeFood(imageInput, 'image', profile);
+    } else {
+      // This case is already handled by generateImageResponse above
+      const response = sanitizeForPuchAI([
+        `📸 Please upload an image or describe what you ate.`,
+        ``,
+        `Example: "1 bowl of bikano bhujia"`,
+        `         "2 chapati with dal"`,
+        `         "paneer tikka"`
+      ].join('\n'));
+      
+      return statusResult(response, 'needs_input');
+    }
+  } else {
+    throw new Error('Invalid input type');
+  }
+  
+  // Note: Image ID fallback is now handled earlier by generateImageResponse()
+  
+  // Handle multi-item confirmation flow
+  if (analysisResult.needsConfirmation) {
+    return statusResult(analysisResult.confirmationMessage, 'needs_confirmation');
+  }
+  
+  if (!analysisResult.success) {
+    // Check if this is our image ID fallback without suggestion
+    if (analysisResult.message) {
+      return statusResult(analysisResult.message, 'needs_input');
+    }
+    throw new Error(`Failed to analyze food: ${analysisResult.error}`);
+  }
+  
+  nutritionData = analysisResult.nutrition || analysisResult.nutritionData;
+  
+  // Validate nutrition data ranges
+  if (nutritionData.calories < 0 || nutritionData.calories > 9999) {
+    console.warn('Suspicious nutrition data:', {
+      userId: phone,
+      data: nutritionData
+    });
+    throw new Error('Invalid nutrition data detected');
+  }
+  
+  // HEALTH RISK DETECTION (without adding to log)
+  const riskAnalysis = await healthRiskDetector.detectRisks(nutritionData, profile, context);
+  
+  // Generate scan ID early for quick-add feature
+  const scanId = `scan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  
+  // INGREDIENT ANALYSIS
+  let ingredientReport = '';
+  let useBrutalAnalyzer = false;
+  
+  if (nutritionData.ingredients) {
+    const ingredientAnalysis = await ingredientAnalyzer.analyzeIngredients(
+      nutritionData.ingredients,
+      profile
+    );
+    
+    // Store harmful ingredients in nutritionData for brutal analyzer
+    if (ingredientAnalysis.harmfulIngredients && ingredientAnalysis.harmfulIngredients.length > 0) {
+      nutritionData.harmfulIngredients = ingredientAnalysis.harmfulIngredients;
+      nutritionData.processingLevel = ingredientAnalysis.processingLevel;
+      nutritionData.healthScore = ingredientAnalysis.healthScore;
+      useBrutalAnalyzer = true;
+    }
+  }
+  
+  // Check if we should use brutal analyzer for text inputs with known processed foods
+  if (!useBrutalAnalyzer && type === 'text' && nutritionData.harmfulIngredients && nutritionData.harmfulIngredients.length > 0) {
+    useBrutalAnalyzer = true;
+  }
+  
+  // If harmful ingredients found, use BRUTAL ANALYZER
+  if (useBrutalAnalyzer && nutritionData.harmfulIngredients && nutritionData.harmfulIngredients.length > 0) {
+    // Store scan data for quick-add before returning
+    await cacheService.set(`scan:${scanId}`, {
+      nutritionData,
+      analysisResult,
+      context,
+      phone,
+      timestamp: new Date().toISOString()
+    }, 300); // 5 minute expiry
+    
+    const brutalReport = await brutalAnalyzer.analyzeFoodWithBrutalHonesty({
+      name: nutritionData.name,
+      harmfulIngredients: nutritionData.harmfulIngredients,
+      processingLevel: nutritionData.processingLevel || 'processed'
+    }, profile);
+    
+    // Sanitize brutal report for Puch AI to avoid content filter issues
+    const sanitizedReport = sanitizeForPuchAI(brutalReport);
+    
+    // Create final report
+    const fullReport = sanitizedReport + `\n\n📝 Ready to log this food?
+⚠️ WARNING: Multiple harmful ingredients detected!
+
+To add to your daily log:
+Use the add_food tool with parameter: {"quick_add": "${scanId}"}
+
+💡 Quick-add expires in 5 minutes
+🔄 Or scan again to update analysis`;
+    
+    return structuredResult(fullReport, {
+      status: 'analyzed',
+      food: toFoodOutput(nutritionData),
+      risks: toRisksOutput(riskAnalysis.risks),
+      harmful_ingredients: toHarmfulIngredientsOutput(nutritionData.harmfulIngredients),
+      scan_id: scanId
+    });
+  }
+  
+  // Analyze food based on health conditions
+  const healthAnalysis = await enhancedFoodAnalysisService.analyzeForHealth(
+    nutritionData, 
+    profile.health_conditions
+  );
+  
+  // Format enhanced response that helps Puch AI understand this is for logging
+  let response = `🍽️ FOOD DETECTED: ${nutritionData.name}\n\n`;
+  
+  // Add detected items if from image
+  if (type === 'image' && analysisResult.detectedFoods && analysisResult.detectedFoods.length > 0) {
+    const actualFoods = analysisResult.detectedFoods
+      .filter(food => !['cuisine', 'food', 'ingredient', 'breakfast', 'staple'].some(cat => 
+        food.name.toLowerCase().includes(cat)
+      ))
+      .slice(0, 3);
+    
+    if (actualFoods.length > 0) {
+      response += `📷 What I see in your image:\n`;
+      actualFoods.forEach(food => {
+        response += `• ${food.name}\n`;
+      });
+      response += `\n`;
+    }
+  }
+  
+  // Nutrition info
+  response += `📊 NUTRITION (per ${nutritionData.portion_size || 'serving'}):\n`;
+  response += `• Calories: ${nutritionData.calories}\n`;
+  response += `• Protein: ${nutritionData.protein}g\n`;
+  response += `• Carbs: ${nutritionData.carbs}g\n`;
+  response += `• Fat: ${nutritionData.fat}g\n`;
+  MICRONUTRIENTS.forEach(nutrient => {
+    if (nutritionData[nutrient.key]) response += `• ${nutrient.label}: ${nutritionData[nutrient.key]}${nutrient.unit}\n`;
+  });
+  
+  // Health recommendation
+  response += `\n${healthAnalysis.overallRecommendation}\n`;
+  
+  // Risk alerts
+  if (riskAnalysis.hasRisks) {
+    response += `\n⚠️ HEALTH ALERTS:\n`;
+    riskAnalysis.risks.slice(0, 3).forEach(risk => {
+      response += `• ${risk.message}\n`;
+    });
+  }
+  
+  // Ingredient report
+  response += ingredientReport;
+  
+  // Pros and cons
+  if (healthAnalysis.pros.length > 0) {
+    response += `\n✅ PROS:\n`;
+    healthAnalysis.pros.forEach(pro => response += `• ${pro}\n`);
+  }
+  
+  if (healthAnalysis.cons.length > 0) {
+    response += `\n❌ CONS:\n`;
+    healthAnalysis.cons.forEach(con => response += `• ${con}\n`);
+  }
+  
+  // Personalized message
+  const personalizedMessage = await personalizationEngine.getPersonalizedFoodResponse(
+    profile,
+    nutritionData,
+    context
+  );
+  response += `\n\n${personalizedMessage}`;
+  
+  // If from barcode, add extra details
+  if (barcode && analysisResult.productDetails) {
+    response += `\n\n📦 PRODUCT DETAILS:\n`;
+    if (analysisResult.nutrition.brand) {
+      response += `Brand: ${analysisResult.nutrition.brand}\n`;
+    }
+    if (analysisResult.nutrition.nutriscore) {
+      response += `Nutri-Score: ${analysisResult.nutrition.nutriscore.toUpperCase()}\n`;
+    }
+    if (analysisResult.productDetails.labels) {
+      response += `Labels: ${analysisResult.productDetails.labels}\n`;
+    }
+  }
+  
+  // Store scan data temporarily for quick-add feature (scanId already generated above)
+  await cacheService.set(`scan:${scanId}`, {
+    nutritionData,
+    analysisResult,
+    context,
+    phone,
+    timestamp: new Date().toISOString()
+  }, 300); // 5 minute expiry
+  
+  // Add quick-add option at the end
+  response += `\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `📝 TO LOG THIS FOOD:\n\n`;
+  
+  if (riskAnalysis.criticalRisks.length > 0) {
+    response += `⚠️ CRITICAL HEALTH RISK - We advise against consuming this.\n\n`;
+  } else if (riskAnalysis.hasRisks) {
+    response += `⚠️ Note: Some health concerns detected (see above)\n\n`;
+  }
+  
+  response += `Is "${nutritionData.name}" correct?\n\n`;
+  response += `✅ CONFIRM by saying:\n`;
+  response += `• "Yes" or "Correct" - I'll add it to your log\n`;
+  response += `• "Yes it's masala dosa" - Confirms the food\n`;
+  response += `• "Add this" or "Log this" - Adds to your daily intake\n`;
+  response += `\n❌ CHANGE by saying:\n`;
+  response += `• "No, it's [actual food]" - I'll scan the correct item\n`;
+  response += `• "It's actually [food name]" - Updates to right food\n`;
+  
+  response += `\n💡 IMPORTANT: When you confirm, I will:\n`;
+  response += `• Add ${nutritionData.calories} calories to your daily total\n`;
+  response += `• Track all nutrients toward your goals\n`;
+  response += `• Update your daily progress\n`;
+  
+  response += `\n🎯 Quick-add: To log this food later, use add_food with {"quick_add": "${scanId}"}\n`;
+  response += `⏱️ Quick-add expires in 5 minutes`;
+  
+  return structuredResult(response, {
+    status: 'analyzed',
+    food: toFoodOutput(nutritionData),
+    risks: toRisksOutput(riskAnalysis.risks),
+    harmful_ingredients: toHarmfulIngredientsOutput(nutritionData.harmfulIngredients),
+    scan_id: scanId
+  });
+}
+
+// New combined function for scan and add
+async function handleScanAndAddFood(args, req) {
+  const { puch_user_id, bearer_token, type, auto_add = true, food_name, date, meal_type } = args;
+  
+  // Extract image data using the comprehensive Puch AI fix
+  let imageResult = extractPuchImageData(args);
+  
+  console.log('ScanAndAddFood called with:', {
+    type,
+    imageResult,
+    foodName: food_name,
+    autoAdd: auto_add
+  });
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get user profile
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error('Welcome! Please set up your profile first.');
+  }
+  
+  // Check the day before spending time on analysis - it's the user's today, not the server's
+  const timezone = timezoneOf(profile);
+  const logDate = resolveLogDate(date, { timezone });
+  const backdated = logDate !== getToday(timezone);
+  
+  let foodToAnalyze;
+  let analysisResult;
+  
+  // Use the new image fetcher service to resolve image data
+  const fetchResult = await puchImageFetcher.resolveImage(args, req);
+  console.log('Puch image fetch result for scan_and_add:', {
+    success: fetchResult.success,
+    source: fetchResult.source,
+    hasFallback: !!fetchResult.fallback
+  });
+  
+  // If we successfully fetched image data, update our imageResult
+  if (fetchResult.success) {
+    imageResult = {
+      type: 'base64',
+      data: fetchResult.data,
+      source: `puch_fetcher_${fetchResult.source}`
+    };
+    console.log('Successfully resolved image data via puchImageFetcher');
+    // Analyze the fetched image
+    analysisResult = await enhancedFoodAnalysisService.analyzeFood(fetchResult.data, 'image', profile);
+  } else if (!fetchResult.success) {
+    // Generate user message based on fallback scenario
+    const userMessage = puchImageFetcher.generateUserMessage(fetchResult, args);
+    
+    if (userMessage) {
+      // Handle different message types
+      if (userMessage.type === 'fallback_with_suggestion' || food_name) {
+        // Use the suggestion or food_name for text analysis
+        const foodText = userMessage.suggestion || food_name;
+        console.log('Using fallback food text:', foodText);
+        
+        const items = auto_add ? await splitMeal(phone, foodText) : null;
+        if (items) {
+          return logMealItems(phone, profile, items, { logDate, backdated, mealType: meal_type, source: 'text' });
+        }
+        analysisResult = await analyzeFoodText(phone, foodText, profile);
+      } else {
+        // Return the message to user
+        const response = sanitizeForPuchAI(userMessage.message);
+        return statusResult(response, 'needs_input');
+      }
+    }
+  }
+  
+  // If we don't have an analysis result yet, analyze based on type
+  if (!analysisResult) {
+    if (food_name) {
+      // If food_name is provided (Puch AI detected it), use that
+      console.log('Using provided food_name:', food_name);
+      analysisResult = await analyzeFoodText(phone, food_name, profile);
+    } else if (type === 'image' && imageResult.type === 'base64') {
+      // Prepare image for analysis
+      const imageInput = prepareImageForAnalysis(imageResult);
+      if (imageInput) {
+        analysisResult = await enhancedFoodAnalysisService.analyzeFood(imageInput, 'image', profile);
+      } else {
+        throw new Error('No valid image data');
+      }
+    } else if (type === 'text') {
+      const textInput = args.input;
+      if (!textInput) {
+        throw new Error('Please provide food description');
+      }
+      
+      const items = auto_add ? await splitMeal(phone, textInput) : null;
+      if (items) {
+        return logMealItems(phone, profile, items, { logDate, backdated, mealType: meal_type, source: type });
+      }
+      analysisResult = await analyzeFoodText(phone, textInput, profile);
+    }
+  }
+  
+  if (!analysisResult.success) {
+    throw new Error(`Failed to analyze food: ${analysisResult.error || 'Unknown error'}`);
+  }
+  
+  const nutritionData = analysisResult.nutrition || analysisResult.nutritionData;
+  
+  // Check if we have nutrition data
+  if (!nutritionData) {
+    throw new Error('No nutrition data found in analysis result');
+  }
+  
+  // ALWAYS add to daily log if auto_add is true (default)
+  if (auto_add) {
+    // Add emoji to nutrition data
+    nutritionData.emoji = '🍽️';
+    
+    const result = await foodService.addFood(phone, nutritionData, type, { date: logDate, mealType: meal_type, timezone });
+    const loggedOutput = {
+      status: 'logged',
+      date: logDate,
+      ...(result.food.meal_type && { meal_type: result.food.meal_type }),
+      food: toFoodOutput(nutritionData),
+      entry_id: result.food.id,
+      totals: toMacrosOutput(result.dailyTotals),
+      targets: toTargetsOutput(profile),
+      harmful_ingredients: toHarmfulIngredientsOutput(nutritionData.harmfulIngredients)
+    };
+    
+    // Check if we need to use brutal analyzer for harmful ingredients
+    if (nutritionData.harmfulIngredients && nutritionData.harmfulIngredients.length > 0) {
+      // Use brutal analyzer for harmful foods
+      const brutalReport = await brutalAnalyzer.analyzeFoodWithBrutalHonesty({
+        name: nutritionData.name,
+        harmfulIngredients: nutritionData.harmfulIngredients,
+        processingLevel: nutritionData.processingLevel || 'processed'
+      }, profile);
+      
+      // Sanitize for Puch AI
+      const sanitizedReport = sanitizeForPuchAI(brutalReport);
+      
+      // Add logged successfully message
+      const loggedHeader = backdated ? `✅ LOGGED FOR ${logDate}!\n📈 Progress for ${logDate}:` : `✅ LOGGED SUCCESSFULLY!\n📈 Today's Progress:`;
+      const loggedMessage = `\n\n${loggedHeader}\n• Consumed: ${result.dailyTotals.calories} calories\n• Target: ${profile.calorie_target} calories\n• Remaining: ${Math.max(0, profile.calorie_target - result.dailyTotals.calories)} calories`;
+      
+      return structuredResult(sanitizedReport + loggedMessage, loggedOutput);
+    } else {
+      // Normal response for clean foods
+      let response = formatNutritionResponse(
+        nutritionData,
+        result.dailyTotals,
+        {
+          calories: profile.calorie_target,
+          protein: profile.protein_target,
+          carbs: profile.carb_target,
+          fat: profile.fat_target
+        },
+        backdated ? logDate : null
+      );
+      
+      // Add health analysis if available
+      if (analysisResult.healthAnalysis) {
+        response += '\n\n' + analysisResult.healthAnalysis;
+      }
+      
+      return structuredResult(response, loggedOutput);
+    }
+  } else {
+    // Just return analysis without logging
+    // Include ingredient analysis if available
+    if (nutritionData.ingredients && !analysisResult.ingredientAnalysis) {
+      const ingredientAnalysis = await ingredientAnalyzer.analyzeIngredients(
+        nutritionData.ingredients,
+        profile
+      );
+      analysisResult.ingredientAnalysis = ingredientAnalysis;
+      
+      // Add harmful ingredients to nutrition data
+      if (ingredientAnalysis.harmfulIngredients) {
+        nutritionData.harmfulIngredients = ingredientAnalysis.harmfulIngredients;
+        nutritionData.processingLevel = ingredientAnalysis.processingLevel;
+        nutritionData.healthScore = ingredientAnalysis.healthScore;
+      }
+    }
+    const scanResponse = await formatScanOnlyResponse(nutritionData, analysisResult, phone);
+    return structuredResult(scanResponse, {
+      status: 'analyzed',
+      food: toFoodOutput(nutritionData),
+      harmful_ingredients: toHarmfulIngredientsOutput(nutritionData.harmfulIngredients)
+    });
+  }
+}
+
+async function handleAddFood(args, req) {
+  const { puch_user_id, bearer_token, type, barcode, confirm_analysis_id, user_corrections, quick_add, date, meal_type } = args;
+  
+  // Extract image data using the comprehensive Puch AI fix
+  let imageResult = extractPuchImageData(args);
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first to add food.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get user profile for personalization
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error('Welcome! I need to know a bit about you first. Please say: "My name is [your name], I\'m [age] years old, [weight] kg, [height] cm tall, [gender], [any health conditions or none]"');
+  }
+  
+  // Check the day before spending time on analysis - it's the user's today, not the server's
+  const timezone = timezoneOf(profile);
+  const logDate = resolveLogDate(date, { timezone });
+  const backdated = logDate !== getToday(timezone);
+  
+  // Use the new image fetcher service for image inputs
+  if (type === 'image') {
+    const fetchResult = await puchImageFetcher.resolveImage(args, req);
+    console.log('Puch image fetch result for add_food:', {
+      success: fetchResult.success,
+      source: fetchResult.source
+    });
+    
+    if (fetchResult.success) {
+      imageResult = {
+        type: 'base64',
+        data: fetchResult.data,
+        source: `puch_fetcher_${fetchResult.source}`
+      };
+    } else {
+      // Generate user message for missing image
+      const userMessage = puchImageFetcher.generateUserMessage(fetchResult, args);
+      
+      if (userMessage) {
+        if (userMessage.type === 'fallback_with_suggestion') {
+          // Continue with text analysis
+          console.log('Using fallback food suggestion:', userMessage.suggestion);
+          args.type = 'text';
+          args.input = userMessage.suggestion;
+        } else {
+          // Return the message to user
+          const response = sanitizeForPuchAI(userMessage.message);
+          return statusResult(response, 'needs_input');
+        }
+      }
+    }
+  }
+  
+  let analysisResult;
+  let context = {
+    location: args.location || 'unknown',
+    socialContext: args.social_context || 'alone',
+    mood: args.mood || 'neutral',
+    // Gaps are measured from today's meals, they mean nothing for a backdated one
+    lastMealTime: backdated ? null : await foodService.getLastMealTime(phone, logDate),
+    mealGap: backdated ? null : await foodService.getMealGap(phone, logDate)
+  };
+  
+  // Handle quick-add from previous scan
+  if (quick_add) {
+    const scanData = await cacheService.get(`scan:${quick_add}`);
+    
+    if (!scanData) {
+      throw new Error('Quick-add link expired or invalid. Please scan the food again.');
+    }
+    
+    // Verify the scan belongs to this user
+    if (scanData.phone !== phone) {
+      throw new Error('This quick-add link is not valid for your account.');
+    }
+    
+    // Use the cached scan data
+    analysisResult = scanData.analysisResult;
+    context = { ...context, ...scanData.context };
+    
+    // Clear the cache to prevent reuse
+    await cacheService.delete(`scan:${quick_add}`);
+  }
+  
+  // Only analyze if not using quick-add
+  if (!quick_add) {
+    // Handle barcode scanning
+    if (barcode) {
+      analysisResult = await enhancedFoodAnalysisService.analyzeFood(barcode, 'barcode', profile);
+    }
+    // Handle user confirmation for multi-item detection
+    else if (confirm_analysis_id && user_corrections) {
+      analysisResult = await enhancedFoodAnalysisService.processUserConfirmation(
+        confirm_analysis_id,
+        user_corrections,
+        profile
+      );
+    }
+    // Use enhanced analysis service for better detection
+    else if (type === 'text') {
+      const textInput = args.input;
+      if (!textInput || typeof textInput !== 'string') {
+        throw new Error('Please tell me what you ate. For example: \"2 chapati with dal\" or \"1 bowl of rice\"');
+      }
+      if (textInput.length > 500) {
+        throw new Error('Please keep your food description brief (under 500 characters)');
+      }
+      
+      // "2 roti, dal and a glass of chaas" - each food is logged on its own
+      const items = await splitMeal(phone, textInput);
+      if (items) {
+        return logMealItems(phone, profile, items, {
+          logDate,
+          backdated,
+          mealType: meal_type,
+          source: type,
+          context
+        });
+      }
+      analysisResult = await analyzeFoodText(phone, textInput, profile);
+    } else if (type === 'image') {
+      // Prepare image for analysis
+      const imageInput = prepareImageForAnalysis(imageResult);
+      if (imageInput) {
+        analysisResult = await enhancedFoodAnalysisService.analyzeFood(imageInput, 'image', profile);
+      } else {
+        // Should not reach here as it's handled by generateImageResponse
+        throw new Error('No valid image data received');
+      }
+    } else {
+      // Check if user is trying to use quick_add incorrectly
+      if (args.input && args.input.startsWith('scan_')) {
+        throw new Error('To use quick-add, pass the scan ID in the "quick_add" parameter, not as input. Example: {"quick_add": "' + args.input + '"}');
+      }
+      throw new Error('Invalid input type. Valid types are: text, image, or barcode. For quick-add, use the "quick_add" parameter with your scan ID.');
+    }
+  }
+  
+  // Handle multi-item confirmation flow
+  if (analysisResult.needsConfirmation) {
+    return statusResult(analysisResult.confirmationMessage, 'needs_confirmation');
+  }
+  
+  if (!analysisResult.success) {
+    throw new Error(`Failed to analyze food: ${analysisResult.error}`);
+  }
+  
+  const nutritionData = analysisResult.nutrition || analysisResult.nutritionData;
+  
+  // Check if we have nutrition data
+  if (!nutritionData) {
+    throw new Error('No nutrition data found in analysis result');
+  }
+  
+  // HEALTH RISK DETECTION
+  const riskAnalysis = await healthRiskDetector.detectRisks(nutritionData, profile, context);
+  
+  // If critical risks detected, prevent logging
+  if (riskAnalysis.criticalRisks.length > 0) {
+    const criticalRisk = riskAnalysis.criticalRisks[0];
+    console.warn('Critical health risk prevented:', {
+      userId: phone,
+      food: nutritionData.name,
+      risk: criticalRisk
+    });
+    
+    let riskResponse = `${riskAnalysis.recommendation.message}\n\n`;
+    riskResponse += `${criticalRisk.message}\n`;
+    riskResponse += `Action: ${criticalRisk.action}`;
+    
+    // Still provide alternatives
+    if (nutritionData.ingredients) {
+      const alternatives = await ingredientAnalyzer.suggestBetterAlternatives(nutritionData.name);
+      if (alternatives.length > 0) {
+        riskResponse += `\n\n💚 Try instead:\n`;
+        alternatives.slice(0, 3).forEach(alt => {
+          riskResponse += `• ${alt.name}: ${alt.whyBetter}\n`;
+        });
+      }
+    }
+    
+    return structuredResult(riskResponse, {
+      status: 'blocked',
+      food: toFoodOutput(nutritionData),
+      risks: toRisksOutput(riskAnalysis.risks)
+    });
+  }
+  
+  // Check daily limits
+  const dailyTotal = await foodService.getDailyCalories(phone, logDate);
+  if (dailyTotal + nutritionData.calories > 15000) {
+    console.warn('Excessive calories detected:', {
+      userId: phone,
+      attempted: nutritionData.calories,
+      dailyTotal
+    });
+    throw new Error('Daily calorie limit exceeded');
+  }
+  
+  // Add emoji to nutrition data (only if nutritionData exists)
+  if (nutritionData) {
+    nutritionData.emoji = '🍽️';
+  }
+  
+  // Add to daily log
+  const result = await foodService.addFood(phone, nutritionData, type, { date: logDate, mealType: meal_type, timezone });
+  
+  // INGREDIENT ANALYSIS for processed foods, and the PERSONALIZED RESPONSE
+  const { ingredientWarning, harmfulIngredients, personalizedResponse } = await reviewLoggedFood(profile, nutritionData, context);
+  
+  // Format base response
+  let response = formatNutritionResponse(
+    nutritionData,
+    result.dailyTotals,
+    {
+      calories: profile.calorie_target,
+      protein: profile.protein_target,
+      carbs: profile.carb_target,
+      fat: profile.fat_target
+    },
+    backdated ? logDate : null
+  );
+  
+  // Add risk warnings if any
+  if (riskAnalysis.hasRisks && riskAnalysis.risks.length > 0) {
+    response += '\n\n⚠️ HEALTH ALERTS:';
+    riskAnalysis.risks.slice(0, 3).forEach(risk => {
+      response += `\n• ${risk.message}`;
+    });
+  }
+  
+  // Add ingredient warnings
+  response += ingredientWarning;
+  
+  // Add comprehensive analysis section
+  response += `\n\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `🔍 NUTRITIONAL ANALYSIS:\n\n`;
+  
+  // Add macronutrient analysis
+  const proteinPercent = Math.round((nutritionData.protein * 4 / nutritionData.calories) * 100) || 0;
+  const carbPercent = Math.round((nutritionData.carbs * 4 / nutritionData.calories) * 100) || 0;
+  const fatPercent = Math.round((nutritionData.fat * 9 / nutritionData.calories) * 100) || 0;
+  
+  response += `📊 Macro Breakdown:\n`;
+  response += `• Protein: ${proteinPercent}% (${nutritionData.protein}g)\n`;
+  response += `• Carbs: ${carbPercent}% (${nutritionData.carbs}g)\n`;
+  response += `• Fat: ${fatPercent}% (${nutritionData.fat}g)\n`;
+  
+  // Add meal quality assessment
+  response += `\n💪 Meal Quality:\n`;
+  if (nutritionData.protein >= 20) {
+    response += `• ✅ Good protein content\n`;
+  } else {
+    response += `• ⚠️ Low protein - consider adding chicken, paneer, or dal\n`;
+  }
+  
+  if (nutritionData.fiber && nutritionData.fiber >= 5) {
+    response += `• ✅ Good fiber content\n`;
+  } else {
+    response += `• ⚠️ Low fiber - add vegetables or whole grains\n`;
+  }
+  
+  // Add personalized insights
+  response += `\n${personalizedResponse}`;
+  
+  // If detected from image, add detection info
+  if (type === 'image' && nutritionData.detectedFoods) {
+    const detectedNames = nutritionData.detectedFoods.slice(0, 3).map(food => 
+      typeof food === 'string' ? food : food.name
+    );
+    response += `\n\n📷 Detected: ${detectedNames.join(', ')}`;
+  }
+  
+  // If from barcode, add product details
+  if (barcode && analysisResult.productDetails) {
+    response += `\n\n📊 Product Info:`;
+    if (analysisResult.nutrition.brand) {
+      response += `\nBrand: ${analysisResult.nutrition.brand}`;
+    }
+    if (analysisResult.nutrition.nutriscore) {
+      response += `\nNutri-Score: ${analysisResult.nutrition.nutriscore.toUpperCase()}`;
+    }
+  }
+  
+  // Trigger background analysis if needed - a backdated meal wasn't eaten at this hour
+  const behaviorPatterns = await personalizationEngine.analyzeBehaviorPatterns(phone, timezone);
+  if (!backdated && behaviorPatterns.triggerTimes.includes(getCurrentHour(timezone))) {
+    webhookService.sendWebhook(phone, 'trigger_time_eating', {
+      food: nutritionData.name,
+      pattern: 'high_risk_time'
+    });
+  }
+  
+  // Add acknowledgment for quick-add
+  if (quick_add) {
+    response = `✅ Added from your previous scan\n\n` + response;
+  } else if (analysisResult.customFood) {
+    const kind = analysisResult.customFood.kind === customFoodsService.kinds.RECIPE ? 'recipe' : 'custom food';
+    response = `📒 From your ${kind} "${analysisResult.customFood.name}" - no lookup needed\n\n` + response;
+  }
+  
+  // Add clear completion message
+  response += `\n\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `✅ Food logged and analyzed!\n`;
+  response += result.food.meal_type
+    ? `🍴 Filed under ${MEAL_LABELS[result.food.meal_type]}\n`
+    : `🍴 Not sorted into a meal - fix with edit_food and meal_type\n`;
+  response += `📝 No need to analyze again - full analysis included above.\n`;
+  response += `💡 Next: Add your next meal or say "show my progress"`;
+  
+  // Return the response as is - the Puch AI compatibility layer will handle formatting
+  return structuredResult(response, {
+    status: 'logged',
+    date: logDate,
+    ...(result.food.meal_type && { meal_type: result.food.meal_type }),
+    food: toFoodOutput(nutritionData),
+    entry_id: result.food.id,
+    totals: toMacrosOutput(result.dailyTotals),
+    targets: toTargetsOutput(profile),
+    risks: toRisksOutput(riskAnalysis.risks),
+    harmful_ingredients: toHarmfulIngredientsOutput(harmfulIngredients)
+  });
+}
+
+// list_foods and list_today_foods - the latter just never sends a date
+async function handleListFoods(args, req) {
+  const { puch_user_id, bearer_token, date } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Days and times are the user's own
+  const profile = await userService.getProfile(phone);
+  const timezone = timezoneOf(profile);
+  
+  // Any past day can be looked at, only changes are capped
+  const logDate = resolveLogDate(date, { readOnly: true, timezone });
+  const isToday = logDate === getToday(timezone);
+  
+  const progress = await foodService.getDailyProgress(phone, logDate);
+  
+  if (!progress.foods || progress.foods.length === 0) {
+    const emptyMessage = isToday
+      ? "📝 No foods logged today yet.\n\n💡 Start tracking by saying 'I ate...' or uploading a food photo!"
+      : `📝 Nothing logged for ${logDate}.\n\n💡 Forgot to log? Add it with add_food and date "${logDate}".`;
+    return structuredResult(emptyMessage, {
+      date: progress.date,
+      foods: [],
+      meals: [],
+      totals: toMacrosOutput()
+    });
+  }
+  
+  let response = isToday ? `🍽️ TODAY'S FOOD LOG (${progress.date})\n` : `🍽️ FOOD LOG (${progress.date})\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+  
+  let totalCalories = 0;
+  let totalProtein = 0;
+  let totalCarbs = 0;
+  let totalFat = 0;
+  let itemNumber = 0;
+  
+  progress.meals.forEach(meal => {
+    response += `${MEAL_LABELS[meal.meal_type]} (${meal.totals.calories} cal)\n\n`;
+    
+    meal.foods.forEach(food => {
+      itemNumber++;
+      response += `${itemNumber}. ${food.emoji || '🍽️'} ${food.name}\n`;
+      response += `   📊 ${food.calories} cal | ${food.protein}g protein | ${food.carbs}g carbs | ${food.fat}g fat\n`;
+      if (food.portion_size) {
+        response += `   📏 Portion: ${food.portion_size}\n`;
+      }
+      const warning = estimateWarning(food);
+      if (warning) {
+        response += `   ${warning}\n`;
+      }
+      // created_at is always UTC - older timestamps were India time marked as UTC
+      const loggedAt = food.created_at || food.timestamp;
+      if (loggedAt) {
+        const time = new Date(loggedAt).toLocaleTimeString('en-US', { 
+          hour: '2-digit', 
+          minute: '2-digit',
+          hour12: true,
+          timeZone: timezone
+        });
+        response += `   🕐 Added at: ${time}\n`;
+      }
+      response += `   ✏️ To fix: /edit_food ${food.id}\n`;
+      response += `   🗑️ To remove: /remove_food ${food.id}\n\n`;
+      
+      totalCalories += food.calories || 0;
+      totalProtein += food.protein || 0;
+      totalCarbs += food.carbs || 0;
+      totalFat += food.fat || 0;
+    });
+  });
+  
+  const totals = roundTotals({ calories: totalCalories, protein: totalProtein, carbs: totalCarbs, fat: totalFat });
+  
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `📈 DAILY TOTALS:\n`;
+  response += `• Calories: ${totals.calories}\n`;
+  response += `• Protein: ${totals.protein}g\n`;
+  response += `• Carbs: ${totals.carbs}g\n`;
+  response += `• Fat: ${totals.fat}g\n\n`;
+  
+  const estimates = progress.foods.filter(isEstimate);
+  if (estimates.length > 0) {
+    response += `🔎 ${estimates.length} item${estimates.length === 1 ? ' is an estimate' : 's are estimates'} - check the ⚠️ numbers and correct them with edit_food\n`;
+  }
+  
+  response += `\n📱 Next steps:\n`;
+  response += `• Remove an item by its id (e.g. "remove ${progress.foods[0].id}") or by name\n`;
+  response += `• Wrong amount? Fix it (e.g. "edit ${progress.foods[0].id} to 3")\n`;
+  response += `• Track more meals throughout the day\n`;
+  response += `• Check your progress against daily targets\n`;
+  response += `• Get personalized weekly health insights\n\n`;
+  response += `💡 Need to remove something? Just mention the item's id or name!`;
+  
+  return structuredResult(response, {
+    date: progress.date,
+    foods: toFoodEntriesOutput(progress.foods),
+    meals: toMealsOutput(progress.meals),
+    totals
+  });
+}
+
+async function handleRemoveFood(args, req) {
+  const { puch_user_id, bearer_token, entry_id, food_name, date } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get user profile for targets - and the timezone that says which day is today
+  const profile = await userService.getProfile(phone);
+  const timezone = timezoneOf(profile);
+  
+  let entryId = entry_id ? String(entry_id).trim().replace(/^#/, '') : null;
+  
+  if (entryId) {
+    // Ids work for any day, but days past the backdating cap are closed
+    const entry = await foodService.getEntry(phone, entryId);
+    if (entry) {
+      assertEditableDate(entry.date, getToday(timezone));
+    }
+  } else {
+    // No id - look the food up by name in that day's log
+    const logDate = resolveLogDate(date, { timezone });
+    const logLabel = logDate === getToday(timezone) ? 'today\'s log' : `your log for ${logDate}`;
+    const progress = await foodService.getDailyProgress(phone, logDate);
+    
+    if (!progress.foods || progress.foods.length === 0) {
+      return structuredResult(`No foods in ${logLabel} to remove.`, { removed: false, remaining_count: 0 });
+    }
+    
+    if (!food_name) {
+      return structuredResult("Please specify which food to remove. You can say:\n• 'Remove a1b2c3d4' (using the id from list_today_foods)\n• 'Remove paneer tikka' (using the food name)", {
+        removed: false,
+        remaining_count: progress.foods.length
+      });
+    }
+    
+    const matches = findFoodsByName(progress.foods, food_name);
+    if (matches.length === 0) {
+      return structuredResult(`Could not find "${food_name}" in ${logLabel}. Use /list_foods to see all items.`, {
+        removed: false,
+        remaining_count: progress.foods.length
+      });
+    }
+    if (matches.length > 1) {
+      return structuredResult(describeFoodMatches(food_name, matches, 'remove'), {
+        removed: false,
+        remaining_count: progress.foods.length,
+        matches: toFoodEntriesOutput(matches)
+      });
+    }
+    entryId = matches[0].id;
+  }
+  
+  const result = await foodService.removeFood(phone, entryId);
+  
+  if (!result) {
+    const progress = await foodService.getDailyProgress(phone, getToday(timezone));
+    return structuredResult(`No logged food with id "${entryId}". Use /list_today_foods to see the ids of today's items.`, {
+      removed: false,
+      remaining_count: progress.foods.length
+    });
+  }
+  
+  const foodToRemove = result.food;
+  const newTotals = result.dailyTotals;
+  const dayLabel = result.date === getToday(timezone) ? 'today\'s log' : `your log for ${result.date}`;
+  
+  let response = `🗑️ REMOVED: ${foodToRemove.name}\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `This meal had: ${foodToRemove.calories} cal | ${foodToRemove.protein}g protein\n\n`;
+  
+  response += `📊 UPDATED DAILY TOTALS:\n`;
+  response += `• Consumed: ${newTotals.calories} calories\n`;
+  response += `• Target: ${profile.calorie_target} calories\n`;
+  response += `• Remaining: ${Math.max(0, profile.calorie_target - newTotals.calories)} calories\n\n`;
+  
+  if (result.remainingCount === 0) {
+    response += `📝 ${dayLabel.charAt(0).toUpperCase() + dayLabel.slice(1)} is now empty.`;
+  } else {
+    response += `📝 You have ${result.remainingCount} item${result.remainingCount > 1 ? 's' : ''} remaining in ${dayLabel}.`;
+  }
+  
+  response += `\n\n🤖 COMMANDS YOU CAN USE:\n`;
+  response += `• add_food - Add more food\n`;
+  response += `• scan_food - Scan food with camera\n`;
+  response += `• list_today_foods - See what you ate today\n`;
+  response += `• get_progress - Check your daily targets`;
+  
+  return structuredResult(response, {
+    removed: true,
+    date: result.date,
+    food: toFoodEntryOutput(foodToRemove),
+    totals: toMacrosOutput(newTotals),
+    targets: toTargetsOutput(profile),
+    remaining_count: result.remainingCount
+  });
+}
+
+async function handleEditFood(args, req) {
+  const { puch_user_id, bearer_token, entry_id, food_name, date, name, nutrients, meal_type } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error('Welcome! Please set up your profile first.');
+  }
+  const timezone = timezoneOf(profile);
+  
+  // Puch AI sometimes sends numbers as strings ("3", "None", ""), which the schema lets through
+  let quantity = null;
+  if (args.quantity !== undefined) {
+    quantity = Number(args.quantity);
+    if (args.quantity === null || args.quantity === '' || !Number.isFinite(quantity) || quantity < 0.1 || quantity > 100) {
+      throw new Error(`Quantity must be a number between 0.1 and 100 (like 3 for 3 rotis) - got "${args.quantity}"`);
+    }
+  }
+  
+  const newName = name ? name.trim() : null;
+  
+  // Only the nutrient fields an entry has - anything else in the object is ignored
+  const nutrientChanges = {};
+  Object.entries(nutrients || {}).forEach(([key, value]) => {
+    if (SCALED_NUTRIENTS.includes(key) && value !== null && value !== '' && Number.isFinite(Number(value))) {
+      nutrientChanges[key] = Number(value);
+    }
+  });
+  const hasNutrients = Object.keys(nutrientChanges).length > 0;
+  
+  // Find the entry - by id on any day, or by name in one day's log
+  let entry;
+  if (entry_id) {
+    const entryId = String(entry_id).trim().replace(/^#/, '');
+    entry = await foodService.getEntry(phone, entryId);
+    if (!entry) {
+      return structuredResult(`No logged food with id "${entryId}". Use /list_today_foods to see the ids of today's items.`, { updated: false });
+    }
+    assertEditableDate(entry.date, getToday(timezone));
+  } else {
+    const logDate = resolveLogDate(date, { timezone });
+    const logLabel = logDate === getToday(timezone) ? 'today\'s log' : `your log for ${logDate}`;
+    const progress = await foodService.getDailyProgress(phone, logDate);
+    
+    if (!food_name) {
+      return structuredResult("Please specify which food to edit. You can say:\n• 'Edit a1b2c3d4 to 3 rotis' (using the id from list_today_foods)\n• 'Change roti to 3' (using the food name)", { updated: false });
+    }
+    
+    const matches = findFoodsByName(progress.foods || [], food_name);
+    if (matches.length === 0) {
+      return structuredResult(`Could not find "${food_name}" in ${logLabel}. Use /list_foods to see all items.`, { updated: false });
+    }
+    if (matches.length > 1) {
+      return structuredResult(describeFoodMatches(food_name, matches, 'edit'), {
+        updated: false,
+        matches: toFoodEntriesOutput(matches)
+      });
+    }
+    entry = matches[0];
+  }
+  
+  if (!quantity && !newName && !hasNutrients && !meal_type) {
+    return structuredResult(`What should I change about ${entry.name}? Send a new quantity (e.g. 3), the correct food name, the right nutrients, or the meal it belongs to.`, {
+      updated: false,
+      food: toFoodEntryOutput(entry)
+    });
+  }
+  
+  const changes = { quantity, name: newName, nutrients: hasNutrients ? nutrientChanges : null, mealType: meal_type || null };
+  
+  // A different food needs a fresh lookup, unless the user already told us its nutrients
+  if (newName && !hasNutrients && newName.toLowerCase() !== String(entry.name).toLowerCase()) {
+    const { quantity: eaten, unit } = parsePortionSize(entry.portion_size);
+    const amount = quantity || eaten;
+    const description = unit === 'serving' ? `${amount} ${newName}` : `${amount} ${unit} ${newName}`;
+  
+    const analysisResult = await analyzeFoodText(phone, description, profile);
+    if (!analysisResult.success) {
+      throw new Error(`Failed to analyze food: ${analysisResult.error || 'Unknown error'}`);
+    }
+    changes.food = analysisResult.nutrition || analysisResult.nutritionData;
+  }
+  
+  // Same daily limit add_food enforces
+  const preview = foodService.applyEdit(entry, changes);
+  const day = await foodService.getDailyProgress(phone, entry.date);
+  if (day.totals.calories - (entry.calories || 0) + (preview.calories || 0) > 15000) {
+    throw new Error('Daily calorie limit exceeded');
+  }
+  
+  const result = await foodService.editFood(phone, entry.id, changes);
+  if (!result) {
+    return structuredResult(`That item was removed before it could be edited. Use /list_today_foods to see what's left.`, { updated: false });
+  }
+  
+  const { food: updated, previous, dailyTotals } = result;
+  
+  // Keep clean/toxic stats in line with what was actually eaten - only for entries
+  // that were counted as a scan, the rest never touched them
+  if (previous.scan_tracked) {
+    await toxinTracker.correctScan(
+      phone,
+      result.date,
+      previous.harmfulIngredients || [],
+      updated.harmfulIngredients || []
+    );
+  }
+  
+  const dayLabel = formatDayLabel(result.date, timezone);
+  const portion = food => (food.portion_size ? ` (${food.portion_size})` : '');
+  
+  let response = `✏️ UPDATED: ${updated.name}${portion(updated)}\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `Before: ${previous.name}${portion(previous)} - ${previous.calories} cal | ${previous.protein}g protein\n`;
+  response += `Now: ${updated.calories} cal | ${updated.protein}g protein | ${updated.carbs}g carbs | ${updated.fat}g fat\n`;
+  if (updated.meal_type !== previous.meal_type) {
+    response += `Meal: ${MEAL_LABELS[previous.meal_type] || MEAL_LABELS.other} → ${MEAL_LABELS[updated.meal_type]}\n`;
+  }
+  response += `\n`;
+  
+  response += `📊 UPDATED TOTALS (${dayLabel}):\n`;
+  response += `• Consumed: ${dailyTotals.calories} calories\n`;
+  response += `• Target: ${profile.calorie_target} calories\n`;
+  response += `• Remaining: ${Math.max(0, profile.calorie_target - dailyTotals.calories)} calories`;
+  
+  response += `\n\n🤖 COMMANDS YOU CAN USE:\n`;
+  response += `• list_today_foods - See what you ate today\n`;
+  response += `• edit_food - Fix another item\n`;
+  response += `• get_progress - Check your daily targets`;
+  
+  return structuredResult(response, {
+    updated: true,
+    date: result.date,
+    food: toFoodEntryOutput(updated),
+    previous: toFoodEntryOutput(previous),
+    totals: toMacrosOutput(dailyTotals),
+    targets: toTargetsOutput(profile),
+    harmful_ingredients: toHarmfulIngredientsOutput(updated.harmfulIngredients)
+  });
+}
+
+async function handleGetProgress(args, req) {
+  const { puch_user_id, bearer_token, date } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first to view progress.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get user targets
+  const profile = await userService.getProfile(phone);
+  
+  if (!profile) {
+    throw new Error('Welcome! I need to know a bit about you first. Please say: "My name is [your name], I\'m [age] years old, [weight] kg, [height] cm tall, [gender], [any health conditions or none]"');
+  }
+  const timezone = timezoneOf(profile);
+  
+  // Any past day, same date forms as the food tools
+  const progressDate = resolveLogDate(date, { readOnly: true, timezone });
+  
+  // Get daily progress
+  const progress = await foodService.getDailyProgress(phone, progressDate);
+  
+  const [{ trend }, exercise] = await Promise.all([
+    bodyMetricsService.getHistory(phone, { timezone }),
+    activityService.getDay(phone, profile, progressDate)
+  ]);
+  const extras = { weightTrend: trend, exercise };
+  
+  return structuredResult(formatProgressResponse(progress, profile, extras), formatProgressOutput(progress, profile, extras));
+}
+
+async function formatScanResponse(nutritionData, healthAnalysis, type, userPhone) {
+  // Get user profile for personalized analysis
+  let userProfile = {};
+  try {
+    const profileDoc = await userService.getUserProfile(userPhone);
+    if (profileDoc) {
+      userProfile = profileDoc;
+    }
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+  }
+  
+  // Check if we have harmful ingredients to show enhanced format
+  if (nutritionData.harmfulIngredients && nutritionData.harmfulIngredients.length > 0) {
+    // Track the scan with toxin tracker
+    const trackingResult = await toxinTracker.trackScan(userPhone, {
+      harmfulIngredients: nutritionData.harmfulIngredients,
+      nutritionData: nutritionData
+    }, timezoneOf(userProfile));
+    
+    // Add tracking data to user profile for formatter
+    userProfile.todayScans = trackingResult.todayScans;
+    userProfile.cleanScans = trackingResult.cleanScans;
+    userProfile.toxicScans = trackingResult.toxicScans;
+    userProfile.cleanStreak = trackingResult.cleanStreak;
+    
+    // Use BRUTAL ANALYZER for maximum impact
+    let enhancedResponse = await brutalAnalyzer.analyzeFoodWithBrutalHonesty({
+      name: nutritionData.name,
+      harmfulIngredients: nutritionData.harmfulIngredients,
+      processingLevel: nutritionData.processingLevel
+    }, userProfile);
+    
+    // Add achievements if any
+    if (trackingResult.newAchievements && trackingResult.newAchievements.length > 0) {
+      enhancedResponse += '\n\n🏆 ACHIEVEMENTS UNLOCKED!\n';
+      enhancedResponse += '━━━━━━━━━━━━━━━━━━━━━━━━\n';
+      trackingResult.newAchievements.forEach(achievement => {
+        enhancedResponse += `${achievement.name} - ${achievement.description}\n`;
+        enhancedResponse += `+${achievement.coins} ScanlyfCoins earned!\n`;
+      });
+    }
+    
+    return enhancedResponse;
+  }
+  
+  // For clean foods, track and use clean food response
+  const trackingResult = await toxinTracker.trackScan(userPhone, {
+    harmfulIngredients: [],
+    nutritionData: nutritionData
+  }, timezoneOf(userProfile));
+  
+  if (!nutritionData.harmfulIngredients || nutritionData.harmfulIngredients.length === 0) {
+    return enhancedFormatter.formatCleanFoodResponse({
+      nutritionData: nutritionData
+    });
+  }
+  
+  // Fallback to original format if needed
+  let response = `🔍 FOOD ANALYSIS: ${nutritionData.name}\n`;
+  
+  // If detected from image, show what was detected
+  if (type === 'image' && nutritionData.detectedFoods) {
+    const detectedNames = nutritionData.detectedFoods.slice(0, 3).map(food => 
+      typeof food === 'string' ? food : food.name
+    );
+    response += `📷 Detected: ${detectedNames.join(', ')}\n`;
+  }
+  
+  response += `\n📊 NUTRITION (per ${nutritionData.portion_size || 'serving'}):\n`;
+  response += `Calories: ${nutritionData.calories}\n`;
+  response += `Protein: ${nutritionData.protein}g | Carbs: ${nutritionData.carbs}g | Fat: ${nutritionData.fat}g\n`;
+  
+  // Add detailed nutrients if available
+  if (nutritionData.fiber !== undefined || nutritionData.sugar !== undefined || nutritionData.sodium !== undefined) {
+    response += `Fiber: ${nutritionData.fiber || 0}g | Sugar: ${nutritionData.sugar || 0}g | Sodium: ${nutritionData.sodium || 0}mg\n`;
+  }
+  
+  if (nutritionData.source) {
+    response += `📚 Source: ${nutritionData.source}\n`;
+  }
+  response += '\n';
+  
+  // Add health warnings with severity
+  if (healthAnalysis.warnings.length > 0) {
+    response += `⚠️ HEALTH WARNINGS:\n`;
+    healthAnalysis.warnings.forEach(warning => {
+      const icon = warning.severity === 'high' ? '🚫' : '⚠️';
+      response += `${icon} ${warning.message}\n`;
+    });
+    response += '\n';
+  }
+  
+  // Add pros and cons
+  response += `✅ PROS:\n`;
+  healthAnalysis.pros.forEach(pro => {
+    response += `• ${pro}\n`;
+  });
+  response += `\n❌ CONS:\n`;
+  healthAnalysis.cons.forEach(con => {
+    response += `• ${con}\n`;
+  });
+  
+  // Add recommendations if any
+  if (healthAnalysis.recommendations && healthAnalysis.recommendations.length > 0) {
+    response += `\n💡 SUGGESTIONS:\n`;
+    healthAnalysis.recommendations.forEach(rec => {
+      response += `• ${rec}\n`;
+    });
+  }
+  
+  response += `\n${healthAnalysis.overallRecommendation}`;
+  
+  return response;
+}
+
+async function formatScanOnlyResponse(nutritionData, analysisResult, userPhone) {
+  // Get user profile for personalized analysis
+  let userProfile = {};
+  try {
+    const profileDoc = await userService.getUserProfile(userPhone);
+    if (profileDoc) {
+      userProfile = profileDoc;
+    }
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+  }
+  
+  // Check if we have harmful ingredients for enhanced formatting
+  if (nutritionData.harmfulIngredients && nutritionData.harmfulIngredients.length > 0) {
+    // Track the scan
+    const trackingResult = await toxinTracker.trackScan(userPhone, {
+      harmfulIngredients: nutritionData.harmfulIngredients,
+      nutritionData: nutritionData
+    }, timezoneOf(userProfile));
+    
+    // Add tracking data to user profile
+    userProfile.todayScans = trackingResult.todayScans;
+    userProfile.cleanScans = trackingResult.cleanScans;
+    userProfile.toxicScans = trackingResult.toxicScans;
+    userProfile.cleanStreak = trackingResult.cleanStreak;
+    
+    // Use BRUTAL ANALYZER for scan-only responses too
+    let enhancedResponse = await brutalAnalyzer.analyzeFoodWithBrutalHonesty({
+      name: nutritionData.name,
+      harmfulIngredients: nutritionData.harmfulIngredients,
+      processingLevel: nutritionData.processingLevel || 'processed'
+    }, userProfile);
+    
+    // Add confirmation prompt
+    enhancedResponse += `\n\n📝 TO LOG THIS FOOD:\n`;
+    enhancedResponse += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+    enhancedResponse += `Say "Yes" or type: add_food\n`;
+    enhancedResponse += `To correct: add_food [correct name]\n`;
+    enhancedResponse += `━━━━━━━━━━━━━━━━━━━━━━━━`;
+    
+    return enhancedResponse;
+  }
+  
+  // For clean foods, track and use clean format
+  const trackingResult = await toxinTracker.trackScan(userPhone, {
+    harmfulIngredients: [],
+    nutritionData: nutritionData
+  }, timezoneOf(userProfile));
+  
+  if (!nutritionData.harmfulIngredients || nutritionData.harmfulIngredients.length === 0) {
+    let cleanResponse = enhancedFormatter.formatCleanFoodResponse({
+      nutritionData: nutritionData
+    });
+    
+    // Add confirmation prompt
+    cleanResponse += `\n\n📝 TO LOG THIS FOOD:\n`;
+    cleanResponse += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+    cleanResponse += `Say "Yes" or type: add_food\n`;
+    cleanResponse += `To correct: add_food [correct name]\n`;
+    cleanResponse += `━━━━━━━━━━━━━━━━━━━━━━━━`;
+    
+    return cleanResponse;
+  }
+  
+  // Fallback to original format
+  let response = `🔍 FOOD DETECTED: ${nutritionData.name || 'Food item'}\n\n`;
+  response += `📊 Nutrition Facts:\n`;
+  response += `• Calories: ${nutritionData.calories}\n`;
+  response += `• Protein: ${nutritionData.protein}g\n`;
+  response += `• Carbs: ${nutritionData.carbs}g\n`;
+  response += `• Fat: ${nutritionData.fat}g\n`;
+  
+  if (analysisResult.healthAnalysis) {
+    response += `\n${analysisResult.healthAnalysis}`;
+  }
+  
+  // Clear confirmation prompt with tool commands
+  response += `\n\n📝 TO LOG THIS FOOD:\n\n`;
+  response += `Is "${nutritionData.name}" correct?\n\n`;
+  response += `✅ IF CORRECT:\n`;
+  response += `• Say "Yes" to add it to your log\n`;
+  response += `• Or type: add_food\n\n`;
+  response += `❌ IF WRONG:\n`;
+  response += `• Type: add_food\n`;
+  response += `• Then describe the correct food\n`;
+  response += `• Example: "add_food" → "2 idli with sambar"\n\n`;
+  response += `🔄 Or type: scan_food to try scanning again\n\n`;
+  response += `🤖 ALL AVAILABLE COMMANDS:\n`;
+  response += `• add_food - Log food (text or corrected name)\n`;
+  response += `• scan_food - Scan with camera\n`;
+  response += `• list_today_foods - See today's log\n`;
+  response += `• remove_food - Delete logged items\n`;
+  response += `• get_progress - Check daily targets\n`;
+  response += `• get_weekly_analysis - AI insights\n\n`;
+  response += `💡 Just type the command name!`;
+  
+  return response;
+}
+
+// Machine-readable counterpart of formatProgressResponse. Remaining calories are against the
+// day's budget - the target plus logged exercise
+function formatProgressOutput(progress, profile, { weightTrend = null, exercise = null } = {}) {
+  const totals = roundTotals(progress.totals);
+  const targets = toTargetsOutput(profile);
+  const budget = { ...targets, calories: exercise ? exercise.budget : targets.calories };
+  const remaining = {};
+  Object.keys(targets).forEach(key => {
+    remaining[key] = roundNutrient(key, Math.max(0, budget[key] - totals[key]));
+  });
+  
+  return {
+    date: progress.date,
+    totals,
+    targets,
+    remaining,
+    calories_percent: budget.calories > 0 ? Math.round((totals.calories / budget.calories) * 100) : 0,
+    foods: toFoodEntriesOutput(progress.foods),
+    meals: toMealsOutput(progress.meals),
+    micronutrients: summarizeMicronutrients(progress.foods, calculateMicronutrientTargets(profile)),
+    ...(weightTrend && { weight_trend: toWeightTrendOutput(weightTrend) }),
+    ...(exercise && exercise.activities.length > 0 && { exercise: toExerciseOutput(exercise) })
+  };
+}
+
+// "Sodium: 2300mg / 2000mg limit (115%) ⚠️ - from 2 of 3 foods"
+function formatMicronutrientLine(row, foodCount) {
+  const isLimit = row.goal === GOALS.AT_MOST;
+  let line = `${row.label}: ${row.amount}${row.unit} / ${row.target}${row.unit} ${isLimit ? 'limit' : 'goal'} (${row.percent}%)`;
+  if (isLimit && row.amount > row.target) line += ' ⚠️';
+  if (!isLimit && row.amount >= row.target) line += ' ✅';
+  if (row.foods_with_data < foodCount) line += ` - from ${row.foods_with_data} of ${foodCount} foods`;
+  return line;
+}
+
+function formatProgressResponse(progress, profile, { weightTrend = null, exercise = null } = {}) {
+  const budget = exercise ? exercise.budget : profile.calorie_target;
+  const targets = {
+    calories: profile.calorie_target,
+    protein: profile.protein_target,
+    carbs: profile.carb_target,
+    fat: profile.fat_target
+  };
+  
+  const totals = roundTotals(progress.totals);
+  const remaining = roundTotals({
+    calories: Math.max(0, budget - totals.calories),
+    protein: Math.max(0, targets.protein - totals.protein),
+    carbs: Math.max(0, targets.carbs - totals.carbs),
+    fat: Math.max(0, targets.fat - totals.fat)
+  });
+  
+  const percentageConsumed = budget > 0 ? 
+    Math.round((totals.calories / budget) * 100) : 0;
+  
+  let response = `📊 DAILY PROGRESS (${progress.date})\n\n`;
+  response += `🎯 TARGETS vs 🍽️ CONSUMED:\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `Calories:\n`;
+  response += `  • Target: ${targets.calories} cal\n`;
+  if (exercise && exercise.activities.length > 0) {
+    response += `  • Exercise: ${exercise.activities.map(describeActivity).join(', ')} - ${describeBurn(exercise)}\n`;
+    if (exercise.added > 0) response += `  • Budget with exercise: ${budget} cal\n`;
+  }
+  response += `  • Consumed: ${totals.calories} cal (${percentageConsumed}%)\n`;
+  response += `  • Remaining: ${remaining.calories} cal\n\n`;
+  
+  response += `Protein: ${totals.protein}g consumed / ${targets.protein}g target\n`;
+  response += `Carbs: ${totals.carbs}g consumed / ${targets.carbs}g target\n`;
+  response += `Fat: ${totals.fat}g consumed / ${targets.fat}g target\n\n`;
+  
+  // Only what the day's lookups reported - the rest are named so a gap isn't read as zero
+  if (progress.foods.length > 0) {
+    const micronutrients = summarizeMicronutrients(progress.foods, calculateMicronutrientTargets(profile));
+    const tracked = micronutrients.filter(row => row.foods_with_data > 0);
+    const missing = micronutrients.filter(row => row.foods_with_data === 0);
+    
+    response += `🔬 MICRONUTRIENTS:\n`;
+    tracked.forEach(row => {
+      response += `${formatMicronutrientLine(row, progress.foods.length)}\n`;
+    });
+    if (missing.length > 0) {
+      response += `❔ No data yet: ${missing.map(row => row.label).join(', ')}\n`;
+    }
+    response += `\n`;
+  }
+  
+  if (weightTrend) {
+    response += `⚖️ WEIGHT TREND:\n`;
+    describeWeightTrend(weightTrend).forEach(line => {
+      response += `${line}\n`;
+    });
+    response += `\n`;
+  }
+  
+  const isToday = progress.date === getToday(timezoneOf(profile));
+  if (progress.foods.length > 0) {
+    response += isToday ? `🍽️ TODAY'S MEALS (${progress.foods.length} items):\n` : `🍽️ MEALS (${progress.foods.length} items):\n`;
+    let itemNumber = 0;
+    progress.meals.forEach(meal => {
+      response += `${MEAL_LABELS[meal.meal_type]} - ${meal.totals.calories} cal\n`;
+      meal.foods.forEach(food => {
+        itemNumber++;
+        response += `  ${itemNumber}. ${food.name} (${food.calories} cal)\n`;
+      });
+    });
+  } else {
+    response += isToday ? `📝 No foods logged today yet.\n` : `📝 Nothing was logged that day.\n`;
+    response += `💡 Start tracking by saying "I ate..." or uploading a food photo!\n`;
+  }
+  
+  response += `\n✨ What would you like to do next?\n`;
+  response += `• Track another meal\n`;
+  response += `• View today's detailed food diary\n`;
+  response += `• Get your weekly health insights\n`;
+  if (!weightTrend) response += `• Log your weight to see your trend\n`;
+  response += `• Export your nutrition data\n\n`;
+  response += `💪 Keep going! You're doing great!`;
+  
+  return response;
+}
+
+const tools = [
+  {
+    name: 'scan_food',
+    description: 'Analyze food for nutrition info, ingredients, and health warnings without logging',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        input: {
+          type: 'string',
+          description: 'Base64 image, text description, or leave empty for barcode'
+        },
+        puch_image_data: {
+          type: 'string',
+          description: 'Base64 image data from Puch AI'
+        },
+        type: {
+          type: 'string',
+          enum: ['image', 'text', 'barcode'],
+          description: 'Type of input'
+        },
+        barcode: {
+          type: 'string',
+          description: 'Product barcode (8-13 digits) for barcode type'
+        },
+        food_suggestion: {
+          type: 'string',
+          description: 'Food name suggested by Puch AI when image cannot be processed'
+        },
+        ...CONTEXT_PROPERTIES
+      },
+      required: []
+    },
+    rateLimiter: rateLimiters.scanFood,
+    acceptsImage: true,
+    responseType: 'scan_food',
+    outputSchema: FOOD_RESULT_SCHEMA,
+    mutates: true,
+    handler: handleScanFood
+  },
+  {
+    name: 'scan_and_add_food',
+    description: 'Scan food and automatically add it to daily intake (combines scan + add) - today, or an earlier day via date',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        input: {
+          type: 'string',
+          description: 'Base64 image or text description'
+        },
+        puch_image_data: {
+          type: 'string',
+          description: 'Base64 image data from Puch AI'
+        },
+        type: {
+          type: 'string',
+          enum: ['image', 'text'],
+          description: 'Type of input'
+        },
+        food_name: {
+          type: 'string',
+          description: 'Food name if Puch AI already detected it (e.g., "paneer tikka")'
+        },
+        auto_add: {
+          type: 'boolean',
+          description: 'Automatically add to daily log (default: true)'
+        },
+        date: DATE_PROPERTY,
+        meal_type: MEAL_TYPE_PROPERTY
+      },
+      required: ['type']
+    },
+    outputSchema: FOOD_RESULT_SCHEMA,
+    mutates: true,
+    handler: handleScanAndAddFood
+  },
+  {
+    name: 'add_food',
+    description: 'Log food entry to daily intake with health analysis - today, or an earlier day via date (e.g. "yesterday")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        input: {
+          type: 'string',
+          description: 'Base64 image, text description (several foods are logged one by one, e.g. "2 roti, dal and rice"), or leave empty for barcode/quick_add'
+        },
+        puch_image_data: {
+          type: 'string',
+          description: 'Base64 image data from Puch AI'
+        },
+        type: {
+          type: 'string',
+          enum: ['image', 'text', 'barcode'],
+          description: 'Type of input (not needed for quick_add)'
+        },
+        barcode: {
+          type: 'string',
+          description: 'Product barcode (8-13 digits) for barcode type'
+        },
+        quick_add: {
+          type: 'string',
+          description: 'Quick-add ID from previous scan_food result'
+        },
+        confirm_analysis_id: {
+          type: 'string',
+          description: 'ID from multi-item detection to confirm'
+        },
+        user_corrections: {
+          type: 'string',
+          description: 'User corrections for multi-item detection'
+        },
+        date: DATE_PROPERTY,
+        meal_type: MEAL_TYPE_PROPERTY,
+        ...CONTEXT_PROPERTIES
+      },
+      required: []
+    },
+    acceptsImage: true,
+    outputSchema: FOOD_RESULT_SCHEMA,
+    mutates: true,
+    handler: handleAddFood
+  },
+  {
+    name: 'list_foods',
+    description: 'List the foods logged on a day (today, yesterday or any past date) with detailed nutrition info',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        date: { ...DATE_PROPERTY, description: 'Day to show - YYYY-MM-DD, "today", "yesterday" or "3 days ago" (defaults to today)' }
+      },
+      required: []
+    },
+    outputSchema: FOOD_LOG_SCHEMA,
+    handler: handleListFoods
+  },
+  {
+    name: 'list_today_foods',
+    description: 'List all foods eaten today with detailed nutrition info',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: FOOD_LOG_SCHEMA,
+    handler: handleListFoods
+  },
+  {
+    name: 'remove_food',
+    description: 'Remove a food item from today\'s log, or an earlier day\'s',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        entry_id: {
+          type: 'string',
+          description: 'Id of the logged food to remove (shown by list_foods, e.g. "a1b2c3d4")'
+        },
+        food_name: {
+          type: 'string',
+          description: 'Name of the food to remove (e.g., "paneer tikka")'
+        },
+        date: LOOKUP_DATE_PROPERTY
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        removed: { type: 'boolean' },
+        date: { type: 'string', description: 'Day the food was removed from' },
+        food: FOOD_ENTRY_SCHEMA,
+        totals: { ...MACROS_SCHEMA, description: 'Daily totals after removal' },
+        targets: MACROS_SCHEMA,
+        remaining_count: { type: 'integer', description: 'Items left in that day\'s log' },
+        matches: { type: 'array', items: FOOD_ENTRY_SCHEMA, description: 'Foods the name fits when it\'s more than one - send one\'s id as entry_id' }
+      },
+      required: ['removed', 'remaining_count']
+    },
+    mutates: true,
+    handler: handleRemoveFood
+  },
+  {
+    name: 'edit_food',
+    description: 'Correct a logged food - the amount ("it was 3 rotis, not 2"), what it was, its nutrients or which meal it belongs to. Totals are updated for that day.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        entry_id: {
+          type: 'string',
+          description: 'Id of the logged food to edit (shown by list_today_foods, e.g. "a1b2c3d4") - works for past days too'
+        },
+        food_name: {
+          type: 'string',
+          description: 'Name of the food to edit if no id is given (e.g., "roti")'
+        },
+        date: LOOKUP_DATE_PROPERTY,
+        quantity: {
+          type: 'number',
+          minimum: 0.1,
+          maximum: 100,
+          description: 'How much was actually eaten, in the unit it was logged with (e.g., 3 for 3 rotis). Nutrients are rescaled from the original lookup'
+        },
+        name: {
+          type: 'string',
+          maxLength: 100,
+          description: 'Correct food name - the food is looked up again unless nutrients are given too'
+        },
+        nutrients: {
+          type: 'object',
+          description: 'Exact values to use instead (e.g., from the label)',
+          properties: NUTRIENT_PROPERTIES
+        },
+        meal_type: { ...MEAL_TYPE_PROPERTY, description: 'Move the food to another meal' }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        updated: { type: 'boolean' },
+        date: { type: 'string', description: 'Day the food was logged on' },
+        food: FOOD_ENTRY_SCHEMA,
+        previous: { ...FOOD_ENTRY_SCHEMA, description: 'The entry before the edit' },
+        totals: { ...MACROS_SCHEMA, description: 'That day\'s totals after the edit' },
+        targets: MACROS_SCHEMA,
+        harmful_ingredients: { type: 'array', items: { type: 'string' } },
+        matches: { type: 'array', items: FOOD_ENTRY_SCHEMA, description: 'Foods the name fits when it\'s more than one - send one\'s id as entry_id' }
+      },
+      required: ['updated']
+    },
+    mutates: true,
+    handler: handleEditFood
+  },
+  {
+    name: 'get_progress',
+    description: 'Get daily nutrition progress',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        date: {
+          type: 'string',
+          description: 'Date in YYYY-MM-DD format, or "yesterday" / "3 days ago" (defaults to today)'
+        }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string' },
+        totals: MACROS_SCHEMA,
+        targets: MACROS_SCHEMA,
+        remaining: { ...MACROS_SCHEMA, description: 'Calories are against the budget with exercise added' },
+        calories_percent: { type: 'integer', description: 'Share of the day\'s calorie budget consumed' },
+        foods: { type: 'array', items: FOOD_ENTRY_SCHEMA },
+        meals: { type: 'array', items: MEAL_SUMMARY_SCHEMA, description: 'Subtotals per meal, in meal order' },
+        micronutrients: {
+          type: 'array',
+          items: MICRONUTRIENT_SCHEMA,
+          description: 'Fiber, sugar, sodium, vitamins and minerals against ICMR-based targets'
+        },
+        weight_trend: { ...WEIGHT_TREND_SCHEMA, description: 'Missing until the first log_weight' },
+        exercise: { ...EXERCISE_SCHEMA, description: 'The day\'s workouts from log_activity - missing when there are none' }
+      },
+      required: ['date', 'totals', 'targets', 'remaining', 'foods', 'meals', 'micronutrients']
+    },
+    handler: handleGetProgress
+  }
+];
+
+module.exports = {
+  tools,
+  handleScanFood,
+  handleScanAndAddFood,
+  handleAddFood,
+  handleListFoods,
+  handleRemoveFood,
+  handleEditFood,
+  handleGetProgress,
+  formatProgressResponse,
+  formatProgressOutput,
+  // Shared with the other food-log tools (favoritesHandlers, customFoodsHandlers)
+  DATE_PROPERTY,
+  MEAL_TYPE_PROPERTY,
+  NUTRIENT_PROPERTIES,
+  FOOD_RESULT_SCHEMA,
+  resolveLogDate,
+  formatDayLabel
+};
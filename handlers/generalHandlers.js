@@ -0,0 +1,354 @@
+const userService = require('../services/userService');
+const { validateToken } = require('../lib/simple-security');
+const toolRegistry = require('../lib/toolRegistry');
+const { getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const { structuredResult } = require('../lib/toolOutput');
+
+async function handleCommands(args, req) {
+  const commands = toolRegistry.list().map(({ name, description }) => ({ name, description }));
+  
+  return structuredResult(`📱 SCANLYF COMMANDS REFERENCE
+
+🔐 AUTHENTICATION
+• validate - Connect to Scanlyf
+• setup_profile - Set up your health profile
+• set_targets - See how your targets are worked out, change your goal, or set your own (e.g., "protein 120g")
+
+🍽️ FOOD TRACKING
+• add_food - Log food by text description (add "yesterday" to log for an earlier day)
+  Household measures work too: "1 katori dal", "2 rotis", "half plate biryani", "2 tbsp ghee"
+  Several foods at once are logged one by one: "2 roti, dal and a glass of chaas"
+  Hindi and regional names are fine: "anda bhurji", "dahi", "thayir sadam", "pohe"
+• scan_food - Scan food with camera (shows ingredients!)
+• list_today_foods - See everything you ate today, meal by meal
+  ⚠️ marks estimates - foods no database knew well - so you know what to double-check
+• list_foods - See any day's log (e.g., list_foods yesterday)
+• remove_food - Delete a logged item by id or name (e.g., remove_food a1b2c3d4)
+• edit_food - Fix a logged item's amount, name, nutrients or meal (e.g., "it was 3 rotis, not 2")
+
+⭐ FAVORITES & REPEATS
+• save_favorite - Save something you eat often (e.g., "save that as morning chai")
+• list_favorites - Your favorites and recent foods, numbered
+• log_favorite - Log a favorite or recent food instantly (e.g., "log favorite 1")
+• copy_meal - Repeat a meal or a whole day (e.g., "same breakfast as yesterday")
+• remove_favorite - Delete a favorite
+
+📒 MY FOODS & RECIPES
+• create_custom_food - Save a food with your own numbers (e.g., "mom's poha, 250 cal per bowl")
+• create_recipe - Save a home recipe from its ingredients and servings
+• list_custom_foods - Your custom foods and recipes, numbered
+• edit_custom_food / delete_custom_food - Fix or remove one
+
+📊 PROGRESS & INSIGHTS
+• get_progress - Check daily nutrition vs targets, with fiber, sodium, iron, calcium & more
+• log_weight - Log a weigh-in - see your smoothed trend, and your targets follow your weight
+• log_measurements - Log waist, hips, body fat % and more, with the change since last time
+• log_activity - Log a workout (e.g., "ran 10 km", "45 min yoga") - calories burned go on top of the day's budget
+• get_weekly_analysis - AI-powered health analysis with 5 experts
+• get_toxin_summary - View your toxin tracking & clean streak
+• get_personalization - View your eating patterns
+
+🎯 PLANNING & EXPORT
+• generate_meal_plan - Get personalized meal suggestions
+• export_data - Export nutrition data (CSV/PDF/Excel)
+
+🎮 GAMIFICATION
+• get_leaderboard - View community rankings
+• check_balance - Check ScanlyfCoins
+• view_rewards - See available rewards
+
+🔧 ADVANCED
+• configure_webhook - Set up notifications
+• commands - Show this help (you're here!)
+
+💡 USAGE TIPS:
+• Just type the command name to use it
+• For corrections: Use add_food with correct name
+• Scan_food shows harmful ingredients in products!
+
+🧪 INGREDIENT ANALYSIS:
+When you scan packaged foods, I'll show:
+• All ingredients with E-numbers decoded
+• Harmful additives highlighted in red
+• Health risks based on your conditions
+• Better alternatives suggestions
+
+Type any command to get started!`, { commands });
+}
+
+// Structured validate result when we fall back to the configured test phone
+function unauthenticatedValidation() {
+  return {
+    connected: true,
+    authenticated: false,
+    phone: process.env.TEST_PHONE ? process.env.TEST_PHONE.replace(/^\+/, '') : null
+  };
+}
+
+async function handleValidate(args, req) {
+  // Use standardized Puch AI compatible token extraction
+  const token = getTokenFromRequest(args, req);
+  
+  if (!token) {
+    // For Puch AI, return default phone number when no token
+    return structuredResult(`✅ Connected to Scanlyf!
+
+🤖 AVAILABLE COMMANDS:
+• setup_profile - Set up your health profile
+• add_food - Log what you ate (text)
+• scan_food - Scan food with camera
+• list_today_foods - See everything you ate today
+• remove_food - Delete logged items
+• get_progress - Check daily targets
+• get_weekly_analysis - Get AI health insights
+• generate_meal_plan - Get meal suggestions
+• export_data - Export nutrition data
+
+💡 Start by typing: setup_profile
+
+Phone: ${(process.env.TEST_PHONE || 'Not configured').replace(/^\+/, '')}`, unauthenticatedValidation());
+  }
+  
+  // Try to validate the token and return the phone number
+  try {
+    const phone = await validateToken(token);
+    if (phone) {
+      // Return phone number without + sign
+      const cleanPhone = phone.replace(/^\+/, '');
+      return structuredResult(`✅ Connected to Scanlyf!
+
+🤖 AVAILABLE COMMANDS:
+• setup_profile - Set up your health profile
+• add_food - Log what you ate (text)
+• scan_food - Scan food with camera
+• list_today_foods - See everything you ate today
+• remove_food - Delete logged items
+• get_progress - Check daily targets
+• get_weekly_analysis - Get AI health insights
+• generate_meal_plan - Get meal suggestions
+• export_data - Export nutrition data
+
+💡 Type any command to get started!
+
+Phone: ${cleanPhone}`, {
+        connected: true,
+        authenticated: true,
+        phone: cleanPhone
+      });
+    }
+  } catch (err) {
+    // Fall back to fixed phone number for Puch AI compatibility
+    console.log('Token validation failed, using default phone:', err.message);
+  }
+  
+  // Default return for Puch AI
+  return structuredResult(`✅ Connected to Scanlyf!
+
+🤖 AVAILABLE COMMANDS:
+• setup_profile - Set up your health profile
+• add_food - Log what you ate (text)
+• scan_food - Scan food with camera
+• list_today_foods - See everything you ate today
+• remove_food - Delete logged items
+• get_progress - Check daily targets
+• get_weekly_analysis - Get AI health insights
+• generate_meal_plan - Get meal suggestions
+• export_data - Export nutrition data
+
+💡 Start by typing: setup_profile
+
+Phone: ${(process.env.TEST_PHONE || 'Not configured').replace(/^\+/, '')}`, unauthenticatedValidation());
+}
+
+async function handleHello(args, req) {
+  const { name = 'there' } = args;
+  
+  // Check if user has a profile
+  const token = getTokenFromRequest(args, req);
+  let hasProfile = false;
+  let phone = null;
+  
+  try {
+    if (token) {
+      phone = await getUserIdentifier({ bearer_token: token }, req);
+      const profile = await userService.getProfile(phone);
+      hasProfile = !!profile;
+    }
+  } catch (e) {
+    // Ignore errors, just means no profile
+  }
+  
+  if (!hasProfile) {
+    return structuredResult(`Hello ${name}! Welcome to Scanlyf - your AI nutrition assistant! 🍎
+
+I'm here to help you track your nutrition and reach your health goals.
+
+To get started, please tell me about yourself:
+- Your name
+- Age
+- Weight (in kg)
+- Height (in cm)
+- Gender
+- Any health conditions
+
+For example: "My name is Raj, I'm 30 years old, 70 kg, 175 cm tall, male, no health conditions"
+
+Or simply say: "Set up my profile"`, { has_profile: false });
+  } else {
+    return structuredResult(`Welcome back ${name}! 👋
+
+Here's what I can help you with today:
+📱 "I ate 2 chapati with dal" - Track your meals
+📸 "Scan this food" (with image) - Analyze food photos
+📊 "Show my progress" - See today's nutrition
+📅 "Weekly analysis" - Get AI health insights
+🥗 "Create meal plan" - Get personalized meals
+
+What would you like to do?`, { has_profile: true });
+  }
+}
+
+async function handleAbout(args, req) {
+  return structuredResult(`🍎 SCANLYF - AI Nutrition That Exposes Truth
+
+📱 TAGLINE:
+AI-powered nutrition tracking that exposes harmful ingredients and helps you eat cleaner.
+
+✨ KEY FEATURES:
+• 📸 Scan food via camera or barcode
+• 🚨 Harmful ingredient detection with brutal honesty
+• 🤖 AI health insights from 5 expert agents
+• 📊 Personalized nutrition tracking
+• 🎯 Health condition-specific warnings
+
+🏆 LEADERBOARD:
+• Weekly clean eating rankings
+• Daily consistency tracking
+• Progress visualization
+• Community competition
+
+💰 REWARDS:
+• Earn ScanlyfCoins for daily tracking
+• Bonus coins for clean eating streaks
+• Redeem for health products & discounts
+• Achievement badges & milestones
+
+🔬 WHAT MAKES US DIFFERENT:
+• No sugar-coating - brutal truth about ingredients
+• Personalized warnings based on YOUR health
+• Multi-agent AI analysis (nutritionist, psychologist, coach)
+• Real-time toxin exposure tracking
+
+💡 START NOW: Type "setup_profile" to begin!
+
+🌐 WEB: scanlyf.com/start`, {
+    name: 'Scanlyf',
+    tagline: 'AI-powered nutrition tracking that exposes harmful ingredients and helps you eat cleaner.',
+    website: 'https://scanlyf.com/start'
+  });
+}
+
+const tools = [
+  {
+    name: 'validate',
+    description: 'Validate bearer token and return phone number',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        token: {
+          type: 'string',
+          description: 'Token for validation (defaults to the Authorization header)'
+        },
+        bearer_token: { type: 'string', description: 'Bearer token for authentication' }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        connected: { type: 'boolean' },
+        authenticated: { type: 'boolean', description: 'Whether the token resolved to a user' },
+        phone: { type: ['string', 'null'] }
+      },
+      required: ['connected', 'authenticated']
+    },
+    handler: handleValidate
+  },
+  {
+    name: 'hello',
+    description: 'Say hello to the user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name to greet'
+        },
+        bearer_token: { type: 'string', description: 'Bearer token for authentication' }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        has_profile: { type: 'boolean' }
+      },
+      required: ['has_profile']
+    },
+    handler: handleHello
+  },
+  {
+    name: 'commands',
+    description: 'List all available Scanlyf commands with descriptions',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        commands: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              description: { type: 'string' }
+            },
+            required: ['name']
+          }
+        }
+      },
+      required: ['commands']
+    },
+    handler: handleCommands
+  },
+  {
+    name: 'about',
+    description: 'Learn about Scanlyf features, rewards, and leaderboard',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        tagline: { type: 'string' },
+        website: { type: 'string' }
+      },
+      required: ['name']
+    },
+    handler: handleAbout
+  }
+];
+
+module.exports = {
+  tools,
+  handleValidate,
+  handleHello,
+  handleCommands,
+  handleAbout
+};
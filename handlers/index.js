@@ -0,0 +1,36 @@
+const toolRegistry = require('../lib/toolRegistry');
+const resourceRegistry = require('../lib/resourceRegistry');
+const promptRegistry = require('../lib/promptRegistry');
+
+/**
+ * MCP capability definitions
+ * Tool order here is the order clients see in tools/list
+ */
+const tools = [
+  ...require('./generalHandlers').tools,
+  ...require('./profileHandlers').tools,
+  ...require('./bodyHandlers').tools,
+  ...require('./activityHandlers').tools,
+  ...require('./foodHandlers').tools,
+  ...require('./favoritesHandlers').tools,
+  ...require('./customFoodsHandlers').tools,
+  ...require('./rewardsHandlers').tools,
+  ...require('./insightsHandlers').tools
+];
+
+const { resources } = require('./resourceHandlers');
+const { prompts } = require('./promptHandlers');
+
+// Register everything with the shared registries - used by server.js and stdio.js
+function registerAll() {
+  toolRegistry.registerAll(tools);
+  resourceRegistry.registerAll(resources);
+  promptRegistry.registerAll(prompts);
+}
+
+module.exports = {
+  tools,
+  resources,
+  prompts,
+  registerAll
+};
@@ -0,0 +1,432 @@
+const weeklyAnalysisCrew = require('../services/weeklyAnalysisCrew');
+const mealPlanningService = require('../services/mealPlanningService');
+const exportService = require('../services/exportService');
+const webhookService = require('../services/webhookService');
+const { rateLimiters } = require('../lib/simple-security');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const { structuredResult, MACROS_SCHEMA, WEIGHT_TREND_SCHEMA, toMacrosOutput, toWeightTrendOutput } = require('../lib/toolOutput');
+
+async function handleGenerateMealPlan(args, req, { signal, sendProgress } = {}) {
+  const { puch_user_id, bearer_token, duration_days = 7, meal_count = 3, include_snacks = true, exclude_ingredients = [] } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Generate meal plan
+  const mealPlan = await mealPlanningService.generateMealPlan(phone, {
+    duration: duration_days,
+    mealCount: meal_count,
+    includeSnacks: include_snacks,
+    excludeIngredients: exclude_ingredients,
+    signal,
+    onProgress: sendProgress
+  });
+  
+  // Format response
+  let response = `🍱 PERSONALIZED MEAL PLAN\n\n`;
+  response += `Duration: ${duration_days} days\n`;
+  response += `Meals per day: ${meal_count}${include_snacks ? ' + snacks' : ''}\n\n`;
+  
+  // Show first 3 days
+  mealPlan.days.slice(0, 3).forEach(day => {
+    response += `📅 ${day.date}\n`;
+    day.meals.forEach(meal => {
+      response += `• ${meal.type}: ${meal.name}\n`;
+      response += `  ${meal.nutrition.calories} cal | ${meal.nutrition.protein}g protein\n`;
+    });
+    response += `Daily Total: ${day.totals.calories} calories\n\n`;
+  });
+  
+  if (duration_days > 3) {
+    response += `... and ${duration_days - 3} more days in your plan!\n\n`;
+  }
+  
+  response += `💡 All meals are personalized for your health conditions and goals.`;
+  
+  // Chat text previews 3 days, structured output carries the whole plan
+  return structuredResult(response, {
+    plan_id: mealPlan.id,
+    start_date: mealPlan.start_date,
+    duration_days: mealPlan.duration_days,
+    daily_targets: toMacrosOutput(mealPlan.daily_targets),
+    days: mealPlan.days.map(day => ({
+      date: day.date,
+      meals: day.meals.map(meal => ({
+        type: meal.type,
+        name: meal.name,
+        ...toMacrosOutput(meal.nutrition)
+      })),
+      totals: toMacrosOutput(day.totals)
+    }))
+  });
+}
+
+async function handleGetWeeklyAnalysis(args, req, { signal, sendProgress } = {}) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Run weekly analysis
+  const analysis = await weeklyAnalysisCrew.runWeeklyAnalysis(phone, { signal, onProgress: sendProgress });
+  
+  if (!analysis.success) {
+    throw new Error('Failed to generate weekly analysis');
+  }
+  
+  // Format response
+  let response = analysis.analysis.executiveSummary;
+  
+  // Add key findings
+  if (analysis.analysis.keyFindings.length > 0) {
+    response += `\n\n🔍 KEY FINDINGS:\n`;
+    analysis.analysis.keyFindings.slice(0, 5).forEach((finding, i) => {
+      response += `${i + 1}. ${finding.message || finding}\n`;
+    });
+  }
+  
+  // Add recommendations
+  if (analysis.analysis.recommendations.length > 0) {
+    response += `\n\n💡 TOP RECOMMENDATIONS:\n`;
+    analysis.analysis.recommendations.slice(0, 3).forEach((rec, i) => {
+      response += `${i + 1}. ${rec.title || rec}\n`;
+      if (rec.description) {
+        response += `   ${rec.description}\n`;
+      }
+    });
+  }
+  
+  // Add urgent actions
+  if (analysis.analysis.urgentActions.length > 0) {
+    response += `\n\n🚨 URGENT ACTIONS:\n`;
+    analysis.analysis.urgentActions.forEach(action => {
+      response += `• ${action.action || action}\n`;
+    });
+  }
+  
+  response += `\n\n🤖 MORE COMMANDS:\n`;
+  response += `• add_food - Log your meals\n`;
+  response += `• scan_food - Scan food with camera\n`;
+  response += `• get_progress - Check today's intake\n`;
+  response += `• generate_meal_plan - Get personalized meal suggestions\n`;
+  response += `• export_data - Export your health data\n\n`;
+  response += `💡 Type any command to use it!`;
+  
+  return structuredResult(response, {
+    executive_summary: analysis.analysis.executiveSummary,
+    key_findings: analysis.analysis.keyFindings.slice(0, 5).map(finding => finding.message || String(finding)),
+    recommendations: analysis.analysis.recommendations.slice(0, 3).map(rec => ({
+      title: rec.title || String(rec),
+      ...(rec.description && { description: rec.description })
+    })),
+    urgent_actions: analysis.analysis.urgentActions.map(action => action.action || String(action)),
+    estimated_foods: analysis.analysis.estimatedFoods.map(food => ({
+      id: String(food.id),
+      date: food.date,
+      name: food.name,
+      calories: food.calories,
+      ...(food.nutrition_source && { nutrition_source: food.nutrition_source }),
+      ...(food.confidence_note && { confidence_note: food.confidence_note })
+    })),
+    ...(analysis.analysis.weightTrend && { weight_trend: toWeightTrendOutput(analysis.analysis.weightTrend) })
+  });
+}
+
+async function handleExportData(args, req) {
+  const { puch_user_id, bearer_token, format, date_range = 'month', include_insights = true } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Export data
+  const exportResult = await exportService.exportUserData(phone, {
+    format,
+    dateRange: date_range,
+    includeInsights: include_insights
+  });
+  
+  const exportOutput = {
+    format,
+    date_range,
+    filename: exportResult.filename,
+    content_type: exportResult.contentType
+  };
+  
+  if (exportResult.format === 'json') {
+    return structuredResult(`📊 Data exported successfully!\n\n${JSON.stringify(exportResult.data, null, 2).slice(0, 500)}...\n\n[Full data truncated for display]`, exportOutput);
+  } else {
+    return structuredResult(`📊 Data exported successfully!\n\nFormat: ${format.toUpperCase()}\nRecords: ${exportResult.recordCount}\nDate Range: ${date_range}\n\nDownload URL: ${exportResult.downloadUrl || 'Available via API'}\n\nThe export includes:\n• Daily nutrition logs\n• Progress tracking\n• Health analysis\n• Your custom foods and recipes\n• Weight trend and body measurements\n${include_insights ? '• AI-generated insights' : ''}`, exportOutput);
+  }
+}
+
+async function handleConfigureWebhook(args, req) {
+  const { puch_user_id, bearer_token, webhook_url, events, enabled = true } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Validate webhook URL
+  if (!webhook_url.startsWith('https://')) {
+    throw new Error('Webhook URL must use HTTPS');
+  }
+  
+  // Configure webhook
+  const result = await webhookService.configureWebhook(phone, {
+    url: webhook_url,
+    events: events,
+    enabled: enabled
+  });
+  
+  // Format response
+  let response = `🔔 WEBHOOK CONFIGURATION\n\n`;
+  response += `Status: ${result.enabled ? '✅ Active' : '❌ Disabled'}\n`;
+  response += `URL: ${result.url}\n`;
+  response += `Events: ${result.events.join(', ')}\n\n`;
+  
+  if (result.testResult) {
+    response += `Test Result: ${result.testResult.success ? '✅ Success' : '❌ Failed'}\n`;
+    if (!result.testResult.success) {
+      response += `Error: ${result.testResult.error}\n`;
+    }
+  }
+  
+  response += `\nWebhook will receive:\n`;
+  response += `• Real-time health risk alerts\n`;
+  response += `• Goal achievement notifications\n`;
+  response += `• Weekly analysis summaries\n`;
+  response += `• Custom meal reminders\n\n`;
+  response += `All webhooks are signed with HMAC-SHA256 for security.`;
+  
+  return structuredResult(response, {
+    url: result.url,
+    events: result.events,
+    enabled: result.enabled,
+    ...(result.testResult && { test_succeeded: result.testResult.success })
+  });
+}
+
+const tools = [
+  {
+    name: 'generate_meal_plan',
+    description: 'Generate personalized meal plan based on health profile',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        duration_days: {
+          type: 'number',
+          enum: [1, 7, 14, 30],
+          description: 'Meal plan duration in days'
+        },
+        meal_count: {
+          type: 'number',
+          enum: [3, 4, 5],
+          description: 'Number of meals per day'
+        },
+        include_snacks: {
+          type: 'boolean',
+          description: 'Include healthy snacks in the plan'
+        },
+        exclude_ingredients: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Ingredients to exclude from meal plan'
+        }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        plan_id: { type: 'string' },
+        start_date: { type: 'string' },
+        duration_days: { type: 'integer' },
+        daily_targets: MACROS_SCHEMA,
+        days: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              date: { type: 'string' },
+              meals: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string' },
+                    name: { type: 'string' },
+                    ...MACROS_SCHEMA.properties
+                  },
+                  required: ['type', 'name', 'calories']
+                }
+              },
+              totals: MACROS_SCHEMA
+            },
+            required: ['date', 'meals', 'totals']
+          }
+        }
+      },
+      required: ['plan_id', 'days']
+    },
+    mutates: true,
+    handler: handleGenerateMealPlan
+  },
+  {
+    name: 'get_weekly_analysis',
+    description: 'Get AI-powered weekly health analysis from multiple expert agents',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    rateLimiter: rateLimiters.weeklyAnalysis,
+    outputSchema: {
+      type: 'object',
+      properties: {
+        executive_summary: { type: 'string' },
+        key_findings: { type: 'array', items: { type: 'string' } },
+        recommendations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' }
+            },
+            required: ['title']
+          }
+        },
+        urgent_actions: { type: 'array', items: { type: 'string' } },
+        estimated_foods: {
+          type: 'array',
+          description: 'Entries this week whose nutrition is a low-confidence match or a guess - worth checking with edit_food',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              date: { type: 'string' },
+              name: { type: 'string' },
+              calories: { type: 'number' },
+              nutrition_source: { type: 'string' },
+              confidence_note: { type: 'string' }
+            },
+            required: ['id', 'date', 'name', 'calories']
+          }
+        },
+        weight_trend: { ...WEIGHT_TREND_SCHEMA, description: 'Missing until the first log_weight' }
+      },
+      required: ['executive_summary', 'key_findings', 'recommendations', 'urgent_actions', 'estimated_foods']
+    },
+    safeMode: 'always',
+    handler: handleGetWeeklyAnalysis
+  },
+  {
+    name: 'export_data',
+    description: 'Export your nutrition data in various formats',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        format: {
+          type: 'string',
+          enum: ['json', 'csv', 'pdf', 'excel'],
+          description: 'Export format'
+        },
+        date_range: {
+          type: 'string',
+          enum: ['week', 'month', 'quarter', 'year', 'all'],
+          description: 'Date range to export'
+        },
+        include_insights: {
+          type: 'boolean',
+          description: 'Include AI-generated insights in export'
+        }
+      },
+      required: ['format']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string' },
+        date_range: { type: 'string' },
+        filename: { type: 'string' },
+        content_type: { type: 'string' }
+      },
+      required: ['format']
+    },
+    handler: handleExportData
+  },
+  {
+    name: 'configure_webhook',
+    description: 'Configure webhook for real-time notifications',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        webhook_url: {
+          type: 'string',
+          description: 'HTTPS URL to receive webhooks'
+        },
+        events: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['goal_achieved', 'health_risk', 'weekly_analysis', 'meal_reminder']
+          },
+          description: 'Events to subscribe to'
+        },
+        enabled: {
+          type: 'boolean',
+          description: 'Enable or disable webhook'
+        }
+      },
+      required: ['webhook_url', 'events']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string' },
+        events: { type: 'array', items: { type: 'string' } },
+        enabled: { type: 'boolean' },
+        test_succeeded: { type: 'boolean' }
+      },
+      required: ['url', 'events', 'enabled']
+    },
+    mutates: true,
+    handler: handleConfigureWebhook
+  }
+];
+
+module.exports = {
+  tools,
+  handleGenerateMealPlan,
+  handleGetWeeklyAnalysis,
+  handleExportData,
+  handleConfigureWebhook
+};
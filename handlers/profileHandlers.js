@@ -0,0 +1,580 @@
+const userService = require('../services/userService');
+const personalizationEngine = require('../services/personalizationEngine');
+const { parseProfileFromText } = require('../lib/userOnboarding');
+const { ACTIVITY_LEVELS, GOALS, RATES, goalOf, calculateDailyTargets, describeGoal } = require('../lib/dailyTargets');
+const { addsExerciseCalories } = require('../lib/activities');
+const { DEFAULT_TIMEZONE, normalizeTimezone } = require('../lib/dateHelper');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const { structuredResult, MACROS_SCHEMA, toTargetsOutput } = require('../lib/toolOutput');
+
+async function handleSetupProfile(args, req) {
+  const { puch_user_id, bearer_token, text, ...explicitData } = args;
+  
+  // Special handling for setup_profile with truncated puch_user_id
+  let phone;
+  try {
+    phone = await getUserIdentifier(args, req);
+  } catch (error) {
+    // If puch_user_id is truncated and no token, generate a unique ID from profile data
+    if (puch_user_id && puch_user_id.endsWith('...') && explicitData.name) {
+      const crypto = require('crypto');
+      // Generate deterministic ID from name + age (or other unique combo)
+      const uniqueString = `${explicitData.name}_${explicitData.age || 'unknown'}_${Date.now()}`;
+      phone = crypto.createHash('md5').update(uniqueString).digest('hex').substring(0, 12);
+      console.log('Generated unique ID for user:', phone, 'from:', uniqueString);
+    } else {
+      throw error;
+    }
+  }
+  
+  let profileData = { ...explicitData };
+  
+  // If text is provided, parse it for profile information
+  if (text && typeof text === 'string') {
+    const parsedProfile = parseProfileFromText(text);
+    // Merge parsed data with explicit data (explicit data takes precedence)
+    profileData = { ...parsedProfile, ...profileData };
+  }
+  
+  // Clean up None/null values from Puch AI
+  Object.keys(profileData).forEach(key => {
+    if (profileData[key] === null || profileData[key] === undefined || profileData[key] === 'None') {
+      delete profileData[key];
+    }
+  });
+  
+  // Check if we have at least some basic info
+  const hasName = profileData.name && profileData.name.trim().length > 0;
+  const hasAnyPhysicalData = profileData.age || profileData.weight_kg || profileData.height_cm;
+  
+  if (!hasName && !hasAnyPhysicalData) {
+    return structuredResult(`👋 Welcome to Scanlyf! Let's set up your profile.
+
+Please tell me about yourself. You can say something like:
+• "I'm Raj, 30 years old, 70 kg, 175 cm, male, diabetic"
+• "My name is Priya, I'm 25, female, 55 kg, have thyroid"
+• "I'm 28 years old, 65 kg, suffer from hypertension"
+• "Amit, male, 40 years, no health issues"
+
+💡 You can mention ANY health condition (diabetes, BP, PCOS, allergies, etc.)
+📝 We'll use smart defaults for anything you don't mention.`, { profile: null, used_defaults: [] });
+  }
+  
+  // Set smart defaults based on what we have
+  if (!profileData.name) {
+    profileData.name = 'Friend';
+  }
+  
+  // Gender defaults
+  if (!profileData.gender) {
+    // Try to guess from name or default
+    profileData.gender = 'female'; // Default for safety
+  }
+  
+  // Age defaults based on context
+  if (!profileData.age) {
+    profileData.age = 30; // Default adult age
+  }
+  
+  // Weight defaults based on gender
+  if (!profileData.weight_kg) {
+    profileData.weight_kg = profileData.gender === 'male' ? 70 : 55;
+  }
+  
+  // Height defaults based on gender
+  if (!profileData.height_cm) {
+    profileData.height_cm = profileData.gender === 'male' ? 170 : 160;
+  }
+  
+  // Validate ranges for provided data
+  if (profileData.age && (profileData.age < 1 || profileData.age > 120)) {
+    profileData.age = 30; // Reset to default if invalid
+  }
+  if (profileData.height_cm && (profileData.height_cm < 50 || profileData.height_cm > 300)) {
+    profileData.height_cm = profileData.gender === 'male' ? 170 : 160;
+  }
+  if (profileData.weight_kg && (profileData.weight_kg < 10 || profileData.weight_kg > 500)) {
+    profileData.weight_kg = profileData.gender === 'male' ? 70 : 55;
+  }
+  
+  // Set defaults for optional fields - activity and goals already saved are kept, since
+  // the targets are worked out from them
+  const existing = await userService.getProfile(phone);
+  profileData.activity_level = profileData.activity_level || existing?.activity_level || 'moderate';
+  profileData.dietary_restrictions = profileData.dietary_restrictions || [];
+  profileData.health_goals = profileData.health_goals || existing?.health_goals || ['maintain'];
+  
+  // Days, streaks and late-night checks all run on this clock, so a bad one is an error
+  // rather than a quiet default
+  if (profileData.timezone) {
+    const timezone = normalizeTimezone(profileData.timezone);
+    if (!timezone) {
+      throw new Error(`I don't know the timezone "${profileData.timezone}" - use a name like Asia/Kolkata, Asia/Dubai or America/New_York`);
+    }
+    profileData.timezone = timezone;
+  } else {
+    profileData.timezone = existing?.timezone || DEFAULT_TIMEZONE;
+  }
+  
+  // Handle health conditions more flexibly
+  if (!profileData.health_conditions || profileData.health_conditions.length === 0) {
+    profileData.health_conditions = [];
+  } else if (profileData.health_conditions.includes('none')) {
+    profileData.health_conditions = [];
+  }
+  
+  // Normalize health conditions but allow any condition
+  if (profileData.health_conditions && profileData.health_conditions.length > 0) {
+    // Normalize condition names to lowercase with underscores
+    profileData.health_conditions = profileData.health_conditions.map(condition => {
+      if (typeof condition === 'string') {
+        return condition.toLowerCase().trim().replace(/\s+/g, '_');
+      }
+      return condition;
+    }).filter(condition => condition && condition !== 'none');
+    
+    // Remove duplicates
+    profileData.health_conditions = [...new Set(profileData.health_conditions)];
+  }
+  
+  // Log the final profile data for debugging
+  console.log('Final profile data:', JSON.stringify(profileData, null, 2));
+  
+  // Create or update profile
+  const profile = await userService.createOrUpdateProfile(phone, profileData);
+  
+  // Check if we used defaults and inform user
+  const usedDefaults = [];
+  const originalData = { ...explicitData };
+  if (!originalData.age && (!text || !text.match(/\d+\s*(?:years?\s*old|yrs?\s*old)/i))) {
+    usedDefaults.push(`age (${profile.age})`);
+  }
+  if (!originalData.weight_kg && (!text || !text.match(/\d+(?:\.\d+)?\s*(?:kg|kilograms?)/i))) {
+    usedDefaults.push(`weight (${profile.weight_kg} kg)`);
+  }
+  if (!originalData.height_cm && (!text || !text.match(/\d+(?:\.\d+)?\s*(?:cm|centimeters?)/i))) {
+    usedDefaults.push(`height (${profile.height_cm} cm)`);
+  }
+  
+  let response = `✅ Great ${profile.name}! Your profile is all set up!
+
+Your Daily Nutrition Targets:
+• Calories: ${profile.calorie_target}
+• Protein: ${profile.protein_target}g
+• Carbs: ${profile.carb_target}g
+• Fat: ${profile.fat_target}g`;
+
+  const { details } = calculateDailyTargets({ ...existing, ...profile });
+  response += `\n\n📐 How they're worked out:\n${formatTargetBasis(details).trim()}`;
+  if (details.custom.length > 0) {
+    response += `\n• Your own ${details.custom.join(', ')} target${details.custom.length === 1 ? '' : 's'} kept - change with set_targets`;
+  }
+
+  // Show health conditions if any
+  if (profile.health_conditions && profile.health_conditions.length > 0) {
+    response += `\n\n🏥 Health Conditions Noted: ${profile.health_conditions.map(c => c.replace(/_/g, ' ')).join(', ')}`;
+  }
+  
+  response += `\n\n🕐 Your days reset at midnight ${profile.timezone} time - not there? Run setup_profile with your timezone`;
+
+  if (usedDefaults.length > 0) {
+    response += `\n\n📝 Note: I used default values for: ${usedDefaults.join(', ')}
+You can update these anytime by running setup_profile again.`;
+  }
+
+  response += `\n\n🤖 COMMANDS TO GET STARTED:
+• add_food - Log what you ate (text)
+• scan_food - Scan food with camera
+• get_progress - Check your daily intake
+• get_weekly_analysis - Get AI health insights
+• generate_meal_plan - Get meal suggestions
+
+💡 Just type the command name to use it!
+🥗 Get meal plans: "Create a meal plan"
+
+What did you have for your last meal?`;
+
+  // Add confirmation that profile was saved
+  response += `\n\n✅ Profile saved successfully!`;
+  
+  // Log for debugging
+  console.log(`Profile saved for user: ${phone}, Name: ${profile.name}`);
+
+  return structuredResult(response, {
+    profile: {
+      name: profile.name,
+      age: profile.age,
+      gender: profile.gender,
+      height_cm: profile.height_cm,
+      weight_kg: profile.weight_kg,
+      activity_level: profile.activity_level,
+      health_conditions: profile.health_conditions || [],
+      timezone: profile.timezone,
+      targets: toTargetsOutput(profile)
+    },
+    used_defaults: usedDefaults
+  });
+}
+
+// Allowed range for each custom target
+const CUSTOM_TARGET_LIMITS = {
+  calories: { min: 800, max: 6000, unit: ' cal' },
+  protein: { min: 10, max: 400, unit: 'g' },
+  carbs: { min: 20, max: 900, unit: 'g' },
+  fat: { min: 10, max: 300, unit: 'g' }
+};
+
+// "📐 How they're worked out" lines - activity, goal and any condition or custom notes
+function formatTargetBasis(details) {
+  let text = `• Activity: ${ACTIVITY_LEVELS[details.activity_level].label}\n`;
+  text += `• Goal: ${describeGoal(details)}\n`;
+  details.notes.forEach(note => {
+    text += `• ${note}\n`;
+  });
+  return text;
+}
+
+function toTargetDetailsOutput(details) {
+  return {
+    goal: details.goal,
+    rate_kg_per_week: details.rate_kg_per_week,
+    activity_level: details.activity_level,
+    maintenance_calories: details.maintenance_calories,
+    custom: details.custom,
+    notes: details.notes
+  };
+}
+
+async function handleSetTargets(args, req) {
+  const { puch_user_id, bearer_token, goal, target_rate_kg_per_week, activity_level, reset_custom, add_exercise_calories } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error('Please set up your profile first with setup_profile - targets are worked out from it.');
+  }
+  
+  const custom = {};
+  Object.entries(CUSTOM_TARGET_LIMITS).forEach(([key, limit]) => {
+    if (args[key] === undefined || args[key] === null) return;
+    const value = Number(args[key]);
+    if (!Number.isFinite(value) || value < limit.min || value > limit.max) {
+      throw new Error(`${key} target must be between ${limit.min}${limit.unit} and ${limit.max}${limit.unit}`);
+    }
+    custom[key] = Math.round(value);
+  });
+  
+  if (activity_level && !ACTIVITY_LEVELS[activity_level]) {
+    throw new Error(`Activity level must be one of: ${Object.keys(ACTIVITY_LEVELS).join(', ')}`);
+  }
+  if (target_rate_kg_per_week !== undefined && target_rate_kg_per_week !== null) {
+    const rateGoal = goal || goalOf(profile);
+    const limits = RATES[rateGoal];
+    if (!limits) {
+      throw new Error('A weekly rate needs a goal to lose or gain weight - pass goal "lose" or "gain" too');
+    }
+    if (!(target_rate_kg_per_week > 0) || target_rate_kg_per_week > limits.max) {
+      throw new Error(`Aim for more than 0 and at most ${limits.max} kg a week to ${rateGoal} weight safely`);
+    }
+  }
+  
+  const updated = await userService.updateTargets(phone, {
+    goal,
+    rate: target_rate_kg_per_week,
+    activityLevel: activity_level,
+    custom,
+    resetCustom: Boolean(reset_custom),
+    addExerciseCalories: add_exercise_calories
+  });
+  const { details } = calculateDailyTargets(updated);
+  const isCustom = key => details.custom.includes(key);
+  
+  let response = `🎯 YOUR DAILY TARGETS\n`;
+  response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  response += `• Calories: ${updated.calorie_target}${isCustom('calories') ? ' (yours)' : ''}\n`;
+  response += `• Protein: ${updated.protein_target}g${isCustom('protein') ? ' (yours)' : ''}\n`;
+  response += `• Carbs: ${updated.carb_target}g${isCustom('carbs') ? ' (yours)' : ''}\n`;
+  response += `• Fat: ${updated.fat_target}g${isCustom('fat') ? ' (yours)' : ''}\n\n`;
+  
+  response += `📐 How they're worked out:\n`;
+  response += formatTargetBasis(details);
+  response += addsExerciseCalories(updated)
+    ? `• Workouts from log_activity add to the day's calories\n`
+    : `• Workouts from log_activity don't change the day's calories\n`;
+  
+  // Custom macros that don't add up to the calories are allowed, but worth a mention
+  const macroCalories = updated.protein_target * 4 + updated.carb_target * 4 + updated.fat_target * 9;
+  if (Math.abs(macroCalories - updated.calorie_target) > updated.calorie_target * 0.1) {
+    response += `\n⚠️ Your macros add up to ${macroCalories} cal, not ${updated.calorie_target} - you may want to adjust one of them\n`;
+  }
+  
+  response += `\n💡 get_progress, food logging and meal plans all use these now.`;
+  response += details.custom.length > 0
+    ? ` Say "reset my targets" to go back to the calculated ones.`
+    : ` Set your own anytime, e.g. "set my protein target to 120g".`;
+  
+  return structuredResult(response, {
+    targets: toTargetsOutput(updated),
+    ...toTargetDetailsOutput(details),
+    add_exercise_calories: addsExerciseCalories(updated)
+  });
+}
+
+async function handleGetPersonalization(args, req) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get user insights
+  const insights = await personalizationEngine.getUserInsights(phone);
+  
+  // Format response
+  let response = `🧠 YOUR PERSONALIZATION PROFILE\n\n`;
+  
+  // Personality
+  response += `🎭 Personality Type: ${insights.personality.personalityType.toUpperCase()}\n`;
+  response += `• Motivation Style: ${insights.personality.motivationStyle}\n`;
+  response += `• Learning Preference: ${insights.personality.learningPreference}\n`;
+  response += `• Communication Tone: ${insights.personality.communicationTone}\n`;
+  response += `• Goal Orientation: ${insights.personality.goalOrientation}\n\n`;
+  
+  // Behavioral patterns
+  response += `📊 BEHAVIORAL PATTERNS:\n`;
+  if (insights.patterns.triggerTimes.length > 0) {
+    response += `• High-risk eating times: ${insights.patterns.triggerTimes.map(h => `${h}:00`).join(', ')}\n`;
+  }
+  if (insights.patterns.commonFoods) {
+    const topFoods = Object.entries(insights.patterns.commonFoods)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3);
+    response += `• Most frequent foods: ${topFoods.map(([f]) => f).join(', ')}\n`;
+  }
+  response += `• Adherence rate: ${Math.round(insights.profile.adherenceRate * 100)}%\n\n`;
+  
+  // Recommendations
+  if (insights.recommendations.length > 0) {
+    response += `💡 PERSONALIZED RECOMMENDATIONS:\n`;
+    insights.recommendations.slice(0, 3).forEach(rec => {
+      response += `• ${rec.message}\n`;
+    });
+  }
+  
+  // Success factors
+  if (insights.successFactors.patterns.length > 0) {
+    response += `\n✨ YOUR SUCCESS PATTERNS:\n`;
+    insights.successFactors.patterns.forEach(pattern => {
+      response += `• ${pattern}\n`;
+    });
+  }
+  
+  return structuredResult(response, {
+    personality: {
+      type: insights.personality.personalityType,
+      motivation_style: insights.personality.motivationStyle,
+      learning_preference: insights.personality.learningPreference,
+      communication_tone: insights.personality.communicationTone,
+      goal_orientation: insights.personality.goalOrientation
+    },
+    trigger_hours: insights.patterns.triggerTimes,
+    adherence_rate: insights.profile.adherenceRate,
+    recommendations: insights.recommendations.slice(0, 3).map(rec => rec.message),
+    success_patterns: insights.successFactors.patterns
+  });
+}
+
+const tools = [
+  {
+    name: 'setup_profile',
+    description: 'Set up your health profile by providing information naturally, like: "I\'m Raj, 30 years old, 70 kg, 175 cm tall, male, no health conditions"',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        text: {
+          type: 'string',
+          description: 'Natural language description of yourself, e.g., "I\'m Raj, 30 years old, 70 kg, 175 cm tall, male, diabetic"'
+        },
+        name: { type: 'string', description: 'Your name' },
+        age: { type: 'number', description: 'Your age in years' },
+        height_cm: { type: 'number', description: 'Your height in centimeters' },
+        weight_kg: { type: 'number', description: 'Your weight in kilograms' },
+        gender: {
+          type: 'string',
+          enum: ['male', 'female'],
+          description: 'Your gender (male or female)'
+        },
+        health_conditions: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          description: 'Any health conditions like diabetes, hypertension, or say "none"'
+        },
+        activity_level: {
+          type: 'string',
+          enum: Object.keys(ACTIVITY_LEVELS),
+          description: 'Your activity level (optional) - sedentary, low (light exercise), moderate, high or very_high (athlete, physical job)'
+        },
+        dietary_restrictions: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          description: 'Dietary preferences like vegetarian, vegan (optional)'
+        },
+        health_goals: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          description: 'Health goals like weight_loss, muscle_gain (optional)'
+        },
+        target_rate_kg_per_week: {
+          type: 'number',
+          description: 'How fast to lose or gain weight, in kg per week (optional - 0.5 for weight loss, 0.25 for gain by default)'
+        },
+        timezone: {
+          type: 'string',
+          description: 'Where you are, as an IANA timezone like Asia/Kolkata, Asia/Dubai or America/New_York (optional - India by default). Your days reset at midnight there'
+        }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        profile: {
+          type: ['object', 'null'],
+          description: 'Saved profile, null when more details are needed',
+          properties: {
+            name: { type: 'string' },
+            age: { type: 'number' },
+            gender: { type: 'string' },
+            height_cm: { type: 'number' },
+            weight_kg: { type: 'number' },
+            activity_level: { type: 'string' },
+            health_conditions: { type: 'array', items: { type: 'string' } },
+            timezone: { type: 'string' },
+            targets: MACROS_SCHEMA
+          }
+        },
+        used_defaults: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Fields filled in with default values'
+        }
+      },
+      required: ['profile', 'used_defaults']
+    },
+    // Profile text mentions conditions that trip the safe-mode filter
+    safeMode: 'never',
+    mutates: true,
+    handler: handleSetupProfile
+  },
+  {
+    name: 'set_targets',
+    description: 'See or change your daily calorie and macro targets: set your own (e.g. "protein 120g", "1800 calories"), change your goal, weekly rate or activity level, or reset to the calculated targets. With no changes it shows the current targets and how they were worked out',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES,
+        calories: { type: 'number', description: 'Your own daily calorie target' },
+        protein: { type: 'number', description: 'Your own daily protein target in grams' },
+        carbs: { type: 'number', description: 'Your own daily carbs target in grams' },
+        fat: { type: 'number', description: 'Your own daily fat target in grams' },
+        goal: {
+          type: 'string',
+          enum: Object.values(GOALS),
+          description: 'Lose, maintain or gain weight'
+        },
+        target_rate_kg_per_week: {
+          type: 'number',
+          description: 'How fast to lose (up to 1) or gain (up to 0.5) weight, in kg per week'
+        },
+        activity_level: {
+          type: 'string',
+          enum: Object.keys(ACTIVITY_LEVELS),
+          description: 'sedentary, low (light exercise), moderate, high or very_high (athlete, physical job)'
+        },
+        reset_custom: {
+          type: 'boolean',
+          description: 'Drop the targets you set yourself and go back to the calculated ones (targets passed in the same call are kept)'
+        },
+        add_exercise_calories: {
+          type: 'boolean',
+          description: 'Whether workouts from log_activity raise the day\'s calorie budget (on by default) - turn off if your activity level already counts them'
+        }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        targets: MACROS_SCHEMA,
+        goal: { type: 'string', enum: Object.values(GOALS) },
+        rate_kg_per_week: { type: 'number', description: '0 when maintaining' },
+        activity_level: { type: 'string' },
+        maintenance_calories: { type: 'number', description: 'Calories to keep weight steady at this activity level' },
+        custom: { type: 'array', items: { type: 'string' }, description: 'Targets the user set themselves' },
+        notes: { type: 'array', items: { type: 'string' }, description: 'Health-condition adjustments and limits applied' },
+        add_exercise_calories: { type: 'boolean', description: 'Whether logged workouts raise the day\'s calorie budget' }
+      },
+      required: ['targets', 'goal', 'rate_kg_per_week', 'activity_level', 'maintenance_calories', 'custom', 'notes', 'add_exercise_calories']
+    },
+    mutates: true,
+    handler: handleSetTargets
+  },
+  {
+    name: 'get_personalization',
+    description: 'Get your personality profile and customization settings',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        personality: {
+          type: 'object',
+          properties: {
+            type: { type: 'string' },
+            motivation_style: { type: 'string' },
+            learning_preference: { type: 'string' },
+            communication_tone: { type: 'string' },
+            goal_orientation: { type: 'string' }
+          }
+        },
+        trigger_hours: { type: 'array', items: { type: 'integer' } },
+        adherence_rate: { type: 'number', description: '0-1 share of days on target' },
+        recommendations: { type: 'array', items: { type: 'string' } },
+        success_patterns: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['personality']
+    },
+    handler: handleGetPersonalization
+  }
+];
+
+module.exports = {
+  tools,
+  handleSetupProfile,
+  handleGetPersonalization
+};
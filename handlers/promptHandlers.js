@@ -0,0 +1,110 @@
+// Prompt templates for common nutrition workflows
+// Each prompt tells the assistant which Scanlyf tools to call and with what arguments
+
+const { MEAL_ORDER, isMealType } = require('../lib/mealTypes');
+
+function renderLogMeal({ meal, meal_type }) {
+  // In the arguments so it can't get lost - anything add_food wouldn't take stays in the prose
+  const mealType = String(meal_type || '').trim().toLowerCase();
+  const addArgs = { type: 'text', input: meal };
+  if (isMealType(mealType)) addArgs.meal_type = mealType;
+
+  let text = `I just ate: ${meal}\n\n`;
+  text += `Please log this in Scanlyf:\n`;
+  text += `1. Call the add_food tool with ${JSON.stringify(addArgs)}.\n`;
+  if (mealType && !addArgs.meal_type) {
+    text += `   This was my ${meal_type} - pass the closest meal_type (${MEAL_ORDER.join(', ')}).\n`;
+  }
+  text += `2. Show me the calories and macros that were logged and how much of my daily target is left.\n`;
+  text += `3. If add_food returns health alerts or harmful ingredients, explain them briefly.\n`;
+  text += `Do not guess nutrition numbers yourself - use what the tool returns.`;
+  return text;
+}
+
+function renderReviewDay({ date }) {
+  const dateArg = date ? `{"date": ${JSON.stringify(date)}}` : '{}';
+  let text = `Review my eating ${date ? `on ${date}` : 'today'}.\n\n`;
+  text += `1. Call get_progress with ${dateArg} to get my totals against my targets.\n`;
+  if (!date) {
+    text += `2. Call list_today_foods to see each item I logged.\n`;
+  }
+  text += `${date ? '2' : '3'}. Summarize in a few short points: what went well, where I'm over or under `;
+  text += `(calories, protein, carbs, fat), and one concrete thing to change at my next meal.\n`;
+  text += `Keep it encouraging and specific to the foods I actually logged.`;
+  return text;
+}
+
+function renderPlanTomorrow({ preferences, exclude_ingredients }) {
+  const planArgs = { duration_days: 1, include_snacks: true };
+  if (exclude_ingredients) {
+    // Comma-separated text, though some clients send a list
+    const excluded = Array.isArray(exclude_ingredients) ? exclude_ingredients : String(exclude_ingredients).split(',');
+    planArgs.exclude_ingredients = excluded.map(i => String(i).trim()).filter(Boolean);
+  }
+
+  let text = `Help me plan what to eat tomorrow.\n\n`;
+  text += `1. Call get_progress to see how today went against my targets.\n`;
+  text += `2. Call generate_meal_plan with ${JSON.stringify(planArgs)}.\n`;
+  if (preferences) {
+    text += `   My preferences: ${preferences}. Adjust the suggestions to match.\n`;
+  }
+  text += `3. Present breakfast, lunch, dinner and snacks with calories and protein for each, `;
+  text += `and point out anything that makes up for today's gaps.`;
+  return text;
+}
+
+function renderExplainLabel({ product, barcode }) {
+  const scanArgs = barcode
+    ? { type: 'barcode', barcode }
+    : { type: 'text', input: product };
+
+  let text = `Explain this product label to me: ${product || `barcode ${barcode}`}.\n\n`;
+  text += `1. Call scan_food with ${JSON.stringify(scanArgs)} (this only analyzes, it does not log anything).\n`;
+  text += `2. Explain the ingredients in plain language, especially any E-numbers, additives or harmful ingredients flagged.\n`;
+  text += `3. Tell me whether it suits my health conditions and suggest a cleaner alternative if there is one.\n`;
+  text += `Only log it with add_food if I confirm I'm eating it.`;
+  return text;
+}
+
+const prompts = [
+  {
+    name: 'log_meal',
+    description: 'Log my meal - record what you ate and see your remaining targets',
+    arguments: [
+      { name: 'meal', description: 'What you ate, e.g. "2 chapati with dal and a bowl of rice"', required: true },
+      { name: 'meal_type', description: 'breakfast, lunch, dinner or snack', required: false }
+    ],
+    render: renderLogMeal
+  },
+  {
+    name: 'review_day',
+    description: 'Review my day - compare what you ate with your targets',
+    arguments: [
+      { name: 'date', description: 'Day to review in YYYY-MM-DD format (defaults to today)', required: false }
+    ],
+    render: renderReviewDay
+  },
+  {
+    name: 'plan_tomorrow',
+    description: 'Plan tomorrow - get a one-day meal plan that balances today',
+    arguments: [
+      { name: 'preferences', description: 'Anything to keep in mind, e.g. "high protein, quick breakfast"', required: false },
+      { name: 'exclude_ingredients', description: 'Comma-separated ingredients to avoid', required: false }
+    ],
+    render: renderPlanTomorrow
+  },
+  {
+    name: 'explain_label',
+    description: 'Explain this product label - decode ingredients and additives in a packaged food',
+    arguments: [
+      { name: 'product', description: 'Product name or ingredient list from the label', required: false },
+      { name: 'barcode', description: 'Product barcode (8-13 digits)', required: false }
+    ],
+    validate: ({ product, barcode }) => (product || barcode ? [] : ['product or barcode is required']),
+    render: renderExplainLabel
+  }
+];
+
+module.exports = {
+  prompts
+};
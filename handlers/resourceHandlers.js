@@ -0,0 +1,71 @@
+const userService = require('../services/userService');
+const foodService = require('../services/foodService');
+const mealPlanningService = require('../services/mealPlanningService');
+const { timezoneOf, getToday, parseDateInput } = require('../lib/dateHelper');
+const { getUserIdentifier } = require('../lib/auth');
+
+// Resolve 'today', 'yesterday' and validate YYYY-MM-DD dates from resource URIs,
+// against today in the user's timezone
+function resolveLogDate(date, timezone) {
+  const today = getToday(timezone);
+  const resolved = parseDateInput(date, today);
+  if (!resolved) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+  if (resolved > today) {
+    throw new Error('Cannot query future dates');
+  }
+  return resolved;
+}
+
+async function readProfile(variables, { args, req }) {
+  const phone = await getUserIdentifier(args, req);
+  const profile = await userService.getProfile(phone);
+  if (!profile) {
+    throw new Error('Profile not found. Please run setup_profile first.');
+  }
+  return profile;
+}
+
+async function readDailyLog({ date }, { args, req }) {
+  const phone = await getUserIdentifier(args, req);
+  const timezone = timezoneOf(await userService.getProfile(phone));
+  return await foodService.getDailyProgress(phone, resolveLogDate(date, timezone));
+}
+
+async function readActiveMealPlan(variables, { args, req }) {
+  const phone = await getUserIdentifier(args, req);
+  // null when the user has no active plan yet
+  return await mealPlanningService.getActiveMealPlan(phone);
+}
+
+const resources = [
+  {
+    uri: 'scanlyf://profile',
+    name: 'Health profile',
+    description: 'Your health profile with daily nutrition targets and health conditions',
+    read: readProfile
+  },
+  {
+    uri: 'scanlyf://logs/today',
+    name: 'Today\'s food log',
+    description: 'Foods logged today with daily nutrition totals',
+    read: readDailyLog
+  },
+  {
+    uri: 'scanlyf://meal-plans/active',
+    name: 'Active meal plan',
+    description: 'Your current personalized meal plan (null if none has been generated)',
+    read: readActiveMealPlan
+  },
+  {
+    uriTemplate: 'scanlyf://logs/{date}',
+    name: 'Daily food log',
+    description: 'Foods logged on a given day (YYYY-MM-DD) with nutrition totals',
+    read: readDailyLog
+  }
+];
+
+module.exports = {
+  resources
+};
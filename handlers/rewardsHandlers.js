@@ -0,0 +1,354 @@
+const rewardsService = require('../services/rewardsService');
+const toxinTracker = require('../services/toxinTracker');
+const enhancedFormatter = require('../services/enhancedIngredientFormatter');
+const { AUTH_PROPERTIES, getTokenFromRequest, getUserIdentifier } = require('../lib/auth');
+const { structuredResult } = require('../lib/toolOutput');
+
+async function handleGetLeaderboard(args, req) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get leaderboard
+  const leaderboard = await rewardsService.getWeeklyLeaderboard();
+  
+  // Get user's weekly progress with daily breakdown
+  const userProgress = await rewardsService.calculateWeeklyProgress(phone);
+  
+  // Format response
+  const message = rewardsService.formatLeaderboardMessage(leaderboard, phone);
+  
+  // Add daily breakdown
+  let dailyBreakdown = '\n\n📊 YOUR WEEKLY PROGRESS:\n';
+  const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  
+  // Today's place in the week, worked out in the user's timezone
+  const adjustedToday = userProgress.dayIndex;
+  
+  userProgress.dailyScores.forEach((score, index) => {
+    const dayName = days[index];
+    if (index < adjustedToday) {
+      // Past days
+      const emoji = score > 0 ? (score >= 80 ? '✅' : score >= 50 ? '🟨' : '🟥') : '❌';
+      dailyBreakdown += `${emoji} ${dayName}: ${score}%\n`;
+    } else if (index === adjustedToday) {
+      // Today
+      const emoji = score > 0 ? '🔄' : '⏳';
+      dailyBreakdown += `${emoji} ${dayName} (Today): ${score}%\n`;
+    } else {
+      // Future days
+      dailyBreakdown += `⬜ ${dayName}: --\n`;
+    }
+  });
+  
+  dailyBreakdown += `\n📈 Weekly Average: ${userProgress.average}%`;
+  dailyBreakdown += `\n📅 Days Tracked: ${userProgress.daysTracked}/7`;
+  
+  // Names and ranks only - never expose other users' phone numbers
+  return structuredResult(message + dailyBreakdown, {
+    leaderboard: leaderboard.slice(0, 10).map(user => ({
+      rank: user.rank,
+      name: user.name || 'Anonymous',
+      average: user.average,
+      days_tracked: user.daysTracked,
+      is_current_user: user.phone === phone
+    })),
+    your_progress: {
+      daily_scores: userProgress.dailyScores,
+      average: userProgress.average,
+      days_tracked: userProgress.daysTracked
+    }
+  });
+}
+
+async function handleCheckBalance(args, req) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get balance
+  const balanceData = await rewardsService.getBalance(phone);
+  
+  let response = `💰 ScanlyfCoin Balance: ${balanceData.balance} coins\n\n`;
+  
+  if (balanceData.transactions && balanceData.transactions.length > 0) {
+    response += `Recent Transactions:\n`;
+    balanceData.transactions.slice(-5).forEach(tx => {
+      const sign = tx.amount > 0 ? '+' : '';
+      response += `• ${sign}${tx.amount} - ${tx.reason}\n`;
+    });
+  }
+  
+  return structuredResult(response, {
+    balance: balanceData.balance,
+    recent_transactions: (balanceData.transactions || []).slice(-5).map(tx => ({
+      amount: tx.amount,
+      reason: tx.reason,
+      date: tx.date
+    }))
+  });
+}
+
+async function handleViewRewards(args, req) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get user balance
+  const balanceData = await rewardsService.getBalance(phone);
+  
+  // Format rewards catalog
+  let message = `🛍️ SCANLYFCOINS REWARDS STORE\n\n💰 Your Balance: ${balanceData.balance} coins\n\n`;
+  
+  message += `🎬 AVAILABLE REWARD:\n\n`;
+  
+  rewardsService.REWARDS_CATALOG.forEach((reward, index) => {
+    const affordable = balanceData.balance >= reward.cost ? '✅ Available' : `❌ Need ${reward.cost - balanceData.balance} more coins`;
+    message += `${reward.name}\n`;
+    message += `💎 Cost: ${reward.cost} coins\n`;
+    message += `Status: ${affordable}\n\n`;
+  });
+  
+  message += `📈 HOW TO EARN COINS:\n`;
+  message += `• Log meals daily: 10 coins\n`;
+  message += `• Complete weekly goals: 50 coins\n`;
+  message += `• Win leaderboard: 100 coins\n\n`;
+  
+  if (balanceData.balance >= 500) {
+    message += `🎉 You can redeem Netflix Premium now!\n`;
+    message += `Contact support to claim your reward.`;
+  } else {
+    message += `Keep tracking to earn more coins!`;
+  }
+  
+  return structuredResult(message, {
+    balance: balanceData.balance,
+    rewards: rewardsService.REWARDS_CATALOG.map(reward => ({
+      id: reward.id,
+      name: reward.name,
+      cost: reward.cost,
+      affordable: balanceData.balance >= reward.cost
+    }))
+  });
+}
+
+async function handleGetToxinSummary(args, req) {
+  const { puch_user_id, bearer_token } = args;
+  
+  // Get token from request or args
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Please connect to Scanlyf first.');
+  }
+  
+  // Validate token
+  const phone = await getUserIdentifier(args, req);
+  
+  // Get daily summary from toxin tracker
+  const summary = await toxinTracker.getDailySummary(phone);
+  
+  // Format the response using enhanced formatter
+  let response = enhancedFormatter.formatDailySummary(summary);
+  
+  // Add achievements section
+  const userStats = await toxinTracker.getUserStats(phone);
+  if (userStats.lifetime.achievements && userStats.lifetime.achievements.length > 0) {
+    response += '\n\n🏆 YOUR ACHIEVEMENTS:\n';
+    response += '━━━━━━━━━━━━━━━━━━━━━━━━\n';
+    
+    const allAchievements = toxinTracker.achievements;
+    userStats.lifetime.achievements.forEach(achievementId => {
+      const achievement = Object.values(allAchievements).find(a => a.id === achievementId);
+      if (achievement) {
+        response += `${achievement.name}\n`;
+      }
+    });
+  }
+  
+  // Add leaderboard teaser
+  response += '\n\n🏅 CLEAN EATING LEADERBOARD:\n';
+  response += '━━━━━━━━━━━━━━━━━━━━━━━━\n';
+  const leaderboard = await toxinTracker.getCleanStreakLeaderboard(3);
+  leaderboard.forEach((entry, index) => {
+    response += `${index + 1}. User ***${entry.phone} - ${entry.currentStreak} day streak\n`;
+  });
+  
+  response += '\n💡 Scan more clean foods to climb the leaderboard!';
+  
+  return structuredResult(response, {
+    total_scans: summary.totalScans,
+    clean_scans: summary.cleanScans,
+    toxic_scans: summary.toxicScans,
+    worst_ingredients: summary.worstIngredients,
+    current_streak: summary.currentStreak,
+    best_streak: summary.bestStreak
+  });
+}
+
+const tools = [
+  {
+    name: 'get_leaderboard',
+    description: 'View current week nutrition leaderboard',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        leaderboard: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              rank: { type: 'integer' },
+              name: { type: 'string' },
+              average: { type: 'number', description: 'Weekly average target completion (%)' },
+              days_tracked: { type: 'integer' },
+              is_current_user: { type: 'boolean' }
+            },
+            required: ['rank', 'name', 'average']
+          }
+        },
+        your_progress: {
+          type: 'object',
+          properties: {
+            daily_scores: { type: 'array', items: { type: 'number' }, description: 'Mon-Sun completion (%)' },
+            average: { type: 'number' },
+            days_tracked: { type: 'integer' }
+          }
+        }
+      },
+      required: ['leaderboard', 'your_progress']
+    },
+    safeMode: 'always',
+    handler: handleGetLeaderboard
+  },
+  {
+    name: 'check_balance',
+    description: 'Check ScanlyfCoin balance and transaction history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        balance: { type: 'number' },
+        recent_transactions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              amount: { type: 'number' },
+              reason: { type: 'string' },
+              date: { type: 'string' }
+            }
+          }
+        }
+      },
+      required: ['balance', 'recent_transactions']
+    },
+    handler: handleCheckBalance
+  },
+  {
+    name: 'view_rewards',
+    description: 'View available rewards catalog',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        balance: { type: 'number' },
+        rewards: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              cost: { type: 'number' },
+              affordable: { type: 'boolean' }
+            },
+            required: ['id', 'name', 'cost']
+          }
+        }
+      },
+      required: ['balance', 'rewards']
+    },
+    handler: handleViewRewards
+  },
+  {
+    name: 'get_toxin_summary',
+    description: 'Get your daily toxin tracking summary and clean eating streak',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...AUTH_PROPERTIES
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        total_scans: { type: 'integer' },
+        clean_scans: { type: 'integer' },
+        toxic_scans: { type: 'integer' },
+        worst_ingredients: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              count: { type: 'integer' }
+            }
+          }
+        },
+        current_streak: { type: 'integer' },
+        best_streak: { type: 'integer' }
+      },
+      required: ['total_scans', 'clean_scans', 'toxic_scans']
+    },
+    handler: handleGetToxinSummary
+  }
+];
+
+module.exports = {
+  tools,
+  handleGetLeaderboard,
+  handleCheckBalance,
+  handleViewRewards,
+  handleGetToxinSummary
+};
@@ -6,6 +6,7 @@ const {
   formatIncompleteProfile,
   ONBOARDING_MESSAGES 
 } = require('../lib/userOnboarding');
+const { DEFAULT_TIMEZONE, normalizeTimezone } = require('../lib/dateHelper');
 
 async function handleSmartProfileSetup(args, req, phone) {
   const { text, ...explicitData } = args;
@@ -36,7 +37,7 @@ async function handleSmartProfileSetup(args, req, phone) {
   profileData.activity_level = profileData.activity_level || 'moderate';
   profileData.dietary_restrictions = profileData.dietary_restrictions || [];
   profileData.health_goals = profileData.health_goals || ['maintain'];
-  profileData.timezone = profileData.timezone || 'Asia/Kolkata';
+  profileData.timezone = normalizeTimezone(profileData.timezone) || DEFAULT_TIMEZONE;
   
   try {
     // Create or update profile
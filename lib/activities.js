@@ -0,0 +1,199 @@
+/**
+ * Activities
+ * Calories burned for common workouts, from MET values in the Compendium of Physical
+ * Activities - a MET is the energy of sitting still, about 1 kcal per kg per hour, so
+ * an hour of something at 8 METs burns about 8 kcal per kg of body weight.
+ *
+ * Walking, running and cycling go by speed when there's a distance and a time. With only
+ * a distance the time comes from a typical pace for the intensity, and with only a time
+ * the intensity picks the MET.
+ *
+ * Only what the workout burns on top of resting counts towards the day's budget - the
+ * resting part is already in the calorie target.
+ */
+
+const INTENSITIES = {
+  LIGHT: 'light',
+  MODERATE: 'moderate',
+  VIGOROUS: 'vigorous'
+};
+
+// mets per intensity; speeds are km/h per intensity and speedMets [km/h, MET] pairs
+// to interpolate between
+const ACTIVITIES = {
+  walking: {
+    label: 'Walking',
+    aliases: ['walk', 'walked', 'brisk walk', 'brisk walking', 'stroll', 'evening walk', 'morning walk'],
+    mets: { light: 2.8, moderate: 3.5, vigorous: 5.0 },
+    speeds: { light: 4, moderate: 4.8, vigorous: 6.4 },
+    speedMets: [[3.2, 2.8], [4, 3.0], [4.8, 3.5], [5.6, 4.3], [6.4, 5.0], [7.2, 7.0]]
+  },
+  running: {
+    label: 'Running',
+    aliases: ['run', 'ran', 'jog', 'jogging', 'jogged'],
+    mets: { light: 8.3, moderate: 9.8, vigorous: 11.5 },
+    speeds: { light: 8, moderate: 9.7, vigorous: 12 },
+    speedMets: [[6.4, 6.0], [8, 8.3], [9.7, 9.8], [11.3, 11.0], [12.9, 11.8], [14.5, 12.8], [16, 14.5]]
+  },
+  cycling: {
+    label: 'Cycling',
+    aliases: ['cycle', 'cycled', 'bike', 'biking', 'bicycle', 'spinning'],
+    mets: { light: 4.0, moderate: 6.8, vigorous: 10.0 },
+    speeds: { light: 14, moderate: 17, vigorous: 23 },
+    speedMets: [[14, 4.0], [17.5, 6.8], [20.5, 8.0], [24, 10.0], [28, 12.0]]
+  },
+  yoga: {
+    label: 'Yoga',
+    aliases: ['surya namaskar', 'sun salutation', 'power yoga', 'vinyasa', 'hatha'],
+    mets: { light: 2.5, moderate: 3.0, vigorous: 4.0 }
+  },
+  cricket: {
+    label: 'Cricket',
+    aliases: ['batting', 'bowling', 'nets'],
+    mets: { light: 4.0, moderate: 4.8, vigorous: 6.0 }
+  },
+  gym: {
+    label: 'Gym workout',
+    aliases: ['weights', 'weight training', 'weightlifting', 'strength training', 'lifting', 'workout', 'gym workout'],
+    mets: { light: 3.5, moderate: 5.0, vigorous: 6.0 }
+  },
+  swimming: {
+    label: 'Swimming',
+    aliases: ['swim', 'swam', 'laps'],
+    mets: { light: 5.8, moderate: 7.0, vigorous: 9.8 }
+  },
+  badminton: {
+    label: 'Badminton',
+    aliases: [],
+    mets: { light: 4.5, moderate: 5.5, vigorous: 7.0 }
+  },
+  football: {
+    label: 'Football',
+    aliases: ['soccer', 'futsal'],
+    mets: { light: 7.0, moderate: 7.0, vigorous: 10.0 }
+  },
+  dancing: {
+    label: 'Dancing',
+    aliases: ['dance', 'zumba', 'aerobics', 'garba', 'bhangra'],
+    mets: { light: 4.5, moderate: 5.5, vigorous: 7.3 }
+  },
+  skipping: {
+    label: 'Skipping',
+    aliases: ['jump rope', 'rope skipping', 'skipping rope'],
+    mets: { light: 8.8, moderate: 11.8, vigorous: 12.3 }
+  },
+  hiit: {
+    label: 'HIIT',
+    aliases: ['circuit training', 'crossfit', 'interval training', 'tabata'],
+    mets: { light: 6.0, moderate: 8.0, vigorous: 8.0 }
+  }
+};
+
+const DISTANCE_ACTIVITIES = Object.keys(ACTIVITIES).filter(key => ACTIVITIES[key].speeds);
+
+function round(value, places = 0) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// The ACTIVITIES key for what the user typed, or null - "ran", "Brisk walk" and
+// "weight training" all find theirs
+function findActivity(text) {
+  const name = String(text || '').toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!name) return null;
+  if (ACTIVITIES[name]) return name;
+
+  const exact = Object.keys(ACTIVITIES).find(key => ACTIVITIES[key].aliases.includes(name));
+  if (exact) return exact;
+
+  // "went for a run", "cricket practice" - any word or alias inside the text
+  const words = name.split(' ');
+  return Object.keys(ACTIVITIES).find(key =>
+    words.includes(key) || ACTIVITIES[key].aliases.some(alias => ` ${name} `.includes(` ${alias} `))
+  ) || null;
+}
+
+// MET at a speed, interpolated between the table's points and held at either end
+function metAtSpeed(speedMets, speed) {
+  if (speed <= speedMets[0][0]) return speedMets[0][1];
+  for (let i = 1; i < speedMets.length; i++) {
+    const [lowSpeed, lowMet] = speedMets[i - 1];
+    const [highSpeed, highMet] = speedMets[i];
+    if (speed <= highSpeed) {
+      return lowMet + (highMet - lowMet) * (speed - lowSpeed) / (highSpeed - lowSpeed);
+    }
+  }
+  return speedMets[speedMets.length - 1][1];
+}
+
+/**
+ * Calories a workout burns
+ * @param {Object} workout - { activity (ACTIVITIES key), weightKg, durationMinutes, distanceKm, intensity }
+ * @returns {Object} { met, duration_minutes, calories_burned, net_calories } - net is what it
+ *   burns on top of resting, the part that counts towards the day's budget
+ */
+function estimateCaloriesBurned({ activity, weightKg, durationMinutes = null, distanceKm = null, intensity = INTENSITIES.MODERATE }) {
+  const definition = ACTIVITIES[activity];
+  let minutes = durationMinutes;
+  let met = definition.mets[intensity] || definition.mets.moderate;
+
+  if (definition.speeds && distanceKm > 0) {
+    if (!(minutes > 0)) {
+      minutes = distanceKm / (definition.speeds[intensity] || definition.speeds.moderate) * 60;
+    }
+    met = metAtSpeed(definition.speedMets, distanceKm / (minutes / 60));
+  }
+
+  const hours = minutes / 60;
+  return {
+    met: round(met, 1),
+    duration_minutes: round(minutes),
+    calories_burned: round(met * weightKg * hours),
+    net_calories: round(Math.max(0, met - 1) * weightKg * hours)
+  };
+}
+
+// Exercise calories count towards the budget unless the user turned it off with set_targets
+function addsExerciseCalories(profile) {
+  return profile.add_exercise_calories !== false;
+}
+
+/**
+ * The day's calorie budget - the target plus what the day's workouts burned on top of resting
+ * @param {Object} profile - User profile with calorie_target
+ * @param {Array} activities - The day's logged activities
+ * @returns {Object} { target, calories_burned, net_calories, added, budget }
+ */
+function calorieBudget(profile, activities = []) {
+  const target = profile.calorie_target || 0;
+  const burned = activities.reduce((sum, entry) => sum + (entry.calories_burned || 0), 0);
+  const net = activities.reduce((sum, entry) => sum + (entry.net_calories || 0), 0);
+  const added = addsExerciseCalories(profile) ? net : 0;
+
+  return { target, calories_burned: burned, net_calories: net, added, budget: target + added };
+}
+
+// "361 cal burned, 325 above resting" - every view shows both, so the budget's smaller
+// number doesn't look like a mistake
+function describeBurn({ calories_burned, net_calories }) {
+  return `${calories_burned} cal burned, ${net_calories || 0} above resting`;
+}
+
+// "Running 10 km (62 min)" / "Yoga 30 min"
+function describeActivity(entry) {
+  const distance = entry.distance_km ? ` ${entry.distance_km} km` : '';
+  const time = distance ? ` (${entry.duration_minutes} min)` : ` ${entry.duration_minutes} min`;
+  return `${entry.label}${distance}${time}`;
+}
+
+module.exports = {
+  INTENSITIES,
+  ACTIVITIES,
+  DISTANCE_ACTIVITIES,
+  findActivity,
+  estimateCaloriesBurned,
+  addsExerciseCalories,
+  calorieBudget,
+  describeBurn,
+  describeActivity
+};
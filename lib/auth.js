@@ -0,0 +1,70 @@
+const { extractPuchAIToken } = require('./puch-ai-compatibility');
+const { validateToken } = require('./simple-security');
+
+// Identity arguments accepted by every authenticated tool
+const AUTH_PROPERTIES = {
+  puch_user_id: { type: 'string', description: 'Puch User Unique Identifier' },
+  bearer_token: { type: 'string', description: 'Bearer token for authentication' }
+};
+
+// Helper function to extract token from args or headers
+function getTokenFromRequest(args, req) {
+  const token = extractPuchAIToken(args, req);
+  
+  // Debug logging only in development
+  if (process.env.NODE_ENV !== 'production') {
+    console.log('Token extraction:', {
+      argToken: args?.bearer_token,
+      hasAuthHeader: !!req?.headers?.authorization,
+      extractedToken: token ? 'found' : 'not found'
+    });
+  }
+  
+  return token;
+}
+
+// Internal function for actual token validation
+async function validateAndGetPhone(token) {
+  const phone = await validateToken(token);
+  if (!phone) {
+    throw new Error('Invalid bearer token');
+  }
+  return phone;
+}
+
+// Helper function to get user identifier (puch_user_id or phone from token)
+async function getUserIdentifier(args, req) {
+  // If puch_user_id is provided, use it directly
+  if (args.puch_user_id) {
+    console.log('Using puch_user_id:', args.puch_user_id);
+    
+    // Check if puch_user_id is truncated (ends with ...)
+    if (args.puch_user_id.endsWith('...')) {
+      console.error('WARNING: puch_user_id appears to be truncated:', args.puch_user_id);
+      // Try to use bearer token as fallback
+      const token = getTokenFromRequest(args, req);
+      if (token) {
+        console.log('Falling back to token-based auth due to truncated puch_user_id');
+        return await validateAndGetPhone(token);
+      }
+      throw new Error('Received truncated puch_user_id. Please provide full user ID or valid bearer token.');
+    }
+    
+    return args.puch_user_id;
+  }
+  
+  // Otherwise fall back to token-based authentication
+  const token = getTokenFromRequest(args, req);
+  if (!token) {
+    throw new Error('Authentication required. Please provide puch_user_id or bearer token.');
+  }
+  
+  return await validateAndGetPhone(token);
+}
+
+module.exports = {
+  AUTH_PROPERTIES,
+  getTokenFromRequest,
+  validateAndGetPhone,
+  getUserIdentifier
+};
@@ -0,0 +1,199 @@
+/**
+ * Body trend
+ * Day-to-day weight bounces around with water, salt and what's still being digested, so
+ * progress is read off a smoothed trend rather than the scale. The trend is an exponential
+ * moving average - each weigh-in moves it 10% of the way towards the new reading, more when
+ * days were skipped - with a plain 7-day average alongside for comparison.
+ *
+ * The weekly rate is a straight line fitted through the last four weeks of weigh-ins. The
+ * moving average lags behind for its first couple of weeks, so its slope would undersell it.
+ *
+ * Tape measurements change slowly and are logged less often, so they're just compared with
+ * the previous and the first reading.
+ */
+
+const { addDays, daysBetween } = require('./dateHelper');
+
+// How far one day's weigh-in pulls the trend towards it
+const SMOOTHING = 0.1;
+
+// Weekly changes smaller than this are noise, not a direction
+const STEADY_KG_PER_WEEK = 0.1;
+
+// The weekly rate is read over at most this many days, and needs at least a week
+const RATE_WINDOW_DAYS = 28;
+const MIN_RATE_DAYS = 7;
+
+const MEASUREMENTS = {
+  waist_cm: { label: 'Waist', unit: 'cm' },
+  hip_cm: { label: 'Hips', unit: 'cm' },
+  chest_cm: { label: 'Chest', unit: 'cm' },
+  neck_cm: { label: 'Neck', unit: 'cm' },
+  arm_cm: { label: 'Arm', unit: 'cm' },
+  thigh_cm: { label: 'Thigh', unit: 'cm' },
+  body_fat_percent: { label: 'Body fat', unit: '%' }
+};
+
+// Waist over height above this is linked to higher health risk, whatever the weight
+const WAIST_TO_HEIGHT_LIMIT = 0.5;
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Weigh-ins oldest first, each with the trend as it stood that day
+function smoothWeights(entries) {
+  const weighed = entries
+    .filter(entry => typeof entry.weight_kg === 'number')
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  let trend = null;
+  let lastDate = null;
+  return weighed.map(entry => {
+    if (trend === null) {
+      trend = entry.weight_kg;
+    } else {
+      // A gap of several days counts as several days of pull, not one
+      const days = Math.max(1, daysBetween(lastDate, entry.date));
+      const pull = 1 - (1 - SMOOTHING) ** days;
+      trend += (entry.weight_kg - trend) * pull;
+    }
+    lastDate = entry.date;
+    return { date: entry.date, weight_kg: entry.weight_kg, trend_kg: round(trend, 2) };
+  });
+}
+
+// kg per day of the best-fit line through the weigh-ins
+function slope(points) {
+  const xs = points.map(point => daysBetween(points[0].date, point.date));
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, point) => sum + point.weight_kg, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach((point, i) => {
+    covariance += (xs[i] - meanX) * (point.weight_kg - meanY);
+    variance += (xs[i] - meanX) ** 2;
+  });
+  return covariance / variance;
+}
+
+// The trend on a date - the last value at or before it, or null if weighing started later
+function trendOn(points, date) {
+  const before = points.filter(point => point.date <= date);
+  return before.length > 0 ? before[before.length - 1].trend_kg : null;
+}
+
+function changeSince(points, days) {
+  const latest = points[points.length - 1];
+  const then = trendOn(points, addDays(latest.date, -days));
+  return then === null ? null : round(latest.trend_kg - then);
+}
+
+// Where weight is heading, or null with no weigh-ins. rate_kg_per_week is null until
+// there's a week of data to read it from
+function weightTrend(entries) {
+  const points = smoothWeights(entries);
+  if (points.length === 0) return null;
+
+  const latest = points[points.length - 1];
+  const lastWeek = points.filter(point => point.date > addDays(latest.date, -7));
+  const movingAverage = lastWeek.reduce((sum, point) => sum + point.weight_kg, 0) / lastWeek.length;
+
+  const window = points.filter(point => point.date >= addDays(latest.date, -RATE_WINDOW_DAYS));
+  const span = daysBetween(window[0].date, latest.date);
+  const rate = span >= MIN_RATE_DAYS ? round(slope(window) * 7, 2) : null;
+
+  let direction = null;
+  if (rate !== null) {
+    if (Math.abs(rate) < STEADY_KG_PER_WEEK) direction = 'steady';
+    else direction = rate < 0 ? 'down' : 'up';
+  }
+
+  return {
+    latest: { date: latest.date, weight_kg: latest.weight_kg },
+    trend_kg: round(latest.trend_kg),
+    moving_average_7d: round(movingAverage),
+    change_7d: changeSince(points, 7),
+    change_30d: changeSince(points, 30),
+    rate_kg_per_week: rate,
+    direction,
+    weigh_ins: points.length,
+    points: points.map(point => ({ ...point, trend_kg: round(point.trend_kg) }))
+  };
+}
+
+// Latest value of each measurement with the change since the previous and the first reading
+function measurementChanges(entries) {
+  const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+
+  return Object.keys(MEASUREMENTS).reduce((changes, key) => {
+    const readings = sorted.filter(entry => typeof entry[key] === 'number');
+    if (readings.length === 0) return changes;
+
+    const latest = readings[readings.length - 1];
+    const previous = readings.length > 1 ? readings[readings.length - 2] : null;
+    changes[key] = {
+      value: latest[key],
+      date: latest.date,
+      change: previous ? round(latest[key] - previous[key]) : null,
+      previous_date: previous ? previous.date : null,
+      change_since_first: previous ? round(latest[key] - readings[0][key]) : null,
+      first_date: readings[0].date
+    };
+    return changes;
+  }, {});
+}
+
+function waistToHeight(waistCm, heightCm) {
+  if (!(waistCm > 0) || !(heightCm > 0)) return null;
+  return round(waistCm / heightCm, 2);
+}
+
+// "90.5 cm" / "31%"
+function formatMeasurement(value, unit = 'kg') {
+  return unit === '%' ? `${value}%` : `${value} ${unit}`;
+}
+
+// "-0.4 kg" / "+0.2 kg" / "no change"
+function formatChange(change, unit = 'kg') {
+  if (change === null || change === undefined) return null;
+  if (change === 0) return 'no change';
+  return `${change > 0 ? '+' : ''}${formatMeasurement(change, unit)}`;
+}
+
+// The chat lines for a weight trend
+function describeWeightTrend(trend) {
+  const lines = [
+    `Trend: ${trend.trend_kg} kg (last weigh-in ${trend.latest.weight_kg} kg on ${trend.latest.date})`,
+    `7-day average: ${trend.moving_average_7d} kg`
+  ];
+
+  if (trend.rate_kg_per_week === null) {
+    lines.push('Weigh in for a week to see which way it\'s heading');
+  } else if (trend.direction === 'steady') {
+    lines.push('Holding steady');
+  } else {
+    lines.push(`${trend.direction === 'down' ? 'Down' : 'Up'} ${Math.abs(trend.rate_kg_per_week)} kg a week`);
+  }
+
+  const changes = [
+    trend.change_7d !== null ? `7 days: ${formatChange(trend.change_7d)}` : null,
+    trend.change_30d !== null ? `30 days: ${formatChange(trend.change_30d)}` : null
+  ].filter(Boolean);
+  if (changes.length > 0) lines.push(changes.join(' | '));
+
+  return lines;
+}
+
+module.exports = {
+  MEASUREMENTS,
+  WAIST_TO_HEIGHT_LIMIT,
+  smoothWeights,
+  weightTrend,
+  measurementChanges,
+  waistToHeight,
+  formatMeasurement,
+  formatChange,
+  describeWeightTrend
+};
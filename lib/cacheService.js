@@ -17,6 +17,7 @@ class CacheService {
       userProfile: 3600,     // 1 hour for user profiles
       leaderboard: 300,      // 5 minutes for leaderboard
       foodDetection: 3600,   // 1 hour for image detection results
+      idempotency: 600,      // 10 minutes to replay retried tool calls
       default: 1800          // 30 minutes default
     };
     
@@ -0,0 +1,236 @@
+/**
+ * Daily targets
+ * Calories and macros for a profile. Calories start from BMR (Mifflin-St Jeor) times the
+ * activity level, then move by the weekly weight goal - 7700 kcal a kilo. Protein is set per
+ * kilo of body weight for the goal, fat is a share of calories and carbs get the rest - kept
+ * between 45% and 55% of calories by moving the difference to or from protein and fat.
+ *
+ * Some health conditions change the split (diabetes caps carbs, kidney disease caps protein),
+ * and any target the user set themselves wins over the calculated one.
+ */
+
+const ACTIVITY_LEVELS = {
+  sedentary: { multiplier: 1.2, label: 'Sedentary (desk job, little exercise)' },
+  low: { multiplier: 1.375, label: 'Lightly active (exercise 1-3 days a week)' },
+  moderate: { multiplier: 1.55, label: 'Moderately active (exercise 3-5 days a week)' },
+  high: { multiplier: 1.725, label: 'Very active (hard exercise 6-7 days a week)' },
+  very_high: { multiplier: 1.9, label: 'Athlete or physical job' }
+};
+
+const DEFAULT_ACTIVITY = 'moderate';
+
+const GOALS = {
+  LOSE: 'lose',
+  MAINTAIN: 'maintain',
+  GAIN: 'gain'
+};
+
+// The health_goals entry each goal is stored as
+const GOAL_TAGS = {
+  [GOALS.LOSE]: 'weight_loss',
+  [GOALS.MAINTAIN]: 'maintain',
+  [GOALS.GAIN]: 'weight_gain'
+};
+
+// kg per week - the default when none is set, and the most we'll plan for
+const RATES = {
+  [GOALS.LOSE]: { default: 0.5, max: 1 },
+  [GOALS.GAIN]: { default: 0.25, max: 0.5 }
+};
+
+const KCAL_PER_KG = 7700;
+
+// Never planned below these, whatever the goal (custom targets can go lower)
+const MIN_CALORIES = { male: 1500, female: 1200 };
+
+const PROTEIN_PER_KG = {
+  [GOALS.LOSE]: 1.4,
+  [GOALS.MAINTAIN]: 1.0,
+  [GOALS.GAIN]: 1.6
+};
+const FAT_SHARE = 0.30;
+const MAX_PROTEIN_SHARE = 0.25;
+const MAX_FAT_SHARE = 0.35;
+const MIN_FAT_SHARE = 0.20;
+// The band carbs are kept in when nothing else sets them
+const MIN_CARB_SHARE = 0.45;
+const MAX_CARB_SHARE = 0.55;
+
+// Condition-specific changes to the split, matched against health_conditions
+const CONDITION_TEMPLATES = [
+  {
+    name: 'diabetes',
+    conditions: ['diabetes', 'diabetic', 'prediabetes', 'pre_diabetes', 'type_1_diabetes', 'type_2_diabetes'],
+    maxCarbShare: 0.40,
+    note: 'Carbs capped at 40% of calories for blood sugar control'
+  },
+  {
+    name: 'kidney_disease',
+    conditions: ['kidney_disease', 'ckd', 'chronic_kidney_disease'],
+    maxProteinPerKg: 0.6,
+    // Dialysis raises protein needs - the cap would be wrong then
+    unless: ['dialysis'],
+    note: 'Protein capped at 0.6 g per kg to go easy on the kidneys - check with your doctor'
+  }
+];
+
+const MACRO_KEYS = ['calories', 'protein', 'carbs', 'fat'];
+
+function activityLevelOf(profile) {
+  return ACTIVITY_LEVELS[profile.activity_level] ? profile.activity_level : DEFAULT_ACTIVITY;
+}
+
+// lose, maintain or gain from health_goals ("weight_loss", "muscle_gain", ...)
+function goalOf(profile) {
+  const goals = profile.health_goals || [];
+  if (goals.includes('weight_loss')) return GOALS.LOSE;
+  if (goals.includes('weight_gain') || goals.includes('muscle_gain')) return GOALS.GAIN;
+  return GOALS.MAINTAIN;
+}
+
+// health_goals with the weight goal swapped for `goal` - other goals are kept
+function withGoal(healthGoals = [], goal) {
+  const weightTags = ['weight_loss', 'weight_gain', 'maintain'];
+  return [GOAL_TAGS[goal], ...healthGoals.filter(tag => !weightTags.includes(tag))];
+}
+
+function rateOf(profile, goal) {
+  const limits = RATES[goal];
+  if (!limits) return 0;
+
+  const rate = Number(profile.target_rate_kg_per_week);
+  return rate > 0 ? Math.min(rate, limits.max) : limits.default;
+}
+
+function templatesFor(profile) {
+  const conditions = profile.health_conditions || [];
+  return CONDITION_TEMPLATES.filter(template =>
+    template.conditions.some(condition => conditions.includes(condition)) &&
+    !(template.unless || []).some(condition => conditions.includes(condition))
+  );
+}
+
+function calculateBMR({ age, height_cm, weight_kg, gender }) {
+  const base = (10 * weight_kg) + (6.25 * height_cm) - (5 * age);
+  return gender === 'male' ? base + 5 : base - 161;
+}
+
+// Only numbers the user actually set
+function customTargetsOf(profile) {
+  const custom = {};
+  MACRO_KEYS.forEach(key => {
+    const value = profile.custom_targets && profile.custom_targets[key];
+    if (typeof value === 'number' && value > 0) custom[key] = value;
+  });
+  return custom;
+}
+
+// { calories, protein, carbs, fat, details } - details say how the numbers were reached
+function calculateDailyTargets(profile) {
+  const notes = [];
+  const bmr = calculateBMR(profile);
+  const activityLevel = activityLevelOf(profile);
+  const maintenance = Math.round(bmr * ACTIVITY_LEVELS[activityLevel].multiplier);
+
+  let goal = goalOf(profile);
+  if (goal !== GOALS.MAINTAIN && (profile.health_conditions || []).includes('pregnancy')) {
+    goal = GOALS.MAINTAIN;
+    notes.push('No weight change planned during pregnancy');
+  }
+  const rate = rateOf(profile, goal);
+  const adjustment = Math.round(rate * KCAL_PER_KG / 7) * (goal === GOALS.LOSE ? -1 : 1);
+
+  let calories = maintenance + adjustment;
+  const floor = MIN_CALORIES[profile.gender] || MIN_CALORIES.female;
+  if (calories < floor) {
+    calories = floor;
+    notes.push(goal === GOALS.LOSE
+      ? `Kept at the ${floor} cal minimum - weight will come off slower than ${rate} kg a week`
+      : `Kept at the ${floor} cal minimum`);
+  }
+
+  const userSet = customTargetsOf(profile);
+  const custom = { ...userSet };
+  // Three custom macros and no custom calories - the calories are whatever they add up to
+  if (!custom.calories && custom.protein && custom.carbs && custom.fat) {
+    custom.calories = custom.protein * 4 + custom.carbs * 4 + custom.fat * 9;
+  }
+  calories = custom.calories || calories;
+
+  const templates = templatesFor(profile);
+  const proteinCap = Math.min(...templates.map(template => template.maxProteinPerKg || Infinity));
+  const carbShare = Math.min(MAX_CARB_SHARE, ...templates.map(template => template.maxCarbShare || Infinity));
+  templates.forEach(template => notes.push(template.note));
+
+  let protein = custom.protein || Math.min(PROTEIN_PER_KG[goal], proteinCap) * profile.weight_kg;
+  let fat = custom.fat || calories * FAT_SHARE / 9;
+  let carbs = custom.carbs || Math.max(0, (calories - protein * 4 - fat * 9) / 4);
+
+  // Carbs over the cap move to protein (up to 25% of calories, unless it's capped or the
+  // user's own), then fat (up to 35%). Whatever's left stays as carbs
+  const maxCarbs = calories * carbShare / 4;
+  if (!custom.carbs && carbs > maxCarbs) {
+    let excess = carbs - maxCarbs;
+    if (proteinCap === Infinity && !custom.protein) {
+      const moved = Math.min(excess, Math.max(0, calories * MAX_PROTEIN_SHARE / 4 - protein));
+      protein += moved;
+      excess -= moved;
+    }
+    if (!custom.fat) {
+      const moved = Math.min(excess, Math.max(0, (calories * MAX_FAT_SHARE - fat * 9) / 4));
+      fat += moved * 4 / 9;
+      excess -= moved;
+    }
+    carbs = maxCarbs + excess;
+    if (excess >= 1) {
+      const reason = proteinCap < Infinity ? 'keeping protein low comes first' : 'your own targets come first';
+      notes.push(`Carbs are ${Math.round(carbs * 4 / calories * 100)}% of calories - ${reason}`);
+    }
+  }
+
+  // Too little left for carbs (a high protein goal on few calories) - fat gives way, down to 20%
+  const minCarbs = calories * Math.min(MIN_CARB_SHARE, carbShare) / 4;
+  if (!custom.carbs && !custom.fat && carbs < minCarbs) {
+    const moved = Math.min(minCarbs - carbs, Math.max(0, (fat * 9 - calories * MIN_FAT_SHARE) / 4));
+    carbs += moved;
+    fat -= moved * 4 / 9;
+  }
+
+  return {
+    calories: Math.round(calories),
+    protein: Math.round(protein),
+    carbs: Math.round(carbs),
+    fat: Math.round(fat),
+    details: {
+      bmr: Math.round(bmr),
+      maintenance_calories: maintenance,
+      activity_level: activityLevel,
+      goal,
+      rate_kg_per_week: rate,
+      daily_adjustment: adjustment,
+      templates: templates.map(template => template.name),
+      custom: Object.keys(userSet),
+      notes
+    }
+  };
+}
+
+// "lose 0.5 kg a week (550 cal under your 2300 cal maintenance)"
+function describeGoal(details) {
+  if (details.goal === GOALS.MAINTAIN) {
+    return `maintain your weight (${details.maintenance_calories} cal a day)`;
+  }
+  const direction = details.goal === GOALS.LOSE ? 'under' : 'over';
+  return `${details.goal} ${details.rate_kg_per_week} kg a week (${Math.abs(details.daily_adjustment)} cal ${direction} your ${details.maintenance_calories} cal maintenance)`;
+}
+
+module.exports = {
+  ACTIVITY_LEVELS,
+  GOALS,
+  RATES,
+  MACRO_KEYS,
+  goalOf,
+  withGoal,
+  calculateDailyTargets,
+  describeGoal
+};
@@ -1,61 +1,212 @@
 /**
  * Date helper for handling timezone-aware dates
  * Ensures daily logs reset at midnight in user's timezone
+ *
+ * Each user has an IANA timezone on their profile ("Asia/Kolkata", "Asia/Dubai",
+ * "America/New_York") and days, hours and weeks are worked out in it. Profiles from before
+ * it was asked for go by DEFAULT_TIMEZONE. Stored timestamps are plain UTC instants -
+ * only days and hours shown to the user are local.
  */
 
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Intl formatters are slow to build, so one per timezone
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// { year, month, day, hour } of an instant on the clock in `timezone`
+function localParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(typeof date === 'string' ? new Date(date) : date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+/**
+ * The canonical name of an IANA timezone, whatever case it was typed in
+ * @param {string} timezone - e.g. "Asia/Dubai" or "america/new_york"
+ * @returns {string|null} The timezone name, or null if this server doesn't know it
+ */
+function normalizeTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone.trim()) return null;
+  try {
+    return getFormatter(timezone.trim()).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The timezone a user's days are counted in
+ * @param {Object} profile - User profile, may be null
+ * @returns {string} The profile's timezone, or DEFAULT_TIMEZONE when it has none
+ */
+function timezoneOf(profile) {
+  return normalizeTimezone(profile?.timezone) || DEFAULT_TIMEZONE;
+}
+
 /**
- * Get today's date in IST (Indian Standard Time)
+ * The date an instant falls on in a timezone
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {string} timezone - IANA timezone
  * @returns {string} Date in YYYY-MM-DD format
  */
-function getTodayIST() {
-  // Create a new date object for current time
-  const now = new Date();
-  
-  // IST is UTC+5:30
-  const istOffset = 5.5 * 60 * 60 * 1000; // 5.5 hours in milliseconds
-  const istTime = new Date(now.getTime() + istOffset);
-  
-  // Return date in YYYY-MM-DD format
-  return istTime.toISOString().split('T')[0];
+function toLocalDate(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = localParts(date, timezone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
 }
 
 /**
- * Get current timestamp in IST
- * @returns {string} ISO timestamp adjusted for IST
+ * The hour an instant falls in on the clock in a timezone
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {string} timezone - IANA timezone
+ * @returns {number} 0-23
+ */
+function toLocalHour(date, timezone = DEFAULT_TIMEZONE) {
+  return parseInt(localParts(date, timezone).hour, 10);
+}
+
+/**
+ * Get today's date in a timezone
+ * @param {string} timezone - IANA timezone, the user's from timezoneOf(profile)
+ * @returns {string} Date in YYYY-MM-DD format
  */
-function getCurrentTimestampIST() {
-  const now = new Date();
-  const istOffset = 5.5 * 60 * 60 * 1000;
-  const istTime = new Date(now.getTime() + istOffset);
-  return istTime.toISOString();
+function getToday(timezone = DEFAULT_TIMEZONE) {
+  return toLocalDate(new Date(), timezone);
 }
 
 /**
- * Convert UTC date to IST date string
- * @param {Date|string} utcDate - UTC date
- * @returns {string} Date in YYYY-MM-DD format in IST
+ * Current hour of the day in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {number} 0-23
  */
-function convertToISTDate(utcDate) {
-  const date = typeof utcDate === 'string' ? new Date(utcDate) : utcDate;
-  const istOffset = 5.5 * 60 * 60 * 1000;
-  const istTime = new Date(date.getTime() + istOffset);
-  return istTime.toISOString().split('T')[0];
+function getCurrentHour(timezone = DEFAULT_TIMEZONE) {
+  return toLocalHour(new Date(), timezone);
 }
 
 /**
- * Check if a timestamp is from today (in IST)
+ * Check if a timestamp is from today in a timezone
  * @param {string} timestamp - ISO timestamp
+ * @param {string} timezone - IANA timezone
  * @returns {boolean}
  */
-function isToday(timestamp) {
-  const todayIST = getTodayIST();
-  const timestampIST = convertToISTDate(timestamp);
-  return todayIST === timestampIST;
+function isToday(timestamp, timezone = DEFAULT_TIMEZONE) {
+  return toLocalDate(timestamp, timezone) === getToday(timezone);
+}
+
+// How far back food can be logged or changed unless MAX_BACKDATE_DAYS says otherwise
+const DEFAULT_MAX_BACKDATE_DAYS = 7;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Shift a date by whole days
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative goes back)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - Date in YYYY-MM-DD format
+ * @param {string} to - Date in YYYY-MM-DD format
+ * @returns {number} Positive when `to` is later
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Day of the week of a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} 0 for Sunday to 6 for Saturday
+ */
+function getDayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The Monday of the week a date is in - weeks run Monday to Sunday
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getWeekStart(date) {
+  return addDays(date, -((getDayOfWeek(date) + 6) % 7));
+}
+
+/**
+ * Turn what a user typed into a date - "today", "yesterday", "day before yesterday",
+ * "3 days ago", a weekday ("monday" / "last monday" = the most recent one before today)
+ * or YYYY-MM-DD. Empty input means today.
+ * @param {string} input - Date as the user wrote it
+ * @param {string} today - Today in the user's timezone, YYYY-MM-DD
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if it isn't a date
+ */
+function parseDateInput(input, today = getToday()) {
+  const text = String(input || '').trim().toLowerCase();
+  
+  if (!text || text === 'today') return today;
+  if (text === 'yesterday') return addDays(today, -1);
+  if (text === 'day before yesterday') return addDays(today, -2);
+  
+  const ago = text.match(/^(\d+)\s+days?\s+ago$/);
+  if (ago) return addDays(today, -parseInt(ago[1], 10));
+  
+  const weekday = WEEKDAYS.indexOf(text.replace(/^last\s+/, ''));
+  if (weekday !== -1) {
+    const todayIndex = getDayOfWeek(today);
+    return addDays(today, -((todayIndex - weekday + 7) % 7 || 7));
+  }
+  
+  // Reject dates like 2024-02-30 that Date would quietly roll over
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text)) && addDays(text, 0) === text) {
+    return text;
+  }
+  
+  return null;
+}
+
+/**
+ * How many days back food can still be logged, edited or removed
+ * @returns {number}
+ */
+function getMaxBackdateDays() {
+  const days = parseInt(process.env.MAX_BACKDATE_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_MAX_BACKDATE_DAYS;
 }
 
 module.exports = {
-  getTodayIST,
-  getCurrentTimestampIST,
-  convertToISTDate,
-  isToday
+  DEFAULT_TIMEZONE,
+  normalizeTimezone,
+  timezoneOf,
+  getToday,
+  getCurrentHour,
+  toLocalDate,
+  toLocalHour,
+  isToday,
+  addDays,
+  daysBetween,
+  getDayOfWeek,
+  getWeekStart,
+  parseDateInput,
+  getMaxBackdateDays
 };
\ No newline at end of file
@@ -45,17 +45,8 @@ function getDb() {
   return db;
 }
 
-// Collections
-const collections = {
-  users: 'users',
-  dailyLogs: 'daily_logs',
-  tokens: 'bearer_tokens',
-  TOXIN_TRACKING: 'toxin_tracking'
-};
-
 module.exports = {
   admin,
   initializeFirebase,
-  getDb,
-  collections
+  getDb
 };
\ No newline at end of file
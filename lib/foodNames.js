@@ -0,0 +1,315 @@
+/**
+ * Food names
+ * What people call a food in chat - "anda bhurji", "dahi", "chole", "thayir sadam",
+ * "maacher jhol", "pohe" - mapped to the name the nutrition databases know it by,
+ * before any lookup. Spellings of transliterated names vary a lot ("paneer", "panir",
+ * "panner"), so names are compared by a rough phonetic key and then by edit distance.
+ *
+ * DISHES are whole names, matched first. WORDS are single ingredients, swapped only when
+ * a name we don't have is all ingredients ("aloo methi" -> "potato fenugreek"). SPELLINGS
+ * fix common misspellings of a word before either.
+ */
+
+// Canonical name -> what people type for it. Dishes the databases know by their Indian name
+// are listed under that name so spelling variants still land on it
+const DISHES = [
+  // Hindi / Hinglish
+  { name: 'scrambled eggs', aliases: ['anda bhurji', 'egg bhurji', 'anda burji'] },
+  { name: 'omelette', aliases: ['anda omelette', 'masala omelette', 'amlet', 'omlet'] },
+  { name: 'boiled egg', aliases: ['ubla anda', 'anda boiled'] },
+  { name: 'egg curry', aliases: ['anda curry', 'ande ki sabzi'] },
+  { name: 'aloo paratha', aliases: ['aloo parantha', 'alu paratha', 'aloo ka paratha'] },
+  { name: 'gobi paratha', aliases: ['gobhi paratha', 'gobi parantha'] },
+  { name: 'paneer paratha', aliases: ['paneer parantha'] },
+  { name: 'plain paratha', aliases: ['paratha', 'parantha', 'parotta', 'porotta'] },
+  { name: 'chapati', aliases: ['roti', 'chapathi', 'chappathi', 'phulka', 'fulka', 'rotli', 'poli'] },
+  { name: 'puri', aliases: ['poori', 'luchi'] },
+  { name: 'chickpea curry', aliases: ['chole', 'chhole', 'cholay', 'chana masala', 'chole masala', 'chhole masala'] },
+  { name: 'chole bhature', aliases: ['chhole bhature', 'chole bhatura'] },
+  { name: 'kidney bean curry', aliases: ['rajma', 'rajma masala', 'rajmah'] },
+  { name: 'rajma chawal', aliases: ['rajma rice'] },
+  { name: 'dal', aliases: ['daal', 'dal tadka', 'dal fry', 'tadka dal', 'varan', 'amti', 'paruppu'] },
+  { name: 'dal makhani', aliases: ['dal makhni', 'maa ki dal'] },
+  { name: 'chana dal', aliases: ['cholar dal', 'chane ki dal'] },
+  { name: 'moong dal', aliases: ['mung dal', 'moong ki dal'] },
+  { name: 'masoor dal', aliases: ['masur dal', 'masoor ki dal'] },
+  { name: 'dal chawal', aliases: ['dal rice', 'daal chawal', 'dal bhaat', 'dal bhat'] },
+  { name: 'kadhi', aliases: ['kadhi pakora', 'kadi', 'karhi'] },
+  { name: 'kadhi chawal', aliases: ['kadhi rice', 'kadi chawal', 'karhi chawal'] },
+  { name: 'dahi vada', aliases: ['dahi bhalla', 'dahi bhalle', 'dahi vade'] },
+  { name: 'sarson ka saag', aliases: ['sarson da saag', 'sarson saag'] },
+  { name: 'yogurt', aliases: ['dahi', 'curd', 'thayir', 'doi', 'dohi'] },
+  { name: 'raita', aliases: ['boondi raita', 'kheera raita'] },
+  { name: 'buttermilk', aliases: ['chaas', 'chhaas', 'chhach', 'mattha', 'taak', 'mor', 'ghol'] },
+  { name: 'lassi', aliases: ['meethi lassi', 'sweet lassi'] },
+  { name: 'palak paneer', aliases: ['saag paneer', 'palak panir'] },
+  { name: 'paneer butter masala', aliases: ['paneer makhani', 'paneer makhanwala'] },
+  { name: 'matar paneer', aliases: ['mutter paneer', 'mattar paneer'] },
+  { name: 'paneer bhurji', aliases: ['panir bhurji'] },
+  { name: 'butter chicken', aliases: ['murgh makhani', 'chicken makhani'] },
+  { name: 'chicken curry', aliases: ['murgh curry', 'kozhi curry', 'murgir jhol', 'chicken rassa'] },
+  { name: 'mutton curry', aliases: ['gosht curry', 'mutton rogan josh', 'rogan josh', 'kosha mangsho'] },
+  { name: 'minced meat curry', aliases: ['keema', 'kheema', 'keema matar'] },
+  { name: 'potato cauliflower curry', aliases: ['aloo gobi', 'aloo gobhi', 'alu gobi'] },
+  { name: 'potato curry', aliases: ['aloo sabzi', 'aloo ki sabzi', 'batata bhaji', 'aloo bhaja', 'alur dom'] },
+  { name: 'okra stir fry', aliases: ['bhindi', 'bhindi masala', 'bhindi fry', 'vendakkai poriyal'] },
+  { name: 'eggplant curry', aliases: ['baingan bharta', 'baingan', 'begun bhaja', 'vangi bhaji'] },
+  { name: 'mixed vegetable curry', aliases: ['mix veg', 'sabzi', 'sabji', 'shukto', 'avial', 'aviyal'] },
+  { name: 'khichdi', aliases: ['khichri', 'khichuri', 'kichdi'] },
+  { name: 'vegetable pulao', aliases: ['pulao', 'pulav', 'veg pulao'] },
+  { name: 'chicken biryani', aliases: ['murgh biryani', 'chicken biriyani'] },
+  { name: 'vegetable biryani', aliases: ['veg biryani', 'veg biriyani'] },
+  { name: 'pav bhaji', aliases: ['paav bhaji'] },
+  { name: 'pani puri', aliases: ['paani puri', 'pani poori', 'golgappa', 'golgappe', 'gol gappe', 'puchka', 'phuchka'] },
+  { name: 'samosa', aliases: ['samosas', 'singara', 'shingara'] },
+  { name: 'kheer', aliases: ['payasam', 'payesh', 'rice pudding'] },
+  { name: 'halwa', aliases: ['sooji halwa', 'suji ka halwa', 'sheera', 'kesari'] },
+  { name: 'gajar halwa', aliases: ['gajar ka halwa', 'gajrela'] },
+  { name: 'masala chai', aliases: ['chai', 'cha', 'chaha', 'adrak chai'] },
+  { name: 'filter coffee', aliases: ['kaapi', 'filter kaapi'] },
+  // Tamil / South Indian
+  { name: 'idli', aliases: ['idly', 'iddli'] },
+  { name: 'dosa', aliases: ['dosai', 'thosai'] },
+  { name: 'masala dosa', aliases: ['masala dosai', 'masale dose'] },
+  { name: 'rava dosa', aliases: ['rawa dosa', 'rava dosai'] },
+  { name: 'sambar', aliases: ['sambhar', 'sambaar', 'kuzhambu', 'kulambu'] },
+  { name: 'rasam', aliases: ['saaru', 'chaaru'] },
+  { name: 'curd rice', aliases: ['thayir sadam', 'thayir saadham', 'dahi chawal', 'mosaranna', 'daddojanam'] },
+  { name: 'lemon rice', aliases: ['elumichai sadam', 'chitranna', 'nimbu chawal'] },
+  { name: 'upma', aliases: ['uppittu', 'rava upma', 'uppuma'] },
+  { name: 'pongal', aliases: ['ven pongal', 'khara pongal'] },
+  { name: 'appam', aliases: ['aappam', 'palappam'] },
+  { name: 'string hoppers', aliases: ['idiyappam', 'nool puttu'] },
+  { name: 'medu vada', aliases: ['vadai', 'medu vadai', 'uzhunnu vada'] },
+  { name: 'fish curry', aliases: ['meen kuzhambu', 'meen curry', 'maacher jhol', 'machher jhol', 'macher jhol', 'fish kalwan'] },
+  // Bengali
+  { name: 'rasgulla', aliases: ['rosogolla', 'rasagola', 'roshogolla'] },
+  { name: 'sweetened yogurt', aliases: ['mishti doi', 'misti doi'] },
+  { name: 'sandesh', aliases: ['shondesh'] },
+  // Marathi / Gujarati
+  { name: 'poha', aliases: ['pohe', 'kande pohe', 'aval', 'chivda poha'] },
+  { name: 'misal pav', aliases: ['misal', 'misal paav'] },
+  { name: 'sprouts curry', aliases: ['usal', 'matki usal', 'sprout usal'] },
+  { name: 'sabudana khichdi', aliases: ['sabudana khichadi', 'sago khichdi'] },
+  { name: 'jowar roti', aliases: ['bhakri', 'jowar bhakri', 'jolada rotti'] },
+  { name: 'puran poli', aliases: ['holige', 'obbattu'] },
+  { name: 'thalipeeth', aliases: ['thalipith'] },
+  { name: 'vada pav', aliases: ['wada pav', 'vadapav', 'vada paav'] },
+  { name: 'dhokla', aliases: ['khaman', 'khaman dhokla'] },
+  { name: 'thepla', aliases: ['methi thepla'] }
+];
+
+// Single ingredients - Hindi first, then other languages
+const WORDS = {
+  potato: ['aloo', 'alu', 'batata', 'urulaikizhangu'],
+  cauliflower: ['gobi', 'gobhi', 'phool gobi', 'phulkopi'],
+  cabbage: ['patta gobi', 'bandh gobi', 'bandhakopi', 'kobi'],
+  spinach: ['palak', 'saag', 'keerai', 'palong'],
+  okra: ['bhindi', 'bhendi', 'vendakkai', 'dherosh'],
+  eggplant: ['baingan', 'brinjal', 'vangi', 'kathirikai', 'begun'],
+  peas: ['matar', 'mutter', 'mattar'],
+  carrot: ['gajar'],
+  onion: ['pyaz', 'pyaaz', 'kanda', 'vengayam', 'peyaj'],
+  tomato: ['tamatar', 'thakkali'],
+  fenugreek: ['methi', 'vendhayam'],
+  radish: ['mooli', 'mula'],
+  cucumber: ['kheera', 'kakdi', 'vellarikkai', 'sasa'],
+  'bottle gourd': ['lauki', 'dudhi', 'ghiya', 'sorakkai', 'lau'],
+  'bitter gourd': ['karela', 'pavakkai', 'korola', 'karle'],
+  pumpkin: ['kaddu', 'bhopla', 'poosanikai', 'kumro'],
+  mushroom: ['khumb', 'kalaan'],
+  egg: ['anda', 'ande', 'muttai', 'dim', 'andi'],
+  chicken: ['murgh', 'murg', 'kozhi', 'murgi', 'kombdi'],
+  mutton: ['gosht', 'mangsho', 'aattu kari'],
+  fish: ['machli', 'machhli', 'meen', 'maach', 'macher'],
+  prawns: ['jhinga', 'chingri', 'eral', 'kolambi'],
+  rice: ['chawal', 'chaawal', 'bhaat', 'bhat', 'sadam', 'saadham', 'annam'],
+  lentils: ['dal', 'daal', 'paruppu'],
+  chickpeas: ['chana', 'chhole', 'chole', 'kabuli chana', 'kadalai'],
+  'kidney beans': ['rajma'],
+  'cottage cheese': ['chhena', 'chenna'],
+  yogurt: ['dahi', 'thayir', 'doi', 'dohi'],
+  milk: ['doodh', 'dudh', 'paal'],
+  butter: ['makhan', 'makkhan', 'venna', 'loni'],
+  sugar: ['cheeni', 'chini', 'shakkar', 'sakkarai'],
+  jaggery: ['gur', 'gud', 'vellam', 'gul'],
+  banana: ['kela', 'kele', 'vazhaipazham'],
+  apple: ['seb', 'saeb'],
+  mango: ['aam', 'mambazham', 'amba'],
+  guava: ['amrood', 'amrud', 'peru', 'koyya'],
+  papaya: ['papita', 'pappali'],
+  lemon: ['nimbu', 'limbu', 'elumichai', 'lebu'],
+  coconut: ['nariyal', 'thengai', 'narkel', 'naral'],
+  peanuts: ['moongphali', 'mungfali', 'shengdana', 'verkadalai', 'chinabadam'],
+  semolina: ['sooji', 'suji', 'rava', 'rawa'],
+  'chickpea flour': ['besan'],
+  'whole wheat flour': ['atta', 'aata'],
+  'puffed rice': ['murmura', 'kurmura', 'muri', 'pori'],
+  'flattened rice': ['chivda', 'chuda', 'aval'],
+  'pearl millet': ['bajra', 'bajri', 'kambu'],
+  sorghum: ['jowar', 'jola', 'cholam'],
+  'finger millet': ['ragi', 'nachni', 'kezhvaragu'],
+  sweets: ['mithai', 'mishti', 'godachi'],
+  tea: ['chai', 'chaha', 'cha', 'theneer'],
+  water: ['paani', 'pani', 'thanni', 'jol']
+};
+
+// Misspellings too far from the word for the typo matching, fixed word by word first
+const SPELLINGS = {
+  paneer: ['paner', 'panir', 'panneer'],
+  biryani: ['biriyani', 'biriani', 'briyani', 'beriyani']
+};
+
+// Below this word length a one-letter difference is more likely another food than a typo
+// ("pasta" / "pista"), so only longer words are compared fuzzily
+const FUZZY_MIN_LENGTH = 6;
+
+// A rough sound-alike key, so common transliteration differences compare equal:
+// doubled letters, long vowels (ee/i, oo/u, aa/a), aspirates (bh/b, chh/ch, dh/d),
+// w/v, z/j, ph/f, and -ay / -ey endings
+function phoneticKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/ph/g, 'f')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/([bcdgjklprst])h/g, '$1')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/(\w)\1+/g, '$1')
+    .replace(/(?:ay|ey)\b/g, 'e')
+    .replace(/([aeiou])h\b/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Levenshtein distance, stopping early once it's past `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// key -> canonical name, for the exact lookups
+function buildIndex(entries) {
+  const index = new Map();
+  entries.forEach(([name, aliases]) => {
+    [name, ...aliases].forEach(alias => {
+      const key = phoneticKey(alias);
+      if (!index.has(key)) index.set(key, name);
+    });
+  });
+  return index;
+}
+
+const DISH_INDEX = buildIndex(DISHES.map(dish => [dish.name, dish.aliases]));
+const WORD_INDEX = buildIndex(Object.entries(WORDS));
+const SPELLING_INDEX = buildIndex(Object.entries(SPELLINGS));
+
+// The key as typed, then without a plural ending - "rotis", "samosas", "tomatoes"
+function keysFor(text) {
+  const key = phoneticKey(text);
+  return [key, key.replace(/\b(\w+[^s\s])s\b/g, '$1'), key.replace(/\b(\w{2,})es\b/g, '$1')];
+}
+
+// How far apart two keys are, word by word - each word the same or within its own typo allowance
+// (1, or 2 for long words). Short words have to match exactly, so "kadhi chawal" isn't one typo
+// away from "dahi chawal" and a typo in one dish never lands on another
+function wordDistance(key, candidate) {
+  const words = key.split(' ');
+  const others = candidate.split(' ');
+  if (words.length !== others.length) return Infinity;
+
+  let total = 0;
+  for (let i = 0; i < words.length; i++) {
+    if (words[i] === others[i]) continue;
+    const length = Math.max(words[i].length, others[i].length);
+    if (length < FUZZY_MIN_LENGTH) return Infinity;
+
+    const max = length >= 10 ? 2 : 1;
+    const distance = editDistance(words[i], others[i], max);
+    if (distance > max) return Infinity;
+    total += distance;
+  }
+  return total;
+}
+
+// Closest key within the typo allowance
+function fuzzyFind(index, key) {
+  let best = null;
+  let bestDistance = Infinity;
+  index.forEach((name, candidate) => {
+    const distance = wordDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+function lookup(index, text) {
+  const keys = keysFor(text);
+  for (const key of keys) {
+    if (index.has(key)) return index.get(key);
+  }
+  for (const key of keys) {
+    const found = fuzzyFind(index, key);
+    if (found) return found;
+  }
+  return null;
+}
+
+// The name to look a food up by. A known dish first, then a name made only of ingredient
+// words swapped word for word - half a translation ("sarson ka spinach") is worse than none,
+// so anything else is left as it was, apart from fixed misspellings
+function canonicalFoodName(name) {
+  const original = String(name || '').trim();
+  if (!original) return original;
+
+  const words = original.toLowerCase().split(/\s+/)
+    .map(word => SPELLING_INDEX.get(phoneticKey(word)) || word);
+  const spelled = words.join(' ');
+  const asTyped = spelled === original.toLowerCase() ? original : spelled;
+
+  const dish = lookup(DISH_INDEX, spelled);
+  if (dish) return dish;
+
+  // Two-word ingredients ("patta gobi") before single words
+  const result = [];
+  for (let i = 0; i < words.length; i++) {
+    const pair = i + 1 < words.length ? WORD_INDEX.get(phoneticKey(`${words[i]} ${words[i + 1]}`)) : null;
+    if (pair) {
+      result.push(pair);
+      i++;
+      continue;
+    }
+    const word = lookup(WORD_INDEX, words[i]);
+    if (!word) return asTyped;
+    result.push(word);
+  }
+
+  const translated = result.join(' ');
+  return translated === original.toLowerCase() ? original : translated;
+}
+
+module.exports = {
+  DISHES,
+  WORDS,
+  phoneticKey,
+  canonicalFoodName
+};
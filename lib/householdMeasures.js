@@ -0,0 +1,244 @@
+/**
+ * Household measures
+ * Turns the way people actually describe a portion - "1 katori dal", "2-3 rotis",
+ * "half plate biryani", "dedh glass lassi", "2 tbsp ghee" - into a quantity, a unit
+ * and, where we can tell, grams. Grams are what the per-100g lookups need; a unit
+ * without a known weight (a plain "serving" of something we don't have a weight
+ * for) leaves grams null and the lookup falls back to its own serving.
+ *
+ * Weights are typical Indian home portions. A food listed in FOOD_WEIGHTS overrides
+ * the generic weight of a measure (a katori of rice is lighter than one of dal).
+ */
+
+// Canonical unit -> words people use for it and grams in one (water-like density for volumes).
+// Count units have no generic weight - it depends on the food
+const MEASURES = {
+  g: { words: ['g', 'gm', 'gms', 'gram', 'grams', 'gr'], grams: 1 },
+  kg: { words: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'], grams: 1000 },
+  oz: { words: ['oz', 'ounce', 'ounces'], grams: 28.35 },
+  lb: { words: ['lb', 'lbs', 'pound', 'pounds'], grams: 453.6 },
+  ml: { words: ['ml', 'mls', 'millilitre', 'millilitres', 'milliliter', 'milliliters'], grams: 1 },
+  l: { words: ['l', 'ltr', 'litre', 'litres', 'liter', 'liters'], grams: 1000 },
+  cup: { words: ['cup', 'cups'], grams: 240, plural: 'cups' },
+  glass: { words: ['glass', 'glasses', 'gilas'], grams: 250, plural: 'glasses' },
+  katori: { words: ['katori', 'katoris', 'katoriyan', 'vati', 'wati'], grams: 150, plural: 'katoris' },
+  bowl: { words: ['bowl', 'bowls'], grams: 200, plural: 'bowls' },
+  plate: { words: ['plate', 'plates'], grams: 250, plural: 'plates' },
+  // A serving spoon - "chammach" in chat is rarely a measuring teaspoon
+  tbsp: { words: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons', 'spoon', 'spoons', 'chammach', 'chamach', 'chamchi'], grams: 15 },
+  tsp: { words: ['tsp', 'tsps', 'teaspoon', 'teaspoons'], grams: 5 },
+  ladle: { words: ['ladle', 'ladles', 'karchi', 'kadchi', 'karchhi'], grams: 75, plural: 'ladles' },
+  slice: { words: ['slice', 'slices'], grams: null, plural: 'slices', count: true },
+  piece: { words: ['piece', 'pieces', 'pc', 'pcs'], grams: null, plural: 'pieces', count: true },
+  serving: { words: ['serving', 'servings'], grams: null, plural: 'servings', count: true }
+};
+
+// First match wins, so more specific names come before the ones they end with ("vada pav" before "pav",
+// "pani puri" before "puri"). A plain count means pieces of a food we weigh by the piece - "2 rotis" is
+// 2 pieces - or `unit` for a dish served by the plate
+const FOOD_WEIGHTS = [
+  { names: ['roti', 'chapati', 'chapatti', 'phulka', 'fulka'], piece: 40 },
+  { names: ['paratha', 'parantha', 'parotta'], piece: 80 },
+  { names: ['naan'], piece: 90 },
+  { names: ['pani puri', 'paani puri', 'pani poori', 'golgappa', 'golgappe', 'gol gappe', 'puchka', 'phuchka'], plate: 180, unit: 'plate' },
+  { names: ['sev puri', 'dahi puri', 'bhel puri', 'bhel'], plate: 150, unit: 'plate' },
+  { names: ['puri', 'poori'], piece: 25 },
+  { names: ['bhatura', 'bhature'], piece: 60 },
+  { names: ['idli'], piece: 40 },
+  { names: ['dosa'], piece: 100 },
+  { names: ['uttapam'], piece: 120 },
+  { names: ['vada', 'wada'], piece: 50 },
+  { names: ['samosa'], piece: 60 },
+  { names: ['kachori'], piece: 50 },
+  { names: ['pakora', 'pakoda', 'bhajiya'], piece: 20 },
+  { names: ['dhokla'], piece: 30 },
+  { names: ['momo'], piece: 25 },
+  { names: ['gulab jamun'], piece: 40 },
+  { names: ['rasgulla', 'rasgolla'], piece: 40 },
+  { names: ['laddoo', 'laddu', 'ladoo'], piece: 40 },
+  { names: ['jalebi'], piece: 30 },
+  { names: ['barfi', 'burfi'], piece: 30 },
+  { names: ['pav bhaji'], plate: 300, unit: 'plate' },
+  { names: ['vada pav'], piece: 150 },
+  { names: ['pav', 'bun'], piece: 40 },
+  { names: ['bread', 'toast'], piece: 30, slice: 30 },
+  { names: ['biscuit', 'cookie'], piece: 10 },
+  { names: ['egg', 'anda'], piece: 50 },
+  { names: ['banana', 'kela'], piece: 120 },
+  { names: ['apple', 'seb'], piece: 180 },
+  { names: ['orange', 'santra'], piece: 130 },
+  { names: ['biryani', 'pulao', 'pulav'], plate: 350, katori: 150, unit: 'plate' },
+  { names: ['rice', 'chawal'], plate: 250, katori: 120, bowl: 160, cup: 160 },
+  { names: ['poha', 'upma'], plate: 200, katori: 120 },
+  { names: ['dal', 'daal', 'sambar', 'rasam', 'kadhi'], katori: 150, ladle: 75 },
+  { names: ['curd', 'dahi', 'yogurt', 'raita'], katori: 150 },
+  { names: ['ghee', 'oil', 'butter'], tbsp: 13, tsp: 4.5 },
+  { names: ['honey'], tbsp: 21, tsp: 7 },
+  { names: ['sugar', 'cheeni', 'jaggery', 'gur'], tbsp: 12, tsp: 4 },
+  { names: ['tea', 'chai', 'coffee'], cup: 150 }
+];
+
+// Amount words, Hindi ones included. `full` only counts before a measure ("full plate") -
+// otherwise it's part of the name ("full cream milk")
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  half: 0.5, quarter: 0.25, aadha: 0.5, adha: 0.5, aadhi: 0.5, adhi: 0.5,
+  sawa: 1.25, dedh: 1.5, derh: 1.5, dhai: 2.5, dhaai: 2.5, adhai: 2.5, full: 1
+};
+
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+const UNIT_BY_WORD = {};
+Object.entries(MEASURES).forEach(([unit, measure]) => {
+  measure.words.forEach(word => { UNIT_BY_WORD[word] = unit; });
+});
+// Longest first so "tbsps" isn't read as "tbs" + "ps"
+const UNIT_PATTERN = new RegExp(
+  `^(${Object.keys(UNIT_BY_WORD).sort((a, b) => b.length - a.length).join('|')})\\.?(?=\\s|$)\\s*(?:of\\s+)?`,
+  'i'
+);
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// One amount at the start of `text` - "2", "1.5", "1/2", "1 1/2", "½", "two", "dedh" - as
+// { value, rest }, or null
+function readNumber(text) {
+  let match = text.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)(?!\d)/);
+  if (match && Number(match[3]) > 0) {
+    return { value: Number(match[1]) + Number(match[2]) / Number(match[3]), rest: text.slice(match[0].length) };
+  }
+
+  match = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+  if (match && Number(match[2]) > 0) {
+    return { value: Number(match[1]) / Number(match[2]), rest: text.slice(match[0].length) };
+  }
+
+  match = text.match(/^(\d+(?:\.\d+)?)?\s*([½¼¾⅓⅔])/);
+  if (match) {
+    return { value: Number(match[1] || 0) + UNICODE_FRACTIONS[match[2]], rest: text.slice(match[0].length) };
+  }
+
+  match = text.match(/^\d+(?:\.\d+)?/);
+  if (match) {
+    return { value: Number(match[0]), rest: text.slice(match[0].length) };
+  }
+
+  match = text.match(/^([a-z]+)\b/i);
+  if (match && NUMBER_WORDS[match[1].toLowerCase()] !== undefined) {
+    const word = match[1].toLowerCase();
+    const rest = text.slice(match[0].length).replace(/^\s+/, '');
+    if (word === 'full' && !UNIT_PATTERN.test(rest)) return null;
+    return { value: NUMBER_WORDS[word], rest };
+  }
+
+  return null;
+}
+
+// The amount a description starts with. Ranges ("2-3", "2 to 3") count as their middle,
+// "one and a half" / "2 and a half" add the half, "half a plate" / "half of" skip the filler
+function parseQuantity(text) {
+  const first = readNumber(text);
+  if (!first) return null;
+
+  let value = first.value;
+  let rest = first.rest;
+
+  const range = rest.match(/^\s*(?:-|–|to|or)\s*/i);
+  if (range) {
+    const second = readNumber(rest.slice(range[0].length));
+    if (second && second.value > value) {
+      value = (value + second.value) / 2;
+      rest = second.rest;
+    }
+  }
+
+  const andAHalf = rest.match(/^\s*and\s+a\s+half\b/i);
+  if (andAHalf) {
+    value += 0.5;
+    rest = rest.slice(andAHalf[0].length);
+  }
+
+  if (value < 1) {
+    rest = rest.replace(/^\s*(?:an?|of)\s+/i, '');
+  }
+
+  return value > 0 ? { quantity: round(value), rest: rest.trim() } : null;
+}
+
+function canonicalUnit(word) {
+  return UNIT_BY_WORD[String(word || '').trim().toLowerCase()] || null;
+}
+
+// The food's own weights, if we have them. Only when the name ends with the food - "aloo paratha"
+// is a paratha, "banana shake" isn't a banana
+function findFoodWeights(foodName) {
+  const lower = String(foodName || '').trim().toLowerCase();
+  return FOOD_WEIGHTS.find(food => food.names.some(name => new RegExp(`\\b${name}(?:e?s)?$`).test(lower))) || null;
+}
+
+// Grams in `quantity` of `unit` of a food, or null when the weight depends on a food we don't know.
+// A plain serving of a countable food is one piece, of a plate dish one plate
+function gramsFor(quantity, unitWord, foodName) {
+  const unit = canonicalUnit(unitWord) || unitWord;
+  const measure = MEASURES[unit];
+  if (!measure) return null;
+
+  const food = findFoodWeights(foodName);
+  let perUnit = food && food[unit] ? food[unit] : measure.grams;
+  if (unit === 'serving' && food) perUnit = food.piece || food[food.unit] || perUnit;
+
+  return perUnit ? Math.round(quantity * perUnit) : null;
+}
+
+// What a count with no measure is counted in - "2 rotis" are pieces, "paani puri" is a plate
+function defaultUnit(foodName) {
+  const food = findFoodWeights(foodName);
+  if (!food) return 'serving';
+  return food.unit || (food.piece ? 'piece' : 'serving');
+}
+
+// "2 katori dal" -> { quantity: 2, unit: 'katori', foodName: 'dal', grams: 300 }.
+// No amount means 1, no measure means the food's own unit (defaultUnit)
+function parseMeasure(description) {
+  const text = String(description || '').trim();
+  const amount = parseQuantity(text);
+  const quantity = amount ? amount.quantity : 1;
+  let rest = amount ? amount.rest : text;
+  let unit = null;
+
+  // "katori dal" works without an amount, but the measure needs a food after it
+  const unitMatch = rest.match(UNIT_PATTERN);
+  if (unitMatch && rest.slice(unitMatch[0].length).trim()) {
+    unit = canonicalUnit(unitMatch[1]);
+    rest = rest.slice(unitMatch[0].length);
+  }
+
+  const foodName = rest.replace(/^of\s+/i, '').trim() || text;
+  unit = unit || defaultUnit(foodName);
+  return { quantity, unit, foodName, grams: gramsFor(quantity, unit, foodName) };
+}
+
+// Counted rather than measured - a lookup's own serving is the best guess for these
+function isCountUnit(unitWord) {
+  const measure = MEASURES[canonicalUnit(unitWord) || unitWord];
+  return Boolean(measure && measure.count);
+}
+
+// "2 katoris", "1 glass" - units we don't know are left as written
+function formatUnit(quantity, unit) {
+  const measure = MEASURES[unit];
+  return measure && measure.plural && quantity > 1 ? measure.plural : unit;
+}
+
+module.exports = {
+  MEASURES,
+  FOOD_WEIGHTS,
+  parseQuantity,
+  parseMeasure,
+  canonicalUnit,
+  gramsFor,
+  isCountUnit,
+  formatUnit
+};
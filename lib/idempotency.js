@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+const { extractPuchAIToken } = require('./puch-ai-compatibility');
+const { structuredResult, isStructuredResult } = require('./toolOutput');
+
+const NAMESPACE = 'idempotency';
+
+function fingerprint(args) {
+  const { idempotency_key, ...rest } = args || {};
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+/**
+ * Idempotency
+ * Mutating tools (add_food, remove_food, ...) run at most once per key. Clients
+ * retry on timeouts, so the first result is remembered in cacheService and handed
+ * back on replay - a retry that lands while the original is still running waits
+ * for it instead of starting a second run.
+ *
+ * The key is the caller's idempotency_key, or without one the JSON-RPC id plus the
+ * arguments - a retry resends both unchanged. Ids start again at 1 for every session
+ * and stdio process, so derived keys also carry the connection; stateless HTTP posts
+ * have none and go by the user alone. Keys are scoped to the user and tool, and calls
+ * nobody can be identified for aren't deduplicated.
+ */
+class Idempotency {
+  constructor() {
+    // Calls still running, by cache key
+    this.pending = new Map();
+  }
+
+  // Cache key for a call, or null when it shouldn't be deduplicated.
+  // connection is the session id, the process's id for stdio, or null for stateless calls
+  keyFor(toolName, args, id, req, connection = null) {
+    const user = args.puch_user_id || extractPuchAIToken(args, req);
+    if (!user || id === undefined || id === null) return null;
+
+    const scope = args.idempotency_key
+      ? `key:${args.idempotency_key}`
+      : `rpc:${connection || 'stateless'}:${id}:${fingerprint(args)}`;
+
+    return cacheService.generateKey(NAMESPACE, toolName, user, scope);
+  }
+
+  // Run execute() once per key - resolves to { result, replayed }
+  async run(key, args, execute) {
+    const argsFingerprint = fingerprint(args);
+
+    const cached = await cacheService.get(key);
+    if (cached) {
+      this.assertSameArguments(cached.fingerprint, argsFingerprint);
+      return { result: this.revive(cached), replayed: true };
+    }
+
+    const inFlight = this.pending.get(key);
+    if (inFlight) {
+      this.assertSameArguments(inFlight.fingerprint, argsFingerprint);
+      return { result: await inFlight.promise, replayed: true };
+    }
+
+    const promise = execute();
+    this.pending.set(key, { promise, fingerprint: argsFingerprint });
+
+    try {
+      const result = await promise;
+      // Only successes are remembered - a failed call can be retried for real
+      await cacheService.set(key, this.serialize(result, argsFingerprint), cacheService.ttl.idempotency);
+      return { result, replayed: false };
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  assertSameArguments(expected, actual) {
+    if (expected !== actual) {
+      const error = new Error('idempotency_key was already used with different arguments');
+      error.jsonRpcCode = -32602;
+      throw error;
+    }
+  }
+
+  // Cache entries must survive JSON (Redis), so structured results are stored as plain data
+  serialize(result, argsFingerprint) {
+    if (isStructuredResult(result)) {
+      return { fingerprint: argsFingerprint, text: result.text, structuredContent: result.structuredContent };
+    }
+    return { fingerprint: argsFingerprint, text: result };
+  }
+
+  revive(cached) {
+    return cached.structuredContent !== undefined
+      ? structuredResult(cached.text, cached.structuredContent)
+      : cached.text;
+  }
+}
+
+module.exports = new Idempotency();
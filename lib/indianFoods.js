@@ -0,0 +1,206 @@
+/**
+ * Indian food composition
+ * A bundled table of Indian foods so lookups give real numbers with no network and
+ * no API keys. Raw ingredients are per 100 g, following the Indian Food Composition
+ * Tables (IFCT 2017, NIN). Cooked dishes are per standard home serving, worked out
+ * from typical home recipes with the same tables - a katori of dal, a plate of poha,
+ * one idli.
+ *
+ * Names are the canonical ones from lib/foodNames, which lookups are normalised to
+ * first - "dahi", "chole" and "pohe" arrive here as "yogurt", "chickpea curry", "poha".
+ */
+
+const { gramsFor, isCountUnit } = require('./householdMeasures');
+const { scaleNutrients, formatPortionSize } = require('./nutrition');
+
+// Per-serving values after the name and serving, in this order. null where the tables don't
+// give one - it's left out rather than counted as 0
+const COLUMNS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium', 'calcium', 'iron', 'vitamin_c', 'potassium', 'cholesterol'];
+
+// name, serving quantity, unit, grams | kcal, protein, carbs, fat, fiber, sugar (g) | sodium, calcium, iron, vitamin C, potassium, cholesterol (mg)
+const INGREDIENTS = [
+  ['whole wheat flour', 100, 'g', 100, 320, 10.6, 64.2, 1.5, 11.4, 0.4, 2, 30, 4.0, 0, 315, 0],
+  ['chickpea flour', 100, 'g', 100, 360, 21, 58, 5.5, 11, 10, 64, 45, 4.9, 0, 846, 0],
+  ['semolina', 100, 'g', 100, 348, 10.5, 72, 0.8, 3.9, 0, 1, 17, 1.2, 0, 186, 0],
+  ['flattened rice', 100, 'g', 100, 354, 7.4, 77, 1.1, 3.5, 0, 5, 9, 4.5, 0, 130, 0],
+  ['raw rice', 100, 'g', 100, 356, 7.9, 78.2, 0.5, 2.8, 0.1, 3, 8, 0.7, 0, 108, 0],
+  ['finger millet', 100, 'g', 100, 321, 7.2, 66.8, 1.9, 11.2, 0.6, 4, 364, 4.6, 0, 443, 0],
+  ['sorghum', 100, 'g', 100, 334, 10, 67.7, 1.7, 10.2, 1.5, 5, 28, 3.9, 0, 328, 0],
+  ['pearl millet', 100, 'g', 100, 348, 11, 61.8, 5.4, 11.5, 1.2, 5, 27, 6.4, 0, 365, 0],
+  ['paneer', 100, 'g', 100, 265, 18.3, 1.2, 20.8, 0, 1.2, 22, 476, 0.2, 0, 100, 56],
+  ['yogurt', 100, 'g', 100, 60, 3.1, 3, 4, 0, 3, 32, 149, 0.2, 1, 130, 13],
+  ['milk', 100, 'g', 100, 66, 3.3, 4.7, 3.9, 0, 4.7, 44, 120, 0.2, 1, 140, 14],
+  ['ghee', 100, 'g', 100, 900, 0, 0, 99.5, 0, 0, 2, 4, 0.2, 0, 5, 256],
+  ['cooking oil', 100, 'g', 100, 900, 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0],
+  ['butter', 100, 'g', 100, 720, 0.6, 0.1, 80, 0, 0.1, 640, 24, 0.1, 0, 24, 215],
+  ['sugar', 100, 'g', 100, 398, 0, 99.5, 0, 0, 99.5, 1, 1, 0.1, 0, 2, 0],
+  ['jaggery', 100, 'g', 100, 383, 0.4, 95, 0.1, 0, 85, 30, 80, 2.6, 0, null, 0],
+  ['potato', 100, 'g', 100, 72, 1.6, 15.9, 0.1, 1.7, 0.8, 6, 10, 0.5, 19, 420, 0],
+  ['onion', 100, 'g', 100, 40, 1.2, 8.5, 0.1, 2.2, 4.2, 4, 22, 0.4, 7, 146, 0],
+  ['tomato', 100, 'g', 100, 20, 0.8, 3.6, 0.2, 1.5, 2.6, 5, 10, 0.3, 20, 237, 0],
+  ['spinach', 100, 'g', 100, 24, 2.1, 2.1, 0.6, 2.4, 0.4, 58, 86, 2.3, 28, 558, 0],
+  ['cauliflower', 100, 'g', 100, 27, 2.2, 3.6, 0.4, 3.7, 1.9, 30, 23, 0.5, 47, 300, 0],
+  ['okra', 100, 'g', 100, 33, 2.1, 3.6, 0.2, 4, 1.5, 7, 92, 0.6, 18, 280, 0],
+  ['eggplant', 100, 'g', 100, 25, 1.4, 3, 0.3, 4, 3, 3, 19, 0.4, 3, 230, 0],
+  ['peas', 100, 'g', 100, 93, 7.2, 12, 0.1, 6.3, 4.5, 5, 20, 1.5, 40, 240, 0],
+  ['carrot', 100, 'g', 100, 33, 0.9, 5.6, 0.2, 4.3, 4.7, 69, 35, 0.4, 6, 320, 0],
+  ['cucumber', 100, 'g', 100, 15, 0.7, 2.3, 0.1, 0.9, 1.7, 2, 15, 0.3, 3, 147, 0],
+  ['bottle gourd', 100, 'g', 100, 12, 0.6, 2.3, 0.1, 2.2, 1, 2, 20, 0.2, 10, 150, 0],
+  ['banana', 100, 'g', 100, 100, 1.2, 23, 0.3, 1.8, 17, 1, 6, 0.3, 9, 358, 0],
+  ['apple', 100, 'g', 100, 60, 0.3, 13.5, 0.2, 2.5, 10.5, 1, 6, 0.2, 5, 110, 0],
+  ['mango', 100, 'g', 100, 70, 0.6, 15, 0.4, 1.7, 14, 1, 14, 0.2, 36, 168, 0],
+  ['guava', 100, 'g', 100, 52, 1.4, 10, 0.3, 8.5, 6, 2, 20, 0.3, 214, 417, 0],
+  ['papaya', 100, 'g', 100, 40, 0.5, 8, 0.2, 2.6, 6, 3, 15, 0.2, 57, 200, 0],
+  ['orange', 100, 'g', 100, 45, 0.8, 9, 0.2, 2.1, 8, 1, 40, 0.2, 45, 180, 0],
+  ['egg', 100, 'g', 100, 134, 13.3, 0.8, 9, 0, 0.4, 140, 50, 1.8, 0, 130, 372],
+  ['peanuts', 100, 'g', 100, 567, 25.8, 16, 49, 8.5, 4, 18, 92, 4.6, 0, 705, 0],
+  ['almonds', 100, 'g', 100, 579, 21, 22, 50, 12.5, 4.4, 1, 269, 3.7, 0, 733, 0],
+  ['cashew', 100, 'g', 100, 553, 18, 30, 44, 3.3, 6, 12, 37, 6.7, 0, 660, 0],
+  ['coconut', 100, 'g', 100, 354, 3.3, 15, 33.5, 9, 6.2, 20, 14, 2.4, 3.3, 356, 0]
+];
+
+const DISHES = [
+  // Breads and rice
+  ['rice', 1, 'katori', 120, 156, 3.1, 34, 0.4, 0.5, 0.1, 2, 12, 0.2, 0, 42, 0],
+  ['chapati', 1, 'piece', 40, 110, 3.4, 18.5, 2.5, 2.8, 0.3, 120, 12, 1.3, 0, 100, 0],
+  ['plain paratha', 1, 'piece', 80, 260, 5.5, 33, 12, 4, 0.5, 250, 20, 1.9, 0, 130, 10],
+  ['aloo paratha', 1, 'piece', 130, 290, 6.5, 40, 11.5, 4.5, 1.5, 420, 30, 2, 8, 330, 10],
+  ['gobi paratha', 1, 'piece', 130, 260, 6.5, 36, 10, 5, 2, 400, 35, 2, 25, 300, 10],
+  ['paneer paratha', 1, 'piece', 130, 330, 12, 36, 15, 4, 1.5, 420, 170, 2, 0, 200, 25],
+  ['puri', 1, 'piece', 25, 95, 1.8, 11, 5, 1.3, 0.1, 60, 5, 0.5, 0, 40, 0],
+  ['naan', 1, 'piece', 90, 260, 8, 45, 5, 2, 3, 420, 70, 2.5, 0, 110, 5],
+  ['jowar roti', 1, 'piece', 60, 150, 4.5, 30, 1.5, 4, 0.5, 120, 15, 1.8, 0, 160, 0],
+  ['thepla', 1, 'piece', 50, 140, 3.8, 18, 6, 3, 0.5, 200, 30, 1.3, 2, 120, 0],
+  ['puran poli', 1, 'piece', 80, 280, 6, 48, 7, 4, 20, 60, 30, 1.8, 0, 200, 10],
+  ['vegetable pulao', 1, 'plate', 250, 350, 7, 58, 10, 4, 3, 580, 40, 1.4, 10, 300, 0],
+  ['chicken biryani', 1, 'plate', 350, 590, 28, 70, 21, 3, 3.5, 950, 70, 2.5, 8, 520, 90],
+  ['vegetable biryani', 1, 'plate', 350, 480, 10, 75, 15, 5, 5, 850, 60, 2, 15, 450, 0],
+  // Plain "biryani" is usually chicken
+  ['biryani', 1, 'plate', 350, 590, 28, 70, 21, 3, 3.5, 950, 70, 2.5, 8, 520, 90],
+  ['khichdi', 1, 'katori', 150, 180, 6.5, 30, 4, 3, 0.8, 400, 25, 1.4, 2, 250, 5],
+  ['curd rice', 1, 'katori', 150, 170, 5, 26, 5, 0.6, 3, 350, 110, 0.3, 1, 150, 10],
+  ['lemon rice', 1, 'katori', 150, 230, 4, 38, 7, 1.5, 0.5, 420, 20, 0.8, 5, 90, 0],
+  ['rajma chawal', 1, 'plate', 300, 420, 14, 70, 9, 9, 3, 500, 70, 3.2, 5, 560, 0],
+  // Dals and curries
+  ['dal', 1, 'katori', 150, 165, 8.5, 22, 5, 4, 1.5, 420, 35, 1.8, 3, 380, 5],
+  ['dal makhani', 1, 'katori', 150, 260, 10, 24, 14, 6, 2, 480, 70, 2.6, 2, 420, 30],
+  ['moong dal', 1, 'katori', 150, 140, 9, 20, 3, 3.5, 1, 400, 30, 1.5, 2, 350, 0],
+  ['chana dal', 1, 'katori', 150, 190, 10, 26, 5, 7, 2, 400, 35, 2.4, 2, 420, 0],
+  ['masoor dal', 1, 'katori', 150, 150, 9.5, 21, 3.5, 4, 1.2, 400, 25, 2.3, 2, 370, 0],
+  ['sambar', 1, 'katori', 150, 130, 5.5, 17, 4.5, 4, 3, 450, 45, 1.5, 10, 320, 0],
+  ['rasam', 1, 'katori', 150, 60, 2, 8, 2.5, 1.5, 2, 420, 20, 0.8, 8, 200, 0],
+  ['chickpea curry', 1, 'katori', 150, 240, 9.5, 30, 9, 8, 4, 480, 60, 3, 6, 420, 0],
+  ['kidney bean curry', 1, 'katori', 150, 210, 9, 28, 7, 8, 2.5, 450, 55, 2.8, 5, 520, 0],
+  ['sprouts curry', 1, 'katori', 150, 170, 9, 20, 6, 6, 3, 420, 40, 2.5, 10, 400, 0],
+  ['palak paneer', 1, 'katori', 150, 270, 12, 9, 21, 3, 3, 480, 300, 3, 15, 450, 45],
+  ['paneer butter masala', 1, 'katori', 150, 360, 13, 12, 29, 2, 6, 600, 280, 1.2, 8, 300, 60],
+  ['matar paneer', 1, 'katori', 150, 280, 12, 14, 20, 4, 5, 520, 260, 1.6, 12, 330, 40],
+  ['paneer bhurji', 1, 'katori', 150, 330, 17, 8, 25, 1.5, 3.5, 500, 350, 1.1, 10, 250, 55],
+  ['potato cauliflower curry', 1, 'katori', 150, 150, 3.5, 16, 8.5, 4, 3.5, 420, 35, 1, 40, 480, 0],
+  ['potato curry', 1, 'katori', 150, 170, 2.8, 22, 8, 2.8, 2, 420, 20, 0.9, 15, 520, 0],
+  ['okra stir fry', 1, 'katori', 150, 140, 3, 11, 9.5, 5.5, 3, 380, 110, 0.9, 20, 380, 0],
+  ['eggplant curry', 1, 'katori', 150, 130, 2.5, 11, 8.5, 5, 5, 400, 30, 0.7, 8, 350, 0],
+  ['mixed vegetable curry', 1, 'katori', 150, 140, 3.5, 13, 8, 4.5, 4.5, 420, 45, 1.1, 20, 380, 0],
+  ['raita', 1, 'katori', 150, 100, 4.5, 7, 5.5, 0.8, 5.5, 320, 160, 0.3, 3, 220, 15],
+  // Eggs, meat and fish
+  ['boiled egg', 1, 'piece', 50, 67, 6.3, 0.4, 4.5, 0, 0.2, 62, 25, 0.9, 0, 63, 186],
+  ['omelette', 1, 'piece', 120, 200, 12.5, 3, 15.5, 0.5, 1.5, 360, 60, 1.8, 4, 190, 370],
+  ['scrambled eggs', 1, 'serving', 120, 220, 13, 4, 17, 0.6, 2, 380, 60, 1.9, 6, 200, 370],
+  ['egg curry', 1, 'katori', 200, 280, 15, 9, 20, 1.5, 4, 560, 70, 2.2, 8, 300, 370],
+  ['butter chicken', 1, 'katori', 150, 330, 21, 8, 24, 1.5, 5, 650, 60, 1.4, 6, 380, 100],
+  ['chicken curry', 1, 'katori', 150, 240, 21, 6, 15, 1.5, 3, 550, 35, 1.6, 6, 380, 85],
+  ['chicken tikka', 1, 'serving', 150, 250, 36, 4, 10, 0.5, 2, 650, 40, 1.5, 4, 450, 110],
+  ['tandoori chicken', 1, 'piece', 150, 260, 30, 4, 14, 0.5, 1.5, 700, 30, 1.5, 4, 400, 130],
+  ['mutton curry', 1, 'katori', 150, 300, 20, 6, 22, 1.5, 3, 550, 30, 2.6, 4, 360, 90],
+  ['minced meat curry', 1, 'katori', 150, 310, 20, 8, 22, 2.5, 3, 550, 35, 2.8, 8, 380, 85],
+  ['fish curry', 1, 'katori', 150, 200, 19, 5, 11, 1, 2.5, 520, 80, 1.2, 5, 420, 60],
+  ['paneer tikka', 1, 'serving', 150, 330, 22, 8, 24, 1, 4, 550, 500, 0.7, 6, 200, 70],
+  // Breakfast and snacks
+  ['poha', 1, 'plate', 200, 280, 5.5, 46, 8, 3, 3, 480, 25, 2.5, 10, 200, 0],
+  ['upma', 1, 'plate', 200, 290, 7, 42, 10, 3.5, 2.5, 500, 30, 1.5, 6, 210, 0],
+  ['idli', 1, 'piece', 40, 58, 2, 12, 0.2, 0.6, 0.1, 130, 8, 0.4, 0, 30, 0],
+  ['dosa', 1, 'piece', 100, 165, 3.9, 26, 5, 1.2, 0.5, 300, 15, 0.8, 0, 80, 0],
+  ['masala dosa', 1, 'piece', 175, 320, 6.5, 45, 13, 3.5, 2, 600, 30, 1.5, 12, 420, 0],
+  ['rava dosa', 1, 'piece', 100, 190, 4, 26, 8, 1.2, 0.5, 320, 15, 0.7, 0, 70, 0],
+  ['medu vada', 1, 'piece', 50, 140, 4.5, 12, 8.5, 2.5, 0.5, 180, 20, 1, 0, 120, 0],
+  ['pongal', 1, 'katori', 150, 230, 6, 32, 8.5, 2, 0.3, 400, 25, 1.1, 0, 140, 15],
+  ['appam', 1, 'piece', 60, 120, 2, 22, 2.5, 0.8, 2, 100, 10, 0.3, 0, 50, 0],
+  ['string hoppers', 3, 'piece', 90, 150, 2.7, 33, 0.5, 1, 0.2, 150, 5, 0.4, 0, 40, 0],
+  ['sabudana khichdi', 1, 'katori', 150, 300, 4, 45, 12, 1.5, 1.5, 380, 25, 1, 6, 260, 0],
+  ['dhokla', 1, 'piece', 30, 50, 2.2, 7, 1.5, 0.8, 1.5, 150, 10, 0.6, 0, 70, 0],
+  ['samosa', 1, 'piece', 60, 210, 3.5, 22, 12, 2, 1, 320, 20, 1, 5, 200, 0],
+  ['pakora', 1, 'piece', 20, 60, 1.5, 5, 4, 1, 0.3, 90, 10, 0.4, 1, 50, 0],
+  ['momo', 1, 'piece', 25, 40, 1.8, 6, 1, 0.4, 0.3, 80, 5, 0.3, 1, 30, 0],
+  ['vada pav', 1, 'piece', 150, 300, 7, 42, 12, 3.5, 3, 600, 60, 2, 6, 350, 0],
+  ['pav bhaji', 1, 'plate', 300, 500, 11, 68, 20, 8, 10, 1100, 90, 3, 30, 650, 30],
+  // Six puris with the potato filling and pani
+  ['pani puri', 1, 'plate', 180, 230, 5, 36, 7.5, 4, 5, 750, 35, 2, 8, 320, 0],
+  ['misal pav', 1, 'plate', 300, 480, 17, 60, 19, 11, 6, 1000, 90, 4.5, 12, 700, 0],
+  ['chole bhature', 1, 'plate', 300, 650, 17, 78, 30, 10, 6, 900, 90, 4.5, 6, 550, 0],
+  // Sweets and drinks
+  ['kheer', 1, 'katori', 150, 250, 6.5, 36, 8.5, 0.3, 26, 80, 200, 0.3, 1, 280, 25],
+  ['halwa', 1, 'katori', 100, 320, 4, 42, 15, 1, 25, 60, 50, 0.8, 0, 100, 35],
+  ['gajar halwa', 1, 'katori', 100, 280, 5, 34, 14, 2.5, 28, 70, 140, 0.8, 4, 300, 30],
+  ['gulab jamun', 1, 'piece', 40, 150, 2, 22, 6, 0.2, 18, 20, 40, 0.3, 0, 40, 10],
+  ['rasgulla', 1, 'piece', 40, 106, 2.5, 22, 1.5, 0, 20, 10, 40, 0.1, 0, 20, 5],
+  ['jalebi', 1, 'piece', 30, 140, 1, 20, 7, 0.2, 15, 5, 5, 0.2, 0, 10, 0],
+  ['sandesh', 1, 'piece', 30, 90, 3, 12, 3.5, 0, 10, 15, 70, 0.2, 0, 40, 10],
+  ['laddoo', 1, 'piece', 40, 185, 3.5, 20, 10.5, 1.5, 12, 15, 15, 0.8, 0, 100, 10],
+  ['sweetened yogurt', 1, 'katori', 100, 150, 4, 22, 5, 0, 20, 50, 140, 0.1, 1, 180, 15],
+  ['buttermilk', 1, 'glass', 250, 45, 2.5, 3.5, 1.8, 0, 3.5, 350, 100, 0.1, 1, 150, 8],
+  ['lassi', 1, 'glass', 250, 230, 7, 35, 7, 0, 33, 110, 250, 0.2, 1, 320, 25],
+  ['masala chai', 1, 'cup', 150, 100, 2.8, 14, 3.2, 0, 13, 35, 100, 0.2, 0, 140, 10],
+  ['filter coffee', 1, 'cup', 150, 110, 3.2, 14, 4, 0, 12.5, 45, 115, 0.2, 0, 200, 12]
+];
+
+function toFood([name, quantity, unit, grams, ...values]) {
+  const nutrients = {};
+  COLUMNS.forEach((key, idx) => {
+    if (values[idx] !== null) nutrients[key] = values[idx];
+  });
+  return { name, quantity, unit, grams, nutrients };
+}
+
+const FOODS = [...INGREDIENTS, ...DISHES].map(toFood);
+
+// Exact name, or its plural ("idlis", "samosas")
+function findIndianFood(name) {
+  const lower = String(name || '').trim().toLowerCase();
+  return FOODS.find(food => food.name === lower || `${food.name}s` === lower || `${food.name}es` === lower) || null;
+}
+
+// How many of the food's listed servings `quantity` `unit` is - null when it can't be told.
+// Counting in the food's own unit (or pieces of a dish served by the piece) goes by count,
+// anything we can weigh goes by grams, and a plain serving we can't weigh is one listed serving
+function servingsOf(food, quantity, unit) {
+  if (unit === food.unit || (isCountUnit(unit) && isCountUnit(food.unit))) {
+    return quantity / food.quantity;
+  }
+
+  const grams = gramsFor(quantity, unit, food.name);
+  if (grams) return grams / food.grams;
+
+  return isCountUnit(unit) ? quantity : null;
+}
+
+// The same shape the online lookups return, or null when the food isn't in the table
+function lookupIndianFood(name, quantity = 1, unit = 'serving') {
+  const food = findIndianFood(name);
+  if (!food) return null;
+
+  const servings = servingsOf(food, quantity, unit);
+  if (!servings) return null;
+
+  return {
+    name: food.name,
+    ...scaleNutrients({ quantity: 1, nutrients: food.nutrients }, servings),
+    portion_size: formatPortionSize(quantity, unit),
+    source: 'Indian Food Database'
+  };
+}
+
+module.exports = {
+  FOODS,
+  findIndianFood,
+  lookupIndianFood
+};
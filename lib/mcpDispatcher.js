@@ -0,0 +1,345 @@
+const toolRegistry = require('./toolRegistry');
+const resourceRegistry = require('./resourceRegistry');
+const promptRegistry = require('./promptRegistry');
+const { isStructuredResult } = require('./toolOutput');
+const idempotency = require('./idempotency');
+const { sanitizeForPuchAI } = require('./puch-ai-safe-mode');
+const { formatPuchAIResponse } = require('./puch-ai-compatibility');
+const { validateImage } = require('./simple-security');
+
+const SERVER_INFO = {
+  name: 'scanlyf-mcp-server',
+  version: '2.0.0'
+};
+
+// Tool arguments for the logs, without the bearer token some clients pass in them
+function loggableArgs(args) {
+  return args && args.bearer_token ? { ...args, bearer_token: '[redacted]' } : args;
+}
+
+// Protocol versions we speak, newest first - initialize echoes the client's if it's here
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * MCP Dispatcher
+ * Transport-independent JSON-RPC handling - the HTTP endpoint and the stdio
+ * entrypoint both hand parsed messages here and write back what it returns.
+ *
+ * context:
+ * {
+ *   req,                           // express request (or a stand-in with headers) for auth
+ *   session,                       // optional - streamable HTTP session, scopes cancellation
+ *   connectionId,                  // optional - stands in for the session on stdio
+ *                                  //   (without either, calls can't be cancelled)
+ *   rateLimit: async (limiter) => ({ allowed, message }),  // optional - checks a tool's limiter
+ *   sendNotification: (method, params) => void  // optional - server-initiated messages
+ * }
+ *
+ * handle() takes a single message or a batch array and resolves to the response
+ * (an array for batches), or null when there is nothing to send back:
+ * notifications or cancelled requests. A call its tool's rate limiter turns away gets
+ * a -32000 error with the limiter's message.
+ */
+class McpDispatcher {
+  constructor() {
+    this.methods = {
+      'initialize': this.initialize,
+      'ping': this.ping,
+      'tools/list': this.listTools,
+      'tools/call': this.callTool,
+      'resources/list': this.listResources,
+      'resources/templates/list': this.listResourceTemplates,
+      'resources/read': this.readResource,
+      'prompts/list': this.listPrompts,
+      'prompts/get': this.getPrompt,
+      'notifications/cancelled': this.cancelRequest
+    };
+
+    // AbortControllers for running tool calls, keyed by session + request id
+    this.inFlight = new Map();
+  }
+
+  // The HTTP session or stdio process a message came in on - null for stateless HTTP calls
+  connectionOf(context) {
+    return context.session ? context.session.id : (context.connectionId || null);
+  }
+
+  // Request ids are only unique per client, so scope them to the connection. Stateless calls
+  // have nothing to scope them to, so they can't be cancelled - anyone could guess an id
+  requestKey(id, context) {
+    const connection = this.connectionOf(context);
+    return connection ? `${connection}:${id}` : null;
+  }
+
+  // notifications/cancelled - abort a running tool call, no response
+  async cancelRequest(id, params, context) {
+    const { requestId, reason } = params || {};
+    const key = this.requestKey(requestId, context);
+    const controller = key && this.inFlight.get(key);
+
+    if (controller) {
+      console.log(`Cancelling request ${requestId}${reason ? `: ${reason}` : ''}`);
+      const error = new Error(`Request cancelled${reason ? `: ${reason}` : ''}`);
+      error.name = 'AbortError';
+      controller.abort(error);
+    }
+
+    return null;
+  }
+
+  result(id, result) {
+    return { jsonrpc: '2.0', id, result };
+  }
+
+  error(id, code, message, data) {
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: { code, message, ...(data && { data }) }
+    };
+  }
+
+  supportsProtocolVersion(version) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+  }
+
+  // Entry point for transports - a single message or a JSON-RPC batch
+  async handle(payload, context = {}) {
+    if (!Array.isArray(payload)) {
+      return this.handleMessage(payload, context);
+    }
+
+    if (payload.length === 0) {
+      return this.error(null, -32600, 'Invalid Request - empty batch');
+    }
+
+    // Batch entries run concurrently, notifications drop out of the reply
+    const responses = await Promise.all(payload.map(message => this.handleMessage(message, context)));
+    const replies = responses.filter(Boolean);
+    return replies.length > 0 ? replies : null;
+  }
+
+  // Handle one JSON-RPC message
+  async handleMessage(message, context) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return this.error(null, -32600, 'Invalid Request');
+    }
+
+    const { id, method, params } = message;
+
+    if (!method || typeof method !== 'string') {
+      return this.error(id === undefined ? null : id, -32600, 'Invalid Request - method is required');
+    }
+
+    const handler = this.methods[method];
+
+    // No id means a notification - act on the ones we know, never reply
+    if (id === undefined) {
+      if (handler) {
+        try {
+          await handler.call(this, id, params, context);
+        } catch (error) {
+          console.error(`Notification error for ${method}:`, error.message);
+        }
+      }
+      return null;
+    }
+
+    if (!handler) {
+      return this.error(id, -32601, 'Method not found');
+    }
+
+    return handler.call(this, id, params, context);
+  }
+
+  // Initialize - no auth required
+  async initialize(id, params, { session }) {
+    const requested = params && params.protocolVersion;
+    const protocolVersion = this.supportsProtocolVersion(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    if (session) {
+      session.protocolVersion = protocolVersion;
+    }
+
+    return this.result(id, {
+      protocolVersion,
+      capabilities: { tools: {}, resources: {}, prompts: {} },
+      serverInfo: SERVER_INFO
+    });
+  }
+
+  async ping(id) {
+    return this.result(id, {});
+  }
+
+  // List tools - no auth required
+  async listTools(id) {
+    return this.result(id, {
+      tools: toolRegistry.list()
+    });
+  }
+
+  async listResources(id) {
+    return this.result(id, { resources: resourceRegistry.list() });
+  }
+
+  async listResourceTemplates(id) {
+    return this.result(id, { resourceTemplates: resourceRegistry.listTemplates() });
+  }
+
+  // Read a resource - identifies the user like tool calls do
+  async readResource(id, params, { req }) {
+    const { uri } = params || {};
+
+    if (!uri || typeof uri !== 'string') {
+      return this.error(id, -32602, 'Invalid params for resources/read: uri is required');
+    }
+
+    try {
+      const result = await resourceRegistry.read(uri, { args: params, req });
+      return this.result(id, result);
+    } catch (error) {
+      console.error(`Resource read error for ${uri}:`, error.message);
+      return this.error(id, error.jsonRpcCode || -32603, error.message);
+    }
+  }
+
+  async listPrompts(id) {
+    return this.result(id, { prompts: promptRegistry.list() });
+  }
+
+  // Render a prompt template - no auth required
+  async getPrompt(id, params) {
+    const { name, arguments: promptArgs = {} } = params || {};
+
+    const promptErrors = promptRegistry.validateArguments(name, promptArgs);
+    if (promptErrors.length > 0) {
+      return this.error(id, -32602, `Invalid params for prompts/get: ${promptErrors.join('; ')}`, {
+        errors: promptErrors
+      });
+    }
+
+    return this.result(id, promptRegistry.get(name, promptArgs));
+  }
+
+  // Tool calls with authentication and specific rate limits
+  async callTool(id, params, context) {
+    const { req } = context;
+    const { name, arguments: args = {} } = params || {};
+
+    console.log('Tool call received:', {
+      toolName: name,
+      args: loggableArgs(args),
+      hasAuthHeader: !!req?.headers?.authorization
+    });
+
+    const tool = toolRegistry.get(name);
+    if (!tool) {
+      return this.error(id, -32601, `Unknown tool: ${name}`);
+    }
+
+    // Validate arguments against the tool's declared input schema
+    const validationErrors = toolRegistry.validateArguments(name, args);
+    if (validationErrors.length > 0) {
+      return this.error(id, -32602, `Invalid params for ${name}: ${validationErrors.join('; ')}`, {
+        errors: validationErrors
+      });
+    }
+
+    // Apply operation-specific rate limits (other tools use the general API limit)
+    if (tool.rateLimiter && context.rateLimit) {
+      const limit = await context.rateLimit(tool.rateLimiter);
+      if (!limit.allowed) return this.error(id, -32000, limit.message);
+    }
+
+    // Additional validation for image uploads
+    if (tool.acceptsImage && args.input && args.type === 'image') {
+      const validation = validateImage(args.input);
+      if (!validation.valid) {
+        return this.result(id, {
+          content: [{
+            type: 'text',
+            text: `Error: ${validation.error}`
+          }],
+          isError: true
+        });
+      }
+    }
+
+    // Long-running tools report progress and stop early when the client cancels
+    const controller = new AbortController();
+    const key = this.requestKey(id, context);
+    const progressToken = params._meta && params._meta.progressToken;
+    const extra = {
+      signal: controller.signal,
+      sendProgress: (progress, total, message) => {
+        if (progressToken === undefined || !context.sendNotification || controller.signal.aborted) return;
+        context.sendNotification('notifications/progress', { progressToken, progress, total, message });
+      }
+    };
+    if (key) this.inFlight.set(key, controller);
+
+    try {
+      // Add logging for debugging
+      console.log(`Processing tool: ${name} with args:`, JSON.stringify(loggableArgs(args), null, 2));
+
+      // Mutating tools run once per idempotency key, retries get the first result back
+      let result;
+      let replayed = false;
+      const idempotencyKey = tool.mutates ? idempotency.keyFor(name, args, id, req, this.connectionOf(context)) : null;
+      if (idempotencyKey) {
+        ({ result, replayed } = await idempotency.run(idempotencyKey, args, () => tool.handler(args, req, extra)));
+      } else {
+        result = await tool.handler(args, req, extra);
+      }
+      controller.signal.throwIfAborted();
+      const structured = isStructuredResult(result);
+      const text = structured ? result.text : result;
+
+      // Apply content sanitization for Puch AI if enabled
+      // Tools can opt in ('always') or out ('never') regardless of PUCH_AI_SAFE_MODE
+      let sanitizedText = text;
+      if ((process.env.PUCH_AI_SAFE_MODE === 'true' || tool.safeMode === 'always') && tool.safeMode !== 'never') {
+        if (typeof text === 'string') {
+          sanitizedText = sanitizeForPuchAI(text);
+        }
+      }
+
+      // Format response using Puch AI compatible format
+      const puchResponse = formatPuchAIResponse(sanitizedText, false, tool.responseType);
+
+      // Machine-readable result matching the tool's outputSchema
+      if (structured) {
+        puchResponse.structuredContent = result.structuredContent;
+      }
+
+      if (replayed) {
+        puchResponse._meta = { idempotentReplay: true };
+      }
+
+      return this.result(id, puchResponse);
+    } catch (error) {
+      // Cancelled requests get no response
+      if (controller.signal.aborted) {
+        console.log(`Tool ${name} cancelled`);
+        return null;
+      }
+
+      console.error(`Tool execution error for ${name}:`, error.message);
+
+      if (error.jsonRpcCode) {
+        return this.error(id, error.jsonRpcCode, error.message);
+      }
+
+      // Format error response using Puch AI compatible format
+      return this.result(id, formatPuchAIResponse(error.message, true));
+    } finally {
+      // A reused id may have replaced this call's entry - leave that one alone
+      if (key && this.inFlight.get(key) === controller) this.inFlight.delete(key);
+    }
+  }
+}
+
+module.exports = new McpDispatcher();
@@ -0,0 +1,71 @@
+/**
+ * Meal parser
+ * Splits a description of a whole meal - "2 chapati with dal, a bowl of rice and a
+ * glass of buttermilk" - into one item per food, each with its own amount and
+ * measure (lib/householdMeasures). No LLM involved, so a meal can be logged item
+ * by item whether or not GPT is configured.
+ */
+
+const { parseMeasure } = require('./householdMeasures');
+
+const MAX_ITEMS = 10;
+
+// Dish names that contain a separator and are one food
+const COMPOUND_NAMES = ['bread and butter', 'mac and cheese', 'fish and chips', 'sweet and sour', 'salt and pepper'];
+
+// "tea with milk" is one drink, not a cup of tea and a glass of milk
+const ADD_INS = ['milk', 'sugar', 'honey', 'lemon', 'ice', 'salt'];
+
+// Commas, semicolons, new lines, "+", "&", and the words "and", "with", "aur", "plus"
+// ("one and a half" isn't a separator)
+const SEPARATOR = /\s*(?:[,;\n+&]|\band\b(?!\s+a\s+half\b)|\bwith\b|\baur\b|\bplus\b)\s*/i;
+
+// "I had ...", "ate ..." - chat filler in front of the food
+const LEAD_IN = /^\s*(?:i\s+)?(?:just\s+)?(?:had|ate|have\s+had|have\s+eaten|eaten|eat|khaya|khaye)\s+/i;
+
+// Stand-ins for the words that mustn't split, put back after splitting
+const KEPT_WITH = '\u0001';
+const KEPT_AND = '\u0002';
+
+// "with" followed by an add-in - or two, "with milk and sugar" - stays part of the food before it
+function keepAddIns(text) {
+  const addIns = ADD_INS.join('|');
+  const pattern = new RegExp(`\\s+with\\s+(${addIns})\\b(?:\\s+and\\s+(${addIns})\\b)?`, 'gi');
+  return text.replace(pattern, (match, first, second) => (
+    ` ${KEPT_WITH} ${first}${second ? ` ${KEPT_AND} ${second}` : ''}`
+  ));
+}
+
+function protectCompounds(text) {
+  let protectedText = text;
+  COMPOUND_NAMES.forEach(name => {
+    const pattern = new RegExp(`\\b${name.replace(/ and /g, '\\s+and\\s+')}\\b`, 'gi');
+    protectedText = protectedText.replace(pattern, match => match.replace(/\s+and\s+/i, ` ${KEPT_AND} `));
+  });
+  return protectedText;
+}
+
+function restore(text) {
+  return text.split(KEPT_WITH).join('with').split(KEPT_AND).join('and');
+}
+
+// The foods in a description, in the order given. Each item is parseMeasure's result plus
+// the item's own `text`. A description of one food comes back as a single item
+function parseMealItems(description) {
+  const text = String(description || '').replace(LEAD_IN, '');
+  const pieces = protectCompounds(keepAddIns(text))
+    .split(SEPARATOR)
+    .map(piece => restore(piece).replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  if (pieces.length > MAX_ITEMS) {
+    throw new Error(`That's ${pieces.length} foods - please log up to ${MAX_ITEMS} at a time`);
+  }
+
+  return pieces.map(piece => ({ text: piece, ...parseMeasure(piece) }));
+}
+
+module.exports = {
+  MAX_ITEMS,
+  parseMealItems
+};
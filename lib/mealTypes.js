@@ -0,0 +1,74 @@
+/**
+ * Meal slots
+ * Shared by food logs and meal plans so a day's log can be lined up against
+ * the plan for it. Entries logged before slots existed (or backdated without
+ * one) have no meal_type and are grouped under 'other'.
+ */
+
+const MEAL_TYPES = {
+  BREAKFAST: 'breakfast',
+  LUNCH: 'lunch',
+  DINNER: 'dinner',
+  SNACK: 'snack'
+};
+
+// Display order - snacks last since they happen any time
+const MEAL_ORDER = [MEAL_TYPES.BREAKFAST, MEAL_TYPES.LUNCH, MEAL_TYPES.DINNER, MEAL_TYPES.SNACK];
+
+const UNSORTED = 'other';
+
+const MEAL_LABELS = {
+  breakfast: '🌅 BREAKFAST',
+  lunch: '☀️ LUNCH',
+  dinner: '🌙 DINNER',
+  snack: '🍪 SNACKS',
+  other: '📦 NOT SORTED INTO A MEAL'
+};
+
+// Hour (0-23, user's timezone) -> slot. Anything outside the main meal windows is a snack
+function inferMealType(hour) {
+  if (hour >= 5 && hour < 11) return MEAL_TYPES.BREAKFAST;
+  if (hour >= 12 && hour < 16) return MEAL_TYPES.LUNCH;
+  if (hour >= 19 && hour < 23) return MEAL_TYPES.DINNER;
+  return MEAL_TYPES.SNACK;
+}
+
+function isMealType(value) {
+  return MEAL_ORDER.includes(value);
+}
+
+// Foods grouped by slot in display order, with subtotals. Empty slots are skipped
+function groupByMeal(foods = []) {
+  const groups = {};
+
+  foods.forEach(food => {
+    const mealType = isMealType(food.meal_type) ? food.meal_type : UNSORTED;
+    if (!groups[mealType]) {
+      groups[mealType] = {
+        meal_type: mealType,
+        foods: [],
+        totals: { calories: 0, protein: 0, carbs: 0, fat: 0 }
+      };
+    }
+
+    const group = groups[mealType];
+    group.foods.push(food);
+    Object.keys(group.totals).forEach(key => {
+      group.totals[key] = Math.round((group.totals[key] + (Number(food[key]) || 0)) * 10) / 10;
+    });
+  });
+
+  return [...MEAL_ORDER, UNSORTED]
+    .filter(mealType => groups[mealType])
+    .map(mealType => groups[mealType]);
+}
+
+module.exports = {
+  MEAL_TYPES,
+  MEAL_ORDER,
+  MEAL_LABELS,
+  UNSORTED,
+  inferMealType,
+  isMealType,
+  groupByMeal
+};
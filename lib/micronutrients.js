@@ -0,0 +1,171 @@
+/**
+ * Micronutrients
+ * Everything tracked in daily totals beyond calories and macros, with the
+ * daily targets they're measured against. Targets follow ICMR-NIN (2020)
+ * recommended dietary allowances by age and gender; the "limit" ones are
+ * upper bounds from the ICMR and WHO dietary guidelines.
+ *
+ * Lookups don't all report every nutrient, so a food only carries the ones
+ * its source gave and a day's total only counts the foods that had it.
+ */
+
+const GOALS = {
+  AT_LEAST: 'at_least',
+  AT_MOST: 'at_most'
+};
+
+// Display order. `precision` is decimals kept when scaling. Fiber, sugar and sodium were always
+// read by the lookups - the rest say where each source has them: OpenFoodFacts per-100g key
+// (and the factor from its grams), USDA nutrient name and Nutritionix attr_id
+const MICRONUTRIENTS = [
+  { key: 'fiber', label: 'Fiber', unit: 'g', precision: 1, goal: GOALS.AT_LEAST },
+  { key: 'sugar', label: 'Sugar', unit: 'g', precision: 1, goal: GOALS.AT_MOST },
+  {
+    key: 'added_sugar', label: 'Added sugar', unit: 'g', precision: 1, goal: GOALS.AT_MOST,
+    openFoodFacts: ['added-sugars_100g', 1], usda: 'Sugars, added', nutritionix: 539
+  },
+  { key: 'sodium', label: 'Sodium', unit: 'mg', precision: 0, goal: GOALS.AT_MOST },
+  {
+    key: 'saturated_fat', label: 'Saturated fat', unit: 'g', precision: 1, goal: GOALS.AT_MOST,
+    openFoodFacts: ['saturated-fat_100g', 1], usda: 'Fatty acids, total saturated', nutritionix: 606
+  },
+  {
+    key: 'cholesterol', label: 'Cholesterol', unit: 'mg', precision: 0, goal: GOALS.AT_MOST,
+    openFoodFacts: ['cholesterol_100g', 1000], usda: 'Cholesterol', nutritionix: 601
+  },
+  {
+    key: 'potassium', label: 'Potassium', unit: 'mg', precision: 0, goal: GOALS.AT_LEAST,
+    openFoodFacts: ['potassium_100g', 1000], usda: 'Potassium, K', nutritionix: 306
+  },
+  {
+    key: 'calcium', label: 'Calcium', unit: 'mg', precision: 0, goal: GOALS.AT_LEAST,
+    openFoodFacts: ['calcium_100g', 1000], usda: 'Calcium, Ca', nutritionix: 301
+  },
+  {
+    key: 'iron', label: 'Iron', unit: 'mg', precision: 1, goal: GOALS.AT_LEAST,
+    openFoodFacts: ['iron_100g', 1000], usda: 'Iron, Fe', nutritionix: 303
+  },
+  {
+    key: 'vitamin_c', label: 'Vitamin C', unit: 'mg', precision: 1, goal: GOALS.AT_LEAST,
+    openFoodFacts: ['vitamin-c_100g', 1000], usda: 'Vitamin C, total ascorbic acid', nutritionix: 401
+  }
+];
+
+const MICRONUTRIENT_KEYS = MICRONUTRIENTS.map(nutrient => nutrient.key);
+
+// ICMR-NIN 2020 RDAs by age band - [male, female]. Teens under 13 get the 10-12 row
+const RDA_BY_AGE = [
+  { maxAge: 12, calcium: [850, 850], iron: [16, 28], vitamin_c: [66, 68] },
+  { maxAge: 15, calcium: [1000, 1000], iron: [22, 30], vitamin_c: [66, 68] },
+  { maxAge: 17, calcium: [1050, 1050], iron: [26, 32], vitamin_c: [81, 71] },
+  { maxAge: 49, calcium: [1000, 1000], iron: [19, 29], vitamin_c: [80, 65] },
+  // After menopause women need more calcium and no longer the extra iron
+  { maxAge: Infinity, calcium: [1000, 1200], iron: [19, 19], vitamin_c: [80, 65] }
+];
+
+// ICMR's adequate intake for adults - used for teens too, there's no separate figure
+const POTASSIUM_MG = 3510;
+// Under 5g of salt a day
+const SODIUM_LIMIT_MG = 2000;
+const CHOLESTEROL_LIMIT_MG = 300;
+
+function roundMicronutrient(key, value) {
+  const nutrient = MICRONUTRIENTS.find(item => item.key === key);
+  const factor = nutrient && nutrient.precision === 0 ? 1 : 10;
+  return Math.round(value * factor) / factor;
+}
+
+// Daily targets for a profile. Fiber and the sugar/fat limits scale with the calorie target:
+// 30g fiber per 2000 kcal, total sugar and saturated fat under 10% of energy, added sugar under 5%
+function calculateMicronutrientTargets(profile = {}) {
+  const calories = profile.calorie_target || 2000;
+  const age = Number(profile.age) || 30;
+  const column = profile.gender === 'male' ? 0 : 1;
+  const rda = RDA_BY_AGE.find(band => age <= band.maxAge);
+
+  return {
+    fiber: Math.round(calories * 30 / 2000),
+    sugar: Math.round(calories * 0.10 / 4),
+    added_sugar: Math.round(calories * 0.05 / 4),
+    sodium: SODIUM_LIMIT_MG,
+    saturated_fat: Math.round(calories * 0.10 / 9),
+    cholesterol: CHOLESTEROL_LIMIT_MG,
+    potassium: POTASSIUM_MG,
+    calcium: rda.calcium[column],
+    iron: rda.iron[column],
+    vitamin_c: rda.vitamin_c[column]
+  };
+}
+
+// Only the nutrients a source actually had - a missing value stays missing rather than 0
+function collect(read, multiplier) {
+  const found = {};
+  MICRONUTRIENTS.forEach(nutrient => {
+    const value = read(nutrient);
+    if (value === undefined || value === null || value === '' || isNaN(Number(value))) return;
+    found[nutrient.key] = roundMicronutrient(nutrient.key, Number(value) * multiplier);
+  });
+  return found;
+}
+
+// OpenFoodFacts `nutriments` (per 100g, minerals in grams)
+function fromOpenFoodFacts(nutriments = {}, multiplier = 1) {
+  return collect(nutrient => {
+    if (!nutrient.openFoodFacts) return undefined;
+    const [field, factor] = nutrient.openFoodFacts;
+    return nutriments[field] === undefined ? undefined : nutriments[field] * factor;
+  }, multiplier);
+}
+
+// USDA FoodData Central `foodNutrients`
+function fromUSDA(foodNutrients = [], multiplier = 1) {
+  return collect(nutrient => {
+    const match = nutrient.usda && foodNutrients.find(item => item.nutrientName === nutrient.usda);
+    return match ? match.value : undefined;
+  }, multiplier);
+}
+
+// Nutritionix natural/nutrients food - its `full_nutrients` are already for the whole query
+function fromNutritionix(food = {}) {
+  const fullNutrients = food.full_nutrients || [];
+  return collect(nutrient => {
+    const match = nutrient.nutritionix && fullNutrients.find(item => item.attr_id === nutrient.nutritionix);
+    return match ? match.value : undefined;
+  }, 1);
+}
+
+// What get_progress shows - one row per micronutrient with how many of the day's foods had it.
+// Summed from the foods rather than the day's totals, which days logged before these were
+// tracked don't have
+function summarizeMicronutrients(foods = [], targets = {}) {
+  return MICRONUTRIENTS.map(nutrient => {
+    const withData = foods.filter(food => typeof food[nutrient.key] === 'number');
+    const row = {
+      key: nutrient.key,
+      label: nutrient.label,
+      unit: nutrient.unit,
+      goal: nutrient.goal,
+      target: targets[nutrient.key],
+      foods_with_data: withData.length
+    };
+
+    // No amount at all when none of the foods had it - 0 would read as "ate none"
+    if (withData.length > 0) {
+      row.amount = roundMicronutrient(nutrient.key, withData.reduce((sum, food) => sum + food[nutrient.key], 0));
+      row.percent = row.target > 0 ? Math.round((row.amount / row.target) * 100) : 0;
+    }
+    return row;
+  });
+}
+
+module.exports = {
+  GOALS,
+  MICRONUTRIENTS,
+  MICRONUTRIENT_KEYS,
+  roundMicronutrient,
+  calculateMicronutrientTargets,
+  fromOpenFoodFacts,
+  fromUSDA,
+  fromNutritionix,
+  summarizeMicronutrients
+};
@@ -1,63 +1,71 @@
-// Calculate daily nutrition targets based on user profile
-function calculateDailyTargets(profile) {
-  const { age, height_cm, weight_kg, gender } = profile;
+const { MICRONUTRIENT_KEYS, roundMicronutrient } = require('./micronutrients');
+const { parseMeasure, canonicalUnit, formatUnit } = require('./householdMeasures');
+const { estimateWarning } = require('./nutritionConfidence');
+
+// Parse food description to extract quantity and food name - "2 slices of bread", "100g chicken",
+// "1 katori dal", "2-3 rotis", "half plate biryani". `grams` is null when the weight isn't known
+function parseFoodDescription(description) {
+  return parseMeasure(description);
+}
+
+// Nutrient fields that scale with how much was eaten
+const SCALED_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', ...MICRONUTRIENT_KEYS];
+
+// Whole calories, micronutrients at their own precision (whole mg of sodium), 0.1g for macros
+function roundNutrient(key, value) {
+  if (key === 'calories') return Math.round(value);
+  if (MICRONUTRIENT_KEYS.includes(key)) return roundMicronutrient(key, value);
+  return Math.round(value * 10) / 10;
+}
+
+// Day totals for display - summed from rounded entries, then rounded once the same way,
+// so 15.299999999 shows as 15.3 everywhere
+function roundTotals(totals = {}) {
+  const rounded = {};
+  ['calories', 'protein', 'carbs', 'fat'].forEach(key => {
+    rounded[key] = roundNutrient(key, Number(totals[key]) || 0);
+  });
+  return rounded;
+}
+
+// Split a portion like "2 rotis", "1/2 cup" or "100g" into quantity and unit
+function parsePortionSize(portionSize) {
+  const text = String(portionSize || '').trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+(?:\.\d+)?))?\s*(.*)$/);
   
-  // Mifflin-St Jeor Equation for BMR
-  let bmr;
-  if (gender === 'male') {
-    bmr = (10 * weight_kg) + (6.25 * height_cm) - (5 * age) + 5;
-  } else {
-    bmr = (10 * weight_kg) + (6.25 * height_cm) - (5 * age) - 161;
+  if (!match) {
+    return { quantity: 1, unit: text || 'serving' };
   }
   
-  // Moderate activity level (BMR * 1.55)
-  const dailyCalories = Math.round(bmr * 1.55);
-  
-  // Macronutrient distribution
-  // Protein: 30% of calories (1g = 4 calories)
-  const proteinCalories = dailyCalories * 0.30;
-  const proteinGrams = Math.round(proteinCalories / 4);
+  const quantity = match[2] ? parseFloat(match[1]) / parseFloat(match[2]) : parseFloat(match[1]);
+  // GPT likes "1 serving (amount)" - the note in brackets isn't part of the unit
+  let unit = match[3].replace(/\s*\(.*\)\s*$/, '').trim() || 'serving';
+  // "2 servings" and "3 katoris" are the same units as "1 serving" and "1 katori"
+  unit = canonicalUnit(unit) || unit;
   
-  // Carbs: 40% of calories (1g = 4 calories)
-  const carbCalories = dailyCalories * 0.40;
-  const carbGrams = Math.round(carbCalories / 4);
-  
-  // Fat: 30% of calories (1g = 9 calories)
-  const fatCalories = dailyCalories * 0.30;
-  const fatGrams = Math.round(fatCalories / 9);
-  
-  return {
-    calories: dailyCalories,
-    protein: proteinGrams,
-    carbs: carbGrams,
-    fat: fatGrams
-  };
+  return { quantity: quantity > 0 ? quantity : 1, unit };
 }
 
-// Parse food description to extract quantity and food name
-function parseFoodDescription(description) {
-  // Common patterns: "2 slices of bread", "1 cup rice", "100g chicken"
-  const quantityPattern = /^(\d+(?:\.\d+)?)\s*(g|kg|oz|lb|cup|cups|slice|slices|piece|pieces|serving|servings)?\s*(?:of\s+)?(.+)$/i;
-  const match = description.match(quantityPattern);
+// "3 serving" reads wrong - known measures get their plural, other units are left as the lookup wrote them
+function formatPortionSize(quantity, unit) {
+  return `${quantity} ${formatUnit(quantity, unit)}`;
+}
+
+// Nutrients for `quantity` of a food, given what `lookup.quantity` of it contained
+function scaleNutrients(lookup, quantity) {
+  const factor = quantity / lookup.quantity;
+  const scaled = {};
   
-  if (match) {
-    return {
-      quantity: parseFloat(match[1]),
-      unit: match[2] || 'serving',
-      foodName: match[3].trim()
-    };
-  }
+  SCALED_NUTRIENTS.forEach(key => {
+    if (typeof lookup.nutrients[key] !== 'number') return;
+    scaled[key] = roundNutrient(key, lookup.nutrients[key] * factor);
+  });
   
-  // If no quantity specified, assume 1 serving
-  return {
-    quantity: 1,
-    unit: 'serving',
-    foodName: description.trim()
-  };
+  return scaled;
 }
 
-// Format nutrition response
-function formatNutritionResponse(food, dailyTotals, dailyTargets) {
+// Format nutrition response - pass `date` when the food was logged to a day other than today
+function formatNutritionResponse(food, dailyTotals, dailyTargets, date = null) {
   const emoji = '🍽️'; // Default food emoji
   
   let response = `${emoji} ${food.name}`;
@@ -65,10 +73,15 @@ function formatNutritionResponse(food, dailyTotals, dailyTargets) {
     response += ` (${food.portion_size})`;
   }
   response += `\n`;
-  response += `📊 This meal: ${food.calories} cal | ${food.protein}g protein | ${food.carbs}g carbs | ${food.fat}g fat\n\n`;
-  response += `✅ LOGGED SUCCESSFULLY!\n`;
+  response += `📊 This meal: ${food.calories} cal | ${food.protein}g protein | ${food.carbs}g carbs | ${food.fat}g fat\n`;
+  const warning = estimateWarning(food);
+  if (warning) {
+    response += `${warning}\n`;
+  }
+  response += `\n`;
+  response += date ? `✅ LOGGED FOR ${date}!\n` : `✅ LOGGED SUCCESSFULLY!\n`;
   response += `━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-  response += `📈 Today's Progress:\n`;
+  response += date ? `📈 Progress for ${date}:\n` : `📈 Today's Progress:\n`;
   response += `• Consumed: ${dailyTotals.calories} calories\n`;
   response += `• Target: ${dailyTargets.calories} calories\n`;
   response += `• Remaining: ${Math.max(0, dailyTargets.calories - dailyTotals.calories)} calories\n\n`;
@@ -117,7 +130,12 @@ function getfoodEmoji(foodName) {
 }
 
 module.exports = {
-  calculateDailyTargets,
+  SCALED_NUTRIENTS,
+  roundNutrient,
+  roundTotals,
   parseFoodDescription,
+  parsePortionSize,
+  formatPortionSize,
+  scaleNutrients,
   formatNutritionResponse
 };
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * Nutrition confidence
+ * How far a food's numbers can be trusted. Every lookup result carries the source it
+ * came from, a match score - how well the food the source found matches what was asked
+ * for, 0 to 1 - and a confidence level worked out from the two.
+ *
+ * When more than one source answers, reconcileResults picks between them: sources that
+ * agree raise confidence, and when they disagree by a lot the outlier is dropped and
+ * the result is flagged so the user knows to double-check it.
+ */
+
+const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const CONFIDENCE_ORDER = [CONFIDENCE.LOW, CONFIDENCE.MEDIUM, CONFIDENCE.HIGH];
+
+// How much each source is trusted when it found exactly the food asked for. `exact` sources
+// answer for the food itself (a scanned barcode, the user's own recipe), so there's no name to match
+const SOURCES = {
+  'Custom food': { reliability: 1, exact: true },
+  'Your numbers': { reliability: 1, exact: true },
+  'OpenFoodFacts Barcode': { reliability: 0.95, exact: true },
+  'Nutritionix': { reliability: 0.9 },
+  'Indian Food Database': { reliability: 0.9 },
+  'USDA': { reliability: 0.85 },
+  // Crowd-sourced, and a text search finds packaged products rather than home food
+  'OpenFoodFacts': { reliability: 0.7 },
+  'GPT-4 Analysis': { reliability: 0.7, exact: true },
+  'Fallback Database': { reliability: 0.4, exact: true },
+  'Mock Data': { reliability: 0, exact: true }
+};
+
+// Sources whose numbers are a guess, whatever the match
+const GUESSED_SOURCES = ['Mock Data', 'Fallback Database'];
+
+// Below this a source found some other food, and its numbers aren't considered at all
+const MIN_MATCH = 0.5;
+
+// Calorie spread (largest minus smallest, over the largest) above which sources disagree
+const DISAGREEMENT = 0.35;
+
+// Words that describe a food rather than name it - USDA's "Rice, white, cooked" is still rice
+const QUALIFIERS = new Set([
+  'raw', 'cooked', 'fresh', 'plain', 'whole', 'regular', 'homemade', 'home', 'made', 'style',
+  'prepared', 'boiled', 'steamed', 'ns', 'nfs', 'as', 'to', 'of', 'with', 'and', 'the', 'a',
+  'white', 'enriched', 'unenriched', 'salted', 'unsalted', 'without', 'added', 'ready', 'eat'
+]);
+
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !QUALIFIERS.has(word))
+    // "bananas" and "banana", "tomatoes" and "tomato"
+    .map(word => word.replace(/(?:es|s)$/, '') || word);
+}
+
+// Share of the asked-for words the found name has, docked for extra words it adds -
+// "dal" -> "Dal Makhani" is a weaker match than "dal" -> "Dal"
+function matchScore(query, name) {
+  const asked = tokens(query);
+  const found = tokens(name);
+  if (asked.length === 0 || found.length === 0) return 0;
+
+  const matched = asked.filter(word => found.some(other => other === word || other.startsWith(word) || word.startsWith(other)));
+  const coverage = matched.length / asked.length;
+  const precision = Math.min(1, matched.length / found.length);
+  return Math.round(coverage * (0.6 + 0.4 * precision) * 100) / 100;
+}
+
+// What results are ranked by - reliability of the source times how well its food matched
+function rating(result) {
+  const source = SOURCES[result.source];
+  return (source ? source.reliability : 0.5) * result.match_score;
+}
+
+function confidenceFor(source, score) {
+  if (GUESSED_SOURCES.includes(source)) return CONFIDENCE.LOW;
+
+  const value = rating({ source, match_score: score });
+  if (value >= 0.75) return CONFIDENCE.HIGH;
+  if (value >= 0.45) return CONFIDENCE.MEDIUM;
+  return CONFIDENCE.LOW;
+}
+
+function lowerOf(a, b) {
+  return CONFIDENCE_ORDER[Math.min(CONFIDENCE_ORDER.indexOf(a), CONFIDENCE_ORDER.indexOf(b))];
+}
+
+function raise(confidence) {
+  return CONFIDENCE_ORDER[Math.min(CONFIDENCE_ORDER.length - 1, CONFIDENCE_ORDER.indexOf(confidence) + 1)];
+}
+
+// A result with its match score and confidence - `query` is what was looked up
+function rateResult(query, result) {
+  const source = SOURCES[result.source];
+  const score = source && source.exact
+    ? (GUESSED_SOURCES.includes(result.source) ? 0 : 1)
+    : matchScore(query, result.name);
+  const rated = { ...result, match_score: score, confidence: confidenceFor(result.source, score) };
+
+  if (GUESSED_SOURCES.includes(result.source)) {
+    rated.confidence_note = 'No nutrition database had this food - these numbers are a rough guess';
+  } else if (rated.confidence === CONFIDENCE.LOW) {
+    rated.confidence_note = `Closest ${result.source} match was "${result.name}"`;
+  }
+  return rated;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function describe(result) {
+  return `${result.source} ${result.calories} cal`;
+}
+
+// The one result to use out of everything the sources returned, or null if none of them found
+// the food. Agreeing sources raise confidence; disagreeing ones are settled by the median
+// (with three or more) or the more trusted source, and the result is capped at medium/low
+function reconcileResults(query, results) {
+  const rated = results.map(result => rateResult(query, result));
+  const ranked = rated
+    .filter(result => result.match_score >= MIN_MATCH)
+    .sort((a, b) => rating(b) - rating(a));
+
+  if (ranked.length === 0) return null;
+  const best = ranked[0];
+  const compared = ranked.filter(result => result.calories > 0);
+  if (ranked.length === 1 || compared.length < 2) return best;
+
+  const calories = compared.map(result => result.calories);
+  const spread = (Math.max(...calories) - Math.min(...calories)) / Math.max(...calories);
+  const checked = compared.map(describe).join(', ');
+
+  if (spread <= DISAGREEMENT) {
+    return { ...best, confidence: raise(best.confidence), sources_checked: compared.map(result => result.source) };
+  }
+
+  // Three or more: whichever is nearest the middle, so a single outlier can't win
+  let chosen = best;
+  if (compared.length >= 3) {
+    const middle = median(calories);
+    chosen = compared.reduce((nearest, result) => (
+      Math.abs(result.calories - middle) < Math.abs(nearest.calories - middle) ? result : nearest
+    ));
+  }
+
+  const cap = compared.length >= 3 ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW;
+  return {
+    ...chosen,
+    confidence: lowerOf(chosen.confidence, cap),
+    confidence_note: `Sources disagreed (${checked}) - used ${chosen.source}`,
+    sources_checked: compared.map(result => result.source)
+  };
+}
+
+// Lowest confidence of several foods - a meal is only as sure as its least sure item
+function lowestConfidence(foods) {
+  const levels = foods.map(food => food.confidence).filter(Boolean);
+  return levels.length > 0 ? levels.reduce(lowerOf) : null;
+}
+
+// Worth a second look - entries logged before confidence was tracked have none and aren't flagged
+function isEstimate(food) {
+  return food.confidence === CONFIDENCE.LOW;
+}
+
+// The chat line for a food worth double-checking, or null when its numbers can be trusted
+function estimateWarning(food) {
+  if (!isEstimate(food)) return null;
+  return `⚠️ Estimate - double-check: ${food.confidence_note || 'the numbers may be off'}`;
+}
+
+module.exports = {
+  CONFIDENCE,
+  SOURCES,
+  matchScore,
+  rateResult,
+  reconcileResults,
+  lowestConfidence,
+  isEstimate,
+  estimateWarning
+};
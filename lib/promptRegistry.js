@@ -0,0 +1,85 @@
+/**
+ * Prompt Registry
+ * Reusable prompt templates served over prompts/list and prompts/get so every
+ * assistant integration drives our tools with the same instructions.
+ *
+ * Prompt definition:
+ * {
+ *   name: 'log_meal',
+ *   description: 'Log what you ate',
+ *   arguments: [{ name: 'meal', description: '...', required: true }],
+ *   validate: (args) => [],   // optional - extra checks, returns error strings
+ *   render: (args) => 'instruction text for the assistant'
+ * }
+ */
+class PromptRegistry {
+  constructor() {
+    this.prompts = new Map();
+  }
+
+  register(prompt) {
+    if (!prompt || !prompt.name) {
+      throw new Error('Prompt definition requires a name');
+    }
+    if (typeof prompt.render !== 'function') {
+      throw new Error(`Prompt ${prompt.name} requires a render function`);
+    }
+    if (this.prompts.has(prompt.name)) {
+      throw new Error(`Prompt ${prompt.name} is already registered`);
+    }
+
+    this.prompts.set(prompt.name, { arguments: [], ...prompt });
+    return this;
+  }
+
+  registerAll(prompts) {
+    prompts.forEach(prompt => this.register(prompt));
+    return this;
+  }
+
+  has(name) {
+    return this.prompts.has(name);
+  }
+
+  // Public listing for prompts/list
+  list() {
+    return Array.from(this.prompts.values()).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments
+    }));
+  }
+
+  // Check required arguments before rendering
+  validateArguments(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      return [`Unknown prompt: ${name}`];
+    }
+    const errors = prompt.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => `${arg.name} is required`);
+
+    // Prompts can add checks that span several arguments
+    if (errors.length === 0 && prompt.validate) {
+      errors.push(...prompt.validate(args));
+    }
+    return errors;
+  }
+
+  // Render a prompt into MCP prompts/get result format
+  get(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    const text = prompt.render(args);
+
+    return {
+      description: prompt.description,
+      messages: [{
+        role: 'user',
+        content: { type: 'text', text }
+      }]
+    };
+  }
+}
+
+module.exports = new PromptRegistry();
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { getStore, collections } = require('../storage');
+
+/**
+ * Activities Repository
+ * Logged workouts, one document each keyed `${phone}_${id}` with the date
+ * (YYYY-MM-DD in the user's timezone) they count towards. The calories burned
+ * are worked out once when the workout is logged, from the weight at the time.
+ */
+class ActivitiesRepository {
+  docId(phone, id) {
+    return `${phone}_${id}`;
+  }
+
+  // Short enough to type in chat, unique enough per user
+  newId() {
+    return crypto.randomBytes(4).toString('hex');
+  }
+
+  async add(phone, activity) {
+    const entry = {
+      ...activity,
+      id: this.newId(),
+      phone,
+      created_at: new Date().toISOString()
+    };
+    await getStore().set(collections.activities, this.docId(phone, entry.id), entry);
+    return entry;
+  }
+
+  // A day's workouts in the order they were logged
+  async listForDate(phone, date) {
+    const docs = await getStore().find(collections.activities, {
+      where: [['phone', '==', phone], ['date', '==', date]]
+    });
+    return docs
+      .map(doc => doc.data)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  }
+}
+
+module.exports = new ActivitiesRepository();
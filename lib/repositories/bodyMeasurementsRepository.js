@@ -0,0 +1,44 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Body Measurements Repository
+ * Weigh-ins and tape measurements, one document per user per day keyed
+ * `${phone}_${date}` (date is YYYY-MM-DD in the user's timezone). Logging twice
+ * on the same day merges into that day's document, so a morning weigh-in and an
+ * evening waist measurement end up together and a second weigh-in replaces the first.
+ */
+class BodyMeasurementsRepository {
+  docId(phone, date) {
+    return `${phone}_${date}`;
+  }
+
+  async get(phone, date) {
+    return getStore().get(collections.bodyMeasurements, this.docId(phone, date));
+  }
+
+  // Only the fields given are written - the rest of the day's values stay as they were
+  async save(phone, date, values) {
+    await getStore().set(collections.bodyMeasurements, this.docId(phone, date), {
+      phone,
+      date,
+      ...values,
+      updated_at: new Date().toISOString()
+    }, { merge: true });
+    return this.get(phone, date);
+  }
+
+  // Days between two dates (inclusive, either end optional), oldest first
+  async listRange(phone, { from = null, to = null } = {}) {
+    const where = [['phone', '==', phone]];
+    if (from) where.push(['date', '>=', from]);
+    if (to) where.push(['date', '<=', to]);
+
+    const docs = await getStore().find(collections.bodyMeasurements, {
+      where,
+      orderBy: ['date', 'asc']
+    });
+    return docs.map(doc => doc.data);
+  }
+}
+
+module.exports = new BodyMeasurementsRepository();
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { getStore, collections } = require('../storage');
+
+/**
+ * Custom Foods Repository
+ * A user's own foods and recipes, one document each keyed `${phone}_${id}`.
+ * Users only keep a handful, so listing reads them all and sorts in memory.
+ */
+class CustomFoodsRepository {
+  docId(phone, id) {
+    return `${phone}_${id}`;
+  }
+
+  newId() {
+    return crypto.randomBytes(4).toString('hex');
+  }
+
+  async get(phone, id) {
+    return getStore().get(collections.customFoods, this.docId(phone, id));
+  }
+
+  // Oldest first, so numbers in list_custom_foods stay put as new ones are added
+  async list(phone) {
+    const docs = await getStore().find(collections.customFoods, {
+      where: [['phone', '==', phone]]
+    });
+    return docs
+      .map(doc => doc.data)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  }
+
+  async save(food) {
+    await getStore().set(collections.customFoods, this.docId(food.phone, food.id), food);
+  }
+
+  async delete(phone, id) {
+    await getStore().delete(collections.customFoods, this.docId(phone, id));
+  }
+}
+
+module.exports = new CustomFoodsRepository();
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { getStore, collections } = require('../storage');
+const { MICRONUTRIENT_KEYS } = require('../micronutrients');
+
+const MACROS = ['calories', 'protein', 'carbs', 'fat'];
+
+function emptyTotals() {
+  return { calories: 0, protein: 0, carbs: 0, fat: 0 };
+}
+
+// Add (sign 1) or subtract (sign -1) a food's macros and micronutrients, rounded so repeated
+// edits don't drift. A micronutrient only joins the totals once a food reports it
+function applyToTotals(totals, food, sign = 1) {
+  const next = { ...emptyTotals(), ...totals };
+  [...MACROS, ...MICRONUTRIENT_KEYS].forEach(key => {
+    if (!MACROS.includes(key) && next[key] === undefined && typeof food[key] !== 'number') return;
+    const value = (next[key] || 0) + sign * (Number(food[key]) || 0);
+    next[key] = Math.max(0, Math.round(value * 10) / 10);
+  });
+  return next;
+}
+
+function bySeq(a, b) {
+  return (a.seq || 0) - (b.seq || 0);
+}
+
+/**
+ * Daily Logs Repository
+ * Each logged food is its own record in food_entries with a stable id, keyed
+ * `${phone}_${id}`. The day document (`${phone}_${date}`, date is YYYY-MM-DD in
+ * the user's timezone) only holds totals and counters, and every add/remove
+ * updates it in the same transaction as the entry so concurrent calls can't lose
+ * foods or skew totals.
+ * Edits do the same - the old entry comes off the totals and the new one goes on.
+ *
+ * Reads still hand back { phone, date, totals, foods: [...] } like the old
+ * single-document logs did. Days written before entries existed keep a `foods`
+ * array on the day document - those are moved into entries the first time
+ * the day is read or written.
+ */
+class DailyLogsRepository {
+  docId(phone, date) {
+    return `${phone}_${date}`;
+  }
+
+  entryDocId(phone, entryId) {
+    return `${phone}_${entryId}`;
+  }
+
+  // `count` ids short enough to type in chat. They're only 32 random bits, so each one is
+  // checked against the user's entries (and the others handed out) before it's used.
+  // Call it before any writes - Firestore transactions need all their reads first
+  async newEntryIds(tx, phone, count = 1) {
+    const ids = new Set();
+    while (ids.size < count) {
+      const id = crypto.randomBytes(4).toString('hex');
+      if (!ids.has(id) && !(await tx.get(collections.foodEntries, this.entryDocId(phone, id)))) {
+        ids.add(id);
+      }
+    }
+    return [...ids];
+  }
+
+  // The day with its foods in the order they were logged
+  async get(phone, date) {
+    let log = await getStore().get(collections.dailyLogs, this.docId(phone, date));
+    if (!log) return null;
+
+    if (Array.isArray(log.foods)) {
+      log = await this.migrateLegacyFoods(phone, date);
+    }
+
+    const foods = await this.listEntries(phone, date);
+    return { ...log, foods };
+  }
+
+  async listEntries(phone, date) {
+    const docs = await getStore().find(collections.foodEntries, {
+      where: [['phone', '==', phone], ['date', '==', date]]
+    });
+    return docs.map(doc => doc.data).sort(bySeq);
+  }
+
+  async getEntry(phone, entryId) {
+    return getStore().get(collections.foodEntries, this.entryDocId(phone, entryId));
+  }
+
+  // Logs between two dates (inclusive, either end optional), newest first by default
+  async listRange(phone, { from = null, to = null, order = 'desc' } = {}) {
+    const where = [['phone', '==', phone]];
+    if (from) where.push(['date', '>=', from]);
+    if (to) where.push(['date', '<=', to]);
+
+    const store = getStore();
+    const [logDocs, entryDocs] = await Promise.all([
+      store.find(collections.dailyLogs, { where, orderBy: order ? ['date', order] : null }),
+      store.find(collections.foodEntries, { where })
+    ]);
+
+    const entriesByDate = {};
+    entryDocs.forEach(({ data }) => {
+      (entriesByDate[data.date] = entriesByDate[data.date] || []).push(data);
+    });
+
+    // Range reads are analytics-only, so legacy days are returned as-is rather than migrated
+    return logDocs.map(({ data }) => ({
+      ...data,
+      foods: Array.isArray(data.foods) ? data.foods : (entriesByDate[data.date] || []).sort(bySeq)
+    }));
+  }
+
+  // Log a food and bump the day's totals atomically
+  async addEntry(phone, date, food) {
+    const store = getStore();
+    const docId = this.docId(phone, date);
+
+    return store.runTransaction(async (tx) => {
+      const log = await tx.get(collections.dailyLogs, docId);
+      const now = new Date().toISOString();
+
+      const legacyFoods = log && Array.isArray(log.foods) ? log.foods : null;
+      const [id, ...legacyIds] = await this.newEntryIds(tx, phone, 1 + (legacyFoods ? legacyFoods.length : 0));
+
+      let { totals, entryCount, seq } = this.counters(log);
+      if (legacyFoods) {
+        ({ totals, entryCount, seq } = this.writeLegacyEntries(tx, phone, date, legacyFoods, legacyIds));
+      }
+
+      const entry = {
+        ...food,
+        id,
+        phone,
+        date,
+        seq: seq + 1,
+        created_at: now
+      };
+
+      totals = applyToTotals(totals, entry);
+      tx.set(collections.foodEntries, this.entryDocId(phone, entry.id), entry);
+      tx.set(collections.dailyLogs, docId, {
+        phone,
+        date,
+        totals,
+        entry_count: entryCount + 1,
+        entry_seq: entry.seq,
+        created_at: (log && log.created_at) || now,
+        updated_at: now
+      });
+
+      return { entry, totals, entryCount: entryCount + 1 };
+    });
+  }
+
+  // Delete one entry and take it off the day's totals - null if the user has no such entry
+  async removeEntry(phone, entryId) {
+    const store = getStore();
+
+    return store.runTransaction(async (tx) => {
+      const entry = await tx.get(collections.foodEntries, this.entryDocId(phone, entryId));
+      if (!entry) return null;
+
+      const docId = this.docId(phone, entry.date);
+      const log = await tx.get(collections.dailyLogs, docId);
+      const { totals, entryCount } = this.counters(log);
+
+      const nextTotals = applyToTotals(totals, entry, -1);
+      const remaining = Math.max(0, entryCount - 1);
+
+      tx.delete(collections.foodEntries, this.entryDocId(phone, entryId));
+      if (log) {
+        tx.update(collections.dailyLogs, docId, {
+          totals: nextTotals,
+          entry_count: remaining,
+          updated_at: new Date().toISOString()
+        });
+      }
+
+      return { entry, totals: nextTotals, entryCount: remaining };
+    });
+  }
+
+  // Rewrite one entry with update(entry) and move the day's totals by the difference.
+  // update runs inside the transaction, so it must be pure. Null if the user has no such entry
+  async updateEntry(phone, entryId, update) {
+    const store = getStore();
+
+    return store.runTransaction(async (tx) => {
+      const entry = await tx.get(collections.foodEntries, this.entryDocId(phone, entryId));
+      if (!entry) return null;
+
+      const docId = this.docId(phone, entry.date);
+      const log = await tx.get(collections.dailyLogs, docId);
+      const { totals, entryCount } = this.counters(log);
+      const now = new Date().toISOString();
+
+      // The entry can't be moved to another user, day or position by an edit
+      const updated = {
+        ...update(entry),
+        id: entry.id,
+        phone,
+        date: entry.date,
+        seq: entry.seq,
+        created_at: entry.created_at,
+        updated_at: now
+      };
+      const nextTotals = applyToTotals(applyToTotals(totals, entry, -1), updated);
+
+      tx.set(collections.foodEntries, this.entryDocId(phone, entryId), updated);
+      if (log) {
+        tx.update(collections.dailyLogs, docId, {
+          totals: nextTotals,
+          updated_at: now
+        });
+      }
+
+      return { previous: entry, entry: updated, totals: nextTotals, entryCount };
+    });
+  }
+
+  // Remove a whole day - its entries and the day document
+  async deleteDay(phone, date) {
+    const store = getStore();
+    const entries = await this.listEntries(phone, date);
+
+    await store.runTransaction(async (tx) => {
+      entries.forEach(entry => tx.delete(collections.foodEntries, this.entryDocId(phone, entry.id)));
+      tx.delete(collections.dailyLogs, this.docId(phone, date));
+    });
+  }
+
+  counters(log) {
+    return {
+      totals: (log && log.totals) || emptyTotals(),
+      entryCount: (log && log.entry_count) || 0,
+      seq: (log && log.entry_seq) || 0
+    };
+  }
+
+  // Turn an old `foods` array into entries inside tx, totals recomputed from the foods themselves.
+  // ids come from newEntryIds, one per food
+  writeLegacyEntries(tx, phone, date, foods, ids) {
+    let totals = emptyTotals();
+
+    foods.forEach((food, idx) => {
+      const entry = {
+        ...food,
+        id: ids[idx],
+        phone,
+        date,
+        seq: idx + 1,
+        created_at: food.timestamp || new Date().toISOString()
+      };
+      totals = applyToTotals(totals, entry);
+      tx.set(collections.foodEntries, this.entryDocId(phone, entry.id), entry);
+    });
+
+    return { totals, entryCount: foods.length, seq: foods.length };
+  }
+
+  async migrateLegacyFoods(phone, date) {
+    const docId = this.docId(phone, date);
+
+    return getStore().runTransaction(async (tx) => {
+      const log = await tx.get(collections.dailyLogs, docId);
+
+      // Someone else migrated it first
+      if (!log || !Array.isArray(log.foods)) return log;
+
+      const { foods, ...rest } = log;
+      const ids = await this.newEntryIds(tx, phone, foods.length);
+      const { totals, entryCount, seq } = this.writeLegacyEntries(tx, phone, date, foods, ids);
+      const migrated = {
+        ...rest,
+        totals,
+        entry_count: entryCount,
+        entry_seq: seq,
+        updated_at: new Date().toISOString()
+      };
+
+      tx.set(collections.dailyLogs, docId, migrated);
+      return migrated;
+    });
+  }
+}
+
+module.exports = new DailyLogsRepository();
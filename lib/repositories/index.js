@@ -0,0 +1,21 @@
+/**
+ * Repositories
+ * The only way services read and write data. Each one sits on the store picked by
+ * STORAGE_BACKEND (see lib/storage), so the same service code runs on Firestore
+ * or fully in-process.
+ */
+module.exports = {
+  usersRepository: require('./usersRepository'),
+  dailyLogsRepository: require('./dailyLogsRepository'),
+  savedFoodsRepository: require('./savedFoodsRepository'),
+  customFoodsRepository: require('./customFoodsRepository'),
+  tokensRepository: require('./tokensRepository'),
+  mealPlansRepository: require('./mealPlansRepository'),
+  webhooksRepository: require('./webhooksRepository'),
+  toxinTrackingRepository: require('./toxinTrackingRepository'),
+  rewardsRepository: require('./rewardsRepository'),
+  redemptionsRepository: require('./redemptionsRepository'),
+  insightsRepository: require('./insightsRepository'),
+  bodyMeasurementsRepository: require('./bodyMeasurementsRepository'),
+  activitiesRepository: require('./activitiesRepository')
+};
@@ -0,0 +1,25 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Insights Repository
+ * Personality profiles, life events and saved weekly analyses.
+ */
+class InsightsRepository {
+  async getPersonality(phone) {
+    return getStore().get(collections.personalities, phone);
+  }
+
+  async savePersonality(phone, personality) {
+    await getStore().set(collections.personalities, phone, personality);
+  }
+
+  async saveLifeEvent(phone, event) {
+    await getStore().set(collections.lifeEvents, phone, event, { merge: true });
+  }
+
+  async addWeeklyAnalysis(analysis) {
+    return getStore().add(collections.weeklyAnalyses, analysis);
+  }
+}
+
+module.exports = new InsightsRepository();
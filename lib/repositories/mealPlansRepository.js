@@ -0,0 +1,31 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Meal Plans Repository
+ * Plans are keyed by their own id and carry the owner's phone.
+ */
+class MealPlansRepository {
+  async get(planId) {
+    return getStore().get(collections.mealPlans, planId);
+  }
+
+  async save(plan) {
+    await getStore().set(collections.mealPlans, plan.id, plan);
+  }
+
+  async update(planId, changes) {
+    await getStore().update(collections.mealPlans, planId, changes);
+  }
+
+  // Most recently created active plan
+  async findActive(phone) {
+    const docs = await getStore().find(collections.mealPlans, {
+      where: [['phone', '==', phone], ['status', '==', 'active']],
+      orderBy: ['created_at', 'desc'],
+      limit: 1
+    });
+    return docs.length > 0 ? docs[0].data : null;
+  }
+}
+
+module.exports = new MealPlansRepository();
@@ -0,0 +1,21 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Redemptions Repository
+ * Rewards claimed with ScanlyfCoins, waiting on delivery.
+ */
+class RedemptionsRepository {
+  async create(redemption) {
+    return getStore().add(collections.redemptions, redemption);
+  }
+
+  async listForUser(phone) {
+    const docs = await getStore().find(collections.redemptions, {
+      where: [['phone', '==', phone]],
+      orderBy: ['redeemed_at', 'desc']
+    });
+    return docs.map(({ id, data }) => ({ id, ...data }));
+  }
+}
+
+module.exports = new RedemptionsRepository();
@@ -0,0 +1,45 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Rewards Repository
+ * ScanlyfCoin accounts (balance + transaction history, keyed by phone)
+ * and the weekly challenge results.
+ */
+class RewardsRepository {
+  async getAccount(phone) {
+    return getStore().get(collections.coinTransactions, phone);
+  }
+
+  async createAccount(phone, account) {
+    await getStore().set(collections.coinTransactions, phone, account);
+  }
+
+  async recordTransaction(phone, balance, transaction) {
+    const store = getStore();
+    await store.update(collections.coinTransactions, phone, {
+      balance,
+      transactions: store.arrayUnion(transaction),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async getWeek(weekId) {
+    return getStore().get(collections.weeklyChallenges, weekId);
+  }
+
+  async saveWeek(weekId, week) {
+    await getStore().set(collections.weeklyChallenges, weekId, week);
+  }
+
+  // Recent weeks whose leaderboard includes this entry, newest first
+  async listWeeksWith(entry, limit = 10) {
+    const docs = await getStore().find(collections.weeklyChallenges, {
+      where: [['leaderboard', 'array-contains', entry]],
+      orderBy: ['week_id', 'desc'],
+      limit
+    });
+    return docs.map(doc => doc.data);
+  }
+}
+
+module.exports = new RewardsRepository();
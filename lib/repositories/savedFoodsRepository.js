@@ -0,0 +1,37 @@
+const { getStore, collections } = require('../storage');
+
+function emptySaved(phone) {
+  return { phone, favorites: [], recent: [] };
+}
+
+/**
+ * Saved Foods Repository
+ * One document per phone with the user's favorites and recently logged foods,
+ * each holding the nutrition it was logged with so re-logging needs no lookup.
+ */
+class SavedFoodsRepository {
+  async get(phone) {
+    const saved = await getStore().get(collections.savedFoods, phone);
+    return saved ? { ...emptySaved(phone), ...saved } : emptySaved(phone);
+  }
+
+  // Rewrite the document with change(saved) in one transaction so parallel logs don't
+  // drop each other's recent foods. change must be pure and return the new document
+  async update(phone, change) {
+    const store = getStore();
+
+    return store.runTransaction(async (tx) => {
+      const current = await tx.get(collections.savedFoods, phone);
+      const next = {
+        ...change(current ? { ...emptySaved(phone), ...current } : emptySaved(phone)),
+        phone,
+        updated_at: new Date().toISOString()
+      };
+
+      tx.set(collections.savedFoods, phone, next);
+      return next;
+    });
+  }
+}
+
+module.exports = new SavedFoodsRepository();
@@ -0,0 +1,26 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Tokens Repository
+ * Bearer tokens mapped to the phone number they authenticate.
+ */
+class TokensRepository {
+  async findActive(token) {
+    const docs = await getStore().find(collections.tokens, {
+      where: [['token', '==', token], ['active', '==', true]],
+      limit: 1
+    });
+    return docs.length > 0 ? docs[0].data : null;
+  }
+
+  async create(phone, token) {
+    return getStore().add(collections.tokens, {
+      phone,
+      token,
+      active: true,
+      created_at: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new TokensRepository();
@@ -0,0 +1,33 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Toxin Tracking Repository
+ * Streaks and lifetime stats, one document per phone.
+ */
+class ToxinTrackingRepository {
+  async get(phone) {
+    return getStore().get(collections.toxinTracking, phone);
+  }
+
+  async save(phone, tracking) {
+    await getStore().set(collections.toxinTracking, phone, tracking);
+  }
+
+  async addAchievement(phone, achievementId) {
+    const store = getStore();
+    await store.update(collections.toxinTracking, phone, {
+      'lifetime.achievements': store.arrayUnion(achievementId)
+    });
+  }
+
+  // Longest current streaks first
+  async topStreaks(limit) {
+    const docs = await getStore().find(collections.toxinTracking, {
+      orderBy: ['currentStreak', 'desc'],
+      limit
+    });
+    return docs.map(({ id, data }) => ({ ...data, phone: id }));
+  }
+}
+
+module.exports = new ToxinTrackingRepository();
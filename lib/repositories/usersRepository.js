@@ -0,0 +1,35 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Users Repository
+ * Profiles keyed by phone number.
+ */
+class UsersRepository {
+  async get(phone) {
+    return getStore().get(collections.users, phone);
+  }
+
+  async save(phone, data, { merge = false } = {}) {
+    await getStore().set(collections.users, phone, data, { merge });
+  }
+
+  async update(phone, changes) {
+    await getStore().update(collections.users, phone, changes);
+  }
+
+  // Every user with their phone - used for the leaderboard
+  async list() {
+    const docs = await getStore().find(collections.users);
+    return docs.map(({ id, data }) => ({ ...data, phone: id }));
+  }
+
+  async addBadge(phone, badge) {
+    const store = getStore();
+    await store.update(collections.users, phone, {
+      badges: store.arrayUnion(badge),
+      updated_at: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new UsersRepository();
@@ -0,0 +1,36 @@
+const { getStore, collections } = require('../storage');
+
+/**
+ * Webhooks Repository
+ */
+class WebhooksRepository {
+  async get(webhookId) {
+    return getStore().get(collections.webhooks, webhookId);
+  }
+
+  async save(webhook) {
+    await getStore().set(collections.webhooks, webhook.id, webhook);
+  }
+
+  async update(webhookId, changes) {
+    await getStore().update(collections.webhooks, webhookId, changes);
+  }
+
+  async listActive(phone) {
+    const docs = await getStore().find(collections.webhooks, {
+      where: [['phone', '==', phone], ['active', '==', true]]
+    });
+    return docs.map(doc => doc.data);
+  }
+
+  // Active webhooks subscribed to an event - for one user, or everyone when phone is null
+  async listSubscribed(eventType, phone = null) {
+    const where = [['active', '==', true], ['events', 'array-contains', eventType]];
+    if (phone) where.unshift(['phone', '==', phone]);
+
+    const docs = await getStore().find(collections.webhooks, { where });
+    return docs.map(doc => doc.data);
+  }
+}
+
+module.exports = new WebhooksRepository();
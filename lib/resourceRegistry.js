@@ -0,0 +1,108 @@
+/**
+ * Resource Registry
+ * MCP resources let clients pull structured user context (profile, logs,
+ * meal plans) as JSON instead of calling chat-oriented tools.
+ *
+ * Static resource:   { uri: 'scanlyf://profile', name, description, read }
+ * Resource template: { uriTemplate: 'scanlyf://logs/{date}', name, description, read }
+ *
+ * read(variables, context) receives the values extracted from the URI
+ * ({ date: '2024-01-15' }) and { args, req } for authentication.
+ */
+
+// JSON-RPC error code for unknown resources (MCP spec)
+const RESOURCE_NOT_FOUND = -32002;
+
+class ResourceRegistry {
+  constructor() {
+    this.resources = new Map();
+    this.templates = [];
+  }
+
+  register(resource) {
+    if (typeof resource.read !== 'function') {
+      throw new Error(`Resource ${resource.uri || resource.uriTemplate} requires a read function`);
+    }
+
+    if (resource.uriTemplate) {
+      this.templates.push({
+        mimeType: 'application/json',
+        ...resource,
+        pattern: this.compileTemplate(resource.uriTemplate)
+      });
+    } else {
+      this.resources.set(resource.uri, { mimeType: 'application/json', ...resource });
+    }
+
+    return this;
+  }
+
+  registerAll(resources) {
+    resources.forEach(resource => this.register(resource));
+    return this;
+  }
+
+  // Turn 'scanlyf://logs/{date}' into a regex with named groups
+  compileTemplate(uriTemplate) {
+    const escaped = uriTemplate.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    const source = escaped.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)');
+    return new RegExp(`^${source}$`);
+  }
+
+  // Public listing for resources/list
+  list() {
+    return Array.from(this.resources.values()).map(({ uri, name, description, mimeType }) => ({
+      uri, name, description, mimeType
+    }));
+  }
+
+  // Public listing for resources/templates/list
+  listTemplates() {
+    return this.templates.map(({ uriTemplate, name, description, mimeType }) => ({
+      uriTemplate, name, description, mimeType
+    }));
+  }
+
+  // Find the resource or template that serves a URI
+  resolve(uri) {
+    if (this.resources.has(uri)) {
+      return { resource: this.resources.get(uri), variables: {} };
+    }
+
+    for (const template of this.templates) {
+      const match = uri.match(template.pattern);
+      if (match) {
+        const variables = {};
+        Object.entries(match.groups || {}).forEach(([key, value]) => {
+          variables[key] = decodeURIComponent(value);
+        });
+        return { resource: template, variables };
+      }
+    }
+
+    return null;
+  }
+
+  // Read a resource and wrap it in MCP contents format
+  async read(uri, context) {
+    const resolved = this.resolve(uri);
+    if (!resolved) {
+      const error = new Error(`Resource not found: ${uri}`);
+      error.jsonRpcCode = RESOURCE_NOT_FOUND;
+      throw error;
+    }
+
+    const { resource, variables } = resolved;
+    const data = await resource.read(variables, context);
+
+    return {
+      contents: [{
+        uri,
+        mimeType: resource.mimeType,
+        text: typeof data === 'string' ? data : JSON.stringify(data, null, 2)
+      }]
+    };
+  }
+}
+
+module.exports = new ResourceRegistry();
@@ -0,0 +1,106 @@
+/**
+ * Minimal JSON Schema validator for MCP tool arguments
+ * Covers the subset of JSON Schema used by our tool definitions:
+ * type, enum, required, properties, items, minimum/maximum, minLength/maxLength
+ */
+
+// Placeholder values Puch AI sends for optional fields it has no value for
+const EMPTY_VALUES = [null, 'None'];
+
+/**
+ * Check whether a value matches a JSON Schema primitive type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      // Puch AI sometimes sends numbers as strings ("2" instead of 2)
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+    case 'integer':
+      return matchesType(value, 'number') && Number.isInteger(Number(value));
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} List of validation errors (empty when valid)
+ */
+function validateSchema(schema, value, path = 'arguments') {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => String(allowed) === String(value))) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' || typeof value === 'number') {
+    const numeric = Number(value);
+    if (schema.minimum !== undefined && numeric < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && numeric > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || EMPTY_VALUES.includes(value[key])) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    // Unknown properties are allowed - Puch AI adds its own fields to every call
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      if (value[key] === undefined || EMPTY_VALUES.includes(value[key])) return;
+      errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Sessions without any request for 30 minutes are dropped
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * MCP Session Manager
+ * Tracks streamable-HTTP sessions created on initialize and the open
+ * GET /mcp event streams we can push server-initiated messages to.
+ * In-memory only - sessions don't survive a restart, clients re-initialize.
+ */
+class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+
+    // Clean up idle sessions periodically
+    setInterval(() => this.cleanup(), SESSION_TTL_MS).unref();
+  }
+
+  create(clientInfo = null) {
+    const session = {
+      id: crypto.randomUUID(),
+      clientInfo,
+      createdAt: Date.now(),
+      lastSeen: Date.now(),
+      streams: new Set()
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  // Look up a session and mark it as active
+  get(id) {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.lastSeen = Date.now();
+    }
+    return session || null;
+  }
+
+  delete(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    session.streams.forEach(stream => stream.end());
+    this.sessions.delete(id);
+    return true;
+  }
+
+  addStream(id, stream) {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.streams.add(stream);
+    }
+  }
+
+  removeStream(id, stream) {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.streams.delete(stream);
+    }
+  }
+
+  // Push a message to every open stream of a session, returns false if nobody is listening
+  send(id, message, writeEvent) {
+    const session = this.sessions.get(id);
+    if (!session || session.streams.size === 0) return false;
+
+    session.streams.forEach(stream => writeEvent(stream, message));
+    return true;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions.entries()) {
+      if (now - session.lastSeen > SESSION_TTL_MS && session.streams.size === 0) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = new SessionManager();
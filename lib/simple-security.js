@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { createSafeRateLimiter } = require('./comprehensive-fix');
+const { usesFirestore } = require('./storage');
 
 // Simple JWT validation
 const validateToken = async (token) => {
@@ -79,8 +80,9 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Mcp-Session-Id', 'Mcp-Protocol-Version'],
+  exposedHeaders: ['Mcp-Session-Id']
 };
 
 // Simple error handler - don't leak stack traces in production
@@ -97,12 +99,12 @@ const errorHandler = (err, req, res, next) => {
 
 // Validate required environment variables
 const validateEnv = () => {
-  const required = [
-    'JWT_SECRET',
-    'FIREBASE_PROJECT_ID',
-    'FIREBASE_CLIENT_EMAIL',
-    'FIREBASE_PRIVATE_KEY'
-  ];
+  const required = ['JWT_SECRET'];
+  
+  // Firebase credentials are only needed when Firestore is the storage backend
+  if (usesFirestore()) {
+    required.push('FIREBASE_PROJECT_ID', 'FIREBASE_CLIENT_EMAIL', 'FIREBASE_PRIVATE_KEY');
+  }
   
   const missing = required.filter(key => !process.env[key]);
   
@@ -0,0 +1,87 @@
+const { admin, getDb } = require('../firebase');
+
+/**
+ * Firestore Store
+ * Thin document-store driver over the Firebase Admin SDK. Repositories only
+ * talk to this interface so the in-memory store can stand in for it.
+ *
+ * Queries return [{ id, data }] so callers that key off document ids
+ * (users, toxin tracking) don't need the raw snapshot.
+ */
+class FirestoreStore {
+  constructor() {
+    this.name = 'firestore';
+  }
+
+  async get(collection, id) {
+    const doc = await getDb().collection(collection).doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async set(collection, id, data, options = {}) {
+    await getDb().collection(collection).doc(id).set(data, options);
+  }
+
+  // Partial update - dotted keys reach into nested maps, fails if the document is missing
+  async update(collection, id, changes) {
+    await getDb().collection(collection).doc(id).update(changes);
+  }
+
+  async delete(collection, id) {
+    await getDb().collection(collection).doc(id).delete();
+  }
+
+  // Insert with a generated id
+  async add(collection, data) {
+    const ref = await getDb().collection(collection).add(data);
+    return ref.id;
+  }
+
+  // where: [[field, op, value]], orderBy: [field, 'asc' | 'desc']
+  async find(collection, { where = [], orderBy = null, limit = null } = {}) {
+    let query = getDb().collection(collection);
+
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+    if (orderBy) {
+      query = query.orderBy(orderBy[0], orderBy[1] || 'asc');
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+  }
+
+  // Run fn(tx) atomically - tx has get/set/update/delete like the store, all reads before writes.
+  // Firestore retries fn on contention, so it must not have side effects outside tx.
+  async runTransaction(fn) {
+    const db = getDb();
+    const ref = (collection, id) => db.collection(collection).doc(id);
+
+    return db.runTransaction(async (t) => fn({
+      get: async (collection, id) => {
+        const doc = await t.get(ref(collection, id));
+        return doc.exists ? doc.data() : null;
+      },
+      set: (collection, id, data, options = {}) => {
+        t.set(ref(collection, id), data, options);
+      },
+      update: (collection, id, changes) => {
+        t.update(ref(collection, id), changes);
+      },
+      delete: (collection, id) => {
+        t.delete(ref(collection, id));
+      }
+    }));
+  }
+
+  // Sentinel for update() - appends values that aren't already in the array
+  arrayUnion(...values) {
+    return admin.firestore.FieldValue.arrayUnion(...values);
+  }
+}
+
+module.exports = FirestoreStore;
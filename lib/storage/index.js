@@ -0,0 +1,82 @@
+/**
+ * Storage backend selection
+ * STORAGE_BACKEND=firestore (default) talks to Firebase, STORAGE_BACKEND=memory keeps
+ * everything in-process (optionally persisted to STORAGE_FILE) so the server runs
+ * without any Firebase credentials. Services go through lib/repositories, never here.
+ */
+
+const MemoryStore = require('./memoryStore');
+
+const BACKENDS = ['firestore', 'memory'];
+
+// Every collection the repositories touch
+const collections = {
+  users: 'users',
+  dailyLogs: 'daily_logs',
+  foodEntries: 'food_entries',
+  savedFoods: 'saved_foods',
+  customFoods: 'custom_foods',
+  tokens: 'bearer_tokens',
+  mealPlans: 'meal_plans',
+  webhooks: 'webhooks',
+  toxinTracking: 'toxin_tracking',
+  coinTransactions: 'scanlyfcoin_transactions',
+  weeklyChallenges: 'weekly_challenges',
+  redemptions: 'redemptions',
+  personalities: 'user_personalities',
+  lifeEvents: 'user_life_events',
+  weeklyAnalyses: 'weekly_analyses',
+  bodyMeasurements: 'body_measurements',
+  activities: 'activity_entries'
+};
+
+let store = null;
+
+function getBackend() {
+  const backend = (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" - use one of: ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+function usesFirestore() {
+  return getBackend() === 'firestore';
+}
+
+// Create the configured store (connects to Firebase for the firestore backend)
+function initializeStorage() {
+  if (store) return store;
+
+  if (usesFirestore()) {
+    // Required lazily so the memory backend never loads the Firebase SDK
+    const { initializeFirebase } = require('../firebase');
+    const FirestoreStore = require('./firestoreStore');
+    initializeFirebase();
+    store = new FirestoreStore();
+  } else {
+    store = new MemoryStore(process.env.STORAGE_FILE || null);
+  }
+
+  console.log(`✅ Storage backend: ${store.name}`);
+  return store;
+}
+
+function getStore() {
+  return store || initializeStorage();
+}
+
+// Swap in a store directly - handy for scripts and tests that want a fresh MemoryStore
+function setStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  MemoryStore,
+  collections,
+  getBackend,
+  usesFirestore,
+  initializeStorage,
+  getStore,
+  setStore
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+class ArrayUnion {
+  constructor(values) {
+    this.values = values;
+  }
+}
+
+// Comparison used by range filters and orderBy (dates are ISO strings, so this covers them too)
+function compare(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+const OPERATORS = {
+  '==': (value, expected) => isDeepStrictEqual(value, expected),
+  '!=': (value, expected) => !isDeepStrictEqual(value, expected),
+  '<': (value, expected) => compare(value, expected) < 0,
+  '<=': (value, expected) => compare(value, expected) <= 0,
+  '>': (value, expected) => compare(value, expected) > 0,
+  '>=': (value, expected) => compare(value, expected) >= 0,
+  'in': (value, expected) => expected.some(item => isDeepStrictEqual(value, item)),
+  'array-contains': (value, expected) =>
+    Array.isArray(value) && value.some(item => isDeepStrictEqual(item, expected)),
+  'array-contains-any': (value, expected) =>
+    Array.isArray(value) && value.some(item => expected.some(e => isDeepStrictEqual(item, e)))
+};
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function applyValue(current, value) {
+  if (value instanceof ArrayUnion) {
+    const base = Array.isArray(current) ? current : [];
+    const additions = value.values.filter(v => !base.some(existing => isDeepStrictEqual(existing, v)));
+    return [...base, ...additions];
+  }
+  return structuredClone(value);
+}
+
+function setField(data, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  let target = data;
+
+  keys.forEach(key => {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+
+  target[last] = applyValue(target[last], value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof ArrayUnion);
+}
+
+// set(..., { merge: true }) merges nested maps, everything else is replaced
+function mergeInto(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = applyValue(target[key], value);
+    }
+  });
+  return target;
+}
+
+/**
+ * Memory Store
+ * In-process stand-in for Firestore with the same query semantics the services rely
+ * on (where / orderBy / limit, dotted-path updates, arrayUnion). Documents are
+ * cloned on the way in and out so callers can't mutate stored state by accident.
+ *
+ * Transactions run one at a time and buffer their writes until fn resolves,
+ * so a failed transaction leaves nothing behind.
+ *
+ * Set STORAGE_FILE to persist everything to a JSON file between restarts,
+ * otherwise data lives as long as the process.
+ */
+class MemoryStore {
+  constructor(filePath = null) {
+    this.name = 'memory';
+    this.filePath = filePath;
+    this.collections = new Map();
+    this.transactionQueue = Promise.resolve();
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    Object.entries(contents).forEach(([name, docs]) => {
+      this.collections.set(name, new Map(Object.entries(docs)));
+    });
+    console.log(`📦 Loaded local data from ${this.filePath}`);
+  }
+
+  // Write to a temp file and rename so a crash mid-write can't corrupt the store
+  persist() {
+    if (!this.filePath) return;
+
+    const contents = {};
+    this.collections.forEach((docs, name) => {
+      contents[name] = Object.fromEntries(docs);
+    });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(contents));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  docs(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async get(collection, id) {
+    const data = this.docs(collection).get(id);
+    return data ? structuredClone(data) : null;
+  }
+
+  async set(collection, id, data, options = {}) {
+    this.applySet(collection, id, data, options);
+    this.persist();
+  }
+
+  async update(collection, id, changes) {
+    this.assertExists(collection, id);
+    this.applyUpdate(collection, id, changes);
+    this.persist();
+  }
+
+  async delete(collection, id) {
+    this.docs(collection).delete(id);
+    this.persist();
+  }
+
+  applySet(collection, id, data, options = {}) {
+    const docs = this.docs(collection);
+    const existing = docs.get(id);
+
+    if (options.merge && existing) {
+      docs.set(id, mergeInto(existing, data));
+    } else {
+      docs.set(id, mergeInto({}, data));
+    }
+  }
+
+  applyUpdate(collection, id, changes) {
+    const data = this.docs(collection).get(id);
+    Object.entries(changes).forEach(([field, value]) => setField(data, field, value));
+  }
+
+  assertExists(collection, id) {
+    if (!this.docs(collection).has(id)) {
+      throw new Error(`No document to update: ${collection}/${id}`);
+    }
+  }
+
+  async runTransaction(fn) {
+    const run = this.transactionQueue.then(async () => {
+      const writes = [];
+      const tx = {
+        get: (collection, id) => this.get(collection, id),
+        set: (collection, id, data, options = {}) => {
+          writes.push({ type: 'set', collection, id, data, options });
+        },
+        update: (collection, id, changes) => {
+          writes.push({ type: 'update', collection, id, changes });
+        },
+        delete: (collection, id) => {
+          writes.push({ type: 'delete', collection, id });
+        }
+      };
+
+      const result = await fn(tx);
+
+      // Check everything up front so a bad update can't leave half the writes applied
+      writes
+        .filter(write => write.type === 'update')
+        .forEach(write => {
+          const createdEarlier = writes.some(w => w.type === 'set' && w.collection === write.collection && w.id === write.id);
+          if (!createdEarlier) this.assertExists(write.collection, write.id);
+        });
+
+      writes.forEach(write => {
+        if (write.type === 'set') this.applySet(write.collection, write.id, write.data, write.options);
+        else if (write.type === 'update') this.applyUpdate(write.collection, write.id, write.changes);
+        else this.docs(write.collection).delete(write.id);
+      });
+      this.persist();
+
+      return result;
+    });
+
+    // A failed transaction must not block the ones queued behind it
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  async add(collection, data) {
+    const id = crypto.randomUUID().replace(/-/g, '').slice(0, 20);
+    await this.set(collection, id, data);
+    return id;
+  }
+
+  async find(collection, { where = [], orderBy = null, limit = null } = {}) {
+    where.forEach(([, op]) => {
+      if (!OPERATORS[op]) throw new Error(`Unsupported query operator: ${op}`);
+    });
+
+    let results = Array.from(this.docs(collection).entries())
+      .filter(([, data]) => where.every(([field, op, expected]) => {
+        const value = getField(data, field);
+        // Like Firestore, documents missing a filtered field never match
+        return value !== undefined && OPERATORS[op](value, expected);
+      }));
+
+    if (orderBy) {
+      const [field, direction = 'asc'] = orderBy;
+      results = results
+        .filter(([, data]) => getField(data, field) !== undefined)
+        .sort(([, a], [, b]) => {
+          const order = compare(getField(a, field), getField(b, field));
+          return direction === 'desc' ? -order : order;
+        });
+    }
+
+    if (limit) {
+      results = results.slice(0, limit);
+    }
+
+    return results.map(([id, data]) => ({ id, data: structuredClone(data) }));
+  }
+
+  arrayUnion(...values) {
+    return new ArrayUnion(values);
+  }
+}
+
+module.exports = MemoryStore;
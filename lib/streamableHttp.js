@@ -0,0 +1,248 @@
+const mcpDispatcher = require('./mcpDispatcher');
+const sessionManager = require('./sessionManager');
+
+/**
+ * Streamable HTTP transport for /mcp
+ * - POST: one JSON-RPC message or a batch array. Answered as plain JSON, or as an SSE
+ *   stream when the client accepts text/event-stream and the call sends notifications first.
+ *   Notification-only posts get 202 with no body.
+ * - GET with Accept: text/event-stream: long-lived stream for server-initiated messages
+ * - DELETE: end a session
+ *
+ * initialize hands out an Mcp-Session-Id header. Requests without one are still
+ * served statelessly so Puch AI's one-shot POSTs keep working.
+ */
+
+// Keep idle event streams alive through proxies (nginx drops them after 60s)
+const KEEP_ALIVE_MS = 25 * 1000;
+
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+}
+
+function writeSseEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function sessionNotFound(res) {
+  return res.status(404).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: {
+      code: -32001,
+      message: 'Session not found - send initialize to start a new session'
+    }
+  });
+}
+
+// Too many requests - the dispatcher's error code for calls a rate limiter turned away
+const RATE_LIMITED = -32000;
+
+// Run an express-style limiter against a stand-in response, so going over the limit
+// becomes a JSON-RPC error for the calls it covers rather than a 429 written to the
+// real response - a batch can't answer one HTTP request several times. Limiters like
+// express-rate-limit reply asynchronously, so this settles when they reply or call next
+function runRateLimiter(limiter, req) {
+  return new Promise((resolve, reject) => {
+    const reply = {
+      statusCode: 200,
+      headersSent: false,
+      writableEnded: false,
+      setHeader: () => reply,
+      append: () => reply,
+      once: () => reply,
+      status: (code) => {
+        reply.statusCode = code;
+        return reply;
+      },
+      send: (body) => {
+        reply.headersSent = true;
+        reply.writableEnded = true;
+        const message = typeof body === 'string' ? body : body && (body.error || body.message);
+        resolve({ allowed: false, message: message || 'Too many requests, please try again later' });
+        return reply;
+      },
+      json: (body) => reply.send(body),
+      end: (body) => reply.send(body)
+    };
+
+    limiter(req, reply, (err) => {
+      if (err) reject(err);
+      else resolve({ allowed: true });
+    });
+  });
+}
+
+// JSON-RPC method names only - headers carry the bearer token and bodies carry food logs
+function describeRequest(payload) {
+  const messages = Array.isArray(payload) ? payload : [payload];
+  return messages.map(message => (message && message.method) || '?').join(', ');
+}
+
+async function handlePost(req, res, next) {
+  // Handle empty request for Puch AI compatibility
+  if (!req.body || (!Array.isArray(req.body) && Object.keys(req.body).length === 0)) {
+    console.log('MCP Request: empty body', { userAgent: req.headers['user-agent'] });
+    return res.json({
+      status: 'ok',
+      message: 'Scanlyf MCP Server Ready',
+      version: '2.0.0'
+    });
+  }
+
+  const payload = req.body;
+  console.log('MCP Request:', {
+    methods: describeRequest(payload),
+    session: req.headers['mcp-session-id'] || null,
+    userAgent: req.headers['user-agent']
+  });
+
+  const isInitialize = !Array.isArray(payload) && payload.method === 'initialize';
+  const sessionId = req.headers['mcp-session-id'];
+  let session = null;
+
+  // Clients repeat the negotiated version on every request after initialize
+  const protocolVersion = req.headers['mcp-protocol-version'];
+  if (protocolVersion && !isInitialize && !mcpDispatcher.supportsProtocolVersion(protocolVersion)) {
+    return res.status(400).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: `Unsupported MCP-Protocol-Version: ${protocolVersion}`
+      }
+    });
+  }
+
+  if (isInitialize) {
+    session = sessionManager.create(payload.params?.clientInfo || null);
+    res.setHeader('Mcp-Session-Id', session.id);
+  } else if (sessionId) {
+    session = sessionManager.get(sessionId);
+    if (!session) return sessionNotFound(res);
+  }
+
+  // The response stream is only opened once there is something to send before the result
+  const canStream = acceptsEventStream(req);
+  let streaming = false;
+
+  // Each limiter counts once per HTTP request, however many batch entries it covers
+  const limits = new Map();
+
+  const context = {
+    req,
+    session,
+    rateLimit: (limiter) => {
+      if (!limits.has(limiter)) limits.set(limiter, runRateLimiter(limiter, req));
+      return limits.get(limiter);
+    },
+    sendNotification: (method, params) => {
+      const notification = { jsonrpc: '2.0', method, params };
+
+      if (canStream) {
+        if (!streaming) {
+          openEventStream(res);
+          streaming = true;
+        }
+        writeSseEvent(res, notification);
+      } else if (session) {
+        sessionManager.send(session.id, notification, writeSseEvent);
+      }
+    }
+  };
+
+  try {
+    const response = await mcpDispatcher.handle(payload, context);
+
+    if (streaming) {
+      if (response) writeSseEvent(res, response);
+      return res.end();
+    }
+
+    // Nothing to answer: notifications or cancelled calls
+    if (!response) {
+      return res.status(202).end();
+    }
+
+    // Malformed single requests keep their 400 status
+    if (!Array.isArray(response) && response.error && response.error.code === -32600) {
+      return res.status(400).json(response);
+    }
+
+    // So do rate-limited ones with their 429 - in a batch it's only that entry's error
+    if (!Array.isArray(response) && response.error && response.error.code === RATE_LIMITED) {
+      return res.status(429).json(response);
+    }
+
+    return res.json(response);
+  } catch (error) {
+    if (streaming) {
+      console.error('MCP stream error:', error.message);
+      return res.end();
+    }
+    next(error);
+  }
+}
+
+async function handleGet(req, res) {
+  // Plain GET is a readiness check for Puch AI compatibility
+  if (!acceptsEventStream(req)) {
+    return res.json({
+      status: 'ok',
+      message: 'Scanlyf MCP Server Ready',
+      version: '2.0.0',
+      endpoint: 'https://scanlyf.com/mcp'
+    });
+  }
+
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId) {
+    return res.status(400).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Mcp-Session-Id header is required to open an event stream'
+      }
+    });
+  }
+
+  const session = sessionManager.get(sessionId);
+  if (!session) return sessionNotFound(res);
+
+  openEventStream(res);
+  sessionManager.addStream(session.id, res);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    sessionManager.removeStream(session.id, res);
+  });
+}
+
+async function handleDelete(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+
+  if (!sessionId || !sessionManager.delete(sessionId)) {
+    return sessionNotFound(res);
+  }
+
+  res.status(204).end();
+}
+
+module.exports = {
+  handlePost,
+  handleGet,
+  handleDelete,
+  writeSseEvent
+};
@@ -0,0 +1,297 @@
+const { MICRONUTRIENTS, MICRONUTRIENT_KEYS, GOALS } = require('./micronutrients');
+const { CONFIDENCE } = require('./nutritionConfidence');
+const { INTENSITIES } = require('./activities');
+
+/**
+ * Structured tool output
+ * Handlers return structuredResult(text, data) to send machine-readable
+ * `structuredContent` (matching the tool's outputSchema) alongside the chat text.
+ * Plain string results are still supported for text-only responses.
+ */
+class StructuredResult {
+  constructor(text, structuredContent) {
+    this.text = text;
+    this.structuredContent = structuredContent;
+  }
+}
+
+function structuredResult(text, structuredContent) {
+  return new StructuredResult(text, structuredContent);
+}
+
+function isStructuredResult(value) {
+  return value instanceof StructuredResult;
+}
+
+// Shared schema fragments for outputSchema declarations
+const MACROS_SCHEMA = {
+  type: 'object',
+  properties: {
+    calories: { type: 'number' },
+    protein: { type: 'number' },
+    carbs: { type: 'number' },
+    fat: { type: 'number' }
+  },
+  required: ['calories', 'protein', 'carbs', 'fat']
+};
+
+const FOOD_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    calories: { type: 'number' },
+    protein: { type: 'number' },
+    carbs: { type: 'number' },
+    fat: { type: 'number' },
+    // Micronutrients only when the lookup reported them
+    ...Object.fromEntries(MICRONUTRIENTS.map(nutrient => [nutrient.key, { type: 'number', description: nutrient.unit === 'mg' ? 'milligrams' : 'grams' }])),
+    portion_size: { type: 'string' },
+    source: { type: 'string' },
+    // Where the numbers came from and how far to trust them (lib/nutritionConfidence) -
+    // missing for foods logged before this was tracked
+    nutrition_source: { type: 'string', description: 'Database or method the nutrition numbers came from' },
+    match_score: { type: 'number', description: 'How well the food found matches what was asked for, 0 to 1' },
+    confidence: { type: 'string', enum: Object.values(CONFIDENCE) },
+    confidence_note: { type: 'string', description: 'Why the numbers are worth double-checking' }
+  },
+  required: ['name', 'calories', 'protein', 'carbs', 'fat']
+};
+
+const FOOD_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'Stable entry id - what remove_food and edit_food take' },
+    ...FOOD_SCHEMA.properties,
+    meal_type: { type: 'string', description: 'breakfast, lunch, dinner or snack - missing for unsorted entries' },
+    timestamp: { type: 'string' }
+  },
+  required: ['id', 'name', 'calories', 'protein', 'carbs', 'fat']
+};
+
+// One meal slot of a day's log
+const MEAL_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    meal_type: { type: 'string', description: 'breakfast, lunch, dinner, snack, or other for unsorted entries' },
+    entry_count: { type: 'integer' },
+    totals: MACROS_SCHEMA
+  },
+  required: ['meal_type', 'entry_count', 'totals']
+};
+
+// One row of a day's micronutrients against the profile's targets (lib/micronutrients)
+const MICRONUTRIENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    key: { type: 'string' },
+    label: { type: 'string' },
+    unit: { type: 'string' },
+    goal: { type: 'string', enum: Object.values(GOALS), description: 'at_least for targets to reach, at_most for limits' },
+    amount: { type: 'number', description: 'Missing when none of the day\'s foods reported it' },
+    target: { type: 'number' },
+    percent: { type: 'integer' },
+    foods_with_data: { type: 'integer', description: 'How many of the day\'s foods the amount is based on' }
+  },
+  required: ['key', 'label', 'unit', 'goal', 'target', 'foods_with_data']
+};
+
+// Smoothed body weight from lib/bodyTrend
+const WEIGHT_TREND_SCHEMA = {
+  type: 'object',
+  properties: {
+    latest_weight_kg: { type: 'number' },
+    latest_date: { type: 'string' },
+    trend_kg: { type: 'number', description: 'Smoothed weight - what targets are worked out from' },
+    moving_average_7d: { type: 'number' },
+    change_7d: { type: 'number', description: 'Change in the trend over 7 days - missing without a weigh-in that far back' },
+    change_30d: { type: 'number' },
+    rate_kg_per_week: { type: 'number', description: 'Missing until there\'s a week of weigh-ins' },
+    direction: { type: 'string', enum: ['down', 'up', 'steady'] },
+    weigh_ins: { type: 'integer' }
+  },
+  required: ['latest_weight_kg', 'latest_date', 'trend_kg', 'moving_average_7d', 'weigh_ins']
+};
+
+// A logged workout (lib/activities)
+const ACTIVITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    activity: { type: 'string' },
+    label: { type: 'string' },
+    intensity: { type: 'string', enum: Object.values(INTENSITIES) },
+    duration_minutes: { type: 'number' },
+    distance_km: { type: 'number' },
+    met: { type: 'number' },
+    calories_burned: { type: 'number' },
+    net_calories: { type: 'number', description: 'Burned on top of resting - what can be added to the budget' }
+  },
+  required: ['id', 'activity', 'label', 'intensity', 'duration_minutes', 'met', 'calories_burned', 'net_calories']
+};
+
+// A day's workouts and the calorie budget they give
+const EXERCISE_SCHEMA = {
+  type: 'object',
+  properties: {
+    activities: { type: 'array', items: ACTIVITY_SCHEMA },
+    calories_burned: { type: 'number' },
+    net_calories: { type: 'number', description: 'Burned on top of resting' },
+    budget_added: { type: 'number', description: 'net_calories, or 0 when exercise calories are turned off in set_targets' },
+    calorie_budget: { type: 'number', description: 'Calorie target plus budget_added' }
+  },
+  required: ['activities', 'calories_burned', 'net_calories', 'budget_added', 'calorie_budget']
+};
+
+const RISK_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    severity: { type: 'string' },
+    message: { type: 'string' }
+  },
+  required: ['message']
+};
+
+// Pick the numeric nutrition fields we expose from a food/nutrition object
+function toFoodOutput(food) {
+  const output = {
+    name: food.name || 'Unknown food',
+    calories: food.calories || 0,
+    protein: food.protein || 0,
+    carbs: food.carbs || 0,
+    fat: food.fat || 0
+  };
+  MICRONUTRIENT_KEYS.forEach(key => {
+    if (typeof food[key] === 'number') output[key] = food[key];
+  });
+  if (food.portion_size) output.portion_size = String(food.portion_size);
+  if (food.source) output.source = String(food.source);
+  if (food.nutrition_source) output.nutrition_source = String(food.nutrition_source);
+  if (typeof food.match_score === 'number') output.match_score = food.match_score;
+  if (food.confidence) output.confidence = food.confidence;
+  if (food.confidence_note) output.confidence_note = String(food.confidence_note);
+  return output;
+}
+
+// A logged food with its entry id (what remove_food and edit_food expect)
+function toFoodEntryOutput(food) {
+  return {
+    id: String(food.id),
+    ...toFoodOutput(food),
+    ...(food.meal_type && { meal_type: String(food.meal_type) }),
+    ...(food.timestamp && { timestamp: String(food.timestamp) })
+  };
+}
+
+function toFoodEntriesOutput(foods = []) {
+  return foods.map(toFoodEntryOutput);
+}
+
+// Health risk alerts without internal fields (actions, allergens, conditions)
+function toRisksOutput(risks = []) {
+  return risks.map(risk => ({
+    type: risk.type || 'general',
+    severity: risk.severity || 'medium',
+    message: risk.message
+  }));
+}
+
+// Harmful ingredient names - analyzers return either strings or { name, ... }
+function toHarmfulIngredientsOutput(ingredients = []) {
+  return ingredients.map(ingredient => (typeof ingredient === 'string' ? ingredient : ingredient.name));
+}
+
+// Per-meal subtotals from groupByMeal (lib/mealTypes)
+function toMealsOutput(meals = []) {
+  return meals.map(meal => ({
+    meal_type: meal.meal_type,
+    entry_count: meal.foods.length,
+    totals: toMacrosOutput(meal.totals)
+  }));
+}
+
+// Macro totals with missing values defaulted to 0
+function toMacrosOutput(totals = {}) {
+  return {
+    calories: totals.calories || 0,
+    protein: totals.protein || 0,
+    carbs: totals.carbs || 0,
+    fat: totals.fat || 0
+  };
+}
+
+// A weight trend without the day-by-day points, null values left out
+function toWeightTrendOutput(trend) {
+  const output = {
+    latest_weight_kg: trend.latest.weight_kg,
+    latest_date: trend.latest.date,
+    trend_kg: trend.trend_kg,
+    moving_average_7d: trend.moving_average_7d,
+    weigh_ins: trend.weigh_ins
+  };
+  ['change_7d', 'change_30d', 'rate_kg_per_week', 'direction'].forEach(key => {
+    if (trend[key] !== null) output[key] = trend[key];
+  });
+  return output;
+}
+
+// A logged workout without internal fields (phone, weight, timestamps)
+function toActivityOutput(entry) {
+  return {
+    id: String(entry.id),
+    activity: entry.activity,
+    label: entry.label,
+    intensity: entry.intensity,
+    duration_minutes: entry.duration_minutes,
+    ...(entry.distance_km && { distance_km: entry.distance_km }),
+    met: entry.met,
+    calories_burned: entry.calories_burned,
+    net_calories: entry.net_calories
+  };
+}
+
+// A day from activityService.getDay
+function toExerciseOutput(day) {
+  return {
+    activities: day.activities.map(toActivityOutput),
+    calories_burned: day.calories_burned,
+    net_calories: day.net_calories,
+    budget_added: day.added,
+    calorie_budget: day.budget
+  };
+}
+
+// Profile targets in the same shape as daily totals
+function toTargetsOutput(profile) {
+  return {
+    calories: profile.calorie_target || 0,
+    protein: profile.protein_target || 0,
+    carbs: profile.carb_target || 0,
+    fat: profile.fat_target || 0
+  };
+}
+
+module.exports = {
+  structuredResult,
+  isStructuredResult,
+  MACROS_SCHEMA,
+  FOOD_SCHEMA,
+  FOOD_ENTRY_SCHEMA,
+  RISK_SCHEMA,
+  MEAL_SUMMARY_SCHEMA,
+  MICRONUTRIENT_SCHEMA,
+  WEIGHT_TREND_SCHEMA,
+  ACTIVITY_SCHEMA,
+  EXERCISE_SCHEMA,
+  toFoodOutput,
+  toFoodEntryOutput,
+  toFoodEntriesOutput,
+  toRisksOutput,
+  toHarmfulIngredientsOutput,
+  toMealsOutput,
+  toMacrosOutput,
+  toTargetsOutput,
+  toWeightTrendOutput,
+  toActivityOutput,
+  toExerciseOutput
+};
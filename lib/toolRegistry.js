@@ -0,0 +1,103 @@
+const { validateSchema } = require('./schemaValidator');
+
+// Added to the input schema of every tool that changes user data
+const IDEMPOTENCY_KEY_PROPERTY = {
+  type: 'string',
+  description: 'Optional - send the same key when retrying to get the original result back instead of running the tool twice'
+};
+
+/**
+ * Tool Registry
+ * Single source of truth for MCP tools - each tool declares its name,
+ * description, input schema, rate limiter and handler in one place.
+ *
+ * Tool definition:
+ * {
+ *   name: 'add_food',
+ *   description: 'Log food entry to daily intake',
+ *   inputSchema: { type: 'object', properties: {...}, required: [] },
+ *   outputSchema: { type: 'object', properties: {...} },  // shape of structuredContent
+ *   rateLimiter: rateLimiters.scanFood,   // optional express-style limiter
+ *   acceptsImage: true,                   // optional - validate base64 `input` images
+ *   responseType: 'scan_food',            // optional - hint for formatPuchAIResponse
+ *   safeMode: 'always' | 'never',         // optional - override PUCH_AI_SAFE_MODE
+ *   mutates: true,                        // optional - changes user data, calls are deduplicated by idempotency key
+ *   handler: async (args, req, { signal, sendProgress }) => string | structuredResult(text, data)
+ * }
+ *
+ * signal is aborted on notifications/cancelled; sendProgress(progress, total, message)
+ * is a no-op unless the client asked for progress with _meta.progressToken.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  // Register a single tool definition
+  register(tool) {
+    if (!tool || !tool.name) {
+      throw new Error('Tool definition requires a name');
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} requires a handler function`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+
+    const definition = {
+      inputSchema: { type: 'object', properties: {}, required: [] },
+      responseType: 'general',
+      ...tool
+    };
+
+    if (definition.mutates) {
+      definition.inputSchema = {
+        ...definition.inputSchema,
+        properties: {
+          ...definition.inputSchema.properties,
+          idempotency_key: IDEMPOTENCY_KEY_PROPERTY
+        }
+      };
+    }
+
+    this.tools.set(tool.name, definition);
+
+    return this;
+  }
+
+  // Register a list of tool definitions
+  registerAll(tools) {
+    tools.forEach(tool => this.register(tool));
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  // Public tool listing for tools/list
+  list() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema })
+    }));
+  }
+
+  // Validate call arguments against the tool's input schema
+  validateArguments(name, args) {
+    const tool = this.get(name);
+    if (!tool) {
+      return [`Unknown tool: ${name}`];
+    }
+    return validateSchema(tool.inputSchema, args);
+  }
+}
+
+module.exports = new ToolRegistry();
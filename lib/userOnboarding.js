@@ -1,5 +1,7 @@
 // User-friendly onboarding helper
 
+const { DEFAULT_TIMEZONE, getCurrentHour } = require('./dateHelper');
+
 const ONBOARDING_MESSAGES = {
   welcome: `👋 Welcome to Scanlyf - Your Personal AI Nutrition Assistant!
 
@@ -89,6 +91,14 @@ function parseProfileFromText(text) {
     }
   }
   
+  // "lose 0.5 kg a week" - taken out first so it isn't read as the weight
+  const ratePattern = /(\d+(?:\.\d+)?)\s*(?:kg|kgs|kilos?)\s*(?:a|per|every|\/)\s*week/i;
+  const rateMatch = text.match(ratePattern);
+  if (rateMatch) {
+    profile.target_rate_kg_per_week = parseFloat(rateMatch[1]);
+  }
+  const weightText = text.replace(ratePattern, '');
+  
   // Extract weight - more flexible patterns
   const weightPatterns = [
     /(\d+(?:\.\d+)?)\s*(?:kg|kilograms?|kgs|kilos?)/i,
@@ -97,7 +107,7 @@ function parseProfileFromText(text) {
   ];
   
   for (const pattern of weightPatterns) {
-    const weightMatch = text.match(pattern);
+    const weightMatch = weightText.match(pattern);
     if (weightMatch) {
       profile.weight_kg = parseFloat(weightMatch[1]);
       break;
@@ -211,19 +221,23 @@ function parseProfileFromText(text) {
     profile.dietary_restrictions = dietary;
   }
   
-  // Extract activity level
-  if (text.match(/\b(?:very\s*)?active|exercise\s*(?:daily|regularly)\b/i)) {
-    profile.activity_level = 'high';
+  // Extract activity level - the qualified phrases first, "moderately active" is still active
+  if (text.match(/\bsedentary|inactive|desk\s*job\b/i)) {
+    profile.activity_level = 'sedentary';
   } else if (text.match(/\bmoderate(?:ly)?\s*active\b/i)) {
     profile.activity_level = 'moderate';
-  } else if (text.match(/\bsedentary|inactive|desk\s*job\b/i)) {
+  } else if (text.match(/\b(?:lightly|slightly)\s*active|walk(?:ing)?\s*daily\b/i)) {
     profile.activity_level = 'low';
+  } else if (text.match(/\bathlete|physical\s*(?:job|work)|manual\s*(?:labou?r|work)\b/i)) {
+    profile.activity_level = 'very_high';
+  } else if (text.match(/\b(?:very\s*)?active|exercise\s*(?:daily|regularly)\b/i)) {
+    profile.activity_level = 'high';
   }
   
   // Extract health goals
   const goals = [];
-  if (text.match(/\blose\s*weight|weight\s*loss\b/i)) goals.push('weight_loss');
-  if (text.match(/\bgain\s*weight|weight\s*gain\b/i)) goals.push('weight_gain');
+  if (text.match(/\blose\s*(?:weight|\d)|weight\s*loss\b/i)) goals.push('weight_loss');
+  if (text.match(/\bgain\s*(?:weight|\d)|weight\s*gain\b/i)) goals.push('weight_gain');
   if (text.match(/\bmuscle|strength|bulk\b/i)) goals.push('muscle_gain');
   if (text.match(/\bhealthy|maintain|fitness\b/i)) goals.push('maintain');
   if (goals.length > 0) {
@@ -253,9 +267,9 @@ function getMissingFields(profile) {
   return missing;
 }
 
-// Get time-based greeting
-function getTimeBasedGreeting() {
-  const hour = new Date().getHours();
+// Get time-based greeting - by the hour in the user's timezone
+function getTimeBasedGreeting(timezone = DEFAULT_TIMEZONE) {
+  const hour = getCurrentHour(timezone);
   if (hour >= 5 && hour < 12) return ONBOARDING_MESSAGES.dailyGreeting.morning;
   if (hour >= 12 && hour < 17) return ONBOARDING_MESSAGES.dailyGreeting.afternoon;
   if (hour >= 17 && hour < 21) return ONBOARDING_MESSAGES.dailyGreeting.evening;
@@ -0,0 +1,36 @@
+const { activitiesRepository } = require('../lib/repositories');
+const { ACTIVITIES, INTENSITIES, estimateCaloriesBurned, calorieBudget } = require('../lib/activities');
+
+class ActivityService {
+  // Log a workout for `date` with calories from the profile's current weight, and return
+  // it with the day's workouts and budget. activity is an ACTIVITIES key
+  async logActivity(phone, profile, { activity, date, durationMinutes = null, distanceKm = null, intensity = INTENSITIES.MODERATE }) {
+    const estimate = estimateCaloriesBurned({
+      activity,
+      weightKg: profile.weight_kg,
+      durationMinutes,
+      distanceKm,
+      intensity
+    });
+    
+    const entry = await activitiesRepository.add(phone, {
+      date,
+      activity,
+      label: ACTIVITIES[activity].label,
+      intensity,
+      ...(distanceKm && { distance_km: distanceKm }),
+      weight_kg: profile.weight_kg,
+      ...estimate
+    });
+    
+    return { entry, day: await this.getDay(phone, profile, date) };
+  }
+  
+  // A day's workouts with the calorie budget they give - { activities, target, calories_burned, net_calories, added, budget }
+  async getDay(phone, profile, date) {
+    const activities = await activitiesRepository.listForDate(phone, date);
+    return { activities, ...calorieBudget(profile, activities) };
+  }
+}
+
+module.exports = new ActivityService();
@@ -0,0 +1,80 @@
+const { bodyMeasurementsRepository } = require('../lib/repositories');
+const userService = require('./userService');
+const { DEFAULT_TIMEZONE, timezoneOf, getToday, addDays } = require('../lib/dateHelper');
+const { weightTrend, measurementChanges, waistToHeight } = require('../lib/bodyTrend');
+
+// How far back the trend is read from - plenty for the smoothing to settle
+const HISTORY_DAYS = 90;
+
+const TARGET_KEYS = ['calorie_target', 'protein_target', 'carb_target', 'fat_target'];
+
+function targetsOf(profile) {
+  const targets = {};
+  TARGET_KEYS.forEach(key => {
+    targets[key] = profile[key];
+  });
+  return targets;
+}
+
+class BodyMetricsService {
+  // Everything logged over the last `days` days (all of it with days = null), with the
+  // weight trend and the latest of each measurement. Days are counted in `timezone`
+  async getHistory(phone, { days = HISTORY_DAYS, timezone = DEFAULT_TIMEZONE } = {}) {
+    const today = getToday(timezone);
+    const entries = await bodyMeasurementsRepository.listRange(phone, {
+      from: days ? addDays(today, -(days - 1)) : null,
+      to: today
+    });
+    
+    return {
+      entries,
+      trend: weightTrend(entries),
+      measurements: measurementChanges(entries)
+    };
+  }
+  
+  // Log a weigh-in, then move the profile weight to the new trend so the targets follow it.
+  // The trend rather than the reading, so one heavy morning doesn't shift the targets.
+  // targets is null without a profile (or for a weigh-in older than the trend reads back),
+  // otherwise it says whether they changed. profile is the user's, null if they have none
+  async logWeight(phone, weightKg, date, profile) {
+    const entry = await bodyMeasurementsRepository.save(phone, date, { weight_kg: weightKg });
+    const history = await this.getHistory(phone, { timezone: timezoneOf(profile) });
+    
+    if (!profile || !history.trend) {
+      return { entry, trend: history.trend, targets: null };
+    }
+    
+    const before = targetsOf(profile);
+    const updated = profile.weight_kg === history.trend.trend_kg
+      ? profile
+      : await userService.updateWeight(phone, history.trend.trend_kg);
+    const after = targetsOf(updated);
+    
+    return {
+      entry,
+      trend: history.trend,
+      targets: {
+        before,
+        after,
+        changed: TARGET_KEYS.some(key => before[key] !== after[key]),
+        weight_kg: updated.weight_kg
+      }
+    };
+  }
+  
+  // Log tape measurements - any of MEASUREMENTS, merged into the day's entry
+  async logMeasurements(phone, values, date, profile) {
+    const entry = await bodyMeasurementsRepository.save(phone, date, values);
+    const history = await this.getHistory(phone, { days: null, timezone: timezoneOf(profile) });
+    
+    const waist = history.measurements.waist_cm;
+    return {
+      entry,
+      measurements: history.measurements,
+      waist_to_height: waist && profile ? waistToHeight(waist.value, profile.height_cm) : null
+    };
+  }
+}
+
+module.exports = new BodyMetricsService();
@@ -0,0 +1,254 @@
+const { customFoodsRepository } = require('../lib/repositories');
+const enhancedFoodAnalysisService = require('./enhancedFoodAnalysisService');
+const {
+  SCALED_NUTRIENTS,
+  roundNutrient,
+  parseFoodDescription,
+  parsePortionSize,
+  formatPortionSize,
+  scaleNutrients
+} = require('../lib/nutrition');
+const { rateResult } = require('../lib/nutritionConfidence');
+
+const MAX_CUSTOM_FOODS = 100;
+
+const KINDS = {
+  FOOD: 'food',
+  RECIPE: 'recipe'
+};
+
+// Same rounding as logged entries
+function roundNutrients(nutrients) {
+  const rounded = {};
+  SCALED_NUTRIENTS.forEach(key => {
+    if (typeof nutrients[key] !== 'number') return;
+    rounded[key] = roundNutrient(key, nutrients[key]);
+  });
+  return rounded;
+}
+
+// Macros a food left out are 0 rather than missing, so totals and chat text don't show
+// "undefinedg carbs"
+function withMacros(nutrients) {
+  return { protein: 0, carbs: 0, fat: 0, ...nutrients };
+}
+
+function multiplyNutrients(nutrients, factor) {
+  const scaled = {};
+  Object.entries(nutrients).forEach(([key, value]) => {
+    scaled[key] = value * factor;
+  });
+  return roundNutrients(scaled);
+}
+
+function sameUnit(a, b) {
+  const x = String(a).toLowerCase();
+  const y = String(b).toLowerCase();
+  return x === y || x === `${y}s` || `${x}s` === y;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class CustomFoodsService {
+  constructor() {
+    this.kinds = KINDS;
+  }
+  
+  async list(phone) {
+    return customFoodsRepository.list(phone);
+  }
+  
+  // By id, number in list_custom_foods or name - exact name first, then partial
+  async find(phone, ref) {
+    const text = String(ref).trim().replace(/^#/, '');
+    const foods = await this.list(phone);
+    
+    if (/^\d+$/.test(text) && foods[Number(text) - 1]) {
+      return foods[Number(text) - 1];
+    }
+    
+    const lower = text.toLowerCase();
+    return foods.find(food => food.id === text)
+      || foods.find(food => food.name.toLowerCase() === lower)
+      || foods.find(food => food.name.toLowerCase().includes(lower))
+      || null;
+  }
+  
+  // A food with the user's own per-serving nutrition. serving is what one serving is ("1 bowl")
+  async createFood(phone, { name, serving = null, nutrients }) {
+    const now = new Date().toISOString();
+    const food = {
+      id: customFoodsRepository.newId(),
+      phone,
+      kind: KINDS.FOOD,
+      name: await this.checkName(phone, name),
+      serving: serving || '1 serving',
+      nutrition: roundNutrients(withMacros(nutrients)),
+      created_at: now,
+      updated_at: now
+    };
+    
+    await customFoodsRepository.save(food);
+    return food;
+  }
+  
+  // Totals the ingredients once and keeps the result, so logging a serving later needs no lookup
+  async createRecipe(phone, { name, ingredients, servings, serving = null }) {
+    const recipeName = await this.checkName(phone, name);
+    const analysis = await this.analyzeIngredients(ingredients);
+    const now = new Date().toISOString();
+    
+    const recipe = {
+      id: customFoodsRepository.newId(),
+      phone,
+      kind: KINDS.RECIPE,
+      name: recipeName,
+      serving: serving || '1 serving',
+      servings,
+      ingredients: analysis.ingredients,
+      total: analysis.total,
+      nutrition: multiplyNutrients(analysis.total, 1 / servings),
+      created_at: now,
+      updated_at: now
+    };
+    
+    await customFoodsRepository.save(recipe);
+    return recipe;
+  }
+  
+  // changes: { name, serving, nutrients, ingredients, servings }. New ingredients are looked up
+  // again, new servings re-split the recipe's total, and nutrients override per-serving values
+  async update(phone, food, changes) {
+    const updated = { ...food, updated_at: new Date().toISOString() };
+    
+    if (changes.name) {
+      updated.name = await this.checkName(phone, changes.name, { exceptId: food.id });
+    }
+    if (changes.serving) {
+      updated.serving = changes.serving;
+    }
+    
+    if (food.kind === KINDS.RECIPE) {
+      if (changes.ingredients) {
+        const analysis = await this.analyzeIngredients(changes.ingredients);
+        updated.ingredients = analysis.ingredients;
+        updated.total = analysis.total;
+      }
+      if (changes.servings) {
+        updated.servings = changes.servings;
+      }
+      updated.nutrition = multiplyNutrients(updated.total, 1 / updated.servings);
+    }
+    
+    if (changes.nutrients) {
+      updated.nutrition = roundNutrients(withMacros({ ...updated.nutrition, ...changes.nutrients }));
+      if (food.kind === KINDS.RECIPE) {
+        updated.total = multiplyNutrients(updated.nutrition, updated.servings);
+      }
+    }
+    
+    await customFoodsRepository.save(updated);
+    return updated;
+  }
+  
+  async remove(phone, food) {
+    await customFoodsRepository.delete(phone, food.id);
+  }
+  
+  // Names are how add_food finds them, so they have to be unique per user. exceptId is the
+  // food being renamed - it doesn't clash with itself or count against the limit
+  async checkName(phone, name, { exceptId = null } = {}) {
+    const trimmed = String(name).trim();
+    if (!trimmed) {
+      throw new Error('Please give the food a name');
+    }
+    
+    const foods = await this.list(phone);
+    if (foods.some(food => food.id !== exceptId && food.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`You already have a custom food called "${trimmed}" - change it with edit_custom_food or pick another name`);
+    }
+    if (!exceptId && foods.length >= MAX_CUSTOM_FOODS) {
+      throw new Error(`You can keep up to ${MAX_CUSTOM_FOODS} custom foods and recipes - delete one with delete_custom_food first`);
+    }
+    
+    return trimmed;
+  }
+  
+  async analyzeIngredients(ingredients) {
+    const result = await enhancedFoodAnalysisService.analyzeRecipe(ingredients);
+    
+    return {
+      ingredients: ingredients.map((text, idx) => {
+        const details = result.ingredientDetails[idx] || {};
+        return { text, calories: Math.round(details.calories || 0) };
+      }),
+      total: roundNutrients(result.nutrition)
+    };
+  }
+  
+  // add_food text ("2 bowls mom's poha") against the user's own foods - null when nothing
+  // matches, so the caller goes on to the external lookups. Same shape analyzeFood returns
+  async analyzeText(phone, text) {
+    const foods = await this.list(phone);
+    if (foods.length === 0) return null;
+    
+    const parsed = parseFoodDescription(text);
+    for (const food of foods) {
+      const amount = this.amountOf(food, parsed);
+      if (amount === null) continue;
+      
+      const { unit } = parsePortionSize(food.serving);
+      // The user's own numbers, so nothing to double-check
+      const nutrition = rateResult(text, {
+        name: food.name,
+        ...scaleNutrients(this.lookupOf(food), amount),
+        portion_size: formatPortionSize(amount, unit),
+        custom_food_id: food.id,
+        source: 'Custom food'
+      });
+      if (food.kind === KINDS.RECIPE) {
+        nutrition.ingredients = food.ingredients.map(ingredient => ingredient.text);
+      }
+      
+      return { success: true, nutrition, customFood: food };
+    }
+    
+    return null;
+  }
+  
+  // One serving as a lookup, so scaleNutrients and edit_food treat it like any other food.
+  // Foods saved with only some macros have the rest as 0
+  lookupOf(food) {
+    const { quantity, unit } = parsePortionSize(food.serving);
+    return { quantity, unit, nutrients: withMacros(food.nutrition) };
+  }
+  
+  // How much of `food` a parsed description means, in the food's serving unit - null if it's
+  // another food, or a unit we can't convert (grams of something measured in bowls)
+  amountOf(food, parsed) {
+    const serving = parsePortionSize(food.serving);
+    let name = parsed.foodName.toLowerCase();
+    let amount;
+    
+    if (sameUnit(parsed.unit, serving.unit)) {
+      amount = parsed.quantity;
+    } else if (sameUnit(parsed.unit, 'serving')) {
+      // "2 bowls poha" parses as 2 servings of "bowls poha"
+      const unitPrefix = new RegExp(`^${escapeRegExp(serving.unit.toLowerCase())}s?\\s+(?:of\\s+)?`);
+      if (unitPrefix.test(name)) {
+        name = name.replace(unitPrefix, '');
+        amount = parsed.quantity;
+      } else {
+        amount = parsed.quantity * serving.quantity;
+      }
+    } else {
+      return null;
+    }
+    
+    return name === food.name.toLowerCase() ? amount : null;
+  }
+}
+
+module.exports = new CustomFoodsService();
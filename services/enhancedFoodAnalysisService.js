@@ -3,6 +3,9 @@ const enhancedVisionService = require('./enhancedVisionService');
 const foodService = require('./foodService');
 const healthAnalysisService = require('./healthAnalysisService');
 const { parseFoodDescription } = require('../lib/nutrition');
+const { MICRONUTRIENT_KEYS, fromOpenFoodFacts } = require('../lib/micronutrients');
+const { parseMealItems } = require('../lib/mealParser');
+const { rateResult, lowestConfidence, isEstimate } = require('../lib/nutritionConfidence');
 const axios = require('axios');
 const cacheService = require('../lib/cacheService');
 const errorHandler = require('../lib/errorHandler');
@@ -94,7 +97,7 @@ class EnhancedFoodAnalysisService {
         const product = response.data.product;
         const nutrients = product.nutriments || {};
         
-        const nutritionData = {
+        const nutritionData = rateResult(barcode, {
           name: product.product_name || 'Unknown product',
           barcode: barcode,
           brand: product.brands || '',
@@ -105,6 +108,7 @@ class EnhancedFoodAnalysisService {
           fiber: Math.round(nutrients.fiber_100g || 0),
           sugar: Math.round(nutrients.sugars_100g || 0),
           sodium: Math.round((nutrients.sodium_100g || 0) * 1000), // Convert g to mg
+          ...fromOpenFoodFacts(nutrients),
           portion_size: product.serving_size || '100g',
           source: 'OpenFoodFacts Barcode',
           ingredients: product.ingredients_text || '',
@@ -112,7 +116,7 @@ class EnhancedFoodAnalysisService {
           nutriscore: product.nutriscore_grade || null,
           nova_group: product.nova_group || null,
           image_url: product.image_url || null
-        };
+        });
 
         // Analyze ingredients for harmful substances
         let harmfulIngredients = [];
@@ -417,8 +421,18 @@ class EnhancedFoodAnalysisService {
     try {
       console.log(`Analyzing text: "${textDescription}" with GPT-4...`);
       
+      // Household measures ("1 katori dal", "2 rotis") become grams for every lookup below
+      const parsed = parseFoodDescription(textDescription);
+      
+      // A single dish the Indian table has gets the table's numbers, as it would without GPT
+      const local = parseMealItems(textDescription).length === 1 &&
+        foodService.findInIndianTable(parsed.foodName, parsed.quantity, parsed.unit);
+      if (local) {
+        return { success: true, nutrition: local, parsed };
+      }
+      
       // First try GPT-4 for accurate analysis
-      const gptResult = await gptFoodAnalyzer.analyzeTextWithGPT(textDescription, userProfile);
+      const gptResult = await gptFoodAnalyzer.analyzeTextWithGPT(textDescription, userProfile, { grams: parsed.grams });
       
       if (gptResult.success) {
         console.log('GPT-4 analysis successful:', gptResult.nutrition.name);
@@ -444,10 +458,9 @@ class EnhancedFoodAnalysisService {
       console.log('GPT-4 failed, falling back to Nutritionix...');
       
       // Fallback to original Nutritionix method
-      const parsed = parseFoodDescription(textDescription);
       
-      // Check if it might be a recipe
-      if (textDescription.split(',').length > 3 || textDescription.includes(' with ')) {
+      // Several foods in one description ("dal with rice") - "tea with milk" is still one
+      if (parseMealItems(textDescription).length > 1) {
         return await this.analyzeRecipe(textDescription);
       }
       
@@ -540,9 +553,12 @@ class EnhancedFoodAnalysisService {
     }
   }
 
-  // Analyze complex recipes or multi-ingredient foods
+  // Analyze complex recipes or multi-ingredient foods - free text, or a list of
+  // ingredients (saved recipes) which is used as-is
   async analyzeRecipe(recipeText) {
-    const ingredients = recipeText.split(/,|with|and/).map(s => s.trim());
+    const ingredients = Array.isArray(recipeText)
+      ? recipeText
+      : parseMealItems(recipeText).map(item => item.text);
     const nutritionPromises = ingredients.map(ing => {
       const parsed = parseFoodDescription(ing);
       return foodService.searchNutritionix(parsed.foodName, parsed.quantity, parsed.unit);
@@ -573,6 +589,7 @@ class EnhancedFoodAnalysisService {
       sugar: 0,
       sodium: 0
     };
+    const alwaysCounted = Object.keys(totals);
     
     nutritionArray.forEach(item => {
       totals.calories += item.calories || 0;
@@ -582,8 +599,22 @@ class EnhancedFoodAnalysisService {
       totals.fiber += item.fiber || 0;
       totals.sugar += item.sugar || 0;
       totals.sodium += item.sodium || 0;
+      
+      // The other micronutrients only once an item reports them
+      MICRONUTRIENT_KEYS.forEach(key => {
+        if (alwaysCounted.includes(key) || typeof item[key] !== 'number') return;
+        totals[key] = (totals[key] || 0) + item[key];
+      });
     });
     
+    // Only as sure as the least sure item
+    const confidence = lowestConfidence(nutritionArray);
+    if (confidence) totals.confidence = confidence;
+    const estimates = nutritionArray.filter(isEstimate);
+    if (estimates.length > 0) {
+      totals.confidence_note = `Rough numbers for ${estimates.map(item => item.name).join(', ')}`;
+    }
+    
     return totals;
   }
 
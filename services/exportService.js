@@ -1,4 +1,6 @@
-const { getDb, collections } = require('../lib/firebase');
+const { usersRepository, dailyLogsRepository, rewardsRepository, customFoodsRepository, bodyMeasurementsRepository } = require('../lib/repositories');
+const { MEASUREMENTS, smoothWeights, weightTrend, measurementChanges, formatMeasurement, formatChange } = require('../lib/bodyTrend');
+const { timezoneOf, getToday, addDays } = require('../lib/dateHelper');
 const { Parser } = require('@json2csv/plainjs');
 const PDFDocument = require('pdfkit');
 const ExcelJS = require('exceljs');
@@ -22,7 +24,9 @@ class ExportService {
       includeProfile = true,
       includeProgress = true,
       includeRewards = true,
-      includeFoodLog = true
+      includeFoodLog = true,
+      includeCustomFoods = true,
+      includeBodyMetrics = true
     } = options;
 
     // Gather all data
@@ -32,7 +36,9 @@ class ExportService {
       includeProfile,
       includeProgress,
       includeRewards,
-      includeFoodLog
+      includeFoodLog,
+      includeCustomFoods,
+      includeBodyMetrics
     });
 
     // Format based on requested type
@@ -52,7 +58,6 @@ class ExportService {
 
   // Gather all user data
   async gatherUserData(phone, options) {
-    const db = getDb();
     const data = {
       exportDate: new Date().toISOString(),
       phone: phone
@@ -60,9 +65,9 @@ class ExportService {
 
     // Get user profile
     if (options.includeProfile) {
-      const userDoc = await db.collection(collections.users).doc(phone).get();
-      if (userDoc.exists) {
-        data.profile = userDoc.data();
+      const profile = await usersRepository.get(phone);
+      if (profile) {
+        data.profile = profile;
         // Remove sensitive data
         delete data.profile.phone;
       }
@@ -83,31 +88,66 @@ class ExportService {
       data.rewards = await this.getRewardsData(phone);
     }
 
+    // Get the user's own foods and recipes
+    if (options.includeCustomFoods) {
+      data.customFoods = await this.getCustomFoods(phone);
+    }
+
+    // Get weigh-ins and measurements with the weight trend
+    if (options.includeBodyMetrics) {
+      data.bodyMetrics = await this.getBodyMetrics(phone, options.startDate, options.endDate);
+    }
+
     return data;
   }
 
   // Get food logs within date range
   async getFoodLogs(phone, startDate, endDate) {
-    const db = getDb();
-    let query = db.collection(collections.dailyLogs)
-      .where('phone', '==', phone);
-
-    if (startDate) {
-      query = query.where('date', '>=', startDate);
-    }
-    if (endDate) {
-      query = query.where('date', '<=', endDate);
-    }
-
-    const snapshot = await query.orderBy('date', 'desc').get();
+    const logs = await dailyLogsRepository.listRange(phone, { from: startDate, to: endDate });
     
-    return snapshot.docs.map(doc => {
-      const data = doc.data();
+    return logs.map(data => {
       delete data.phone; // Remove phone from export
       return data;
     });
   }
 
+  // Custom foods and recipes, per-serving nutrition included
+  async getCustomFoods(phone) {
+    const foods = await customFoodsRepository.list(phone);
+    
+    return foods.map(food => {
+      delete food.phone; // Remove phone from export
+      return food;
+    });
+  }
+
+  // Weigh-ins and measurements within the date range. The trend is smoothed over everything
+  // logged, so the first days in the range aren't thrown off by missing history
+  async getBodyMetrics(phone, startDate, endDate) {
+    const all = await bodyMeasurementsRepository.listRange(phone, { to: endDate });
+    const inRange = entry => !startDate || entry.date >= startDate;
+
+    const trendByDate = {};
+    smoothWeights(all).forEach(point => {
+      trendByDate[point.date] = Math.round(point.trend_kg * 10) / 10;
+    });
+
+    const trend = weightTrend(all);
+    if (trend) delete trend.points;
+
+    return {
+      entries: all.filter(inRange).map(entry => {
+        const values = { ...entry };
+        delete values.phone; // Remove phone from export
+        delete values.updated_at;
+        if (trendByDate[entry.date] !== undefined) values.trend_kg = trendByDate[entry.date];
+        return values;
+      }),
+      trend,
+      measurements: measurementChanges(all)
+    };
+  }
+
   // Calculate progress statistics
   async getProgressStats(phone, foodLogs) {
     if (!foodLogs || foodLogs.length === 0) {
@@ -163,25 +203,17 @@ class ExportService {
 
   // Get rewards data
   async getRewardsData(phone) {
-    const db = getDb();
-    
     // Get ScanlyfCoin balance and transactions
-    const coinDoc = await db.collection('scanlyfcoin_transactions').doc(phone).get();
-    const coinData = coinDoc.exists ? coinDoc.data() : { balance: 0, transactions: [] };
+    const coinData = await rewardsRepository.getAccount(phone) || { balance: 0, transactions: [] };
 
     // Get badges
-    const userDoc = await db.collection(collections.users).doc(phone).get();
-    const badges = userDoc.exists ? (userDoc.data().badges || []) : [];
+    const profile = await usersRepository.get(phone);
+    const badges = profile ? (profile.badges || []) : [];
 
     // Get leaderboard history
-    const leaderboardSnapshot = await db.collection('weekly_challenges')
-      .where('leaderboard', 'array-contains', { phone })
-      .orderBy('week_id', 'desc')
-      .limit(10)
-      .get();
-
-    const leaderboardHistory = leaderboardSnapshot.docs.map(doc => {
-      const data = doc.data();
+    const weeks = await rewardsRepository.listWeeksWith({ phone }, 10);
+
+    const leaderboardHistory = weeks.map(data => {
       const userEntry = data.leaderboard.find(entry => entry.phone === phone);
       return {
         week: data.week_id,
@@ -244,6 +276,28 @@ class ExportService {
       });
     }
 
+    // Custom foods and recipes, nutrition per serving
+    if (data.customFoods) {
+      data.customFoods.forEach(food => {
+        csvData.push({
+          section: food.kind === 'recipe' ? 'Recipe' : 'Custom Food',
+          food: food.name,
+          serving: food.serving,
+          calories: food.nutrition.calories,
+          protein: food.nutrition.protein,
+          carbs: food.nutrition.carbs,
+          fat: food.nutrition.fat
+        });
+      });
+    }
+
+    // Weigh-ins and measurements, one row per day
+    if (data.bodyMetrics) {
+      data.bodyMetrics.entries.forEach(entry => {
+        csvData.push({ section: 'Body', ...entry });
+      });
+    }
+
     const parser = new Parser();
     const csv = parser.parse(csvData);
     
@@ -264,7 +318,7 @@ class ExportService {
     // Title
     doc.fontSize(20).text('Scanlyf Nutrition Report', { align: 'center' });
     doc.moveDown();
-    doc.fontSize(12).text(`Generated on: ${new Date().toLocaleDateString()}`, { align: 'center' });
+    doc.fontSize(12).text(`Generated on: ${new Date().toLocaleDateString('en-US', { timeZone: timezoneOf(data.profile) })}`, { align: 'center' });
     doc.moveDown(2);
 
     // Profile Section
@@ -308,6 +362,38 @@ class ExportService {
       doc.moveDown();
     }
 
+    // Custom Foods & Recipes
+    if (data.customFoods && data.customFoods.length > 0) {
+      doc.fontSize(16).text('My Foods & Recipes', { underline: true });
+      doc.fontSize(12);
+      data.customFoods.forEach(food => {
+        doc.text(`  • ${food.name} (${food.serving}): ${food.nutrition.calories} cal, ${food.nutrition.protein || 0}g protein`);
+        if (food.kind === 'recipe') {
+          doc.fontSize(10).text(`      Makes ${food.servings} servings from ${food.ingredients.map(ingredient => ingredient.text).join(', ')}`);
+          doc.fontSize(12);
+        }
+      });
+      doc.moveDown();
+    }
+
+    // Weight & Measurements
+    if (data.bodyMetrics && data.bodyMetrics.entries.length > 0) {
+      const { trend, measurements } = data.bodyMetrics;
+      doc.fontSize(16).text('Weight & Measurements', { underline: true });
+      doc.fontSize(12);
+      if (trend) {
+        doc.text(`Weight Trend: ${trend.trend_kg} kg (last weigh-in ${trend.latest.weight_kg} kg on ${trend.latest.date})`);
+        if (trend.rate_kg_per_week !== null) doc.text(`Rate: ${trend.rate_kg_per_week} kg per week`);
+        if (trend.change_30d !== null) doc.text(`30-Day Change: ${trend.change_30d} kg`);
+      }
+      Object.entries(measurements).forEach(([key, item]) => {
+        const { label, unit } = MEASUREMENTS[key];
+        const change = item.change_since_first !== null ? ` (${formatChange(item.change_since_first, unit)} since ${item.first_date})` : '';
+        doc.text(`  • ${label}: ${formatMeasurement(item.value, unit)}${change}`);
+      });
+      doc.moveDown();
+    }
+
     // Recent Food Logs (last 7 days)
     if (data.foodLogs && data.foodLogs.length > 0) {
       doc.addPage();
@@ -416,6 +502,49 @@ class ExportService {
       progressSheet.addRow({ metric: 'Average Daily Fat (g)', value: data.progressStats.averageFat });
     }
 
+    // Custom Foods Sheet
+    if (data.customFoods && data.customFoods.length > 0) {
+      const customSheet = workbook.addWorksheet('My Foods');
+      customSheet.columns = [
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'Type', key: 'kind', width: 10 },
+        { header: 'Serving', key: 'serving', width: 15 },
+        { header: 'Calories', key: 'calories', width: 10 },
+        { header: 'Protein (g)', key: 'protein', width: 12 },
+        { header: 'Carbs (g)', key: 'carbs', width: 12 },
+        { header: 'Fat (g)', key: 'fat', width: 10 },
+        { header: 'Ingredients', key: 'ingredients', width: 50 }
+      ];
+
+      data.customFoods.forEach(food => {
+        customSheet.addRow({
+          name: food.name,
+          kind: food.kind,
+          serving: food.serving,
+          calories: food.nutrition.calories,
+          protein: food.nutrition.protein,
+          carbs: food.nutrition.carbs,
+          fat: food.nutrition.fat,
+          ingredients: food.ingredients ? food.ingredients.map(ingredient => ingredient.text).join(', ') : ''
+        });
+      });
+    }
+
+    // Weight & Measurements Sheet
+    if (data.bodyMetrics && data.bodyMetrics.entries.length > 0) {
+      const bodySheet = workbook.addWorksheet('Body');
+      bodySheet.columns = [
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Weight (kg)', key: 'weight_kg', width: 12 },
+        { header: 'Trend (kg)', key: 'trend_kg', width: 12 },
+        ...Object.entries(MEASUREMENTS).map(([key, { label, unit }]) => ({ header: `${label} (${unit})`, key, width: 12 }))
+      ];
+
+      data.bodyMetrics.entries.forEach(entry => {
+        bodySheet.addRow(entry);
+      });
+    }
+
     const buffer = await workbook.xlsx.writeBuffer();
     
     return {
@@ -427,8 +556,8 @@ class ExportService {
 
   // Generate nutrition insights report
   async generateInsightsReport(phone, days = 30) {
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const endDate = getToday(timezoneOf(await usersRepository.get(phone)));
+    const startDate = addDays(endDate, -days);
     
     const data = await this.gatherUserData(phone, {
       startDate,
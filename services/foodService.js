@@ -1,70 +1,196 @@
-const { getDb, collections } = require('../lib/firebase');
+const { dailyLogsRepository } = require('../lib/repositories');
 const axios = require('axios');
 const rewardsService = require('./rewardsService');
-const { getTodayIST, getCurrentTimestampIST } = require('../lib/dateHelper');
+const savedFoodsService = require('./savedFoodsService');
+const { DEFAULT_TIMEZONE, getToday, getCurrentHour } = require('../lib/dateHelper');
+const { SCALED_NUTRIENTS, parsePortionSize, formatPortionSize, scaleNutrients } = require('../lib/nutrition');
+const { inferMealType, groupByMeal } = require('../lib/mealTypes');
+const { fromNutritionix, fromOpenFoodFacts, fromUSDA } = require('../lib/micronutrients');
+const { gramsFor, isCountUnit } = require('../lib/householdMeasures');
+const { canonicalFoodName } = require('../lib/foodNames');
+const { lookupIndianFood } = require('../lib/indianFoods');
+const { CONFIDENCE, reconcileResults, rateResult } = require('../lib/nutritionConfidence');
+
+// How long each online nutrition source gets before a lookup goes on without it
+const LOOKUP_TIMEOUT_MS = 5000;
+
+// Fields that belong to a log entry rather than the food that was eaten
+const ENTRY_FIELDS = ['id', 'phone', 'date', 'seq', 'created_at', 'updated_at', 'timestamp', 'source', 'meal_type', 'edited'];
 
 class FoodService {
-  async addFood(phone, foodData, source = 'text') {
-    const db = getDb();
-    const today = getTodayIST();
-    const docId = `${phone}_${today}`;
-    
-    // Get or create daily log
-    const logRef = db.collection(collections.dailyLogs).doc(docId);
-    const logDoc = await logRef.get();
-    
-    let dailyLog;
-    if (!logDoc.exists) {
-      dailyLog = {
-        phone,
-        date: today,
-        foods: [],
-        totals: {
-          calories: 0,
-          protein: 0,
-          carbs: 0,
-          fat: 0
-        }
-      };
-    } else {
-      dailyLog = logDoc.data();
-    }
-    
-    // Add food entry
-    const foodEntry = {
+  // options.date is the day it was eaten (YYYY-MM-DD), today unless the user is catching up.
+  // options.mealType is the slot - without one, today's food goes by the time of day and
+  // backdated food is left unsorted since we don't know when it was eaten.
+  // options.timezone is the user's, for what today and the time of day are
+  async addFood(phone, foodData, source = 'text', { date = null, mealType = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const today = getToday(timezone);
+    const logDate = date || today;
+    const inferredMeal = logDate === today ? inferMealType(getCurrentHour(timezone)) : null;
+    
+    // Stored as its own entry - the day's totals are updated in the same transaction
+    // `source` on the entry is how it was logged, so where the numbers came from is kept apart
+    const nutritionSource = foodData.nutrition_source || foodData.source;
+    const { entry, totals } = await dailyLogsRepository.addEntry(phone, logDate, {
       ...foodData,
+      ...(nutritionSource && { nutrition_source: nutritionSource }),
+      lookup: foodData.lookup || this.lookupFromFood(foodData),
+      meal_type: mealType || inferredMeal,
       source,
-      timestamp: getCurrentTimestampIST()
+      timestamp: new Date().toISOString()
+    });
+    
+    // Keeps the recent foods list current - failures are logged, not thrown
+    await savedFoodsService.recordRecent(phone, entry);
+    
+    return {
+      food: entry,
+      dailyTotals: totals
     };
+  }
+  
+  // Several foods from one description ("2 roti, dal and rice"), each its own entry in the
+  // order given. dailyTotals are the day's after the last one
+  async addFoods(phone, foods, source = 'text', { date = null, mealType = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const added = [];
+    let dailyTotals = null;
+    for (const food of foods) {
+      const result = await this.addFood(phone, food, source, { date, mealType, timezone });
+      added.push(result.food);
+      dailyTotals = result.dailyTotals;
+    }
     
-    dailyLog.foods.push(foodEntry);
+    return { foods: added, dailyTotals };
+  }
+  
+  // Log foods from one day (or just one meal of it) again on another day, each as a new
+  // entry. Copies keep their meal unless toMealType moves them all
+  async copyFoods(phone, fromDate, toDate, { mealType = null, toMealType = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const day = await this.getDailyProgress(phone, fromDate);
+    const foods = day.foods.filter(food => !mealType || food.meal_type === mealType);
+    
+    const copied = [];
+    let dailyTotals = null;
+    // One at a time so the copies keep their original order
+    for (const food of foods) {
+      const result = await this.addFood(phone, this.foodFromEntry(food), 'copy', {
+        date: toDate,
+        mealType: toMealType || food.meal_type,
+        timezone
+      });
+      copied.push(result.food);
+      dailyTotals = result.dailyTotals;
+    }
     
-    // Update totals
-    dailyLog.totals.calories += foodData.calories || 0;
-    dailyLog.totals.protein += foodData.protein || 0;
-    dailyLog.totals.carbs += foodData.carbs || 0;
-    dailyLog.totals.fat += foodData.fat || 0;
+    return { foods: copied, dailyTotals };
+  }
+  
+  // The food part of a log entry - what gets re-logged, copied or saved as a favorite
+  foodFromEntry(entry) {
+    const food = { ...entry, lookup: entry.lookup || this.lookupFromFood(entry) };
+    ENTRY_FIELDS.forEach(key => delete food[key]);
+    return food;
+  }
+  
+  // Remove a logged food by its entry id, returns null if the user has no such entry
+  async removeFood(phone, entryId) {
+    const result = await dailyLogsRepository.removeEntry(phone, entryId);
+    if (!result) return null;
     
-    // Save to Firestore
-    await logRef.set(dailyLog);
+    return {
+      food: result.entry,
+      date: result.entry.date,
+      dailyTotals: result.totals,
+      remainingCount: result.entryCount
+    };
+  }
+  
+  async getEntry(phone, entryId) {
+    return dailyLogsRepository.getEntry(phone, entryId);
+  }
+  
+  // Correct a logged food, returns null if the user has no such entry.
+  // changes: { quantity, name, nutrients, food, mealType } - see applyEdit
+  async editFood(phone, entryId, changes) {
+    const result = await dailyLogsRepository.updateEntry(phone, entryId, entry => this.applyEdit(entry, changes));
+    if (!result) return null;
     
     return {
-      food: foodEntry,
-      dailyTotals: dailyLog.totals
+      food: result.entry,
+      previous: result.previous,
+      date: result.entry.date,
+      dailyTotals: result.totals
     };
   }
   
+  // The entry after an edit - pure, it runs inside the repository transaction.
+  // A new quantity rescales the original lookup (so 2 rotis -> 3 rotis is exact, not
+  // compounded rounding), `food` is a fresh lookup for a renamed food, and explicit
+  // nutrients win over both and become the baseline for later quantity edits.
+  applyEdit(entry, { quantity = null, name = null, nutrients = null, food = null, mealType = null } = {}) {
+    let updated = { ...entry };
+    let lookup = entry.lookup || this.lookupFromFood(entry);
+    
+    if (food) {
+      updated = {
+        ...food,
+        nutrition_source: food.nutrition_source || food.source,
+        harmfulIngredients: food.harmfulIngredients || []
+      };
+      // Still the same log entry - only the food changed
+      ['id', 'phone', 'date', 'seq', 'created_at', 'timestamp', 'source', 'emoji', 'meal_type', 'scan_tracked'].forEach(key => {
+        if (entry[key] !== undefined) updated[key] = entry[key];
+      });
+      lookup = this.lookupFromFood(food);
+    } else if (quantity) {
+      updated = {
+        ...updated,
+        ...scaleNutrients(lookup, quantity),
+        portion_size: formatPortionSize(quantity, lookup.unit)
+      };
+    }
+    
+    if (name) {
+      updated.name = name;
+    }
+    
+    if (mealType) {
+      updated.meal_type = mealType;
+    }
+    
+    if (nutrients) {
+      Object.assign(updated, nutrients);
+      lookup = this.lookupFromFood(updated);
+      // The user's own numbers - nothing left to double-check
+      Object.assign(updated, { nutrition_source: 'Your numbers', match_score: 1, confidence: CONFIDENCE.HIGH });
+      delete updated.confidence_note;
+      delete updated.sources_checked;
+    }
+    
+    return { ...updated, lookup, edited: true };
+  }
+  
+  // What the nutrition lookup returned for a food, kept on the entry so edits can rescale it
+  lookupFromFood(food) {
+    const { quantity, unit } = parsePortionSize(food.portion_size);
+    const nutrients = {};
+    
+    SCALED_NUTRIENTS.forEach(key => {
+      if (typeof food[key] === 'number') nutrients[key] = food[key];
+    });
+    
+    return { quantity, unit, nutrients };
+  }
+  
   async getDailyProgress(phone, date = null) {
-    const db = getDb();
-    const targetDate = date || getTodayIST();
-    const docId = `${phone}_${targetDate}`;
+    const targetDate = date || getToday();
     
-    const logDoc = await db.collection(collections.dailyLogs).doc(docId).get();
+    const dailyLog = await dailyLogsRepository.get(phone, targetDate);
     
-    if (!logDoc.exists) {
+    if (!dailyLog) {
       return {
         date: targetDate,
         foods: [],
+        meals: [],
         totals: {
           calories: 0,
           protein: 0,
@@ -74,15 +200,14 @@ class FoodService {
       };
     }
     
-    return logDoc.data();
+    // Per-slot subtotals - foods stay in logging order in `foods`
+    return { ...dailyLog, meals: groupByMeal(dailyLog.foods) };
   }
   
   async resetDay(phone, date = null) {
-    const db = getDb();
-    const targetDate = date || getTodayIST();
-    const docId = `${phone}_${targetDate}`;
+    const targetDate = date || getToday();
     
-    await db.collection(collections.dailyLogs).doc(docId).delete();
+    await dailyLogsRepository.deleteDay(phone, targetDate);
     
     return {
       message: 'Day reset successfully',
@@ -90,28 +215,88 @@ class FoodService {
     };
   }
   
+  // How many 100g portions `quantity` `unit` of a food is. Without a known weight it's the old
+  // guess of one serving = 100g
+  per100g(query, quantity, unit) {
+    const grams = gramsFor(quantity, unit, query);
+    return grams ? grams / 100 : quantity;
+  }
+  
+  // Every text lookup comes through here. "dahi", "chole", "anda bhurji" are looked up by the
+  // name the databases know them by, but logged as the user called them
   async searchNutritionix(query, quantity = 1, unit = 'serving') {
-    // Always try OpenFoodFacts first (it's free and comprehensive)
-    const openFoodFactsResult = await this.searchOpenFoodFacts(query, quantity, unit);
-    if (openFoodFactsResult) return openFoodFactsResult;
+    const lookupName = canonicalFoodName(query);
+    const result = await this.searchWithFallback(lookupName, quantity, unit);
     
-    // Try Nutritionix if configured
+    return lookupName === query ? result : { ...result, name: query };
+  }
+  
+  // The bundled Indian table's answer when it has the food itself, or null. The GPT path asks
+  // this before GPT so a dish gets the same numbers whichever way it's analyzed
+  findInIndianTable(query, quantity = 1, unit = 'serving') {
+    const lookupName = canonicalFoodName(query);
+    const local = lookupIndianFood(lookupName, quantity, unit);
+    if (!local) return null;
+    
+    const rated = rateResult(lookupName, local);
+    if (rated.confidence !== CONFIDENCE.HIGH) return null;
+    return lookupName === query ? rated : { ...rated, name: query };
+  }
+  
+  // The bundled Indian table first - when it has the food itself there's nothing for the online
+  // sources to add. Otherwise asks the online sources one at a time, most trusted first, and stops
+  // at the first that found the food with medium confidence or better - every call spends that
+  // API's quota. What came back is reconciled, and mock data is only used when none had it
+  async searchWithFallback(query, quantity = 1, unit = 'serving') {
+    // No network or keys needed, and better than USDA for dal or poha
+    const local = lookupIndianFood(query, quantity, unit);
+    const results = [];
+    if (local) {
+      const rated = rateResult(query, local);
+      if (rated.confidence === CONFIDENCE.HIGH) return rated;
+      results.push(local);
+    }
+    
+    // Each returns null when it fails, times out or has no match
+    const sources = [
+      () => this.searchNutritionixAPI(query, quantity, unit),
+      () => this.searchUSDA(query, quantity, unit),
+      () => this.searchOpenFoodFacts(query, quantity, unit)
+    ];
+    for (const search of sources) {
+      const found = await search();
+      if (!found) continue;
+      results.push(found);
+      if (rateResult(query, found).confidence !== CONFIDENCE.LOW) break;
+    }
+    
+    const result = reconcileResults(query, results);
+    if (result) return result;
+    
+    return this.getMockNutritionData(query, quantity, unit);
+  }
+  
+  // Only when keys are configured
+  async searchNutritionixAPI(query, quantity = 1, unit = 'serving') {
     const appId = process.env.NUTRITIONIX_APP_ID;
     const appKey = process.env.NUTRITIONIX_APP_KEY;
     
     if (appId && appKey) {
       try {
+        // Nutritionix doesn't know a katori or a ladle, but it knows grams
+        const grams = gramsFor(quantity, unit, query);
         const response = await axios.post(
           'https://trackapi.nutritionix.com/v2/natural/nutrients',
           {
-            query: `${quantity} ${unit} ${query}`
+            query: grams ? `${grams} g ${query}` : `${quantity} ${unit} ${query}`
           },
           {
             headers: {
               'x-app-id': appId,
               'x-app-key': appKey,
               'Content-Type': 'application/json'
-            }
+            },
+            timeout: LOOKUP_TIMEOUT_MS
           }
         );
         
@@ -126,6 +311,7 @@ class FoodService {
             fiber: Math.round(food.nf_dietary_fiber || 0),
             sugar: Math.round(food.nf_sugars || 0),
             sodium: Math.round(food.nf_sodium || 0),
+            ...fromNutritionix(food),
             portion_size: food.serving_qty + ' ' + food.serving_unit,
             source: 'Nutritionix'
           };
@@ -135,17 +321,7 @@ class FoodService {
       }
     }
     
-    // Fallback to other APIs
-    return this.searchWithFallback(query, quantity, unit);
-  }
-  
-  async searchWithFallback(query, quantity = 1, unit = 'serving') {
-    // Try USDA API (free government database)
-    const usdaResult = await this.searchUSDA(query, quantity);
-    if (usdaResult) return usdaResult;
-    
-    // Final fallback to mock data
-    return this.getMockNutritionData(query, quantity);
+    return null;
   }
   
   async searchOpenFoodFacts(query, quantity = 1, unit = 'serving') {
@@ -155,7 +331,8 @@ class FoodService {
       const response = await axios.get(searchUrl, {
         headers: {
           'User-Agent': 'Scanlyf/1.0'
-        }
+        },
+        timeout: LOOKUP_TIMEOUT_MS
       });
       
       if (response.data.products && response.data.products.length > 0) {
@@ -164,7 +341,7 @@ class FoodService {
         
         // Get serving size or use 100g as default
         const servingSize = product.serving_size || '100g';
-        const servingMultiplier = quantity;
+        const servingMultiplier = this.per100g(query, quantity, unit);
         
         return {
           name: product.product_name || query,
@@ -175,7 +352,8 @@ class FoodService {
           fiber: Math.round((nutrients.fiber_100g || 0) * servingMultiplier),
           sugar: Math.round((nutrients.sugars_100g || 0) * servingMultiplier),
           sodium: Math.round((nutrients.sodium_100g || 0) * 1000 * servingMultiplier), // Convert g to mg
-          portion_size: `${quantity} ${unit}`,
+          ...fromOpenFoodFacts(nutrients, servingMultiplier),
+          portion_size: formatPortionSize(quantity, unit),
           source: 'OpenFoodFacts'
         };
       }
@@ -185,11 +363,11 @@ class FoodService {
     return null;
   }
   
-  async searchUSDA(query, quantity = 1) {
+  async searchUSDA(query, quantity = 1, unit = 'serving') {
     try {
       // USDA FoodData Central API (no key required for basic access)
       const searchUrl = `https://api.nal.usda.gov/fdc/v1/foods/search?query=${encodeURIComponent(query)}&pageSize=5`;
-      const response = await axios.get(searchUrl);
+      const response = await axios.get(searchUrl, { timeout: LOOKUP_TIMEOUT_MS });
       
       if (response.data.foods && response.data.foods.length > 0) {
         const food = response.data.foods[0];
@@ -222,16 +400,19 @@ class FoodService {
           }
         });
         
+        // Search results are per 100g
+        const multiplier = this.per100g(query, quantity, unit);
         return {
           name: food.description || query,
-          calories: Math.round((nutrients.calories || 0) * quantity),
-          protein: Math.round((nutrients.protein || 0) * quantity),
-          carbs: Math.round((nutrients.carbs || 0) * quantity),
-          fat: Math.round((nutrients.fat || 0) * quantity),
-          fiber: Math.round((nutrients.fiber || 0) * quantity),
-          sugar: Math.round((nutrients.sugar || 0) * quantity),
-          sodium: Math.round((nutrients.sodium || 0) * quantity),
-          portion_size: `${quantity} serving`,
+          calories: Math.round((nutrients.calories || 0) * multiplier),
+          protein: Math.round((nutrients.protein || 0) * multiplier),
+          carbs: Math.round((nutrients.carbs || 0) * multiplier),
+          fat: Math.round((nutrients.fat || 0) * multiplier),
+          fiber: Math.round((nutrients.fiber || 0) * multiplier),
+          sugar: Math.round((nutrients.sugar || 0) * multiplier),
+          sodium: Math.round((nutrients.sodium || 0) * multiplier),
+          ...fromUSDA(food.foodNutrients, multiplier),
+          portion_size: formatPortionSize(quantity, unit),
           source: 'USDA'
         };
       }
@@ -242,19 +423,19 @@ class FoodService {
   }
   
   
-  getMockNutritionData(foodName, quantity = 1) {
-    // Enhanced mock nutrition database with more nutrients
+  getMockNutritionData(foodName, quantity = 1, unit = 'serving') {
+    // Enhanced mock nutrition database with more nutrients - per typical serving of `grams`
     const mockDb = {
-      'bread': { calories: 80, protein: 3, carbs: 15, fat: 1, fiber: 1, sugar: 2, sodium: 150 },
-      'chicken': { calories: 165, protein: 31, carbs: 0, fat: 4, fiber: 0, sugar: 0, sodium: 70 },
-      'rice': { calories: 130, protein: 3, carbs: 28, fat: 0, fiber: 1, sugar: 0, sodium: 5 },
-      'apple': { calories: 95, protein: 0, carbs: 25, fat: 0, fiber: 4, sugar: 19, sodium: 2 },
-      'egg': { calories: 70, protein: 6, carbs: 1, fat: 5, fiber: 0, sugar: 1, sodium: 70 },
-      'milk': { calories: 150, protein: 8, carbs: 12, fat: 8, fiber: 0, sugar: 12, sodium: 125 },
-      'banana': { calories: 105, protein: 1, carbs: 27, fat: 0, fiber: 3, sugar: 14, sodium: 1 },
-      'chocolate': { calories: 200, protein: 2, carbs: 25, fat: 12, fiber: 2, sugar: 20, sodium: 20 },
-      'pizza': { calories: 285, protein: 12, carbs: 36, fat: 10, fiber: 2, sugar: 4, sodium: 640 },
-      'coffee': { calories: 2, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, sodium: 5 }
+      'bread': { grams: 30, calories: 80, protein: 3, carbs: 15, fat: 1, fiber: 1, sugar: 2, sodium: 150 },
+      'chicken': { grams: 100, calories: 165, protein: 31, carbs: 0, fat: 4, fiber: 0, sugar: 0, sodium: 70 },
+      'rice': { grams: 100, calories: 130, protein: 3, carbs: 28, fat: 0, fiber: 1, sugar: 0, sodium: 5 },
+      'apple': { grams: 180, calories: 95, protein: 0, carbs: 25, fat: 0, fiber: 4, sugar: 19, sodium: 2 },
+      'egg': { grams: 50, calories: 70, protein: 6, carbs: 1, fat: 5, fiber: 0, sugar: 1, sodium: 70 },
+      'milk': { grams: 240, calories: 150, protein: 8, carbs: 12, fat: 8, fiber: 0, sugar: 12, sodium: 125 },
+      'banana': { grams: 118, calories: 105, protein: 1, carbs: 27, fat: 0, fiber: 3, sugar: 14, sodium: 1 },
+      'chocolate': { grams: 40, calories: 200, protein: 2, carbs: 25, fat: 12, fiber: 2, sugar: 20, sodium: 20 },
+      'pizza': { grams: 110, calories: 285, protein: 12, carbs: 36, fat: 10, fiber: 2, sugar: 4, sodium: 640 },
+      'coffee': { grams: 240, calories: 2, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, sodium: 5 }
     };
     
     // Find best match
@@ -270,51 +451,45 @@ class FoodService {
     
     // Default nutrition if not found
     if (!nutritionData) {
-      nutritionData = { calories: 100, protein: 5, carbs: 15, fat: 3, fiber: 1, sugar: 5, sodium: 100 };
+      nutritionData = { grams: 100, calories: 100, protein: 5, carbs: 15, fat: 3, fiber: 1, sugar: 5, sodium: 100 };
     }
     
-    // Scale by quantity
-    return {
+    // Scale by servings - counted amounts are servings already, measured ones go by the
+    // serving's weight, and a measure we can't weigh counts as one serving each
+    const grams = isCountUnit(unit) ? null : gramsFor(quantity, unit, foodName);
+    const servings = grams ? grams / nutritionData.grams : quantity;
+    // Rated like any other result so it's flagged as a guess wherever it ends up
+    return rateResult(foodName, {
       name: foodName,
-      calories: Math.round(nutritionData.calories * quantity),
-      protein: Math.round(nutritionData.protein * quantity),
-      carbs: Math.round(nutritionData.carbs * quantity),
-      fat: Math.round(nutritionData.fat * quantity),
-      fiber: Math.round((nutritionData.fiber || 0) * quantity),
-      sugar: Math.round((nutritionData.sugar || 0) * quantity),
-      sodium: Math.round((nutritionData.sodium || 0) * quantity),
-      portion_size: `${quantity} serving${quantity > 1 ? 's' : ''}`,
+      calories: Math.round(nutritionData.calories * servings),
+      protein: Math.round(nutritionData.protein * servings),
+      carbs: Math.round(nutritionData.carbs * servings),
+      fat: Math.round(nutritionData.fat * servings),
+      fiber: Math.round((nutritionData.fiber || 0) * servings),
+      sugar: Math.round((nutritionData.sugar || 0) * servings),
+      sodium: Math.round((nutritionData.sodium || 0) * servings),
+      portion_size: formatPortionSize(quantity, unit),
       source: 'Mock Data'
-    };
+    });
   }
 
-  // Get the timestamp of the last meal today
-  async getLastMealTime(phone) {
-    const today = getTodayIST();
-    
-    const snapshot = await getDb().collection(collections.dailyLogs)
-      .where('phone', '==', phone)
-      .where('date', '==', today)
-      .limit(1)
-      .get();
+  // Get the timestamp of the last meal today - `today` in the user's timezone
+  async getLastMealTime(phone, today = getToday()) {
+    const todayLog = await dailyLogsRepository.get(phone, today);
     
-    if (snapshot.empty) {
+    if (!todayLog || !todayLog.foods || todayLog.foods.length === 0) {
       return null;
     }
     
-    const todayLog = snapshot.docs[0].data();
-    if (!todayLog.foods || todayLog.foods.length === 0) {
-      return null;
-    }
-    
-    // Return the timestamp of the last food entry
+    // Return when the last food entry was logged - created_at is always UTC, older
+    // timestamps were India time marked as UTC
     const lastFood = todayLog.foods[todayLog.foods.length - 1];
-    return lastFood.timestamp || todayLog.updated_at;
+    return lastFood.created_at || lastFood.timestamp || todayLog.updated_at;
   }
 
   // Get the gap in minutes since the last meal
-  async getMealGap(phone) {
-    const lastMealTime = await this.getLastMealTime(phone);
+  async getMealGap(phone, today = getToday()) {
+    const lastMealTime = await this.getLastMealTime(phone, today);
     
     if (!lastMealTime) {
       return null;
@@ -327,68 +502,20 @@ class FoodService {
     return gapMinutes;
   }
 
-  // Get total calories consumed today
-  async getDailyCalories(phone) {
-    const today = getTodayIST();
-    
-    const snapshot = await getDb().collection(collections.dailyLogs)
-      .where('phone', '==', phone)
-      .where('date', '==', today)
-      .limit(1)
-      .get();
-    
-    if (snapshot.empty) {
-      return 0;
-    }
+  // Get total calories consumed on a day (today by default)
+  async getDailyCalories(phone, date = null) {
+    const targetDate = date || getToday();
     
-    const todayLog = snapshot.docs[0].data();
-    return todayLog.totals?.calories || 0;
+    const log = await dailyLogsRepository.get(phone, targetDate);
+    return log?.totals?.calories || 0;
   }
 
   // Log food to daily intake
-  async logFood(phone, foodData) {
-    const today = getTodayIST();
+  async logFood(phone, foodData, timezone = DEFAULT_TIMEZONE) {
+    const today = getToday(timezone);
     const timestamp = new Date().toISOString();
     
-    // Get or create today's log
-    const logRef = getDb().collection(collections.dailyLogs).doc(`${phone}_${today}`);
-    const logDoc = await logRef.get();
-    
-    if (!logDoc.exists) {
-      // Create new daily log
-      await logRef.set({
-        phone,
-        date: today,
-        foods: [{ ...foodData, timestamp }],
-        totals: {
-          calories: foodData.calories || 0,
-          protein: foodData.protein || 0,
-          carbs: foodData.carbs || 0,
-          fat: foodData.fat || 0
-        },
-        created_at: timestamp,
-        updated_at: timestamp
-      });
-    } else {
-      // Update existing log
-      const currentData = logDoc.data();
-      const foods = currentData.foods || [];
-      foods.push({ ...foodData, timestamp });
-      
-      // Recalculate totals
-      const totals = foods.reduce((acc, food) => ({
-        calories: acc.calories + (food.calories || 0),
-        protein: acc.protein + (food.protein || 0),
-        carbs: acc.carbs + (food.carbs || 0),
-        fat: acc.fat + (food.fat || 0)
-      }), { calories: 0, protein: 0, carbs: 0, fat: 0 });
-      
-      await logRef.update({
-        foods,
-        totals,
-        updated_at: timestamp
-      });
-    }
+    await dailyLogsRepository.addEntry(phone, today, { ...foodData, lookup: this.lookupFromFood(foodData), timestamp });
     
     return { success: true };
   }
@@ -1,4 +1,20 @@
 const openai = require('openai');
+const { MICRONUTRIENT_KEYS } = require('../lib/micronutrients');
+const { rateResult } = require('../lib/nutritionConfidence');
+
+// Fields GPT sometimes writes as "10g" or "200mg" instead of a number
+const NUMERIC_FIELDS = ['calories', 'protein', 'carbs', 'fat', ...MICRONUTRIENT_KEYS].join('|');
+
+// Micronutrients beyond fiber/sugar/sodium - left out when GPT didn't give a number
+function pickMicronutrients(analysis) {
+  const picked = {};
+  MICRONUTRIENT_KEYS.forEach(key => {
+    if (['fiber', 'sugar', 'sodium'].includes(key)) return;
+    const value = parseFloat(analysis[key]);
+    if (Number.isFinite(value) && value >= 0) picked[key] = value;
+  });
+  return picked;
+}
 
 class GPTFoodAnalyzer {
   constructor() {
@@ -10,7 +26,8 @@ class GPTFoodAnalyzer {
     }
   }
 
-  async analyzeTextWithGPT(foodDescription, userProfile = {}) {
+  // options.grams is how much was eaten when the description used a household measure
+  async analyzeTextWithGPT(foodDescription, userProfile = {}, { grams = null } = {}) {
     if (!this.openaiClient) {
       console.error('OpenAI client not initialized - API key missing');
       return this.getFallbackAnalysis(foodDescription);
@@ -46,7 +63,14 @@ Return ONLY valid JSON in this exact format:
   "fat": number,
   "fiber": number,
   "sugar": number,
-  "sodium": number,
+  "sodium": number (mg),
+  "saturated_fat": number,
+  "added_sugar": number,
+  "cholesterol": number (mg),
+  "potassium": number (mg),
+  "calcium": number (mg),
+  "iron": number (mg),
+  "vitamin_c": number (mg),
   "ingredients": "full ingredient list as string",
   "harmfulIngredients": [
     {
@@ -69,7 +93,10 @@ Return ONLY valid JSON in this exact format:
   "overallAssessment": "brief assessment"
 }`;
 
-      const userPrompt = `Analyze this food: "${foodDescription}"`;
+      let userPrompt = `Analyze this food: "${foodDescription}"`;
+      if (grams) {
+        userPrompt += `\nThe whole portion is about ${grams} g - give nutrition for that amount.`;
+      }
 
       const completion = await this.openaiClient.chat.completions.create({
         model: 'gpt-4',
@@ -91,8 +118,8 @@ Return ONLY valid JSON in this exact format:
         
         // Fix common GPT formatting issues
         // Replace "10g" with 10 in numeric fields
-        cleanResponse = cleanResponse.replace(/"(calories|protein|carbs|fat|fiber|sugar|sodium)":\s*(\d+)g/g, '"$1": $2');
-        cleanResponse = cleanResponse.replace(/"(calories|protein|carbs|fat|fiber|sugar|sodium)":\s*(\d+)mg/g, '"$1": $2');
+        cleanResponse = cleanResponse.replace(new RegExp(`"(${NUMERIC_FIELDS})":\\s*(\\d+)g`, 'g'), '"$1": $2');
+        cleanResponse = cleanResponse.replace(new RegExp(`"(${NUMERIC_FIELDS})":\\s*(\\d+)mg`, 'g'), '"$1": $2');
         
         analysis = JSON.parse(cleanResponse);
       } catch (parseError) {
@@ -103,7 +130,7 @@ Return ONLY valid JSON in this exact format:
       // Ensure all required fields and proper data types
       return {
         success: true,
-        nutrition: {
+        nutrition: rateResult(foodDescription, {
           name: analysis.name || 'Unknown food',
           brand: analysis.brand || null,
           portion_size: analysis.portion_size || '1 serving',
@@ -114,10 +141,11 @@ Return ONLY valid JSON in this exact format:
           fiber: parseFloat(analysis.fiber) || 0,
           sugar: parseFloat(analysis.sugar) || 0,
           sodium: parseFloat(analysis.sodium) || 0,
+          ...pickMicronutrients(analysis),
           ingredients: analysis.ingredients || '',
           allergens: Array.isArray(analysis.allergens) ? analysis.allergens : [],
           source: 'GPT-4 Analysis'
-        },
+        }),
         harmfulIngredients: Array.isArray(analysis.harmfulIngredients) ? analysis.harmfulIngredients : [],
         processingLevel: analysis.processingLevel || 'processed',
         healthScore: parseInt(analysis.healthScore) || 50,
@@ -277,7 +305,7 @@ Return ONLY valid JSON in this exact format:
       if (food.includes(key)) {
         return {
           success: true,
-          nutrition: {
+          nutrition: rateResult(foodDescription, {
             ...data,
             portion_size: '1 serving',
             fiber: data.fiber || 1,
@@ -285,7 +313,7 @@ Return ONLY valid JSON in this exact format:
             ingredients: 'Various processed ingredients',
             allergens: [],
             source: 'Fallback Database'
-          },
+          }),
           harmfulIngredients: data.harmfulIngredients,
           processingLevel: data.processingLevel,
           healthScore: data.healthScore,
@@ -1,10 +1,20 @@
 const OpenAI = require('openai');
+const { timezoneOf, getCurrentHour } = require('../lib/dateHelper');
 
 class HealthAnalysisService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.openaiClient = null;
+  }
+
+  // Built on first use - the client throws without OPENAI_API_KEY, which would stop the
+  // server starting at all, even offline on the memory backend
+  get openai() {
+    if (!this.openaiClient) {
+      this.openaiClient = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return this.openaiClient;
   }
 
   async generatePersonalizedReport(userProfile, foodItems, nutritionData) {
@@ -135,7 +145,7 @@ Please provide a comprehensive health analysis.`;
   }
 
   getPersonalizedGreeting(userProfile) {
-    const hour = new Date().getHours();
+    const hour = getCurrentHour(timezoneOf(userProfile));
     const timeGreeting = hour < 12 ? 'Good morning' : hour < 17 ? 'Good afternoon' : 'Good evening';
     
     const progressGreeting = userProfile.streak_days > 0 
@@ -1,7 +1,9 @@
 const ingredientAnalyzer = require('./ingredientAnalyzer');
 const personalizationEngine = require('./personalizationEngine');
 const webhookService = require('./webhookService');
-const { getDb, collections } = require('../lib/firebase');
+const activityService = require('./activityService');
+const { usersRepository, dailyLogsRepository } = require('../lib/repositories');
+const { timezoneOf, getToday, getCurrentHour, addDays } = require('../lib/dateHelper');
 
 class HealthRiskDetector {
   constructor() {
@@ -91,7 +93,7 @@ class HealthRiskDetector {
     risks.push(...nutritionalRisks);
     
     // Check pattern-based risks
-    const patternRisks = await this.checkPatternRisks(userProfile.phone, foodData, context);
+    const patternRisks = await this.checkPatternRisks(userProfile, foodData, context);
     risks.push(...patternRisks);
     
     // Check interaction risks
@@ -314,12 +316,14 @@ class HealthRiskDetector {
     return risks;
   }
 
-  // Check pattern-based risks
-  async checkPatternRisks(phone, foodData, context) {
+  // Check pattern-based risks - today and the hour are the user's, in their timezone
+  async checkPatternRisks(userProfile, foodData, context) {
     const risks = [];
+    const phone = userProfile.phone;
+    const timezone = timezoneOf(userProfile);
     
     // Get today's consumption
-    const todayStats = await this.getTodayStats(phone);
+    const todayStats = await this.getTodayStats(phone, timezone);
     
     // Check if this meal would exceed daily limits
     const projectedTotals = {
@@ -335,7 +339,7 @@ class HealthRiskDetector {
         type: this.alertTypes.PATTERN_ALERT,
         severity: 'medium',
         pattern: 'daily_excess',
-        message: `📊 This would put you ${projectedTotals.calories - todayStats.calorieTarget} calories over target`,
+        message: `📊 This would put you ${projectedTotals.calories - todayStats.calorieTarget} calories over ${todayStats.exerciseAdded > 0 ? 'target, even with today\'s exercise' : 'target'}`,
         action: 'Consider a lighter option or save for tomorrow',
         todayTotal: todayStats.calories,
         projected: projectedTotals.calories,
@@ -344,7 +348,7 @@ class HealthRiskDetector {
     }
     
     // Repetitive unhealthy eating
-    const recentFoods = await this.getRecentFoods(phone, 7);
+    const recentFoods = await this.getRecentFoods(phone, 7, timezone);
     const similarUnhealthyCount = recentFoods.filter(f => 
       f.name.toLowerCase().includes(foodData.name.toLowerCase()) &&
       f.healthScore < 50
@@ -362,7 +366,7 @@ class HealthRiskDetector {
     }
     
     // Time-based patterns
-    const currentHour = new Date().getHours();
+    const currentHour = getCurrentHour(timezone);
     if (currentHour >= 21 && foodData.calories > 300) {
       risks.push({
         type: this.alertTypes.PATTERN_ALERT,
@@ -553,30 +557,28 @@ class HealthRiskDetector {
     return units[nutrient] || '';
   }
 
-  async getTodayStats(phone) {
-    const db = getDb();
-    const today = new Date().toISOString().split('T')[0];
-    
-    const doc = await db.collection(collections.dailyLogs)
-      .where('phone', '==', phone)
-      .where('date', '==', today)
-      .limit(1)
-      .get();
-    
-    if (doc.empty) {
-      const userDoc = await db.collection(collections.users).doc(phone).get();
-      const userData = userDoc.data();
-      
+  // Today's intake so far against the calorie budget - the target plus today's logged exercise
+  async getTodayStats(phone, timezone) {
+    const today = getToday(timezone);
+    
+    const [data, userData] = await Promise.all([
+      dailyLogsRepository.get(phone, today),
+      usersRepository.get(phone)
+    ]);
+    const profile = { ...userData, calorie_target: userData?.calorie_target || 2000 };
+    const { budget, added } = await activityService.getDay(phone, profile, today);
+    
+    if (!data) {
       return {
         calories: 0,
         sodium: 0,
         sugar: 0,
         saturatedFat: 0,
-        calorieTarget: userData?.calorie_target || 2000
+        calorieTarget: budget,
+        exerciseAdded: added
       };
     }
     
-    const data = doc.docs[0].data();
     const totals = data.foods?.reduce((acc, food) => ({
       calories: acc.calories + (food.calories || 0),
       sodium: acc.sodium + (food.sodium || 0),
@@ -586,22 +588,19 @@ class HealthRiskDetector {
     
     return {
       ...totals,
-      calorieTarget: data.calorie_target || 2000
+      calorieTarget: budget,
+      exerciseAdded: added
     };
   }
 
-  async getRecentFoods(phone, days) {
-    const db = getDb();
-    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-    
-    const snapshot = await db.collection(collections.dailyLogs)
-      .where('phone', '==', phone)
-      .where('date', '>=', startDate.toISOString().split('T')[0])
-      .get();
+  async getRecentFoods(phone, days, timezone) {
+    const logs = await dailyLogsRepository.listRange(phone, {
+      from: addDays(getToday(timezone), -days),
+      order: null
+    });
     
     const foods = [];
-    snapshot.docs.forEach(doc => {
-      const data = doc.data();
+    logs.forEach(data => {
       if (data.foods) {
         foods.push(...data.foods);
       }
@@ -1,16 +1,14 @@
-const { getDb, collections } = require('../lib/firebase');
+const { dailyLogsRepository, mealPlansRepository } = require('../lib/repositories');
 const foodService = require('./foodService');
 const enhancedVisionService = require('./enhancedVisionService');
 const openai = require('openai');
+const { MEAL_TYPES } = require('../lib/mealTypes');
+const { timezoneOf, getToday, addDays } = require('../lib/dateHelper');
 
 class MealPlanningService {
   constructor() {
-    this.mealTypes = {
-      BREAKFAST: 'breakfast',
-      LUNCH: 'lunch',
-      DINNER: 'dinner',
-      SNACK: 'snack'
-    };
+    // Same slots food log entries are tagged with
+    this.mealTypes = MEAL_TYPES;
     
     this.planDurations = {
       DAILY: 1,
@@ -28,14 +26,18 @@ class MealPlanningService {
   }
 
   // Generate personalized meal plan
+  // options.onProgress(progress, total, message) fires per day generated,
+  // options.signal aborts outstanding OpenAI calls and skips saving the partial plan
   async generateMealPlan(phone, options = {}) {
     const {
       duration = this.planDurations.WEEKLY,
-      startDate = new Date().toISOString().split('T')[0],
+      startDate = null, // today in the user's timezone
       preferences = {},
       excludeIngredients = [],
       mealCount = 3, // meals per day
-      includeSnacks = true
+      includeSnacks = true,
+      signal,
+      onProgress = () => {}
     } = options;
 
     // Get user profile
@@ -46,20 +48,27 @@ class MealPlanningService {
       throw new Error('User profile not found. Please set up your profile first.');
     }
 
+    const today = getToday(timezoneOf(profile));
+
     // Get recent food history for preferences
-    const recentFoods = await this.getRecentFoodHistory(phone, 14);
+    const recentFoods = await this.getRecentFoodHistory(phone, 14, today);
     
     // Generate meal plan
     const mealPlan = await this.createMealPlan({
       profile,
       duration,
-      startDate,
+      startDate: startDate || today,
       preferences: { ...this.analyzePreferences(recentFoods), ...preferences },
       excludeIngredients,
       mealCount,
-      includeSnacks
+      includeSnacks,
+      signal,
+      onProgress
     });
 
+    // Never save a plan the client cancelled
+    signal?.throwIfAborted();
+
     // Save meal plan
     await this.saveMealPlan(phone, mealPlan);
 
@@ -75,7 +84,9 @@ class MealPlanningService {
       preferences,
       excludeIngredients,
       mealCount,
-      includeSnacks
+      includeSnacks,
+      signal,
+      onProgress = () => {}
     } = params;
 
     const mealPlan = {
@@ -102,23 +113,25 @@ class MealPlanningService {
 
     // Generate meals for each day
     for (let day = 0; day < duration; day++) {
-      const currentDate = new Date(startDate);
-      currentDate.setDate(currentDate.getDate() + day);
-      
       const dayPlan = {
-        date: currentDate.toISOString().split('T')[0],
+        date: addDays(startDate, day),
         meals: await this.generateDayMeals({
           profile,
+          dailyTargets: mealPlan.daily_targets,
           mealDistribution,
           preferences,
           excludeIngredients,
-          healthConditions: profile.health_conditions
+          healthConditions: profile.health_conditions,
+          signal
         })
       };
 
       // Calculate day totals
       dayPlan.totals = this.calculateDayTotals(dayPlan.meals);
       mealPlan.days.push(dayPlan);
+      
+      signal?.throwIfAborted();
+      onProgress(day + 1, duration, `Planned day ${day + 1} of ${duration}`);
     }
 
     return mealPlan;
@@ -128,10 +141,12 @@ class MealPlanningService {
   async generateDayMeals(params) {
     const {
       profile,
+      dailyTargets,
       mealDistribution,
       preferences,
       excludeIngredients,
-      healthConditions
+      healthConditions,
+      signal
     } = params;
 
     const meals = [];
@@ -140,27 +155,33 @@ class MealPlanningService {
     meals.push(await this.generateMeal({
       type: this.mealTypes.BREAKFAST,
       targetCalories: mealDistribution.breakfast,
+      dailyTargets,
       preferences,
       excludeIngredients,
-      healthConditions
+      healthConditions,
+      signal
     }));
 
     // Generate lunch
     meals.push(await this.generateMeal({
       type: this.mealTypes.LUNCH,
       targetCalories: mealDistribution.lunch,
+      dailyTargets,
       preferences,
       excludeIngredients,
-      healthConditions
+      healthConditions,
+      signal
     }));
 
     // Generate dinner
     meals.push(await this.generateMeal({
       type: this.mealTypes.DINNER,
       targetCalories: mealDistribution.dinner,
+      dailyTargets,
       preferences,
       excludeIngredients,
-      healthConditions
+      healthConditions,
+      signal
     }));
 
     // Generate snacks if included
@@ -168,9 +189,11 @@ class MealPlanningService {
       meals.push(await this.generateMeal({
         type: this.mealTypes.SNACK,
         targetCalories: mealDistribution.snacks,
+        dailyTargets,
         preferences,
         excludeIngredients,
-        healthConditions
+        healthConditions,
+        signal
       }));
     }
 
@@ -201,12 +224,13 @@ class MealPlanningService {
     const {
       type,
       targetCalories,
+      dailyTargets,
       preferences,
       excludeIngredients,
       healthConditions
     } = params;
 
-    const prompt = `Generate a ${type} meal with approximately ${targetCalories} calories.
+    const prompt = `Generate a ${type} meal with approximately ${targetCalories} calories${this.describeMealMacros(targetCalories, dailyTargets)}.
     
 Health conditions to consider: ${healthConditions.join(', ')}
 Exclude ingredients: ${excludeIngredients.join(', ')}
@@ -234,7 +258,7 @@ Provide the meal in JSON format with:
         ],
         max_tokens: 500,
         temperature: 0.8
-      });
+      }, { signal: params.signal });
 
       let content = response.choices[0].message.content.trim();
       
@@ -263,6 +287,9 @@ Provide the meal in JSON format with:
       
       return meal;
     } catch (error) {
+      // Cancelled - don't fall back to templates
+      if (params.signal?.aborted) throw error;
+      
       console.error('AI meal generation failed:', error);
       return await this.generateMealFromTemplates(params);
     }
@@ -447,6 +474,16 @@ Provide the meal in JSON format with:
     }), { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, sodium: 0 });
   }
 
+  // ", about 30g protein, 55g carbs and 15g fat" - the meal's share of the day's macro
+  // targets, so custom and condition-specific targets carry into the plan
+  describeMealMacros(mealCalories, dailyTargets) {
+    if (!dailyTargets || !dailyTargets.calories) return '';
+    
+    const share = mealCalories / dailyTargets.calories;
+    const grams = key => Math.round((dailyTargets[key] || 0) * share);
+    return `, about ${grams('protein')}g protein, ${grams('carbs')}g carbs and ${grams('fat')}g fat`;
+  }
+
   // Calculate meal distribution
   calculateMealDistribution(dailyCalories, mealCount, includeSnacks) {
     const distribution = {
@@ -520,24 +557,13 @@ Provide the meal in JSON format with:
   }
 
   // Get recent food history
-  async getRecentFoodHistory(phone, days = 14) {
-    const db = getDb();
-    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
-      .toISOString().split('T')[0];
-    
-    const snapshot = await db.collection(collections.dailyLogs)
-      .where('phone', '==', phone)
-      .where('date', '>=', startDate)
-      .orderBy('date', 'desc')
-      .get();
-    
-    return snapshot.docs.map(doc => doc.data());
+  async getRecentFoodHistory(phone, days = 14, today = getToday()) {
+    return dailyLogsRepository.listRange(phone, { from: addDays(today, -days) });
   }
 
   // Save meal plan
   async saveMealPlan(phone, mealPlan) {
-    const db = getDb();
-    await db.collection('meal_plans').doc(mealPlan.id).set({
+    await mealPlansRepository.save({
       ...mealPlan,
       phone,
       status: 'active'
@@ -546,32 +572,17 @@ Provide the meal in JSON format with:
 
   // Get active meal plan
   async getActiveMealPlan(phone) {
-    const db = getDb();
-    const snapshot = await db.collection('meal_plans')
-      .where('phone', '==', phone)
-      .where('status', '==', 'active')
-      .orderBy('created_at', 'desc')
-      .limit(1)
-      .get();
-    
-    if (snapshot.empty) {
-      return null;
-    }
-    
-    return snapshot.docs[0].data();
+    return mealPlansRepository.findActive(phone);
   }
 
   // Update meal in plan (swap meals)
   async updateMealInPlan(phone, planId, date, mealType, newMeal) {
-    const db = getDb();
-    const planRef = db.collection('meal_plans').doc(planId);
-    const plan = await planRef.get();
+    const planData = await mealPlansRepository.get(planId);
     
-    if (!plan.exists || plan.data().phone !== phone) {
+    if (!planData || planData.phone !== phone) {
       throw new Error('Meal plan not found or unauthorized');
     }
     
-    const planData = plan.data();
     const dayIndex = planData.days.findIndex(d => d.date === date);
     
     if (dayIndex === -1) {
@@ -590,7 +601,7 @@ Provide the meal in JSON format with:
     // Recalculate day totals
     planData.days[dayIndex].totals = this.calculateDayTotals(planData.days[dayIndex].meals);
     
-    await planRef.update({
+    await mealPlansRepository.update(planId, {
       days: planData.days,
       last_updated: new Date().toISOString()
     });
@@ -610,14 +621,12 @@ Provide the meal in JSON format with:
 
   // Generate shopping list from meal plan
   async generateShoppingList(phone, planId) {
-    const db = getDb();
-    const planDoc = await db.collection('meal_plans').doc(planId).get();
+    const plan = await mealPlansRepository.get(planId);
     
-    if (!planDoc.exists || planDoc.data().phone !== phone) {
+    if (!plan || plan.phone !== phone) {
       throw new Error('Meal plan not found or unauthorized');
     }
     
-    const plan = planDoc.data();
     const shoppingList = {};
     
     // Aggregate all ingredients
@@ -1,6 +1,7 @@
 const openai = require('openai');
-const { getDb, collections } = require('../lib/firebase');
+const { usersRepository, dailyLogsRepository, insightsRepository } = require('../lib/repositories');
 const cacheService = require('../lib/cacheService');
+const { DEFAULT_TIMEZONE, timezoneOf, getToday, getCurrentHour, toLocalHour, addDays, getDayOfWeek } = require('../lib/dateHelper');
 
 class PersonalizationEngine {
   constructor() {
@@ -40,23 +41,22 @@ class PersonalizationEngine {
 
   // Get or create user personality profile
   async getUserPersonality(phone) {
-    const db = getDb();
-    const doc = await db.collection('user_personalities').doc(phone).get();
+    const personality = await insightsRepository.getPersonality(phone);
     
-    if (doc.exists) {
-      return doc.data();
+    if (personality) {
+      return personality;
     }
 
     // Create new personality profile
     const newProfile = await this.assessPersonality(phone);
-    await db.collection('user_personalities').doc(phone).set(newProfile);
+    await insightsRepository.savePersonality(phone, newProfile);
     return newProfile;
   }
 
   // Assess user personality based on behavior
   async assessPersonality(phone) {
-    const recentLogs = await this.getRecentActivity(phone, 30);
     const profile = await this.getUserProfile(phone);
+    const recentLogs = await this.getRecentActivity(phone, 30, timezoneOf(profile));
     
     let personalityType = this.personalityTypes.PRAGMATIST;
     let motivationStyle = 'balanced'; // carrot, stick, or balanced
@@ -114,8 +114,9 @@ class PersonalizationEngine {
 
   // Get personalized response for food analysis
   async getPersonalizedFoodResponse(userProfile, foodData, context = {}) {
+    const timezone = timezoneOf(userProfile);
     const personality = await this.getUserPersonality(userProfile.phone);
-    const behaviorPatterns = await this.analyzeBehaviorPatterns(userProfile.phone);
+    const behaviorPatterns = await this.analyzeBehaviorPatterns(userProfile.phone, timezone);
     
     // Base analysis
     let response = await this.generateBaseAnalysis(foodData, userProfile, personality);
@@ -127,7 +128,7 @@ class PersonalizationEngine {
     response = this.applyPersonalityTone(response, personality);
     
     // Add predictive nudges if applicable
-    const nudges = await this.generatePredictiveNudges(userProfile.phone, foodData, context);
+    const nudges = await this.generatePredictiveNudges(userProfile.phone, foodData, context, timezone);
     if (nudges.length > 0) {
       response += '\n\n' + nudges.join('\n');
     }
@@ -228,9 +229,9 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
     return tonedMessage;
   }
 
-  // Analyze behavior patterns
-  async analyzeBehaviorPatterns(phone) {
-    const logs = await this.getRecentActivity(phone, 30);
+  // Analyze behavior patterns - hours and weekdays are on the user's clock
+  async analyzeBehaviorPatterns(phone, timezone = DEFAULT_TIMEZONE) {
+    const logs = await this.getRecentActivity(phone, 30, timezone);
     const patterns = {
       mealTimes: {},
       commonFoods: {},
@@ -240,15 +241,15 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
     };
 
     logs.forEach(log => {
-      const date = new Date(log.date);
-      const dayOfWeek = date.getDay();
-      const hour = new Date(log.timestamp).getHours();
+      const dayOfWeek = getDayOfWeek(log.date);
 
-      // Track meal times
-      if (!patterns.mealTimes[hour]) {
-        patterns.mealTimes[hour] = 0;
-      }
-      patterns.mealTimes[hour]++;
+      // Track meal times - the hour each food was logged at
+      log.foods.forEach(food => {
+        const loggedAt = food.created_at || food.timestamp;
+        if (!loggedAt) return;
+        const hour = toLocalHour(loggedAt, timezone);
+        patterns.mealTimes[hour] = (patterns.mealTimes[hour] || 0) + 1;
+      });
 
       // Track common foods
       log.foods.forEach(food => {
@@ -277,9 +278,9 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
   }
 
   // Generate predictive nudges
-  async generatePredictiveNudges(phone, currentFood, context) {
-    const patterns = await this.analyzeBehaviorPatterns(phone);
-    const currentHour = new Date().getHours();
+  async generatePredictiveNudges(phone, currentFood, context, timezone = DEFAULT_TIMEZONE) {
+    const patterns = await this.analyzeBehaviorPatterns(phone, timezone);
+    const currentHour = getCurrentHour(timezone);
     const nudges = [];
 
     // Check if this is a trigger time
@@ -299,9 +300,7 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
     }
 
     // Pattern-based predictions
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowDay = tomorrow.getDay();
+    const tomorrowDay = getDayOfWeek(addDays(getToday(timezone), 1));
     
     if (patterns.struggleDays.includes(tomorrowDay)) {
       nudges.push(`📅 Heads up: ${this.getDayName(tomorrowDay)}s tend to be challenging for your goals. Plan your meals tonight!`);
@@ -374,23 +373,12 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
   }
 
   // Helper methods
-  async getRecentActivity(phone, days) {
-    const db = getDb();
-    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-    
-    const snapshot = await db.collection(collections.dailyLogs)
-      .where('phone', '==', phone)
-      .where('date', '>=', startDate.toISOString().split('T')[0])
-      .orderBy('date', 'desc')
-      .get();
-    
-    return snapshot.docs.map(doc => doc.data());
+  async getRecentActivity(phone, days, timezone = DEFAULT_TIMEZONE) {
+    return dailyLogsRepository.listRange(phone, { from: addDays(getToday(timezone), -days) });
   }
 
   async getUserProfile(phone) {
-    const db = getDb();
-    const doc = await db.collection(collections.users).doc(phone).get();
-    return doc.exists ? doc.data() : null;
+    return usersRepository.get(phone);
   }
 
   calculateConsistency(logs) {
@@ -466,24 +454,24 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
       }
     };
 
-    const db = getDb();
-    await db.collection('user_life_events').doc(phone).set({
+    await insightsRepository.saveLifeEvent(phone, {
       eventType,
       eventData,
       adaptations: adaptations[eventType] || {},
       startDate: new Date().toISOString()
-    }, { merge: true });
+    });
 
     return adaptations[eventType] || {};
   }
 
   // Get comprehensive user insights
   async getUserInsights(phone) {
-    const [personality, patterns, profile, recentLogs] = await Promise.all([
+    const profile = await this.getUserProfile(phone);
+    const timezone = timezoneOf(profile);
+    const [personality, patterns, recentLogs] = await Promise.all([
       this.getUserPersonality(phone),
-      this.analyzeBehaviorPatterns(phone),
-      this.getUserProfile(phone),
-      this.getRecentActivity(phone, 30)
+      this.analyzeBehaviorPatterns(phone, timezone),
+      this.getRecentActivity(phone, 30, timezone)
     ]);
 
     const insights = {
@@ -495,7 +483,7 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
         activeDays: recentLogs.length
       },
       recommendations: await this.generatePersonalizedRecommendations(phone, personality, patterns, profile),
-      predictedChallenges: this.predictUpcomingChallenges(patterns),
+      predictedChallenges: this.predictUpcomingChallenges(patterns, timezone),
       successFactors: this.identifySuccessFactors(recentLogs, profile)
     };
 
@@ -549,11 +537,9 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
   }
 
   // Predict upcoming challenges
-  predictUpcomingChallenges(patterns) {
+  predictUpcomingChallenges(patterns, timezone = DEFAULT_TIMEZONE) {
     const challenges = [];
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const dayOfWeek = tomorrow.getDay();
+    const dayOfWeek = getDayOfWeek(addDays(getToday(timezone), 1));
 
     // Weekend challenges
     if (dayOfWeek === 0 || dayOfWeek === 6) {
@@ -564,7 +550,7 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
     }
 
     // Time-based challenges
-    const currentHour = new Date().getHours();
+    const currentHour = getCurrentHour(timezone);
     if (patterns.triggerTimes.includes(currentHour + 3)) {
       challenges.push({
         type: 'trigger_time',
@@ -589,8 +575,7 @@ ${personality.learningPreference === 'detailed' ? 'Include scientific explanatio
       const isSuccess = Math.abs(totalCalories - profile.calorie_target) <= profile.calorie_target * 0.1;
 
       if (isSuccess) {
-        const date = new Date(log.date);
-        successFactors.bestDays.push(date.getDay());
+        successFactors.bestDays.push(getDayOfWeek(log.date));
         
         log.foods?.forEach(food => {
           successFactors.successfulFoods.push(food.name);
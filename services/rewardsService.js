@@ -1,5 +1,5 @@
-const { getDb, collections, admin } = require('../lib/firebase');
-const { getTodayIST, convertToISTDate } = require('../lib/dateHelper');
+const { usersRepository, dailyLogsRepository, rewardsRepository, redemptionsRepository } = require('../lib/repositories');
+const { timezoneOf, getToday, addDays, daysBetween, getWeekStart } = require('../lib/dateHelper');
 
 class RewardsService {
   constructor() {
@@ -22,11 +22,12 @@ class RewardsService {
     ];
   }
 
+  // This week so far, Monday to Sunday in the user's timezone. dayIndex is today's
+  // place in dailyScores (0 for Monday)
   async calculateWeeklyProgress(phone) {
-    const db = getDb();
-    const today = new Date();
-    const weekStart = new Date(today);
-    weekStart.setDate(today.getDate() - today.getDay() + 1); // Monday
+    const profile = await usersRepository.get(phone);
+    const today = getToday(timezoneOf(profile));
+    const weekStart = getWeekStart(today);
     
     const dailyScores = [];
     let totalScore = 0;
@@ -34,18 +35,14 @@ class RewardsService {
 
     // Get daily progress for current week
     for (let i = 0; i < 7; i++) {
-      const date = new Date(weekStart);
-      date.setDate(weekStart.getDate() + i);
+      const date = addDays(weekStart, i);
       
       if (date > today) {
         dailyScores.push(0);
         continue;
       }
 
-      // Convert to IST date string to match stored data format
-      const istDate = new Date(date.getTime() + (5.5 * 60 * 60 * 1000));
-      const dateStr = istDate.toISOString().split('T')[0];
-      const progress = await this.getDailyCompletionPercentage(phone, dateStr);
+      const progress = await this.getDailyCompletionPercentage(phone, date);
       
       dailyScores.push(progress);
       if (progress > 0) {
@@ -55,24 +52,22 @@ class RewardsService {
     }
 
     const average = daysTracked > 0 ? totalScore / daysTracked : 0;
+    const dayIndex = daysBetween(weekStart, today);
 
     return {
       dailyScores,
       average: Math.round(average * 10) / 10,
       daysTracked,
-      daysRemaining: 7 - today.getDay()
+      dayIndex,
+      daysRemaining: 6 - dayIndex
     };
   }
 
   async getDailyCompletionPercentage(phone, date) {
-    const db = getDb();
-    const docId = `${phone}_${date}`;
-    
     // Get user profile for targets
-    const userDoc = await db.collection(collections.users).doc(phone).get();
-    if (!userDoc.exists) return 0;
+    const profile = await usersRepository.get(phone);
+    if (!profile) return 0;
     
-    const profile = userDoc.data();
     const targets = {
       calories: profile.calorie_target,
       protein: profile.protein_target,
@@ -81,10 +76,9 @@ class RewardsService {
     };
 
     // Get daily log
-    const logDoc = await db.collection(collections.dailyLogs).doc(docId).get();
-    if (!logDoc.exists) return 0;
+    const log = await dailyLogsRepository.get(phone, date);
+    if (!log) return 0;
     
-    const log = logDoc.data();
     const totals = log.totals;
 
     // Calculate percentage for each macro
@@ -100,17 +94,15 @@ class RewardsService {
   }
 
   async getWeeklyLeaderboard() {
-    const db = getDb();
     const currentWeek = this.getCurrentWeekId();
     
     // Get all users
-    const usersSnapshot = await db.collection(collections.users).get();
+    const users = await usersRepository.list();
     const leaderboard = [];
 
     // Calculate weekly average for each user
-    for (const userDoc of usersSnapshot.docs) {
-      const phone = userDoc.id;
-      const userData = userDoc.data();
+    for (const userData of users) {
+      const phone = userData.phone;
       const progress = await this.calculateWeeklyProgress(phone);
       
       if (progress.daysTracked > 0) {
@@ -135,13 +127,12 @@ class RewardsService {
   }
 
   async distributeWeeklyRewards() {
-    const db = getDb();
     const leaderboard = await this.getWeeklyLeaderboard();
     const weekId = this.getCurrentWeekId();
     
     // Check if rewards already distributed
-    const weekDoc = await db.collection('weekly_challenges').doc(weekId).get();
-    if (weekDoc.exists && weekDoc.data().rewards_distributed) {
+    const week = await rewardsRepository.getWeek(weekId);
+    if (week && week.rewards_distributed) {
       return { message: 'Rewards already distributed for this week' };
     }
 
@@ -178,7 +169,7 @@ class RewardsService {
     }
 
     // Mark week as distributed
-    await db.collection('weekly_challenges').doc(weekId).set({
+    await rewardsRepository.saveWeek(weekId, {
       week_id: weekId,
       leaderboard: leaderboard.slice(0, 10), // Top 10
       rewards_distributed: true,
@@ -189,11 +180,8 @@ class RewardsService {
   }
 
   async addCoins(phone, amount, reason) {
-    const db = getDb();
-    const userRef = db.collection('scanlyfcoin_transactions').doc(phone);
-    
-    const doc = await userRef.get();
-    const currentBalance = doc.exists ? doc.data().balance : 0;
+    const account = await rewardsRepository.getAccount(phone);
+    const currentBalance = account ? account.balance : 0;
     
     const transaction = {
       type: 'earned',
@@ -202,14 +190,10 @@ class RewardsService {
       date: new Date().toISOString()
     };
 
-    if (doc.exists) {
-      await userRef.update({
-        balance: currentBalance + amount,
-        transactions: admin.firestore.FieldValue.arrayUnion(transaction),
-        updated_at: new Date().toISOString()
-      });
+    if (account) {
+      await rewardsRepository.recordTransaction(phone, currentBalance + amount, transaction);
     } else {
-      await userRef.set({
+      await rewardsRepository.createAccount(phone, {
         phone,
         balance: amount,
         transactions: [transaction],
@@ -221,18 +205,16 @@ class RewardsService {
   }
 
   async getBalance(phone) {
-    const db = getDb();
-    const doc = await db.collection('scanlyfcoin_transactions').doc(phone).get();
+    const account = await rewardsRepository.getAccount(phone);
     
-    if (!doc.exists) {
+    if (!account) {
       return { balance: 0, transactions: [] };
     }
 
-    return doc.data();
+    return account;
   }
 
   async redeemReward(phone, rewardId) {
-    const db = getDb();
     const reward = this.REWARDS_CATALOG.find(r => r.id === rewardId);
     
     if (!reward) {
@@ -252,7 +234,7 @@ class RewardsService {
     const voucherCode = `NUTRI${Date.now().toString(36).toUpperCase()}`;
 
     // Save redemption
-    await db.collection('redemptions').add({
+    await redemptionsRepository.create({
       phone,
       reward_id: rewardId,
       reward_name: reward.name,
@@ -271,13 +253,7 @@ class RewardsService {
   }
 
   async addBadge(phone, badge) {
-    const db = getDb();
-    const userRef = db.collection(collections.users).doc(phone);
-    
-    await userRef.update({
-      badges: admin.firestore.FieldValue.arrayUnion(badge),
-      updated_at: new Date().toISOString()
-    });
+    await usersRepository.addBadge(phone, badge);
   }
 
   getCurrentWeekId() {
@@ -0,0 +1,122 @@
+const { savedFoodsRepository } = require('../lib/repositories');
+const { scaleNutrients, formatPortionSize } = require('../lib/nutrition');
+
+const MAX_FAVORITES = 30;
+const MAX_RECENT = 20;
+
+function sameName(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// An item by its number in list_favorites, or by name - exact match first, then partial
+function findByRef(items, ref, nameOf) {
+  const text = String(ref).trim().replace(/^#/, '');
+  if (/^\d+$/.test(text)) {
+    return items[Number(text) - 1] || null;
+  }
+  
+  const lower = text.toLowerCase();
+  return items.find(item => sameName(nameOf(item), lower))
+    || items.find(item => nameOf(item).toLowerCase().includes(lower))
+    || null;
+}
+
+class SavedFoodsService {
+  // Favorites in the order they were saved, recent foods newest first
+  async getSaved(phone) {
+    const { favorites, recent } = await savedFoodsRepository.get(phone);
+    return { favorites, recent };
+  }
+  
+  findFavorite(favorites, ref) {
+    return findByRef(favorites, ref, favorite => favorite.name);
+  }
+  
+  findRecent(recent, ref) {
+    return findByRef(recent, ref, item => item.food.name);
+  }
+  
+  // Called for every logged food. One slot per food name, so logging it again moves it
+  // to the top with the latest portion. Never fails the log itself
+  async recordRecent(phone, entry) {
+    try {
+      // Required here - foodService requires this service
+      const food = require('./foodService').foodFromEntry(entry);
+      
+      await savedFoodsRepository.update(phone, saved => {
+        const previous = saved.recent.find(item => sameName(item.food.name, food.name));
+        const recent = [
+          {
+            food,
+            times_logged: (previous ? previous.times_logged : 0) + 1,
+            last_logged_at: entry.created_at
+          },
+          ...saved.recent.filter(item => item !== previous)
+        ];
+        return { ...saved, recent: recent.slice(0, MAX_RECENT) };
+      });
+    } catch (error) {
+      console.error('Error recording recent food:', error);
+    }
+  }
+  
+  // Save a logged entry as a favorite under `name` (the food's own name by default).
+  // Saving over an existing name replaces that favorite in place
+  async addFavorite(phone, entry, { name = null, mealType = null } = {}) {
+    const food = require('./foodService').foodFromEntry(entry);
+    const favorite = {
+      name: (name || food.name).trim(),
+      food,
+      meal_type: mealType || entry.meal_type || null,
+      saved_at: new Date().toISOString()
+    };
+    
+    let replaced = false;
+    const saved = await savedFoodsRepository.update(phone, current => {
+      const index = current.favorites.findIndex(item => sameName(item.name, favorite.name));
+      replaced = index !== -1;
+      
+      if (!replaced && current.favorites.length >= MAX_FAVORITES) {
+        throw new Error(`You already have ${MAX_FAVORITES} favorites - remove one with remove_favorite first`);
+      }
+      
+      const favorites = [...current.favorites];
+      if (replaced) favorites[index] = favorite;
+      else favorites.push(favorite);
+      return { ...current, favorites };
+    });
+    
+    return {
+      favorite,
+      number: saved.favorites.findIndex(item => sameName(item.name, favorite.name)) + 1,
+      replaced
+    };
+  }
+  
+  // Remove a favorite by number or name, null if nothing matches
+  async removeFavorite(phone, ref) {
+    const { favorites } = await savedFoodsRepository.get(phone);
+    const favorite = this.findFavorite(favorites, ref);
+    if (!favorite) return null;
+    
+    await savedFoodsRepository.update(phone, current => ({
+      ...current,
+      favorites: current.favorites.filter(item => !sameName(item.name, favorite.name))
+    }));
+    
+    return favorite;
+  }
+  
+  // The saved food at another quantity, in the unit it was saved with
+  atQuantity(food, quantity = null) {
+    if (!quantity) return { ...food };
+    
+    return {
+      ...food,
+      ...scaleNutrients(food.lookup, quantity),
+      portion_size: formatPortionSize(quantity, food.lookup.unit)
+    };
+  }
+}
+
+module.exports = new SavedFoodsService();
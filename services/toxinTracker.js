@@ -1,4 +1,5 @@
-const { getDb, collections } = require('../lib/firebase');
+const { toxinTrackingRepository } = require('../lib/repositories');
+const { DEFAULT_TIMEZONE, getToday } = require('../lib/dateHelper');
 
 class ToxinTracker {
   constructor() {
@@ -54,17 +55,13 @@ class ToxinTracker {
     };
   }
 
-  // Track a food scan
-  async trackScan(phone, scanResult) {
-    const db = getDb();
-    const today = new Date().toISOString().split('T')[0];
+  // Track a food scan - days roll over at midnight in the user's timezone
+  async trackScan(phone, scanResult, timezone = DEFAULT_TIMEZONE) {
+    const today = getToday(timezone);
     
     try {
       // Get or create user's toxin tracking data
-      const trackingRef = db.collection(collections.TOXIN_TRACKING).doc(phone);
-      const trackingDoc = await trackingRef.get();
-      
-      let trackingData = trackingDoc.exists ? trackingDoc.data() : this.initializeTracking();
+      let trackingData = await toxinTrackingRepository.get(phone) || this.initializeTracking(today);
       
       // Update daily stats
       if (trackingData.lastScanDate !== today) {
@@ -109,7 +106,7 @@ class ToxinTracker {
       const newAchievements = await this.checkAchievements(trackingData, phone);
       
       // Save updated tracking data
-      await trackingRef.set(trackingData);
+      await toxinTrackingRepository.save(phone, trackingData);
       
       // Return tracking info for the response
       return {
@@ -133,8 +130,79 @@ class ToxinTracker {
     }
   }
 
-  // Initialize tracking data for new user
-  initializeTracking() {
+  // A logged food was corrected (edit_food) - move its scan between clean/toxic and swap
+  // the ingredient tallies without counting a new scan. Daily stats only change if the
+  // food was from the day they cover. Only for entries marked scan_tracked - the ones
+  // trackScan counted - or the counters would move for foods they never included.
+  async correctScan(phone, date, previousIngredients = [], harmfulIngredients = []) {
+    const names = ingredients => ingredients.map(ing => (typeof ing === 'string' ? ing : ing.name));
+    const before = names(previousIngredients);
+    const after = names(harmfulIngredients);
+    
+    if (before.slice().sort().join('|') === after.slice().sort().join('|')) {
+      return null;
+    }
+    
+    try {
+      const trackingData = await toxinTrackingRepository.get(phone);
+      // Never scanned anything, so there's nothing to correct
+      if (!trackingData) return null;
+      
+      const stats = [trackingData.lifetime];
+      if (trackingData.dailyStats && trackingData.dailyStats.date === date) {
+        stats.push(trackingData.dailyStats);
+      }
+      
+      const wasClean = before.length === 0;
+      const isClean = after.length === 0;
+      if (wasClean !== isClean) {
+        const from = wasClean ? 'cleanScans' : 'toxicScans';
+        const to = wasClean ? 'toxicScans' : 'cleanScans';
+        stats.forEach(bucket => {
+          bucket[from] = Math.max(0, bucket[from] - 1);
+          bucket[to]++;
+        });
+      }
+      
+      // A streak can't be rebuilt after the fact, but a food that turned out toxic still breaks it
+      if (!isClean) {
+        trackingData.currentStreak = 0;
+      }
+      
+      const known = trackingData.lifetime.knownIngredients;
+      before.forEach(name => {
+        if (known[name] > 1) known[name]--;
+        else delete known[name];
+      });
+      after.forEach(name => {
+        known[name] = (known[name] || 0) + 1;
+      });
+      
+      if (stats.includes(trackingData.dailyStats)) {
+        const found = trackingData.dailyStats.ingredientsFound;
+        before.forEach(name => {
+          const idx = found.indexOf(name);
+          if (idx !== -1) found.splice(idx, 1);
+        });
+        found.push(...after);
+      }
+      
+      // No achievement check - milestones like "first clean scan" would fire again on a correction
+      await toxinTrackingRepository.save(phone, trackingData);
+      
+      return {
+        cleanScans: trackingData.lifetime.cleanScans,
+        toxicScans: trackingData.lifetime.toxicScans,
+        cleanStreak: trackingData.currentStreak
+      };
+    } catch (error) {
+      console.error('Error correcting scan:', error);
+      return null;
+    }
+  }
+
+  // Initialize tracking data for new user - `today` in their timezone
+  initializeTracking(today = getToday()) {
     return {
       lifetime: {
         totalScans: 0,
@@ -144,7 +212,7 @@ class ToxinTracker {
         achievements: []
       },
       dailyStats: {
-        date: new Date().toISOString().split('T')[0],
+        date: today,
         totalScans: 0,
         cleanScans: 0,
         toxicScans: 0,
@@ -152,7 +220,7 @@ class ToxinTracker {
       },
       currentStreak: 0,
       bestStreak: 0,
-      lastScanDate: new Date().toISOString().split('T')[0]
+      lastScanDate: today
     };
   }
 
@@ -209,14 +277,9 @@ class ToxinTracker {
 
   // Award achievement and coins
   async awardAchievement(phone, achievement) {
-    const db = getDb();
-    
     try {
       // Update tracking data with achievement
-      const trackingRef = db.collection(collections.TOXIN_TRACKING).doc(phone);
-      await trackingRef.update({
-        'lifetime.achievements': db.FieldValue.arrayUnion(achievement.id)
-      });
+      await toxinTrackingRepository.addAchievement(phone, achievement.id);
       
       // Award coins
       const rewardsService = require('./rewardsService');
@@ -230,16 +293,14 @@ class ToxinTracker {
 
   // Get user's toxin tracking stats
   async getUserStats(phone) {
-    const db = getDb();
-    
     try {
-      const trackingDoc = await db.collection(collections.TOXIN_TRACKING).doc(phone).get();
+      const trackingData = await toxinTrackingRepository.get(phone);
       
-      if (!trackingDoc.exists) {
+      if (!trackingData) {
         return this.initializeTracking();
       }
       
-      return trackingDoc.data();
+      return trackingData;
     } catch (error) {
       console.error('Error getting user stats:', error);
       return this.initializeTracking();
@@ -278,19 +339,13 @@ class ToxinTracker {
 
   // Get leaderboard for clean streaks
   async getCleanStreakLeaderboard(limit = 10) {
-    const db = getDb();
-    
     try {
-      const snapshot = await db.collection(collections.TOXIN_TRACKING)
-        .orderBy('currentStreak', 'desc')
-        .limit(limit)
-        .get();
+      const entries = await toxinTrackingRepository.topStreaks(limit);
       
       const leaderboard = [];
-      snapshot.forEach(doc => {
-        const data = doc.data();
+      entries.forEach(data => {
         leaderboard.push({
-          phone: doc.id.slice(-4), // Last 4 digits only
+          phone: data.phone.slice(-4), // Last 4 digits only
           currentStreak: data.currentStreak,
           bestStreak: data.bestStreak,
           cleanPercentage: data.lifetime.totalScans > 0 
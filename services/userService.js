@@ -1,13 +1,12 @@
-const { getDb, collections } = require('../lib/firebase');
-const { calculateDailyTargets } = require('../lib/nutrition');
+const { usersRepository, tokensRepository } = require('../lib/repositories');
+const { MACRO_KEYS, calculateDailyTargets, withGoal } = require('../lib/dailyTargets');
 
 class UserService {
   async createOrUpdateProfile(phone, profileData) {
-    const db = getDb();
-    const userRef = db.collection(collections.users).doc(phone);
-    
-    // Calculate nutrition targets
-    const targets = calculateDailyTargets(profileData);
+    // Calculate nutrition targets - over the saved profile too, so custom targets and the
+    // weekly rate survive running setup_profile again
+    const existing = await this.getProfile(phone) || {};
+    const targets = calculateDailyTargets({ ...existing, ...profileData });
     
     const userData = {
       ...profileData,
@@ -20,33 +19,52 @@ class UserService {
       updated_at: new Date().toISOString()
     };
     
-    await userRef.set(userData, { merge: true });
+    await usersRepository.save(phone, userData, { merge: true });
     
     return userData;
   }
   
-  async getProfile(phone) {
-    const db = getDb();
-    const userDoc = await db.collection(collections.users).doc(phone).get();
+  // Change what the targets are worked out from and recalculate them, returns null without
+  // a profile. changes: { goal, rate, activityLevel, custom, resetCustom, addExerciseCalories } -
+  // custom holds any of calories/protein/carbs/fat, and is merged over targets set before
+  async updateTargets(phone, { goal = null, rate = null, activityLevel = null, custom = {}, resetCustom = false, addExerciseCalories = null } = {}) {
+    const profile = await this.getProfile(phone);
+    if (!profile) return null;
     
-    if (!userDoc.exists) {
-      return null;
-    }
+    // Every key written, cleared ones as null - a merged save would keep a dropped key
+    const kept = resetCustom ? {} : profile.custom_targets || {};
+    const customTargets = {};
+    MACRO_KEYS.forEach(key => {
+      const value = custom[key] !== undefined ? custom[key] : kept[key];
+      customTargets[key] = typeof value === 'number' ? value : null;
+    });
     
-    return userDoc.data();
+    const changes = { custom_targets: customTargets };
+    if (goal) changes.health_goals = withGoal(profile.health_goals, goal);
+    if (rate) changes.target_rate_kg_per_week = rate;
+    if (activityLevel) changes.activity_level = activityLevel;
+    if (typeof addExerciseCalories === 'boolean') changes.add_exercise_calories = addExerciseCalories;
+    
+    return this.createOrUpdateProfile(phone, { ...profile, ...changes });
   }
   
-  async validateToken(bearerToken) {
-    const db = getDb();
+  // Set the weight the targets are worked out from and recalculate them, returns null
+  // without a profile
+  async updateWeight(phone, weightKg) {
+    const profile = await this.getProfile(phone);
+    if (!profile) return null;
     
-    // Query tokens collection
-    const tokenSnapshot = await db.collection(collections.tokens)
-      .where('token', '==', bearerToken)
-      .where('active', '==', true)
-      .limit(1)
-      .get();
+    return this.createOrUpdateProfile(phone, { ...profile, weight_kg: weightKg });
+  }
+  
+  async getProfile(phone) {
+    return usersRepository.get(phone);
+  }
+  
+  async validateToken(bearerToken) {
+    const tokenData = await tokensRepository.findActive(bearerToken);
     
-    if (tokenSnapshot.empty) {
+    if (!tokenData) {
       // For MVP, create a default token mapping
       // In production, this should validate against your auth system
       if (bearerToken === 'demo_token') {
@@ -55,22 +73,11 @@ class UserService {
       return null;
     }
     
-    const tokenData = tokenSnapshot.docs[0].data();
     return tokenData.phone;
   }
   
   async createToken(phone, token) {
-    const db = getDb();
-    const tokenRef = db.collection(collections.tokens).doc();
-    
-    await tokenRef.set({
-      phone,
-      token,
-      active: true,
-      created_at: new Date().toISOString()
-    });
-    
-    return tokenRef.id;
+    return tokensRepository.create(phone, token);
   }
 }
 
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const crypto = require('crypto');
-const { getDb, collections } = require('../lib/firebase');
+const { webhooksRepository } = require('../lib/repositories');
+const { timezoneOf, getToday } = require('../lib/dateHelper');
 
 class WebhookService {
   constructor() {
@@ -23,7 +24,6 @@ class WebhookService {
 
   // Register a webhook for a user
   async registerWebhook(phone, url, events = [], secret = null) {
-    const db = getDb();
     const webhookId = crypto.randomBytes(16).toString('hex');
     
     // Validate URL
@@ -49,7 +49,7 @@ class WebhookService {
       last_success: null
     };
     
-    await db.collection('webhooks').doc(webhookId).set(webhook);
+    await webhooksRepository.save(webhook);
     
     // Test the webhook
     await this.testWebhook(webhookId);
@@ -63,14 +63,9 @@ class WebhookService {
 
   // Get user's webhooks
   async getUserWebhooks(phone) {
-    const db = getDb();
-    const snapshot = await db.collection('webhooks')
-      .where('phone', '==', phone)
-      .where('active', '==', true)
-      .get();
+    const webhooks = await webhooksRepository.listActive(phone);
     
-    return snapshot.docs.map(doc => {
-      const data = doc.data();
+    return webhooks.map(data => {
       // Don't expose the secret
       delete data.secret;
       return data;
@@ -79,19 +74,17 @@ class WebhookService {
 
   // Delete a webhook
   async deleteWebhook(phone, webhookId) {
-    const db = getDb();
-    const webhookRef = db.collection('webhooks').doc(webhookId);
-    const webhook = await webhookRef.get();
+    const webhook = await webhooksRepository.get(webhookId);
     
-    if (!webhook.exists) {
+    if (!webhook) {
       throw new Error('Webhook not found');
     }
     
-    if (webhook.data().phone !== phone) {
+    if (webhook.phone !== phone) {
       throw new Error('Unauthorized to delete this webhook');
     }
     
-    await webhookRef.update({
+    await webhooksRepository.update(webhookId, {
       active: false,
       deleted_at: new Date().toISOString()
     });
@@ -101,19 +94,10 @@ class WebhookService {
 
   // Send webhook notification
   async sendWebhook(phone, eventType, payload) {
-    const db = getDb();
-    
     // Get active webhooks for user that subscribe to this event
-    const snapshot = await db.collection('webhooks')
-      .where('phone', '==', phone)
-      .where('active', '==', true)
-      .where('events', 'array-contains', eventType)
-      .get();
+    const webhooks = await webhooksRepository.listSubscribed(eventType, phone);
     
-    const promises = snapshot.docs.map(doc => {
-      const webhook = doc.data();
-      return this.deliverWebhook(webhook, eventType, payload);
-    });
+    const promises = webhooks.map(webhook => this.deliverWebhook(webhook, eventType, payload));
     
     const results = await Promise.allSettled(promises);
     
@@ -176,10 +160,8 @@ class WebhookService {
     }
     
     // Update failure count
-    const db = getDb();
-    const webhookRef = db.collection('webhooks').doc(webhook.id);
-    const currentDoc = await webhookRef.get();
-    const currentFailures = currentDoc.data().failure_count || 0;
+    const current = await webhooksRepository.get(webhook.id);
+    const currentFailures = current.failure_count || 0;
     
     await this.updateWebhookStatus(webhook.id, {
       failure_count: currentFailures + 1,
@@ -189,7 +171,7 @@ class WebhookService {
     
     // Disable webhook after too many failures
     if (currentFailures + 1 >= 10) {
-      await webhookRef.update({
+      await webhooksRepository.update(webhook.id, {
         active: false,
         disabled_reason: 'Too many consecutive failures'
       });
@@ -207,20 +189,17 @@ class WebhookService {
 
   // Update webhook status
   async updateWebhookStatus(webhookId, updates) {
-    const db = getDb();
-    await db.collection('webhooks').doc(webhookId).update(updates);
+    await webhooksRepository.update(webhookId, updates);
   }
 
   // Test webhook endpoint
   async testWebhook(webhookId) {
-    const db = getDb();
-    const webhookDoc = await db.collection('webhooks').doc(webhookId).get();
+    const webhook = await webhooksRepository.get(webhookId);
     
-    if (!webhookDoc.exists) {
+    if (!webhook) {
       throw new Error('Webhook not found');
     }
-    
-    const webhook = webhookDoc.data();
+
     const testPayload = {
       message: 'This is a test webhook from Scanlyf',
       timestamp: new Date().toISOString()
@@ -295,18 +274,12 @@ class WebhookService {
     });
   }
 
-  // Schedule daily summary webhooks
+  // Schedule daily summary webhooks - each for the day it is in that user's timezone
   async scheduleDailySummaries() {
-    const db = getDb();
-    const today = new Date().toISOString().split('T')[0];
-    
     // Get all users with webhooks subscribing to daily summaries
-    const webhooksSnapshot = await db.collection('webhooks')
-      .where('active', '==', true)
-      .where('events', 'array-contains', this.webhookTypes.DAILY_SUMMARY)
-      .get();
+    const webhooks = await webhooksRepository.listSubscribed(this.webhookTypes.DAILY_SUMMARY);
     
-    const userPhones = [...new Set(webhooksSnapshot.docs.map(doc => doc.data().phone))];
+    const userPhones = [...new Set(webhooks.map(webhook => webhook.phone))];
     
     for (const phone of userPhones) {
       try {
@@ -314,8 +287,9 @@ class WebhookService {
         const foodService = require('./foodService');
         const userService = require('./userService');
         
-        const progress = await foodService.getDailyProgress(phone, today);
         const profile = await userService.getProfile(phone);
+        const today = getToday(timezoneOf(profile));
+        const progress = await foodService.getDailyProgress(phone, today);
         
         if (profile && progress.foods.length > 0) {
           const progressPercentage = Math.round(
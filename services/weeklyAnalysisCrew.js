@@ -1,8 +1,13 @@
 const openai = require('openai');
-const { getDb, collections } = require('../lib/firebase');
+const { usersRepository, dailyLogsRepository, mealPlansRepository, insightsRepository } = require('../lib/repositories');
 const personalizationEngine = require('./personalizationEngine');
 const ingredientAnalyzer = require('./ingredientAnalyzer');
 const webhookService = require('./webhookService');
+const bodyMetricsService = require('./bodyMetricsService');
+const { isEstimate } = require('../lib/nutritionConfidence');
+const { describeWeightTrend } = require('../lib/bodyTrend');
+const { GOALS, goalOf } = require('../lib/dailyTargets');
+const { timezoneOf, getToday, addDays } = require('../lib/dateHelper');
 
 class WeeklyAnalysisCrew {
   constructor() {
@@ -44,21 +49,34 @@ class WeeklyAnalysisCrew {
   }
 
   // Run weekly analysis for a user
-  async runWeeklyAnalysis(phone) {
+  // options.onProgress(progress, total, message) fires after each step,
+  // options.signal aborts outstanding OpenAI calls and skips saving
+  async runWeeklyAnalysis(phone, options = {}) {
+    const { signal, onProgress = () => {} } = options;
+    // data gathering + one step per agent + synthesis + action plan
+    const totalSteps = Object.keys(this.agents).length + 3;
+    let step = 0;
+    const progress = (message) => onProgress(++step, totalSteps, message);
+    
     console.log(`🚀 Starting weekly analysis crew for ${phone}`);
     
     try {
       // Gather comprehensive data
       const userData = await this.gatherUserData(phone);
+      signal?.throwIfAborted();
+      progress('Gathered your week of food logs');
       
       // Run analysis with each agent
-      const analyses = await this.runAgentAnalyses(userData);
+      const analyses = await this.runAgentAnalyses(userData, { signal, progress });
       
       // Synthesize insights
       const synthesis = await this.synthesizeInsights(analyses, userData);
+      progress('Combined insights from all agents');
       
       // Generate action plan
       const actionPlan = await this.generateActionPlan(synthesis, userData);
+      signal?.throwIfAborted();
+      progress('Built your action plan');
       
       // Save analysis
       await this.saveAnalysis(phone, {
@@ -81,10 +99,15 @@ class WeeklyAnalysisCrew {
           executiveSummary: synthesis.executiveSummary,
           keyFindings: synthesis.topInsights,
           recommendations: actionPlan.recommendations,
-          urgentActions: actionPlan.urgentActions
+          urgentActions: actionPlan.urgentActions,
+          estimatedFoods: userData.estimatedFoods,
+          weightTrend: userData.weightTrend
         }
       };
     } catch (error) {
+      // Cancelled - let the caller know instead of reporting a failure
+      if (signal?.aborted) throw error;
+      
       console.error('Weekly analysis error:', error);
       return {
         success: false,
@@ -93,20 +116,24 @@ class WeeklyAnalysisCrew {
     }
   }
 
-  // Gather comprehensive user data
+  // Gather comprehensive user data - the week is the last seven days in the user's timezone
   async gatherUserData(phone) {
-    const [profile, logs, personality, mealPlans] = await Promise.all([
-      this.getUserProfile(phone),
-      this.getWeeklyLogs(phone),
+    const profile = await this.getUserProfile(phone);
+    const timezone = timezoneOf(profile);
+    const weekStart = addDays(getToday(timezone), -7);
+    
+    const [logs, personality, mealPlans, bodyHistory] = await Promise.all([
+      this.getWeeklyLogs(phone, weekStart),
       personalizationEngine.getUserPersonality(phone),
-      this.getMealPlans(phone)
+      this.getMealPlans(phone),
+      bodyMetricsService.getHistory(phone, { timezone })
     ]);
 
     // Analyze food quality
     const foodQualityAnalysis = await this.analyzeFoodQuality(logs);
     
     // Get behavioral patterns
-    const behaviorPatterns = await personalizationEngine.analyzeBehaviorPatterns(phone);
+    const behaviorPatterns = await personalizationEngine.analyzeBehaviorPatterns(phone, timezone);
     
     return {
       phone,
@@ -116,14 +143,18 @@ class WeeklyAnalysisCrew {
       mealPlans,
       foodQualityAnalysis,
       behaviorPatterns,
-      weekStart: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()
+      estimatedFoods: this.findEstimatedFoods(logs),
+      weightTrend: bodyHistory.trend,
+      weekStart
     };
   }
 
   // Run analysis with each agent
-  async runAgentAnalyses(userData) {
+  async runAgentAnalyses(userData, { signal, progress = () => {} } = {}) {
     if (!this.openaiClient) {
-      return this.runTemplateAnalyses(userData);
+      const analyses = this.runTemplateAnalyses(userData);
+      Object.values(this.agents).forEach(agent => progress(`${agent.name} finished`));
+      return analyses;
     }
 
     const analyses = {};
@@ -132,19 +163,24 @@ class WeeklyAnalysisCrew {
       console.log(`🤖 ${agent.name} analyzing...`);
       
       try {
-        const analysis = await this.runAgentAnalysis(agent, userData);
+        const analysis = await this.runAgentAnalysis(agent, userData, signal);
         analyses[agentKey] = analysis;
       } catch (error) {
+        // Don't fall back to templates for a cancelled run
+        if (signal?.aborted) throw error;
+        
         console.error(`Error with ${agent.name}:`, error);
         analyses[agentKey] = this.getTemplateAnalysis(agentKey, userData);
       }
+      
+      progress(`${agent.name} finished`);
     }
     
     return analyses;
   }
 
   // Run individual agent analysis
-  async runAgentAnalysis(agent, userData) {
+  async runAgentAnalysis(agent, userData, signal) {
     const prompt = this.buildAgentPrompt(agent, userData);
     
     const response = await this.openaiClient.chat.completions.create({
@@ -162,7 +198,7 @@ class WeeklyAnalysisCrew {
       ],
       max_tokens: 500,
       temperature: 0.7
-    });
+    }, { signal });
 
     const content = response.choices[0].message.content;
     
@@ -190,6 +226,7 @@ Weekly Summary:
 - Average daily calories: ${this.calculateAverageCalories(userData.logs)}
 - Most frequent foods: ${this.getTopFoods(userData.logs).join(', ')}
 - Compliance rate: ${this.calculateComplianceRate(userData.logs, userData.profile)}%
+- Weight trend: ${userData.weightTrend ? describeWeightTrend(userData.weightTrend).join('; ') : 'not logged'}
 `;
 
     // Agent-specific data
@@ -311,9 +348,47 @@ Find correlations between meal timing, food choices, and goal achievement.`;
       });
     }
     
+    // The week's numbers lean on these, so say which ones are guesses
+    const estimates = userData.estimatedFoods;
+    if (estimates.length > 0) {
+      summary += `\n🔎 NUMBERS TO DOUBLE-CHECK:\n`;
+      estimates.slice(0, 5).forEach(food => {
+        summary += `• ${food.date}: ${food.name} (${food.calories} cal) - ${food.confidence_note || 'rough estimate'}\n`;
+      });
+      if (estimates.length > 5) {
+        summary += `• ...and ${estimates.length - 5} more\n`;
+      }
+      summary += `Fix any of these with edit_food to make this report more accurate.\n`;
+    }
+    
+    if (userData.weightTrend) {
+      summary += `\n⚖️ WEIGHT TREND:\n`;
+      describeWeightTrend(userData.weightTrend).forEach(line => {
+        summary += `• ${line}\n`;
+      });
+      const check = this.checkWeightAgainstGoal(userData.weightTrend, userData.profile);
+      if (check) summary += `${check}\n`;
+    }
+    
     return summary;
   }
 
+  // Whether the trend is heading the way the goal wants, or null until there's a week of it
+  checkWeightAgainstGoal(trend, profile) {
+    if (!trend.direction || !profile) return null;
+    
+    const goal = goalOf(profile);
+    const wanted = { [GOALS.LOSE]: 'down', [GOALS.GAIN]: 'up', [GOALS.MAINTAIN]: 'steady' }[goal];
+    if (trend.direction === wanted) {
+      return `✅ Heading the right way for your goal to ${goal} weight`;
+    }
+    if (goal === GOALS.MAINTAIN) {
+      return `👀 Drifting ${trend.direction} while you're aiming to maintain - worth a look at portions`;
+    }
+    const change = goal === GOALS.LOSE ? 'lower' : 'raise';
+    return `👀 Not heading ${wanted} yet - check your logs are complete, or ${change} your calorie target with set_targets`;
+  }
+
   // Generate action plan
   async generateActionPlan(synthesis, userData) {
     const urgentActions = [];
@@ -773,38 +848,38 @@ Find correlations between meal timing, food choices, and goal achievement.`;
 
   // Data access methods
   async getUserProfile(phone) {
-    const db = getDb();
-    const doc = await db.collection(collections.users).doc(phone).get();
-    return doc.exists ? doc.data() : null;
+    return usersRepository.get(phone);
   }
 
-  async getWeeklyLogs(phone) {
-    const db = getDb();
-    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    
-    const snapshot = await db.collection(collections.dailyLogs)
-      .where('phone', '==', phone)
-      .where('date', '>=', weekAgo.toISOString().split('T')[0])
-      .orderBy('date', 'desc')
-      .get();
-    
-    return snapshot.docs.map(doc => doc.data());
+  // Logged foods with low-confidence or made-up numbers, oldest first
+  findEstimatedFoods(logs) {
+    const estimates = [];
+    logs.forEach(log => {
+      (log.foods || []).filter(isEstimate).forEach(food => {
+        estimates.push({
+          id: food.id,
+          date: log.date,
+          name: food.name,
+          calories: food.calories || 0,
+          ...(food.nutrition_source && { nutrition_source: food.nutrition_source }),
+          ...(food.confidence_note && { confidence_note: food.confidence_note })
+        });
+      });
+    });
+    return estimates.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Logs from `from` (YYYY-MM-DD) up to today
+  async getWeeklyLogs(phone, from) {
+    return dailyLogsRepository.listRange(phone, { from });
   }
 
   async getMealPlans(phone) {
-    const db = getDb();
-    const snapshot = await db.collection('meal_plans')
-      .where('phone', '==', phone)
-      .where('status', '==', 'active')
-      .limit(1)
-      .get();
-    
-    return snapshot.empty ? null : snapshot.docs[0].data();
+    return mealPlansRepository.findActive(phone);
   }
 
   async saveAnalysis(phone, analysis) {
-    const db = getDb();
-    await db.collection('weekly_analyses').add({
+    await insightsRepository.addWeeklyAnalysis({
       phone,
       ...analysis,
       id: `analysis_${Date.now()}`
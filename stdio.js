@@ -0,0 +1,90 @@
+/**
+ * Scanlyf MCP over stdio
+ * For desktop MCP clients that launch the server as a local process:
+ *
+ *   "command": "node", "args": ["/path/to/scanlyf-mcp-server/stdio.js"],
+ *   "env": { "SCANLYF_TOKEN": "<your bearer token>", ... }
+ *
+ * Reads newline-delimited JSON-RPC from stdin and writes responses to stdout,
+ * using the same registries and dispatcher as the HTTP server.
+ */
+
+// stdout is the protocol channel - route all logging to stderr before anything else loads
+console.log = console.error;
+console.info = console.error;
+console.warn = console.error;
+console.debug = console.error;
+
+require('dotenv').config();
+const crypto = require('crypto');
+const readline = require('readline');
+const { initializeStorage } = require('./lib/storage');
+const { validateEnv } = require('./lib/simple-security');
+const { registerAll } = require('./handlers');
+const mcpDispatcher = require('./lib/mcpDispatcher');
+
+validateEnv();
+initializeStorage();
+registerAll();
+
+// Handlers authenticate from the Authorization header, so give them one built from the env token
+const headers = process.env.SCANLYF_TOKEN
+  ? { authorization: `Bearer ${process.env.SCANLYF_TOKEN}` }
+  : {};
+
+// JSON-RPC ids start again with every process, so retries are matched within this one
+const connectionId = crypto.randomUUID();
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+async function handleLine(line) {
+  if (!line.trim()) return;
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    return send({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32700, message: 'Parse error' }
+    });
+  }
+
+  const context = {
+    req: { headers, body: message },
+    connectionId,
+    sendNotification: (method, params) => send({ jsonrpc: '2.0', method, params })
+  };
+
+  try {
+    const response = await mcpDispatcher.handle(message, context);
+    if (response) send(response);
+  } catch (error) {
+    console.error('stdio dispatch error:', error.message);
+    send({
+      jsonrpc: '2.0',
+      id: message.id ?? null,
+      error: { code: -32603, message: 'Internal error' }
+    });
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+const pending = new Set();
+
+// Messages are handled concurrently so a slow tool call doesn't block the rest
+rl.on('line', line => {
+  const task = handleLine(line).finally(() => pending.delete(task));
+  pending.add(task);
+});
+
+// Client closed stdin - finish in-flight calls, then exit (timers would keep us alive)
+rl.on('close', async () => {
+  await Promise.allSettled(pending);
+  process.exit(0);
+});
+
+console.error('🚀 Scanlyf MCP Server running on stdio');
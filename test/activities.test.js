@@ -0,0 +1,38 @@
+const { findActivity, estimateCaloriesBurned, calorieBudget, describeBurn } = require('../lib/activities');
+
+describe('estimateCaloriesBurned', () => {
+  test('burns MET x kg x hours, and one MET less above resting', () => {
+    expect(estimateCaloriesBurned({ activity: 'running', weightKg: 70, durationMinutes: 30 }))
+      .toEqual({ met: 9.8, duration_minutes: 30, calories_burned: 343, net_calories: 308 });
+    expect(estimateCaloriesBurned({ activity: 'walking', weightKg: 60, durationMinutes: 45, intensity: 'vigorous' }))
+      .toMatchObject({ met: 5, calories_burned: 225, net_calories: 180 });
+  });
+
+  test('goes by speed when there is a distance', () => {
+    expect(estimateCaloriesBurned({ activity: 'walking', weightKg: 70, durationMinutes: 60, distanceKm: 5 }))
+      .toMatchObject({ met: 3.7, calories_burned: 259 });
+    // No time - a moderate running pace of 9.7 km/h
+    expect(estimateCaloriesBurned({ activity: 'running', weightKg: 70, distanceKm: 10 }))
+      .toMatchObject({ met: 9.8, duration_minutes: 62, calories_burned: 707 });
+  });
+});
+
+describe('calorieBudget', () => {
+  const workouts = [{ calories_burned: 343, net_calories: 308 }, { calories_burned: 259, net_calories: 189 }];
+
+  test('adds what the workouts burned above resting to the target', () => {
+    expect(calorieBudget({ calorie_target: 2000 }, workouts))
+      .toEqual({ target: 2000, calories_burned: 602, net_calories: 497, added: 497, budget: 2497 });
+    expect(describeBurn(calorieBudget({ calorie_target: 2000 }, workouts))).toBe('602 cal burned, 497 above resting');
+  });
+
+  test('leaves the budget alone when exercise calories are turned off', () => {
+    expect(calorieBudget({ calorie_target: 2000, add_exercise_calories: false }, workouts)).toMatchObject({ added: 0, budget: 2000 });
+  });
+});
+
+test('findActivity knows activities by what people call them', () => {
+  expect(findActivity('went for a run')).toBe('running');
+  expect(findActivity('Brisk walk')).toBe('walking');
+  expect(findActivity('knitting')).toBeNull();
+});
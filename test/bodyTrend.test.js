@@ -0,0 +1,49 @@
+const { smoothWeights, weightTrend, measurementChanges } = require('../lib/bodyTrend');
+
+// A weigh-in every day from Jan 1, losing 0.1 kg a day
+const dailyLoss = days => Array.from({ length: days }, (_, i) => ({
+  date: `2026-01-${String(i + 1).padStart(2, '0')}`,
+  weight_kg: Math.round((80 - 0.1 * i) * 10) / 10
+}));
+
+describe('smoothWeights', () => {
+  test('moves the trend 10% towards each weigh-in, more after skipped days', () => {
+    const points = smoothWeights([
+      { date: '2026-01-02', weight_kg: 81 },
+      { date: '2026-01-01', weight_kg: 80 },
+      { date: '2026-01-05', weight_kg: 80 }
+    ]);
+    expect(points.map(point => point.trend_kg)).toEqual([80, 80.1, 80.07]);
+  });
+});
+
+describe('weightTrend', () => {
+  test('reads the weekly rate off the weigh-ins once there is a week of them', () => {
+    const trend = weightTrend(dailyLoss(15));
+    expect(trend).toMatchObject({
+      trend_kg: 79.3,
+      moving_average_7d: 78.9,
+      change_7d: -0.5,
+      change_30d: null,
+      rate_kg_per_week: -0.7,
+      direction: 'down',
+      weigh_ins: 15
+    });
+  });
+
+  test('has no direction before a week of weigh-ins', () => {
+    expect(weightTrend(dailyLoss(5))).toMatchObject({ rate_kg_per_week: null, direction: null });
+    expect(weightTrend([])).toBeNull();
+  });
+});
+
+describe('measurementChanges', () => {
+  test('compares the latest reading with the previous and the first', () => {
+    const { waist_cm: waist } = measurementChanges([
+      { date: '2026-01-15', waist_cm: 88.7 },
+      { date: '2026-01-01', waist_cm: 90 },
+      { date: '2026-01-08', waist_cm: 89.5 }
+    ]);
+    expect(waist).toMatchObject({ value: 88.7, change: -0.8, change_since_first: -1.3, first_date: '2026-01-01' });
+  });
+});
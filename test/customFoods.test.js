@@ -0,0 +1,42 @@
+// cacheService sweeps its memory cache on an interval that would keep Jest running
+jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+
+const { MemoryStore, setStore } = require('../lib/storage');
+const { handleCreateCustomFood } = require('../handlers/customFoodsHandlers');
+const { handleAddFood } = require('../handlers/foodHandlers');
+const userService = require('../services/userService');
+
+const ARGS = { puch_user_id: '919999999999' };
+const REQ = { headers: { authorization: 'Bearer demo_token' } };
+
+describe('custom foods', () => {
+  beforeEach(async () => {
+    setStore(new MemoryStore());
+    await userService.createOrUpdateProfile(ARGS.puch_user_id, {
+      name: 'Asha', age: 30, weight: 60, height: 160, gender: 'female', health_conditions: []
+    });
+  });
+
+  test('logs a food saved with only some macros as 0 for the rest', async () => {
+    const saved = await handleCreateCustomFood({
+      ...ARGS,
+      name: 'moms poha',
+      serving: '1 bowl',
+      nutrients: { calories: 300, protein: '6' }
+    }, REQ);
+    expect(saved.structuredContent.food.nutrition).toMatchObject({ calories: 300, protein: 6, carbs: 0, fat: 0 });
+
+    const logged = await handleAddFood({ ...ARGS, type: 'text', input: '2 bowls moms poha' }, REQ);
+    expect(logged.text).not.toContain('undefined');
+    expect(logged.text).toContain('600 cal');
+    expect(logged.structuredContent.food).toMatchObject({ calories: 600, protein: 12, carbs: 0, fat: 0 });
+  });
+
+  test('refuses negative nutrients', async () => {
+    await expect(handleCreateCustomFood({
+      ...ARGS,
+      name: 'diet chivda',
+      nutrients: { calories: 120, fat: -4 }
+    }, REQ)).rejects.toThrow("fat can't be negative");
+  });
+});
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { MemoryStore, setStore, collections } = require('../lib/storage');
+const { dailyLogsRepository } = require('../lib/repositories');
+
+const PHONE = '919999999999';
+const DATE = '2026-10-19';
+
+describe('dailyLogsRepository', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    setStore(store);
+  });
+
+  test('adds entries in order with the day totals', async () => {
+    await dailyLogsRepository.addEntry(PHONE, DATE, { name: 'roti', calories: 120, protein: 3, carbs: 20, fat: 3 });
+    const { entry, totals, entryCount } = await dailyLogsRepository.addEntry(PHONE, DATE, {
+      name: 'dal', calories: 180, protein: 9, carbs: 25, fat: 5
+    });
+
+    expect(entry).toMatchObject({ name: 'dal', phone: PHONE, date: DATE, seq: 2 });
+    expect(totals).toMatchObject({ calories: 300, protein: 12, carbs: 45, fat: 8 });
+    expect(entryCount).toBe(2);
+
+    const log = await dailyLogsRepository.get(PHONE, DATE);
+    expect(log.foods.map(food => food.name)).toEqual(['roti', 'dal']);
+    expect(log.entry_count).toBe(2);
+  });
+
+  test('keeps every food from parallel adds', async () => {
+    await Promise.all(Array.from({ length: 5 }, (_, i) =>
+      dailyLogsRepository.addEntry(PHONE, DATE, { name: `idli ${i}`, calories: 40, protein: 1, carbs: 8, fat: 0 })
+    ));
+
+    const log = await dailyLogsRepository.get(PHONE, DATE);
+    expect(log.foods).toHaveLength(5);
+    expect(log.totals.calories).toBe(200);
+    expect(new Set(log.foods.map(food => food.id)).size).toBe(5);
+  });
+
+  test('never hands out an id one of the user\'s entries already has', async () => {
+    const bytes = hex => Buffer.from(hex, 'hex');
+    const randomBytes = jest.spyOn(crypto, 'randomBytes')
+      .mockReturnValueOnce(bytes('aaaaaaaa'))
+      .mockReturnValueOnce(bytes('aaaaaaaa'))
+      .mockReturnValueOnce(bytes('bbbbbbbb'));
+
+    try {
+      const first = await dailyLogsRepository.addEntry(PHONE, DATE, { name: 'roti', calories: 120 });
+      const second = await dailyLogsRepository.addEntry(PHONE, '2026-10-20', { name: 'roti', calories: 120 });
+
+      expect(first.entry.id).toBe('aaaaaaaa');
+      expect(second.entry.id).toBe('bbbbbbbb');
+      expect((await dailyLogsRepository.getEntry(PHONE, 'aaaaaaaa')).date).toBe(DATE);
+    } finally {
+      randomBytes.mockRestore();
+    }
+  });
+
+  test('removes an entry by id and takes it off the totals', async () => {
+    const { entry } = await dailyLogsRepository.addEntry(PHONE, DATE, { name: 'samosa', calories: 260, protein: 4, carbs: 30, fat: 14 });
+    await dailyLogsRepository.addEntry(PHONE, DATE, { name: 'chai', calories: 90, protein: 3, carbs: 12, fat: 3 });
+
+    const removed = await dailyLogsRepository.removeEntry(PHONE, entry.id);
+    expect(removed.totals).toMatchObject({ calories: 90, fat: 3 });
+    expect(removed.entryCount).toBe(1);
+
+    expect(await dailyLogsRepository.removeEntry(PHONE, entry.id)).toBeNull();
+    expect(await dailyLogsRepository.removeEntry('someone-else', removed.entry.id)).toBeNull();
+  });
+
+  test('moves the totals by the difference when an entry is edited', async () => {
+    const { entry } = await dailyLogsRepository.addEntry(PHONE, DATE, { name: 'rice', calories: 200, protein: 4, carbs: 44, fat: 0.5 });
+
+    const result = await dailyLogsRepository.updateEntry(PHONE, entry.id, current => ({
+      ...current,
+      calories: 300,
+      carbs: 66,
+      date: '2026-01-01'
+    }));
+
+    expect(result.entry).toMatchObject({ id: entry.id, date: DATE, calories: 300 });
+    expect(result.totals).toMatchObject({ calories: 300, carbs: 66 });
+    expect((await dailyLogsRepository.getEntry(PHONE, entry.id)).calories).toBe(300);
+  });
+
+  test('moves a day logged as a foods array into entries on first read', async () => {
+    await store.set(collections.dailyLogs, `${PHONE}_${DATE}`, {
+      phone: PHONE,
+      date: DATE,
+      foods: [
+        { name: 'poha', calories: 250, protein: 5, carbs: 45, fat: 6, timestamp: '2026-10-19T03:00:00.000Z' },
+        { name: 'banana', calories: 105, protein: 1, carbs: 27, fat: 0 }
+      ],
+      totals: { calories: 0, protein: 0, carbs: 0, fat: 0 }
+    });
+
+    const log = await dailyLogsRepository.get(PHONE, DATE);
+    expect(log.foods.map(food => food.name)).toEqual(['poha', 'banana']);
+    expect(log.totals.calories).toBe(355);
+    expect(log.foods[0].created_at).toBe('2026-10-19T03:00:00.000Z');
+
+    const stored = await store.get(collections.dailyLogs, `${PHONE}_${DATE}`);
+    expect(stored.foods).toBeUndefined();
+    expect(stored.entry_count).toBe(2);
+  });
+});
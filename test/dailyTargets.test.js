@@ -0,0 +1,51 @@
+const { calculateDailyTargets } = require('../lib/dailyTargets');
+
+// 30, 175 cm, 75 kg - BMR 10*75 + 6.25*175 - 5*30 + 5 = 1698.75, moderate activity x1.55 = 2633
+const MAN = { age: 30, height_cm: 175, weight_kg: 75, gender: 'male', activity_level: 'moderate' };
+const share = (targets, key, kcal) => targets[key] * kcal / targets.calories;
+
+describe('calculateDailyTargets', () => {
+  test('works calories out with Mifflin-St Jeor for each goal', () => {
+    const maintain = calculateDailyTargets({ ...MAN, health_goals: ['maintain'] });
+    const lose = calculateDailyTargets({ ...MAN, health_goals: ['weight_loss'] });
+    const gain = calculateDailyTargets({ ...MAN, health_goals: ['weight_gain'] });
+
+    expect(maintain.details.bmr).toBe(1699);
+    expect(maintain.calories).toBe(2633);
+    // 0.5 kg a week off, 0.25 kg a week on, at 7700 kcal a kilo
+    expect(lose.calories).toBe(2633 - 550);
+    expect(gain.calories).toBe(2633 + 275);
+    expect(lose.protein).toBeGreaterThanOrEqual(105);
+  });
+
+  test('uses the female formula and never plans below the minimum', () => {
+    const targets = calculateDailyTargets({
+      age: 60, height_cm: 150, weight_kg: 50, gender: 'female', activity_level: 'sedentary', health_goals: ['weight_loss']
+    });
+
+    // 10*50 + 6.25*150 - 5*60 - 161 = 976.5
+    expect(targets.details.bmr).toBe(977);
+    expect(targets.calories).toBe(1200);
+  });
+
+  test('keeps carbs between 45% and 55% of calories', () => {
+    ['maintain', 'weight_loss', 'weight_gain'].forEach(goal => {
+      const targets = calculateDailyTargets({ ...MAN, health_goals: [goal] });
+      expect(share(targets, 'carbs', 4)).toBeGreaterThanOrEqual(0.44);
+      expect(share(targets, 'carbs', 4)).toBeLessThanOrEqual(0.56);
+    });
+
+    // What was over 55% went to protein
+    const maintain = calculateDailyTargets({ ...MAN, health_goals: ['maintain'] });
+    expect(maintain.carbs).toBe(362);
+    expect(maintain.protein).toBeGreaterThan(75);
+  });
+
+  test('caps carbs lower for diabetes and lets custom targets win', () => {
+    const diabetic = calculateDailyTargets({ ...MAN, health_conditions: ['diabetes'] });
+    expect(share(diabetic, 'carbs', 4)).toBeLessThanOrEqual(0.41);
+
+    const custom = calculateDailyTargets({ ...MAN, custom_targets: { carbs: 400 } });
+    expect(custom.carbs).toBe(400);
+  });
+});
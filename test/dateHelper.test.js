@@ -0,0 +1,61 @@
+const {
+  timezoneOf,
+  normalizeTimezone,
+  getToday,
+  getCurrentHour,
+  toLocalDate,
+  getWeekStart,
+  parseDateInput
+} = require('../lib/dateHelper');
+
+describe('days in the user\'s timezone', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a day starts at local midnight, not UTC midnight', () => {
+    expect(toLocalDate('2026-03-10T18:29:00Z', 'Asia/Kolkata')).toBe('2026-03-10');
+    expect(toLocalDate('2026-03-10T18:30:00Z', 'Asia/Kolkata')).toBe('2026-03-11');
+  });
+
+  test('follows daylight saving', () => {
+    // EST before March 8, EDT after
+    expect(toLocalDate('2026-03-07T04:59:00Z', 'America/New_York')).toBe('2026-03-06');
+    expect(toLocalDate('2026-03-07T05:00:00Z', 'America/New_York')).toBe('2026-03-07');
+    expect(toLocalDate('2026-03-09T03:59:00Z', 'America/New_York')).toBe('2026-03-08');
+    expect(toLocalDate('2026-03-09T04:00:00Z', 'America/New_York')).toBe('2026-03-09');
+  });
+
+  test('today and the hour are the user\'s own', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T20:30:00Z') });
+    expect(getToday('Asia/Kolkata')).toBe('2026-10-20');
+    expect(getCurrentHour('Asia/Kolkata')).toBe(2);
+    expect(getToday('America/New_York')).toBe('2026-10-19');
+    expect(getCurrentHour('America/New_York')).toBe(16);
+  });
+});
+
+describe('timezoneOf', () => {
+  test('uses the profile\'s timezone in any case, or the default', () => {
+    expect(timezoneOf({ timezone: 'asia/dubai' })).toBe('Asia/Dubai');
+    expect(timezoneOf({ timezone: 'Mars/Base' })).toBe('Asia/Kolkata');
+    expect(timezoneOf(null)).toBe('Asia/Kolkata');
+    expect(normalizeTimezone('Mars/Base')).toBeNull();
+  });
+});
+
+describe('parseDateInput', () => {
+  test('reads dates relative to the user\'s today', () => {
+    expect(parseDateInput('yesterday', '2026-10-19')).toBe('2026-10-18');
+    expect(parseDateInput('last monday', '2026-10-19')).toBe('2026-10-12');
+    expect(parseDateInput('friday', '2026-10-19')).toBe('2026-10-16');
+    expect(parseDateInput('2026-02-30', '2026-10-19')).toBeNull();
+  });
+});
+
+describe('getWeekStart', () => {
+  test('weeks start on Monday', () => {
+    expect(getWeekStart('2026-10-18')).toBe('2026-10-12');
+    expect(getWeekStart('2026-10-19')).toBe('2026-10-19');
+  });
+});
@@ -0,0 +1,50 @@
+// cacheService sweeps its memory cache on an interval that would keep Jest running
+jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+
+const foodService = require('../services/foodService');
+
+const found = (source, name, calories) => async () => ({ name, calories, protein: 1, carbs: 1, fat: 1, source });
+
+describe('FoodService.searchWithFallback', () => {
+  let nutritionix;
+  let usda;
+  let openFoodFacts;
+
+  beforeEach(() => {
+    nutritionix = jest.spyOn(foodService, 'searchNutritionixAPI');
+    usda = jest.spyOn(foodService, 'searchUSDA');
+    openFoodFacts = jest.spyOn(foodService, 'searchOpenFoodFacts');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers from the Indian table without going online', async () => {
+    const result = await foodService.searchWithFallback('dal', 1, 'katori');
+    expect(result).toMatchObject({ source: 'Indian Food Database', calories: 165, confidence: 'high' });
+    expect(nutritionix).not.toHaveBeenCalled();
+    expect(usda).not.toHaveBeenCalled();
+    expect(openFoodFacts).not.toHaveBeenCalled();
+  });
+
+  test('stops at the first source that found the food', async () => {
+    nutritionix.mockImplementation(async () => null);
+    usda.mockImplementation(found('USDA', 'Quinoa, cooked', 222));
+    openFoodFacts.mockImplementation(found('OpenFoodFacts', 'quinoa', 230));
+
+    const result = await foodService.searchWithFallback('quinoa', 1, 'cup');
+    expect(result).toMatchObject({ source: 'USDA', calories: 222 });
+    expect(openFoodFacts).not.toHaveBeenCalled();
+  });
+
+  test('keeps asking while the matches are for other foods', async () => {
+    nutritionix.mockImplementation(async () => null);
+    usda.mockImplementation(found('USDA', 'Chocolate bar', 500));
+    openFoodFacts.mockImplementation(found('OpenFoodFacts', 'quinoa', 230));
+
+    const result = await foodService.searchWithFallback('quinoa', 1, 'cup');
+    expect(result).toMatchObject({ source: 'OpenFoodFacts', calories: 230 });
+    expect(openFoodFacts).toHaveBeenCalledTimes(1);
+  });
+});
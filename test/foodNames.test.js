@@ -0,0 +1,38 @@
+const { canonicalFoodName } = require('../lib/foodNames');
+
+describe('canonicalFoodName', () => {
+  test('maps dishes by their Indian names and spellings', () => {
+    expect(canonicalFoodName('anda bhurji')).toBe('scrambled eggs');
+    expect(canonicalFoodName('cholay')).toBe('chickpea curry');
+    expect(canonicalFoodName('thayir sadam')).toBe('curd rice');
+  });
+
+  test('looks plurals up by the singular', () => {
+    expect(canonicalFoodName('rotis')).toBe('chapati');
+    expect(canonicalFoodName('masala dosas')).toBe('masala dosa');
+    expect(canonicalFoodName('tomatoes')).toBe('tomato');
+  });
+
+  test('allows a typo per long word but never matches another dish', () => {
+    expect(canonicalFoodName('chiken curry')).toBe('chicken curry');
+    expect(canonicalFoodName('kadhi chawal')).toBe('kadhi chawal');
+    expect(canonicalFoodName('kadi chaval')).toBe('kadhi chawal');
+    expect(canonicalFoodName('pista')).toBe('pista');
+  });
+
+  test('swaps ingredient words only when the whole name is ingredients', () => {
+    expect(canonicalFoodName('aloo methi')).toBe('potato fenugreek');
+    expect(canonicalFoodName('patta gobi')).toBe('cabbage');
+    expect(canonicalFoodName('sarson ka saag')).toBe('sarson ka saag');
+    expect(canonicalFoodName('dahi vada')).toBe('dahi vada');
+    expect(canonicalFoodName('dal chawal')).toBe('dal chawal');
+    expect(canonicalFoodName('Egg Fried Rice')).toBe('Egg Fried Rice');
+  });
+
+  test('fixes common misspellings', () => {
+    expect(canonicalFoodName('biriyani')).toBe('biryani');
+    expect(canonicalFoodName('chicken biriyani')).toBe('chicken biryani');
+    expect(canonicalFoodName('paner butter masala')).toBe('paneer butter masala');
+    expect(canonicalFoodName('paner tikka')).toBe('paneer tikka');
+  });
+});
@@ -0,0 +1,47 @@
+const { parseMeasure, gramsFor, formatUnit } = require('../lib/householdMeasures');
+
+const measure = text => {
+  const { quantity, unit, foodName, grams } = parseMeasure(text);
+  return [quantity, unit, foodName, grams];
+};
+
+describe('parseMeasure', () => {
+  test('turns household measures into grams', () => {
+    expect(measure('1 katori dal')).toEqual([1, 'katori', 'dal', 150]);
+    expect(measure('2 tbsp ghee')).toEqual([2, 'tbsp', 'ghee', 26]);
+    expect(measure('3 slices bread')).toEqual([3, 'slice', 'bread', 90]);
+    expect(measure('200 g paneer')).toEqual([200, 'g', 'paneer', 200]);
+  });
+
+  test('weighs a measure by the food in it', () => {
+    expect(measure('1 katori rice')).toEqual([1, 'katori', 'rice', 120]);
+    expect(measure('half plate biryani')).toEqual([0.5, 'plate', 'biryani', 175]);
+  });
+
+  test('reads ranges, fractions and Hindi amounts', () => {
+    expect(measure('2-3 rotis')).toEqual([2.5, 'piece', 'rotis', 100]);
+    expect(measure('1 1/2 cup milk')).toEqual([1.5, 'cup', 'milk', 360]);
+    expect(measure('½ katori curd')).toEqual([0.5, 'katori', 'curd', 75]);
+    expect(measure('dedh glass lassi')).toEqual([1.5, 'glass', 'lassi', 375]);
+  });
+
+  test('leaves grams to the lookup when the food has no known weight', () => {
+    expect(measure('full cream milk')).toEqual([1, 'serving', 'full cream milk', null]);
+    expect(measure('2 katori')).toEqual([2, 'serving', 'katori', null]);
+  });
+});
+
+describe('gramsFor', () => {
+  test('counts a plain serving as a piece or a plate of the food', () => {
+    expect(gramsFor(2, 'serving', 'roti')).toBe(80);
+    expect(gramsFor(1, 'serving', 'pani puri')).toBe(180);
+    expect(gramsFor(1, 'serving', 'banana shake')).toBeNull();
+  });
+});
+
+describe('formatUnit', () => {
+  test('pluralizes measures it knows', () => {
+    expect(formatUnit(2, 'katori')).toBe('katoris');
+    expect(formatUnit(1, 'katori')).toBe('katori');
+  });
+});
@@ -0,0 +1,49 @@
+// cacheService sweeps its memory cache on an interval that would keep Jest running
+jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask'] });
+
+const idempotency = require('../lib/idempotency');
+
+const ARGS = { puch_user_id: '919999999999', food_name: '1 banana' };
+
+describe('idempotency', () => {
+  test('derives a key for stateless calls from the user, id and arguments', () => {
+    const first = idempotency.keyFor('add_food', ARGS, 1, {}, null);
+    expect(first).not.toBeNull();
+    expect(idempotency.keyFor('add_food', ARGS, 1, {}, null)).toBe(first);
+    expect(idempotency.keyFor('add_food', { ...ARGS, puch_user_id: '918888888888' }, 1, {}, null)).not.toBe(first);
+    expect(idempotency.keyFor('add_food', { ...ARGS, food_name: '2 bananas' }, 1, {}, null)).not.toBe(first);
+    expect(idempotency.keyFor('remove_food', ARGS, 1, {}, null)).not.toBe(first);
+    expect(idempotency.keyFor('add_food', { food_name: '1 banana' }, 1, {}, null)).toBeNull();
+  });
+
+  test('derives a key from the id only within a connection', () => {
+    const first = idempotency.keyFor('add_food', ARGS, 1, {}, 'session-a');
+    expect(idempotency.keyFor('add_food', ARGS, 1, {}, 'session-a')).toBe(first);
+    expect(idempotency.keyFor('add_food', ARGS, 1, {}, 'session-b')).not.toBe(first);
+    expect(idempotency.keyFor('add_food', ARGS, 2, {}, 'session-a')).not.toBe(first);
+  });
+
+  test('uses an explicit idempotency_key with or without a connection', () => {
+    const args = { ...ARGS, idempotency_key: 'retry-1' };
+    expect(idempotency.keyFor('add_food', args, 1, {}, null))
+      .toBe(idempotency.keyFor('add_food', args, 7, {}, 'session-a'));
+  });
+
+  test('runs once per key and replays the first result', async () => {
+    const key = idempotency.keyFor('add_food', ARGS, 1, {}, 'session-replay');
+    const execute = jest.fn(async () => 'Logged 1 banana');
+
+    expect(await idempotency.run(key, ARGS, execute)).toEqual({ result: 'Logged 1 banana', replayed: false });
+    expect(await idempotency.run(key, ARGS, execute)).toEqual({ result: 'Logged 1 banana', replayed: true });
+    expect(execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a key reused with different arguments', async () => {
+    const args = { ...ARGS, idempotency_key: 'retry-2' };
+    const key = idempotency.keyFor('add_food', args, 1, {}, null);
+    await idempotency.run(key, args, async () => 'Logged 1 banana');
+
+    await expect(idempotency.run(key, { ...args, food_name: '2 bananas' }, async () => 'Logged 2 bananas'))
+      .rejects.toMatchObject({ jsonRpcCode: -32602 });
+  });
+});
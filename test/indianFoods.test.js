@@ -0,0 +1,28 @@
+const { findIndianFood, lookupIndianFood } = require('../lib/indianFoods');
+
+describe('lookupIndianFood', () => {
+  test('scales a dish by its own serving', () => {
+    expect(lookupIndianFood('dal', 2, 'katori')).toMatchObject({
+      name: 'dal', calories: 330, protein: 17, portion_size: '2 katoris', source: 'Indian Food Database'
+    });
+    expect(lookupIndianFood('idlis', 3, 'piece')).toMatchObject({ name: 'idli', calories: 174, portion_size: '3 pieces' });
+    expect(lookupIndianFood('chapati', 1, 'serving')).toMatchObject({ calories: 110 });
+  });
+
+  test('weighs other measures against the serving', () => {
+    expect(lookupIndianFood('rice', 250, 'g')).toMatchObject({ calories: 325, carbs: 70.8 });
+    expect(lookupIndianFood('pani puri', 1, 'serving')).toMatchObject({ calories: 230 });
+  });
+
+  test('leaves out nutrients the tables do not give', () => {
+    const jaggery = lookupIndianFood('jaggery', 1, 'tbsp');
+    expect(jaggery).toMatchObject({ calories: 46, sugar: 10.2 });
+    expect(jaggery).not.toHaveProperty('potassium');
+  });
+
+  test('only answers for foods in the table, by their canonical names', () => {
+    expect(findIndianFood('samosas').name).toBe('samosa');
+    expect(lookupIndianFood('paani puri', 1, 'plate')).toBeNull();
+    expect(lookupIndianFood('quinoa', 1, 'cup')).toBeNull();
+  });
+});
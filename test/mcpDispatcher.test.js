@@ -0,0 +1,67 @@
+// cacheService sweeps its memory cache on an interval that would keep Jest running
+jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+
+const toolRegistry = require('../lib/toolRegistry');
+const dispatcher = require('../lib/mcpDispatcher');
+
+// Runs until released, or until it's cancelled
+const pending = [];
+toolRegistry.register({
+  name: 'test_wait',
+  description: 'Waits to be released',
+  handler: (args, req, { signal }) => new Promise((resolve, reject) => {
+    pending.push(() => resolve(`done ${args.label}`));
+    signal.addEventListener('abort', () => reject(signal.reason));
+  })
+});
+
+const call = (id, label) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'test_wait', arguments: { label } } });
+const cancel = requestId => ({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId } });
+const req = { headers: {} };
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('McpDispatcher cancellation', () => {
+  beforeEach(() => {
+    pending.length = 0;
+  });
+
+  test('ignores cancellation of stateless calls', async () => {
+    const first = dispatcher.handle(call(1, 'a'), { req });
+    const second = dispatcher.handle(call(1, 'b'), { req });
+    await flush();
+
+    await dispatcher.handle(cancel(1), { req });
+    pending.forEach(release => release());
+
+    expect((await first).result.content[0].text).toContain('done a');
+    expect((await second).result.content[0].text).toContain('done b');
+    expect(dispatcher.inFlight.size).toBe(0);
+  });
+
+  test('cancels only the call with that id on the same connection', async () => {
+    const mine = dispatcher.handle(call(7, 'mine'), { req, connectionId: 'conn-a' });
+    const theirs = dispatcher.handle(call(7, 'theirs'), { req, session: { id: 'session-b' } });
+    await flush();
+
+    await dispatcher.handle(cancel(7), { req, connectionId: 'conn-a' });
+    expect(await mine).toBeNull();
+
+    pending.forEach(release => release());
+    expect((await theirs).result.content[0].text).toContain('done theirs');
+    expect(dispatcher.inFlight.size).toBe(0);
+  });
+
+  test('a finished call leaves a newer call with the same id cancellable', async () => {
+    const context = { req, connectionId: 'conn-c' };
+    const first = dispatcher.handle(call(3, 'first'), context);
+    await flush();
+    const second = dispatcher.handle(call(3, 'second'), context);
+    await flush();
+
+    pending[0]();
+    await first;
+
+    await dispatcher.handle(cancel(3), context);
+    expect(await second).toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+const { parseMealItems } = require('../lib/mealParser');
+
+const summary = items => items.map(({ quantity, unit, foodName, grams }) => [quantity, unit, foodName, grams]);
+
+describe('parseMealItems', () => {
+  test('splits a meal into one item per food with its own measure', () => {
+    expect(summary(parseMealItems('2 chapati with dal, a bowl of rice and a glass of buttermilk'))).toEqual([
+      [2, 'piece', 'chapati', 80],
+      [1, 'serving', 'dal', null],
+      [1, 'bowl', 'rice', 160],
+      [1, 'glass', 'buttermilk', 250]
+    ]);
+  });
+
+  test('keeps add-ins, dish names and "and a half" together', () => {
+    expect(summary(parseMealItems('I had tea with milk and sugar'))).toEqual([[1, 'serving', 'tea with milk and sugar', null]]);
+    expect(parseMealItems('bread and butter')).toHaveLength(1);
+    expect(summary(parseMealItems('one and a half roti'))).toEqual([[1.5, 'piece', 'roti', 60]]);
+  });
+
+  test('counts plate dishes in plates and other counted foods in pieces', () => {
+    expect(summary(parseMealItems('paani puri and 2 samosas'))).toEqual([
+      [1, 'plate', 'paani puri', 180],
+      [2, 'piece', 'samosas', 120]
+    ]);
+  });
+
+  test('refuses more foods than it logs at once', () => {
+    expect(() => parseMealItems('a, b, c, d, e, f, g, h, i, j, k')).toThrow('please log up to 10');
+  });
+});
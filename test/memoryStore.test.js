@@ -0,0 +1,89 @@
+const { MemoryStore } = require('../lib/storage');
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  test('hands out copies so callers cannot change stored documents', async () => {
+    const profile = { name: 'Ravi', goals: ['maintain'] };
+    await store.set('users', '9999', profile);
+    profile.goals.push('lose_weight');
+
+    const stored = await store.get('users', '9999');
+    stored.name = 'Changed';
+
+    expect(await store.get('users', '9999')).toEqual({ name: 'Ravi', goals: ['maintain'] });
+  });
+
+  test('merges nested maps on set with merge and replaces without it', async () => {
+    await store.set('users', '9999', { name: 'Ravi', targets: { calories: 2000, protein: 60 } });
+    await store.set('users', '9999', { targets: { protein: 80 } }, { merge: true });
+    expect(await store.get('users', '9999')).toEqual({ name: 'Ravi', targets: { calories: 2000, protein: 80 } });
+
+    await store.set('users', '9999', { name: 'Asha' });
+    expect(await store.get('users', '9999')).toEqual({ name: 'Asha' });
+  });
+
+  test('updates dotted paths and unions arrays without duplicates', async () => {
+    await store.set('users', '9999', { stats: { scans: 1 }, badges: ['first_scan'] });
+    await store.update('users', '9999', {
+      'stats.scans': 2,
+      badges: store.arrayUnion('first_scan', 'week_streak')
+    });
+
+    expect(await store.get('users', '9999')).toEqual({ stats: { scans: 2 }, badges: ['first_scan', 'week_streak'] });
+  });
+
+  test('refuses to update a document that does not exist', async () => {
+    await expect(store.update('users', 'missing', { name: 'x' })).rejects.toThrow('No document to update');
+  });
+
+  test('filters, orders and limits like Firestore', async () => {
+    await store.set('daily_logs', 'a', { phone: '1', date: '2026-10-01' });
+    await store.set('daily_logs', 'b', { phone: '1', date: '2026-10-03' });
+    await store.set('daily_logs', 'c', { phone: '1', date: '2026-10-02' });
+    await store.set('daily_logs', 'd', { phone: '2', date: '2026-10-05' });
+    await store.set('daily_logs', 'e', { phone: '1' });
+
+    const docs = await store.find('daily_logs', {
+      where: [['phone', '==', '1'], ['date', '>=', '2026-10-02']],
+      orderBy: ['date', 'desc'],
+      limit: 5
+    });
+    expect(docs.map(doc => doc.id)).toEqual(['b', 'c']);
+
+    const first = await store.find('daily_logs', { where: [['phone', '==', '1']], orderBy: ['date', 'asc'], limit: 1 });
+    expect(first.map(doc => doc.id)).toEqual(['a']);
+  });
+
+  test('rejects query operators it does not know', async () => {
+    await expect(store.find('users', { where: [['name', 'like', 'R%']] })).rejects.toThrow('Unsupported query operator');
+  });
+
+  test('applies nothing from a transaction that throws', async () => {
+    await store.set('users', '9999', { coins: 10 });
+
+    await expect(store.runTransaction(async (tx) => {
+      tx.update('users', '9999', { coins: 20 });
+      tx.set('users', '8888', { coins: 5 });
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await store.get('users', '9999')).toEqual({ coins: 10 });
+    expect(await store.get('users', '8888')).toBeNull();
+  });
+
+  test('runs transactions one at a time so read-modify-writes do not race', async () => {
+    await store.set('users', '9999', { coins: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () => store.runTransaction(async (tx) => {
+      const user = await tx.get('users', '9999');
+      tx.update('users', '9999', { coins: user.coins + 1 });
+    })));
+
+    expect((await store.get('users', '9999')).coins).toBe(10);
+  });
+});
@@ -0,0 +1,49 @@
+const { CONFIDENCE, rateResult, reconcileResults } = require('../lib/nutritionConfidence');
+
+describe('rateResult', () => {
+  test('trusts a source that found the food asked for', () => {
+    expect(rateResult('dal', { name: 'dal', source: 'Indian Food Database', calories: 165 }))
+      .toMatchObject({ match_score: 1, confidence: CONFIDENCE.HIGH });
+    expect(rateResult('dal', { name: 'Dal Makhani', source: 'USDA', calories: 300 }))
+      .toMatchObject({ match_score: 0.8, confidence: CONFIDENCE.MEDIUM });
+  });
+
+  test('flags a match on some other food', () => {
+    const rated = rateResult('paneer tikka', { name: 'Chocolate bar', source: 'OpenFoodFacts', calories: 500 });
+    expect(rated.confidence).toBe(CONFIDENCE.LOW);
+    expect(rated.confidence_note).toBe('Closest OpenFoodFacts match was "Chocolate bar"');
+  });
+});
+
+describe('reconcileResults', () => {
+  test('raises confidence when sources agree', () => {
+    const result = reconcileResults('rice', [
+      { name: 'Rice, white, cooked', source: 'USDA', calories: 200 },
+      { name: 'rice', source: 'Nutritionix', calories: 210 }
+    ]);
+    expect(result).toMatchObject({ source: 'Nutritionix', calories: 210, confidence: CONFIDENCE.HIGH });
+    expect(result.sources_checked).toEqual(['Nutritionix', 'USDA']);
+  });
+
+  test('drops the outlier of three and caps confidence at medium', () => {
+    const result = reconcileResults('rice', [
+      { name: 'rice', source: 'USDA', calories: 200 },
+      { name: 'rice', source: 'Nutritionix', calories: 600 },
+      { name: 'rice', source: 'OpenFoodFacts', calories: 220 }
+    ]);
+    expect(result).toMatchObject({ source: 'OpenFoodFacts', calories: 220, confidence: CONFIDENCE.MEDIUM });
+    expect(result.confidence_note).toMatch(/^Sources disagreed/);
+  });
+
+  test('marks two disagreeing sources low', () => {
+    const result = reconcileResults('rice', [
+      { name: 'rice', source: 'USDA', calories: 200 },
+      { name: 'rice', source: 'Nutritionix', calories: 600 }
+    ]);
+    expect(result).toMatchObject({ source: 'Nutritionix', confidence: CONFIDENCE.LOW });
+  });
+
+  test('returns null when no source found the food', () => {
+    expect(reconcileResults('paneer tikka', [{ name: 'Chocolate bar', source: 'OpenFoodFacts', calories: 500 }])).toBeNull();
+  });
+});